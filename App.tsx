@@ -1,23 +1,100 @@
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useDeferredValue, useRef } from 'react';
 import { Sidebar } from './components/Sidebar';
-import { MapComponent } from './components/MapComponent';
+import { MapComponent, type FocusRequest } from './components/MapComponent';
 import { InfoPanel } from './components/InfoPanel';
 import { Legend } from './components/Legend';
+import { Leaderboard } from './components/Leaderboard';
+import { ComparisonDrawer } from './components/ComparisonDrawer';
+import { Breadcrumb } from './components/Breadcrumb';
+import { CatchmentPanel } from './components/CatchmentPanel';
+import { CandidateSiteCard } from './components/CandidateSiteCard';
 // FIX: Import FeatureCollection to resolve GeoJSON namespace error.
 import type { FeatureCollection } from 'geojson';
-import type { DistrictFeature, DataLayerId, BoundaryTypeId } from './types';
+import type { DistrictFeature, LayerId, BoundaryTypeId, BaselineScope, ScoringCriteria, ScoringProfile, ClassificationSettings, NormalizationSettings, FormulaLayer, AttributeQuery, QueryMode, SavedQuery, GrowthPeriod, CompetitorPoint, CandidateSite } from './types';
 import { fetchDistrictData } from './services/api';
+import { applySuitabilityScores } from './services/scoring';
+import { rankFeaturesTopsis } from './services/topsis';
+import { runSensitivityAnalysis, DEFAULT_SENSITIVITY_SETTINGS, type SensitivitySettings } from './services/sensitivity';
+import { loadCustomProfiles, saveCustomProfiles, createCustomProfile, getAllProfiles, criteriaEqual, findProfileId } from './services/scoringProfiles';
+import { classifyValue, computeLayerBreaks } from './services/classification';
+import { getLayerValue, getNormalization } from './services/normalization';
+import { getQueryMatchIds, loadSavedQueries, saveSavedQueries, createSavedQuery } from './services/attributeQuery';
+import { MAX_PINNED_AREAS, togglePinnedId } from './services/comparison';
+import { loadFormulaLayers, saveFormulaLayers, formulaLayerToDataLayer, applyFormulaLayers } from './services/formulaLayers';
+import { applyCensusYear, applyGrowthLayers, getCensusYears, getDefaultGrowthPeriod } from './services/timeSeries';
+import { applyCompetitorCounts, loadCompetitorPoints, saveCompetitorPoints } from './services/competitors';
+import { computeCatchment, computeIsochroneCatchment, DEFAULT_CATCHMENT_RADIUS_KM, type CatchmentMode, type LatLng } from './services/catchment';
+import { computeIsochrones, DEFAULT_ISOCHRONE_MINUTES, type Isochrone, type RoadGraph } from './services/roadNetwork';
+import { SITE_BOUNDARIES, createCandidateSite, formatCandidateCsv, getNextSiteName, loadCandidateSites, mergeCandidateSites, resolveCandidateSites, saveCandidateSites } from './services/candidateSites';
+import { downloadFile } from './utils/csv';
+import { buildSearchIndex, type AreaSearchResult } from './services/search';
+import { exportFeatures, type ExportFormat } from './services/export';
+import { createAreaReport } from './services/areaReport';
+import { URL_UPDATE_DELAY_MS, parseUrlState, writeUrlState, type MapView, type UrlState } from './services/urlState';
+import { CHILD_BOUNDARY, PARENT_BOUNDARY, buildBreadcrumbs, getChildFeatures, getChildScope, isInScope, type DrillScope, type DrillTarget } from './services/hierarchy';
+import { BOUNDARIES, DATA_LAYERS, GROWTH_LAYERS, DEFAULT_SCORING_PROFILE_ID, DEFAULT_CLASSIFICATION } from './constants';
 
 export default function App() {
+  // The view a shared link opens with; without query parameters these are the defaults
+  const [initialUrlState] = useState<UrlState>(() => parseUrlState(window.location.search));
   // FIX: Use imported FeatureCollection type instead of GeoJSON.FeatureCollection.
   const [districtData, setDistrictData] = useState<FeatureCollection | null>(null);
-  const [activeLayer, setActiveLayer] = useState<DataLayerId>('population');
-  const [activeBoundary, setActiveBoundary] = useState<BoundaryTypeId>('district');
+  const [activeLayer, setActiveLayer] = useState<LayerId>(initialUrlState.layer);
+  const [activeBoundary, setActiveBoundary] = useState<BoundaryTypeId>(initialUrlState.boundary);
   const [selectedFeature, setSelectedFeature] = useState<DistrictFeature | null>(null);
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
-  const [showMissingData, setShowMissingData] = useState<boolean>(false); // Default to false - hide missing data
+  const [showMissingData, setShowMissingData] = useState<boolean>(initialUrlState.showMissingData); // Default to false - hide missing data
+  const [scoringCriteria, setScoringCriteria] = useState<ScoringCriteria>(initialUrlState.criteria);
+  const [customProfiles, setCustomProfiles] = useState<ScoringProfile[]>(() => loadCustomProfiles());
+  const [activeProfileId, setActiveProfileId] = useState<string>(
+    () => findProfileId(getAllProfiles(loadCustomProfiles()), initialUrlState.criteria) ?? DEFAULT_SCORING_PROFILE_ID
+  );
+  const [showLeaderboard, setShowLeaderboard] = useState<boolean>(false);
+  // A linked map view is requested up front, so the map starts there instead of fitting the data first
+  const [focusRequest, setFocusRequest] = useState<FocusRequest | null>(
+    initialUrlState.view ? { view: initialUrlState.view, requestId: 1 } : null
+  );
+  const [sensitivitySettings, setSensitivitySettings] = useState<SensitivitySettings>(DEFAULT_SENSITIVITY_SETTINGS);
+  const [classification, setClassification] = useState<ClassificationSettings>(DEFAULT_CLASSIFICATION);
+  const [formulaLayers, setFormulaLayers] = useState<FormulaLayer[]>(() => loadFormulaLayers());
+  const [attributeQuery, setAttributeQuery] = useState<AttributeQuery>(initialUrlState.query);
+  const [queryMode, setQueryMode] = useState<QueryMode>(initialUrlState.queryMode);
+  const [savedQueries, setSavedQueries] = useState<SavedQuery[]>(() => loadSavedQueries());
+  const [normalizations, setNormalizations] = useState<NormalizationSettings>({ [initialUrlState.layer]: initialUrlState.normalization });
+  const [highlightedClasses, setHighlightedClasses] = useState<number[]>([]);
+  const [hideUnhighlighted, setHideUnhighlighted] = useState<boolean>(false);
+  // Areas pinned for comparison, kept per boundary type so switching back restores them
+  const [censusYear, setCensusYear] = useState<number | null>(initialUrlState.censusYear);  // null shows the latest year
+  const [growthPeriod, setGrowthPeriod] = useState<GrowthPeriod | null>(null);
+  const [pinnedIds, setPinnedIds] = useState<Partial<Record<BoundaryTypeId, string[]>>>({});
+  // Drill-down: the part of the hierarchy on the map, and a selection waiting for its boundary type to load
+  // keepView selects without zooming, for links that carry their own map view
+  const [drillScope, setDrillScope] = useState<DrillScope | null>(initialUrlState.scope);
+  const [loadedBoundary, setLoadedBoundary] = useState<BoundaryTypeId | null>(null);
+  const [pendingNavigation, setPendingNavigation] = useState<(DrillTarget & { keepView?: boolean }) | null>(
+    initialUrlState.selectedId
+      ? { boundary: initialUrlState.boundary, scope: initialUrlState.scope, selectId: initialUrlState.selectedId, keepView: !!initialUrlState.view }
+      : null
+  );
+  // Boundary types loaded besides the map's, for the child areas table and candidate site lookups
+  const [boundaryData, setBoundaryData] = useState<Partial<Record<BoundaryTypeId, FeatureCollection>>>({});
+  const [competitorPoints, setCompetitorPoints] = useState<CompetitorPoint[]>(() => loadCompetitorPoints());
+  const [showCompetitorPoints, setShowCompetitorPoints] = useState<boolean>(true);
+  // Radius catchment tool: while open, map clicks place its centre instead of selecting areas
+  const [showCatchment, setShowCatchment] = useState<boolean>(false);
+  const [catchmentCenter, setCatchmentCenter] = useState<LatLng | null>(null);
+  const [catchmentRadiusKm, setCatchmentRadiusKm] = useState<number>(DEFAULT_CATCHMENT_RADIUS_KM);
+  const [catchmentMode, setCatchmentMode] = useState<CatchmentMode>('radius');
+  const [driveMinutes, setDriveMinutes] = useState<number>(DEFAULT_ISOCHRONE_MINUTES);
+  // Road graphs are too large for localStorage, so the road network is loaded again each session
+  const [roadNetwork, setRoadNetwork] = useState<{ name: string; graph: RoadGraph } | null>(null);
+  const [candidateSites, setCandidateSites] = useState<CandidateSite[]>(() => loadCandidateSites());
+  const [selectedSiteId, setSelectedSiteId] = useState<string | null>(null);
+  const [isPlacingSite, setIsPlacingSite] = useState<boolean>(false);
+  const [isSearchActive, setIsSearchActive] = useState<boolean>(false);
+  const [mapView, setMapView] = useState<MapView | null>(initialUrlState.view);
 
   useEffect(() => {
     const loadData = async () => {
@@ -31,6 +108,7 @@ export default function App() {
           console.log('Sample transformed feature:', data.features[0]);
         }
         setDistrictData(data);
+        setLoadedBoundary(activeBoundary);
       } catch (err) {
         const errorMessage = err instanceof Error ? err.message : 'Failed to load geospatial data';
         setError(errorMessage);
@@ -42,19 +120,580 @@ export default function App() {
     loadData();
   }, [activeBoundary]);
 
+  const scoringProfiles = useMemo(() => getAllProfiles(customProfiles), [customProfiles]);
+  const activeProfile = scoringProfiles.find(profile => profile.id === activeProfileId) ?? scoringProfiles[0];
+  const isProfileModified = !criteriaEqual(activeProfile.criteria, scoringCriteria);
+  // Shown in the legend and info panel so screenshots record which model produced the colors
+  const scoringModelName = isProfileModified ? `${activeProfile.name} (modified)` : activeProfile.name;
+
+  const handleSelectProfile = useCallback((profileId: string) => {
+    const profile = scoringProfiles.find(p => p.id === profileId);
+    if (!profile) return;
+    setActiveProfileId(profile.id);
+    setScoringCriteria(profile.criteria);
+  }, [scoringProfiles]);
+
+  const handleSaveProfile = useCallback((name: string) => {
+    const profile = createCustomProfile(name, scoringCriteria);
+    const updated = [...customProfiles, profile];
+    setCustomProfiles(updated);
+    saveCustomProfiles(updated);
+    setActiveProfileId(profile.id);
+  }, [customProfiles, scoringCriteria]);
+
+  const handleDeleteProfile = useCallback((profileId: string) => {
+    const updated = customProfiles.filter(profile => profile.id !== profileId);
+    setCustomProfiles(updated);
+    saveCustomProfiles(updated);
+    if (profileId === activeProfileId) {
+      // Keep the current weights but fall back to the default preset as the reference profile
+      setActiveProfileId(DEFAULT_SCORING_PROFILE_ID);
+    }
+  }, [customProfiles, activeProfileId]);
+
+  // Census years in the loaded data; a chosen year or growth period the data does not have falls back to the defaults
+  const censusYears = useMemo(() => (districtData ? getCensusYears(districtData.features) : []), [districtData]);
+  const activeCensusYear = censusYear !== null && censusYears.includes(censusYear) ? censusYear : null;
+  const activeGrowthPeriod = useMemo(() => {
+    const isValid = growthPeriod
+      && censusYears.includes(growthPeriod.fromYear)
+      && censusYears.includes(growthPeriod.toYear)
+      && growthPeriod.fromYear < growthPeriod.toYear;
+    return isValid ? growthPeriod : getDefaultGrowthPeriod(censusYears);
+  }, [growthPeriod, censusYears]);
+
+  // Census values of the chosen year, with competitors counted from imported store locations when there are any
+  const yearData = useMemo(() => {
+    if (!districtData) return null;
+    return applyCompetitorCounts(applyCensusYear(districtData, activeCensusYear), competitorPoints);
+  }, [districtData, activeCensusYear, competitorPoints]);
+
+  const handleImportCompetitors = useCallback((points: CompetitorPoint[]) => {
+    setCompetitorPoints(points);
+    saveCompetitorPoints(points);
+    setShowCompetitorPoints(true);
+  }, []);
+
+  const handleClearCompetitors = useCallback(() => {
+    setCompetitorPoints([]);
+    saveCompetitorPoints([]);
+  }, []);
+
+  // Recompute the suitability score client-side whenever the data or weights change
+  const scoredData = useMemo(() => {
+    if (!yearData) return null;
+    return applySuitabilityScores(yearData, scoringCriteria);
+  }, [yearData, scoringCriteria]);
+
+  // Built-in layers, growth layers when the data has a time series, then the user's formula layers
+  const dataLayers = useMemo(() => ({
+    ...DATA_LAYERS,
+    ...(activeGrowthPeriod ? Object.fromEntries(Object.values(GROWTH_LAYERS).map(layer => [
+      layer.id,
+      { ...layer, name: `${layer.name} ${activeGrowthPeriod.fromYear}–${activeGrowthPeriod.toYear}` },
+    ])) : {}),
+    ...Object.fromEntries(formulaLayers.map(layer => [layer.id, formulaLayerToDataLayer(layer)])),
+  }), [formulaLayers, activeGrowthPeriod]);
+
+  // Scored data plus growth and formula layer values; formulas may reference the score
+  const displayData = useMemo(() => {
+    if (!scoredData) return null;
+    return applyFormulaLayers(applyGrowthLayers(scoredData, activeGrowthPeriod), formulaLayers);
+  }, [scoredData, activeGrowthPeriod, formulaLayers]);
+
+  // Growth layers disappear when the newly loaded boundary type has no time series,
+  // and a link may name a formula layer that only exists in the sender's browser
+  useEffect(() => {
+    if (districtData && !dataLayers[activeLayer]) {
+      setActiveLayer('population');
+    }
+  }, [districtData, activeLayer, dataLayers]);
+
+  const handleSaveFormulaLayer = useCallback((layer: FormulaLayer) => {
+    const exists = formulaLayers.some(existing => existing.id === layer.id);
+    const updated = exists
+      ? formulaLayers.map(existing => (existing.id === layer.id ? layer : existing))
+      : [...formulaLayers, layer];
+    setFormulaLayers(updated);
+    saveFormulaLayers(updated);
+    setActiveLayer(layer.id);
+  }, [formulaLayers]);
+
+  const handleDeleteFormulaLayer = useCallback((layerId: string) => {
+    const updated = formulaLayers.filter(layer => layer.id !== layerId);
+    setFormulaLayers(updated);
+    saveFormulaLayers(updated);
+    if (layerId === activeLayer) {
+      setActiveLayer('population');
+    }
+  }, [formulaLayers, activeLayer]);
+
+  // Areas matching the attribute query (null when no query is active); the same query works for every boundary type
+  const queryMatchIds = useMemo(
+    () => (displayData ? getQueryMatchIds(displayData.features, attributeQuery) : null),
+    [displayData, attributeQuery]
+  );
+
+  // Areas shown on the map: drill-down scope and census-data filter first, then the query when it hides non-matches
+  const visibleFeatures = useMemo(() => {
+    if (!displayData) return [];
+    return (displayData.features as DistrictFeature[]).filter(f =>
+      isInScope(f.properties, drillScope)
+      && (showMissingData || f.properties.hasCensusData !== false)
+      && (!queryMatchIds || queryMode !== 'filter' || queryMatchIds.has(String(f.properties.id)))
+    );
+  }, [displayData, drillScope, showMissingData, queryMatchIds, queryMode]);
+
+  // Market averages in the comparison chart are computed over the query matches
+  const comparisonFeatures = useMemo(() => {
+    if (!displayData) return [];
+    const features = displayData.features as DistrictFeature[];
+    return queryMatchIds ? features.filter(f => queryMatchIds.has(String(f.properties.id))) : features;
+  }, [displayData, queryMatchIds]);
+
+  const handleSaveQuery = useCallback((name: string) => {
+    const updated = [...savedQueries, createSavedQuery(name, attributeQuery)];
+    setSavedQueries(updated);
+    saveSavedQueries(updated);
+  }, [savedQueries, attributeQuery]);
+
+  const handleDeleteQuery = useCallback((queryId: string) => {
+    const updated = savedQueries.filter(saved => saved.id !== queryId);
+    setSavedQueries(updated);
+    saveSavedQueries(updated);
+  }, [savedQueries]);
+
+  // Absolute, per-capita or per-km² view of the active layer
+  const activeNormalization = dataLayers[activeLayer] ? getNormalization(normalizations, dataLayers[activeLayer]) : 'absolute';
+
+  // Choropleth class breaks for the active layer, recomputed per boundary type and layer
+  const classBreaks = useMemo(() => {
+    const layer = dataLayers[activeLayer];
+    if (!displayData || !layer) return null;
+    return computeLayerBreaks(displayData.features, layer, classification, activeNormalization);
+  }, [displayData, dataLayers, activeLayer, classification, activeNormalization]);
+
+  // Class indices only mean something for the breaks they were picked from
+  useEffect(() => {
+    setHighlightedClasses([]);
+  }, [activeLayer, activeBoundary, classification, activeNormalization]);
+
+  // Plain click isolates a class (or clears it when it is the only one); shift-click adds or removes it
+  const handleClassToggle = useCallback((classIndex: number, additive: boolean) => {
+    setHighlightedClasses(prev => {
+      if (additive) {
+        return prev.includes(classIndex)
+          ? prev.filter(index => index !== classIndex)
+          : [...prev, classIndex].sort((a, b) => a - b);
+      }
+      return prev.length === 1 && prev[0] === classIndex ? [] : [classIndex];
+    });
+  }, []);
+
+  // Areas drawn on the map, which the export writes: the visible areas minus those the legend hides
+  const mapFeatures = useMemo(() => {
+    if (!hideUnhighlighted || highlightedClasses.length === 0 || !classBreaks) return visibleFeatures;
+    return visibleFeatures.filter(f => {
+      const value = f.properties.hasCensusData !== false ? getLayerValue(f.properties, activeLayer, activeNormalization) : null;
+      if (value === null) return false;
+      const classIndex = Math.min(classifyValue(value, classBreaks.thresholds), classBreaks.colors.length - 1);
+      return highlightedClasses.includes(classIndex);
+    });
+  }, [visibleFeatures, hideUnhighlighted, highlightedClasses, classBreaks, activeLayer, activeNormalization]);
+
+  // Keep the selected feature in sync with the latest scores
+  const activeFeature = useMemo(() => {
+    if (!selectedFeature || !displayData) return selectedFeature;
+    const match = displayData.features.find(f => f.properties?.id === selectedFeature.properties.id);
+    return (match as DistrictFeature | undefined) ?? selectedFeature;
+  }, [selectedFeature, displayData]);
+
+  const activePinnedIds = useMemo(() => pinnedIds[activeBoundary] ?? [], [pinnedIds, activeBoundary]);
+
+  // Pinned areas with the latest scores and formula values, in pin order
+  const pinnedFeatures = useMemo(() => {
+    if (!displayData) return [];
+    const features = displayData.features as DistrictFeature[];
+    return activePinnedIds
+      .map(id => features.find(f => f.properties.id === id))
+      .filter((f): f is DistrictFeature => f !== undefined);
+  }, [displayData, activePinnedIds]);
+
+  const handleTogglePin = useCallback((featureId: string) => {
+    setPinnedIds(prev => ({ ...prev, [activeBoundary]: togglePinnedId(prev[activeBoundary] ?? [], featureId) }));
+  }, [activeBoundary]);
+
+  const handleClearPins = useCallback(() => {
+    setPinnedIds(prev => ({ ...prev, [activeBoundary]: [] }));
+  }, [activeBoundary]);
+
+  // Multi-criteria ranking of the areas currently on the map
+  const rankings = useMemo(() => {
+    if (!showLeaderboard) return [];
+    return rankFeaturesTopsis(visibleFeatures, scoringCriteria);
+  }, [showLeaderboard, visibleFeatures, scoringCriteria]);
+
+  // Rank stability under perturbed weights, over the same areas as the leaderboard so ranks match.
+  // Re-ranking hundreds of times is the heaviest computation in the app, so it runs on deferred
+  // weights and areas to keep the sliders and filters responsive.
+  const deferredCriteria = useDeferredValue(scoringCriteria);
+  const deferredFeatures = useDeferredValue(visibleFeatures);
+  const sensitivity = useMemo(
+    () => runSensitivityAnalysis(deferredFeatures, deferredCriteria, sensitivitySettings),
+    [deferredFeatures, deferredCriteria, sensitivitySettings]
+  );
+
+  const handleExport = useCallback((format: ExportFormat, includeGeometry: boolean, selectedOnly: boolean) => {
+    const file = exportFeatures(selectedOnly && activeFeature ? [activeFeature] : mapFeatures, {
+      format,
+      includeGeometry,
+      baseName: `geointel-${activeBoundary}-${new Date().toISOString().slice(0, 10)}`,
+      dataLayers,
+      // Ranked like the leaderboard, against all areas in view
+      rankings: rankFeaturesTopsis(visibleFeatures, scoringCriteria),
+    });
+    downloadFile(file.fileName, file.content, file.mimeType);
+  }, [activeFeature, mapFeatures, activeBoundary, dataLayers, visibleFeatures, scoringCriteria]);
+
+  const handleDownloadReport = useCallback(async (baseline: BaselineScope) => {
+    if (!activeFeature) return;
+    const blob = await createAreaReport({
+      feature: activeFeature,
+      mapFeatures,
+      comparisonFeatures,
+      baseline,
+      boundaryName: BOUNDARIES.find(boundary => boundary.id === activeBoundary)?.name ?? activeBoundary,
+      activeLayer,
+      dataLayers,
+      classBreaks,
+      normalizations,
+      scoringModelName,
+    });
+    const slug = activeFeature.properties.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadFile(`geointel-${slug || activeFeature.properties.id}-report.pdf`, blob, 'application/pdf');
+  }, [activeFeature, mapFeatures, comparisonFeatures, activeBoundary, activeLayer, dataLayers, classBreaks, normalizations, scoringModelName]);
+
   const handleFeatureSelect = useCallback((feature: DistrictFeature | null) => {
     setSelectedFeature(feature);
   }, []);
 
+  // Select a feature picked outside the map and zoom the map to it
+  const handleFeatureFocus = useCallback((feature: DistrictFeature) => {
+    handleFeatureSelect(feature);
+    // Leave the drill-down when the feature is not drawn in it
+    setDrillScope(prev => (isInScope(feature.properties, prev) ? prev : null));
+    setFocusRequest(prev => ({ featureId: feature.properties.id, requestId: (prev?.requestId ?? 0) + 1 }));
+  }, [handleFeatureSelect]);
+
+  // Move to another level or part of the hierarchy; the selection is applied once that boundary type has loaded
+  const handleNavigate = useCallback((target: DrillTarget & { keepView?: boolean }) => {
+    if (target.boundary !== activeBoundary) {
+      // The current selection belongs to the boundary type being left, and the map remounts
+      // for the new one, where it would replay a focus request it has already handled
+      handleFeatureSelect(null);
+      setFocusRequest(prev => (prev ? { requestId: prev.requestId } : prev));
+    }
+    setDrillScope(target.scope);
+    setActiveBoundary(target.boundary);
+    setPendingNavigation(target);
+  }, [activeBoundary, handleFeatureSelect]);
+
+  useEffect(() => {
+    if (!pendingNavigation || !displayData || isLoading || loadedBoundary !== pendingNavigation.boundary) return;
+    const target = pendingNavigation.selectId
+      ? (displayData.features as DistrictFeature[]).find(f => f.properties.id === pendingNavigation.selectId)
+      : undefined;
+    if (target && pendingNavigation.keepView) {
+      handleFeatureSelect(target);
+    } else if (target) {
+      handleFeatureFocus(target);
+    } else {
+      handleFeatureSelect(null);
+    }
+    setPendingNavigation(null);
+  }, [pendingNavigation, displayData, isLoading, loadedBoundary, handleFeatureFocus, handleFeatureSelect]);
+
+  // Switching boundary type from the sidebar follows the hierarchy when it can: up selects the
+  // parent of the selected area, down shows its children; anything else starts at the national view
+  const handleBoundaryChange = useCallback((boundary: BoundaryTypeId) => {
+    const selected = activeFeature?.properties;
+    if (selected && PARENT_BOUNDARY[activeBoundary] === boundary && selected.parent_id) {
+      handleNavigate({ boundary, scope: null, selectId: selected.parent_id });
+    } else if (selected && CHILD_BOUNDARY[activeBoundary] === boundary) {
+      handleNavigate({ boundary, scope: getChildScope(selected) });
+    } else {
+      handleNavigate({ boundary, scope: null });
+    }
+  }, [activeFeature, activeBoundary, handleNavigate]);
+
+  const childBoundary = CHILD_BOUNDARY[activeBoundary];
+  const hasSelection = !!selectedFeature;
+
+  // Boundary types already requested for the cache, so overlapping effects fetch each one once
+  const requestedBoundariesRef = useRef(new Set<BoundaryTypeId>());
+  const ensureBoundaryData = useCallback((boundary: BoundaryTypeId) => {
+    if (requestedBoundariesRef.current.has(boundary)) return;
+    requestedBoundariesRef.current.add(boundary);
+    fetchDistrictData(boundary)
+      .then(data => setBoundaryData(prev => ({ ...prev, [boundary]: data })))
+      .catch(err => {
+        requestedBoundariesRef.current.delete(boundary);
+        console.error(`Error loading ${boundary} data:`, err);
+      });
+  }, []);
+
+  // Load the child boundary type the first time an area with children is selected
+  useEffect(() => {
+    if (childBoundary && hasSelection) ensureBoundaryData(childBoundary);
+  }, [childBoundary, hasSelection, ensureBoundaryData]);
+
+  // Another boundary type's areas with the census year, competitor counts and scores of the map view
+  const prepareBoundaryData = useCallback((data: FeatureCollection) => (
+    applySuitabilityScores(applyCompetitorCounts(applyCensusYear(data, activeCensusYear), competitorPoints), scoringCriteria)
+  ), [activeCensusYear, competitorPoints, scoringCriteria]);
+
+  // Child areas of the selection, scored like the child boundary type's own map view
+  const scoredChildData = useMemo(() => {
+    const data = childBoundary ? boundaryData[childBoundary] : undefined;
+    return data ? prepareBoundaryData(data) : null;
+  }, [childBoundary, boundaryData, prepareBoundaryData]);
+
+  // Candidate sites are looked up in every site boundary type, so load the ones the map is not showing
+  const hasCandidateSites = candidateSites.length > 0;
+  useEffect(() => {
+    if (!hasCandidateSites) return;
+    SITE_BOUNDARIES.filter(boundary => boundary !== loadedBoundary).forEach(ensureBoundaryData);
+  }, [hasCandidateSites, loadedBoundary, ensureBoundaryData]);
+
+  const siteBoundaryFeatures = useMemo(() => {
+    const features: Partial<Record<BoundaryTypeId, DistrictFeature[]>> = {};
+    SITE_BOUNDARIES.forEach(boundary => {
+      const data = boundary === loadedBoundary && displayData ? displayData
+        : boundaryData[boundary] ? prepareBoundaryData(boundaryData[boundary]!) : null;
+      if (data) features[boundary] = data.features as DistrictFeature[];
+    });
+    return features;
+  }, [loadedBoundary, displayData, boundaryData, prepareBoundaryData]);
+
+  // Only moving, adding or removing pins changes their areas, so the sites are read, not tracked:
+  // editing names and notes skips the lookup
+  const sitePositionsKey = candidateSites.map(site => `${site.id}:${site.lat},${site.lng}`).join('|');
+  const siteAreas = useMemo(
+    () => resolveCandidateSites(candidateSites, siteBoundaryFeatures),
+    [sitePositionsKey, siteBoundaryFeatures]
+  );
+
+  // The search box covers every boundary type, loaded the first time it is focused
+  useEffect(() => {
+    if (!isSearchActive) return;
+    BOUNDARIES.filter(boundary => boundary.id !== loadedBoundary).forEach(boundary => ensureBoundaryData(boundary.id));
+  }, [isSearchActive, loadedBoundary, ensureBoundaryData]);
+
+  const searchIndex = useMemo(() => {
+    const features: Partial<Record<BoundaryTypeId, DistrictFeature[]>> = {};
+    BOUNDARIES.forEach(({ id }) => {
+      const data = id === loadedBoundary && districtData ? districtData : boundaryData[id];
+      if (data) features[id] = data.features as DistrictFeature[];
+    });
+    return buildSearchIndex(features);
+  }, [loadedBoundary, districtData, boundaryData]);
+  const isSearchIndexing = isSearchActive
+    && BOUNDARIES.some(({ id }) => id !== loadedBoundary && !boundaryData[id]);
+
+  const handleSearchSelect = useCallback((result: AreaSearchResult) => {
+    handleNavigate({ boundary: result.boundary, scope: null, selectId: result.id });
+  }, [handleNavigate]);
+
+  const selectedSite = candidateSites.find(site => site.id === selectedSiteId) ?? null;
+
+  const updateCandidateSites = useCallback((sites: CandidateSite[]) => {
+    setCandidateSites(sites);
+    saveCandidateSites(sites);
+  }, []);
+
+  const handleSitePlace = useCallback((position: LatLng) => {
+    const site = createCandidateSite(getNextSiteName(candidateSites), position.lat, position.lng);
+    updateCandidateSites([...candidateSites, site]);
+    setSelectedSiteId(site.id);
+    setIsPlacingSite(false);
+  }, [candidateSites, updateCandidateSites]);
+
+  const handleSiteSelect = useCallback((siteId: string) => {
+    const site = candidateSites.find(candidate => candidate.id === siteId);
+    if (!site) return;
+    setSelectedSiteId(siteId);
+    setFocusRequest(prev => ({ position: { lat: site.lat, lng: site.lng }, requestId: (prev?.requestId ?? 0) + 1 }));
+  }, [candidateSites]);
+
+  const handleSiteChange = useCallback((site: CandidateSite) => {
+    updateCandidateSites(candidateSites.map(candidate => (candidate.id === site.id ? site : candidate)));
+  }, [candidateSites, updateCandidateSites]);
+
+  const handleSiteDelete = useCallback((siteId: string) => {
+    updateCandidateSites(candidateSites.filter(site => site.id !== siteId));
+    setSelectedSiteId(prev => (prev === siteId ? null : prev));
+  }, [candidateSites, updateCandidateSites]);
+
+  const handleImportSites = useCallback((sites: CandidateSite[]) => {
+    const merged = mergeCandidateSites(candidateSites, sites);
+    updateCandidateSites(merged);
+    return merged.length - candidateSites.length;
+  }, [candidateSites, updateCandidateSites]);
+
+  const handleExportSites = useCallback(() => {
+    downloadFile('candidate-sites.csv', formatCandidateCsv(candidateSites, siteAreas), 'text/csv');
+  }, [candidateSites, siteAreas]);
+
+  const childAreas = useMemo(() => {
+    if (!activeFeature || !scoredChildData) return [];
+    return getChildFeatures(activeFeature.properties, scoredChildData.features as DistrictFeature[]);
+  }, [activeFeature, scoredChildData]);
+
+  // Drive times only depend on the road network and the centre, so switching bands reuses them
+  const isochroneState = useMemo((): { isochrones: Isochrone[]; error: string | null } => {
+    if (!showCatchment || catchmentMode !== 'drive' || !roadNetwork || !catchmentCenter) return { isochrones: [], error: null };
+    try {
+      return { isochrones: computeIsochrones(roadNetwork.graph, catchmentCenter), error: null };
+    } catch (err) {
+      return { isochrones: [], error: err instanceof Error ? err.message : 'Could not compute drive times' };
+    }
+  }, [showCatchment, catchmentMode, roadNetwork, catchmentCenter]);
+
+  // Apportioned from every loaded area, not just the drill-down scope: a catchment can cross parent borders
+  const catchment = useMemo(() => {
+    if (!showCatchment || !catchmentCenter || !displayData) return null;
+    const features = displayData.features as DistrictFeature[];
+    if (catchmentMode === 'radius') return computeCatchment(catchmentCenter, catchmentRadiusKm, features, competitorPoints);
+    const isochrone = isochroneState.isochrones.find(candidate => candidate.minutes === driveMinutes);
+    return isochrone ? computeIsochroneCatchment(isochrone, features, competitorPoints) : null;
+  }, [showCatchment, catchmentCenter, displayData, catchmentMode, catchmentRadiusKm, isochroneState, driveMinutes, competitorPoints]);
+
+  // The catchment tool and pin placement both take map clicks, so turning one on turns the other off
+  const handleCatchmentToggle = useCallback((show: boolean) => {
+    setShowCatchment(show);
+    if (show) setIsPlacingSite(false);
+    else setCatchmentCenter(null);
+  }, []);
+
+  const handlePlacingSiteChange = useCallback((placing: boolean) => {
+    setIsPlacingSite(placing);
+    if (placing) handleCatchmentToggle(false);
+  }, [handleCatchmentToggle]);
+
+  // The view as a shareable link: written to the address bar once changes settle, and restored on back and forward
+  const urlState = useMemo((): UrlState => ({
+    layer: activeLayer,
+    boundary: activeBoundary,
+    selectedId: selectedFeature?.properties.id ?? null,
+    showMissingData,
+    view: mapView,
+    scope: drillScope,
+    query: attributeQuery,
+    queryMode,
+    criteria: scoringCriteria,
+    censusYear: activeCensusYear,
+    normalization: activeNormalization,
+  }), [activeLayer, activeBoundary, selectedFeature, showMissingData, mapView, drillScope, attributeQuery, queryMode, scoringCriteria, activeCensusYear, activeNormalization]);
+
+  // Intermediate states while a boundary type loads or a selection waits for it are not worth an entry
+  useEffect(() => {
+    if (isLoading || pendingNavigation) return;
+    const timer = setTimeout(() => writeUrlState(urlState), URL_UPDATE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [urlState, isLoading, pendingNavigation]);
+
+  const applyUrlState = useCallback((state: UrlState) => {
+    setActiveLayer(state.layer);
+    setNormalizations(prev => ({ ...prev, [state.layer]: state.normalization }));
+    setShowMissingData(state.showMissingData);
+    setScoringCriteria(state.criteria);
+    setActiveProfileId(prev => findProfileId(scoringProfiles, state.criteria) ?? prev);
+    setAttributeQuery(state.query);
+    setQueryMode(state.queryMode);
+    setCensusYear(state.censusYear);
+    handleNavigate({ boundary: state.boundary, scope: state.scope, selectId: state.selectedId ?? undefined, keepView: !!state.view });
+    if (state.view) {
+      const view = state.view;
+      setFocusRequest(prev => ({ view, requestId: (prev?.requestId ?? 0) + 1 }));
+    }
+  }, [scoringProfiles, handleNavigate]);
+
+  useEffect(() => {
+    const handlePopState = () => applyUrlState(parseUrlState(window.location.search));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applyUrlState]);
+
+  const breadcrumbs = useMemo(
+    () => buildBreadcrumbs(activeBoundary, drillScope, activeFeature?.properties ?? null),
+    [activeBoundary, drillScope, activeFeature]
+  );
+
   return (
     <div className="flex h-screen w-screen bg-gray-100 font-sans">
       <Sidebar 
         activeLayer={activeLayer}
         setActiveLayer={setActiveLayer}
+        dataLayers={dataLayers}
+        formulaLayers={formulaLayers}
+        onSaveFormulaLayer={handleSaveFormulaLayer}
+        onDeleteFormulaLayer={handleDeleteFormulaLayer}
+        features={displayData?.features ?? []}
         activeBoundary={activeBoundary}
-        setActiveBoundary={setActiveBoundary}
+        setActiveBoundary={handleBoundaryChange}
+        searchIndex={searchIndex}
+        isSearchIndexing={isSearchIndexing}
+        onSearchActivate={() => setIsSearchActive(true)}
+        onSearchSelect={handleSearchSelect}
+        censusYears={censusYears}
+        censusYear={activeCensusYear}
+        setCensusYear={setCensusYear}
+        growthPeriod={activeGrowthPeriod}
+        setGrowthPeriod={setGrowthPeriod}
         showMissingData={showMissingData}
         setShowMissingData={setShowMissingData}
+        scoringCriteria={scoringCriteria}
+        setScoringCriteria={setScoringCriteria}
+        scoringProfiles={scoringProfiles}
+        activeProfileId={activeProfile.id}
+        isProfileModified={isProfileModified}
+        onSelectProfile={handleSelectProfile}
+        onSaveProfile={handleSaveProfile}
+        onDeleteProfile={handleDeleteProfile}
+        showLeaderboard={showLeaderboard}
+        setShowLeaderboard={setShowLeaderboard}
+        showCatchment={showCatchment}
+        setShowCatchment={handleCatchmentToggle}
+        classification={classification}
+        setClassification={setClassification}
+        normalizations={normalizations}
+        setNormalizations={setNormalizations}
+        classBreaks={classBreaks}
+        attributeQuery={attributeQuery}
+        setAttributeQuery={setAttributeQuery}
+        queryMode={queryMode}
+        setQueryMode={setQueryMode}
+        queryMatchCount={queryMatchIds ? queryMatchIds.size : null}
+        queryTotalCount={(displayData?.features ?? []).filter(f => (f.properties as any)?.hasCensusData !== false).length}
+        savedQueries={savedQueries}
+        onSaveQuery={handleSaveQuery}
+        onDeleteQuery={handleDeleteQuery}
+        competitorCount={competitorPoints.length}
+        showCompetitorPoints={showCompetitorPoints}
+        setShowCompetitorPoints={setShowCompetitorPoints}
+        onImportCompetitors={handleImportCompetitors}
+        onClearCompetitors={handleClearCompetitors}
+        candidateSites={candidateSites}
+        siteAreas={siteAreas}
+        selectedSiteId={selectedSiteId}
+        onSiteSelect={handleSiteSelect}
+        isPlacingSite={isPlacingSite}
+        setIsPlacingSite={handlePlacingSiteChange}
+        onImportSites={handleImportSites}
+        onExportSites={handleExportSites}
+        exportAreaCount={mapFeatures.length}
+        selectedAreaName={activeFeature?.properties.name ?? null}
+        onExport={handleExport}
       />
       <main className="flex-1 relative">
         {isLoading ? (
@@ -82,20 +721,148 @@ export default function App() {
           </div>
         ) : (
           <MapComponent
-            data={districtData}
+            data={displayData}
             activeLayer={activeLayer}
+            dataLayers={dataLayers}
             onFeatureSelect={handleFeatureSelect}
-            selectedFeature={selectedFeature}
+            selectedFeature={activeFeature}
             showMissingData={showMissingData}
+            focusRequest={focusRequest}
+            classBreaks={classBreaks}
+            normalization={activeNormalization}
+            highlightedClasses={highlightedClasses}
+            hideUnhighlighted={hideUnhighlighted}
+            queryMatchIds={queryMatchIds}
+            queryMode={queryMode}
+            pinnedIds={activePinnedIds}
+            scope={drillScope}
+            competitorPoints={showCompetitorPoints ? competitorPoints : []}
+            catchment={showCatchment ? {
+              center: catchmentCenter,
+              radiusKm: catchmentMode === 'radius' ? catchmentRadiusKm : null,
+              isochrones: isochroneState.isochrones,
+              activeMinutes: driveMinutes,
+            } : null}
+            onCatchmentPlace={setCatchmentCenter}
+            candidateSites={candidateSites}
+            selectedSiteId={selectedSiteId}
+            onSiteSelect={setSelectedSiteId}
+            onSitePlace={isPlacingSite ? handleSitePlace : undefined}
+            onViewChange={setMapView}
           />
         )}
+        {!isLoading && !error && breadcrumbs.length > 1 && (
+          <div className="absolute top-4 left-16 z-[1000]">
+            <Breadcrumb items={breadcrumbs} onNavigate={handleNavigate} />
+          </div>
+        )}
+        {!isLoading && !error && (showCatchment || selectedSite) && (
+          <div className="absolute top-16 left-16 z-[1000] flex flex-col gap-3">
+            {showCatchment && (
+              <CatchmentPanel
+                mode={catchmentMode}
+                setMode={setCatchmentMode}
+                radiusKm={catchmentRadiusKm}
+                setRadiusKm={setCatchmentRadiusKm}
+                driveMinutes={driveMinutes}
+                setDriveMinutes={setDriveMinutes}
+                roadNetwork={roadNetwork}
+                onLoadRoadNetwork={(graph, name) => setRoadNetwork({ graph, name })}
+                onClearRoadNetwork={() => setRoadNetwork(null)}
+                result={catchment}
+                error={isochroneState.error}
+                boundaryName={BOUNDARIES.find(boundary => boundary.id === activeBoundary)?.name ?? 'Area'}
+                onClose={() => handleCatchmentToggle(false)}
+              />
+            )}
+            {selectedSite && (
+              <CandidateSiteCard
+                site={selectedSite}
+                areas={siteAreas.get(selectedSite.id) ?? {}}
+                onChange={handleSiteChange}
+                onDelete={() => handleSiteDelete(selectedSite.id)}
+                onAreaSelect={(boundary, areaId) => handleNavigate({ boundary, scope: null, selectId: areaId })}
+                onClose={() => setSelectedSiteId(null)}
+              />
+            )}
+          </div>
+        )}
         <div className="absolute top-4 right-4 z-[1000]">
-          <InfoPanel feature={selectedFeature} allFeatures={districtData?.features || []} onClose={() => handleFeatureSelect(null)} />
+          <InfoPanel
+            feature={activeFeature}
+            allFeatures={displayData?.features || []}
+            comparisonFeatures={comparisonFeatures}
+            scoringCriteria={scoringCriteria}
+            scoringModelName={scoringModelName}
+            sensitivity={activeFeature ? sensitivity[activeFeature.properties.id] : undefined}
+            sensitivityTopN={sensitivitySettings.topN}
+            normalizations={normalizations}
+            isPinned={activeFeature ? activePinnedIds.includes(activeFeature.properties.id) : false}
+            canPin={activePinnedIds.length < MAX_PINNED_AREAS}
+            onTogglePin={activeFeature ? () => handleTogglePin(activeFeature.properties.id) : undefined}
+            childAreas={childAreas}
+            childBoundaryName={BOUNDARIES.find(boundary => boundary.id === childBoundary)?.name}
+            onDrillDown={activeFeature && childBoundary
+              ? () => handleNavigate({ boundary: childBoundary, scope: getChildScope(activeFeature.properties) })
+              : undefined}
+            onChildSelect={activeFeature && childBoundary
+              ? child => handleNavigate({ boundary: childBoundary, scope: getChildScope(activeFeature.properties), selectId: child.properties.id })
+              : undefined}
+            onDrillUp={activeFeature?.properties.parent_id && PARENT_BOUNDARY[activeBoundary]
+              ? () => handleNavigate({ boundary: PARENT_BOUNDARY[activeBoundary]!, scope: null, selectId: activeFeature.properties.parent_id })
+              : undefined}
+            onDownloadReport={handleDownloadReport}
+            onClose={() => handleFeatureSelect(null)}
+          />
         </div>
         <div className="absolute bottom-4 left-4 z-[1000]">
-          <Legend activeLayer={activeLayer} />
+          <Legend
+            activeLayer={activeLayer}
+            dataLayers={dataLayers}
+            classBreaks={classBreaks}
+            features={displayData?.features}
+            normalization={activeNormalization}
+            selectedValue={activeFeature && activeFeature.properties.hasCensusData !== false
+              ? getLayerValue(activeFeature.properties, activeLayer, activeNormalization)
+              : null}
+            showMissingData={showMissingData}
+            scoringCriteria={scoringCriteria}
+            scoringModelName={scoringModelName}
+            highlightedClasses={highlightedClasses}
+            onClassToggle={handleClassToggle}
+            onClearHighlight={() => setHighlightedClasses([])}
+            hideUnhighlighted={hideUnhighlighted}
+            setHideUnhighlighted={setHideUnhighlighted}
+          />
         </div>
+        {pinnedFeatures.length > 0 && (
+          <div className="absolute bottom-4 inset-x-4 z-[1001] flex justify-center pointer-events-none">
+            <ComparisonDrawer
+              pinnedFeatures={pinnedFeatures}
+              allFeatures={(displayData?.features ?? []) as DistrictFeature[]}
+              dataLayers={dataLayers}
+              activeLayer={activeLayer}
+              scoringCriteria={scoringCriteria}
+              normalizations={normalizations}
+              selectedFeatureId={activeFeature?.properties.id}
+              onFeatureSelect={handleFeatureFocus}
+              onUnpin={handleTogglePin}
+              onClearPins={handleClearPins}
+            />
+          </div>
+        )}
       </main>
+      {showLeaderboard && (
+        <Leaderboard
+          rankings={rankings}
+          sensitivity={sensitivity}
+          sensitivitySettings={sensitivitySettings}
+          setSensitivitySettings={setSensitivitySettings}
+          selectedFeatureId={activeFeature?.properties.id}
+          onFeatureSelect={handleFeatureFocus}
+          onClose={() => setShowLeaderboard(false)}
+        />
+      )}
     </div>
   );
 }
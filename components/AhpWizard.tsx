@@ -0,0 +1,174 @@
+import React, { useMemo, useState } from 'react';
+import type { ScoringCriteria } from '../types';
+import { DATA_LAYERS, SCORE_METRICS } from '../constants';
+import {
+  AHP_SCALE,
+  AHP_CONSISTENCY_THRESHOLD,
+  getMetricPairs,
+  getPairKey,
+  computeAhpWeights,
+  findMostInconsistentPair,
+  ahpWeightsToCriteria,
+  type AhpJudgements,
+} from '../services/ahp';
+import { X, ChevronLeft, ChevronRight, AlertTriangle, CheckCircle } from 'lucide-react';
+
+interface AhpWizardProps {
+  scoringCriteria: ScoringCriteria;
+  onApply: (criteria: ScoringCriteria) => void;
+  onClose: () => void;
+}
+
+const PAIRS = getMetricPairs(SCORE_METRICS);
+
+// Buttons from "left metric extremely more important" through "equal" to "right metric extremely more important"
+const SCALE_BUTTONS = [
+  ...[...AHP_SCALE].reverse().filter(point => point.value > 1),
+  AHP_SCALE[0],
+  ...AHP_SCALE.filter(point => point.value > 1).map(point => ({ ...point, value: 1 / point.value })),
+];
+
+const describeJudgement = (value: number): string => {
+  const strength = value >= 1 ? value : 1 / value;
+  return AHP_SCALE.find(point => point.value === Math.round(strength))?.label ?? 'Equal';
+};
+
+export const AhpWizard: React.FC<AhpWizardProps> = ({ scoringCriteria, onApply, onClose }) => {
+  const [judgements, setJudgements] = useState<AhpJudgements>({});
+  const [step, setStep] = useState(0);
+  const isResultStep = step >= PAIRS.length;
+
+  const result = useMemo(() => computeAhpWeights(SCORE_METRICS, judgements), [judgements]);
+  const worstPair = useMemo(
+    () => (result.isConsistent ? null : findMostInconsistentPair(SCORE_METRICS, judgements, result.weights)),
+    [result, judgements]
+  );
+
+  const pair = PAIRS[Math.min(step, PAIRS.length - 1)];
+  const pairKey = getPairKey(pair);
+  const currentValue = judgements[pairKey] ?? 1;
+
+  const handleApply = () => {
+    onApply(ahpWeightsToCriteria(result.weights, scoringCriteria));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-[2000] bg-black/50 flex items-center justify-center" onClick={onClose}>
+      <div
+        className="w-[34rem] max-w-[95vw] bg-white text-gray-800 rounded-2xl shadow-2xl p-6"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="AHP weight wizard"
+      >
+        <div className="flex justify-between items-center mb-1">
+          <h2 className="text-lg font-bold">Derive Weights (AHP)</h2>
+          <button onClick={onClose} className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-800 transition-colors">
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">
+          {isResultStep
+            ? 'Weights derived from your answers. Directions (benefit/cost) are kept from the current settings.'
+            : `Question ${step + 1} of ${PAIRS.length}: for site suitability, which factor matters more, and by how much?`}
+        </p>
+
+        {!isResultStep ? (
+          <div>
+            <div className="flex justify-between text-sm font-semibold mb-3">
+              <span className="text-blue-700">{DATA_LAYERS[pair[0]].name}</span>
+              <span className="text-blue-700">{DATA_LAYERS[pair[1]].name}</span>
+            </div>
+            <div className="flex gap-1">
+              {SCALE_BUTTONS.map((point, index) => {
+                const isSelected = Math.abs(point.value - currentValue) < 1e-9;
+                return (
+                  <button
+                    key={index}
+                    onClick={() => setJudgements({ ...judgements, [pairKey]: point.value })}
+                    className={`flex-1 h-9 rounded text-xs font-semibold transition-colors ${
+                      isSelected ? 'bg-blue-600 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-600'
+                    }`}
+                    title={point.label}
+                  >
+                    {point.value >= 1 ? point.value : Math.round(1 / point.value)}
+                  </button>
+                );
+              })}
+            </div>
+            <p className="text-center text-xs text-gray-600 mt-2">
+              {currentValue === 1
+                ? 'Equally important'
+                : `${describeJudgement(currentValue)} preference for ${DATA_LAYERS[currentValue > 1 ? pair[0] : pair[1]].name}`}
+            </p>
+          </div>
+        ) : (
+          <div>
+            <div className="space-y-1.5 mb-4">
+              {SCORE_METRICS.map(metric => (
+                <div key={metric} className="flex items-center text-xs gap-2">
+                  <span className="w-36 text-gray-600 truncate">{DATA_LAYERS[metric].name}</span>
+                  <div className="flex-1 h-2 bg-gray-100 rounded">
+                    <div
+                      className="h-2 rounded"
+                      style={{ width: `${result.weights[metric] * 100}%`, backgroundColor: DATA_LAYERS[metric].colorScheme[3] }}
+                    ></div>
+                  </div>
+                  <span className="w-12 text-right tabular-nums">{(result.weights[metric] * 100).toFixed(1)}%</span>
+                </div>
+              ))}
+            </div>
+            {result.isConsistent ? (
+              <div className="flex items-start gap-2 p-3 bg-green-50 border border-green-200 rounded-lg text-xs text-green-800">
+                <CheckCircle size={16} className="shrink-0" />
+                <span>Consistency ratio {result.consistencyRatio.toFixed(3)} (acceptable, at most {AHP_CONSISTENCY_THRESHOLD.toFixed(2)}).</span>
+              </div>
+            ) : (
+              <div className="flex items-start gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-xs text-yellow-800">
+                <AlertTriangle size={16} className="shrink-0" />
+                <div>
+                  <p className="font-semibold">
+                    Inconsistent answers: consistency ratio {result.consistencyRatio.toFixed(3)} exceeds {AHP_CONSISTENCY_THRESHOLD.toFixed(2)}.
+                  </p>
+                  {worstPair && (
+                    <button
+                      onClick={() => setStep(PAIRS.findIndex(p => getPairKey(p) === getPairKey(worstPair)))}
+                      className="underline mt-1"
+                    >
+                      Review {DATA_LAYERS[worstPair[0]].name} vs {DATA_LAYERS[worstPair[1]].name}
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-between items-center mt-6">
+          <button
+            onClick={() => setStep(Math.max(step - 1, 0))}
+            disabled={step === 0}
+            className="flex items-center gap-1 px-3 py-1.5 rounded text-sm text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+          >
+            <ChevronLeft size={16} /> Back
+          </button>
+          {isResultStep ? (
+            <button
+              onClick={handleApply}
+              className="px-4 py-1.5 rounded bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold"
+            >
+              Apply Weights
+            </button>
+          ) : (
+            <button
+              onClick={() => setStep(step + 1)}
+              className="flex items-center gap-1 px-3 py-1.5 rounded bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold"
+            >
+              {step === PAIRS.length - 1 ? 'See Weights' : 'Next'} <ChevronRight size={16} />
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
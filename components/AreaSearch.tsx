@@ -0,0 +1,104 @@
+import React, { useMemo, useState } from 'react';
+import { Search } from 'lucide-react';
+import { BOUNDARIES } from '../constants';
+import { searchAreas, type AreaSearchIndex, type AreaSearchResult } from '../services/search';
+
+interface AreaSearchProps {
+  index: AreaSearchIndex;
+  isIndexing: boolean;          // Some boundary types are still loading
+  onActivate: () => void;       // First focus: load the boundary types the index still lacks
+  onSelect: (result: AreaSearchResult) => void;
+}
+
+/**
+ * Search box that finds areas by name or code across boundary types
+ */
+export const AreaSearch: React.FC<AreaSearchProps> = ({ index, isIndexing, onActivate, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const results = useMemo(() => searchAreas(index, query), [index, query]);
+
+  const choose = (result: AreaSearchResult) => {
+    onSelect(result);
+    setQuery('');
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setIsOpen(true);
+      if (results.length > 0) {
+        setHighlighted(prev => (prev + (e.key === 'ArrowDown' ? 1 : results.length - 1)) % results.length);
+      }
+    } else if (e.key === 'Enter' && results[highlighted]) {
+      e.preventDefault();
+      choose(results[highlighted]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showList = isOpen && query.trim() !== '';
+
+  return (
+    <div className="relative">
+      <div className="flex items-center bg-gray-700 rounded-lg px-3 focus-within:ring-2 focus-within:ring-blue-500">
+        <Search size={16} className="text-gray-400 shrink-0" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setHighlighted(0);
+            setIsOpen(true);
+          }}
+          onFocus={() => {
+            onActivate();
+            setIsOpen(true);
+          }}
+          onBlur={() => setIsOpen(false)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search areas or codes, e.g. N.01"
+          className="w-full bg-transparent py-2 px-2 text-sm text-white placeholder-gray-400 focus:outline-none"
+          role="combobox"
+          aria-expanded={showList}
+          aria-controls="area-search-results"
+          aria-autocomplete="list"
+        />
+      </div>
+      {showList && (
+        <ul
+          id="area-search-results"
+          role="listbox"
+          className="absolute z-30 mt-1 w-full bg-gray-700 rounded-lg shadow-xl overflow-hidden text-sm"
+        >
+          {results.map((result, i) => (
+            <li key={`${result.boundary}-${result.id}`} role="option" aria-selected={i === highlighted}>
+              <button
+                // Keep focus in the input, so its blur does not close the list before the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(result)}
+                onMouseEnter={() => setHighlighted(i)}
+                className={`w-full flex items-center gap-2 px-3 py-2 text-left ${i === highlighted ? 'bg-gray-600' : ''}`}
+              >
+                <span className="flex-1 min-w-0 truncate">{result.name}</span>
+                {result.code && <span className="text-xs text-gray-400">{result.code}</span>}
+                <span className="text-[10px] uppercase tracking-wider text-gray-400 bg-gray-800 rounded px-1.5 py-0.5">
+                  {BOUNDARIES.find(boundary => boundary.id === result.boundary)?.name ?? result.boundary}
+                </span>
+              </button>
+            </li>
+          ))}
+          {results.length === 0 && (
+            <li className="px-3 py-2 text-gray-400">{isIndexing ? 'Loading boundaries…' : 'No matching areas'}</li>
+          )}
+          {results.length > 0 && isIndexing && (
+            <li className="px-3 py-1 text-[10px] text-gray-400 border-t border-gray-600">Some boundary types are still loading</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
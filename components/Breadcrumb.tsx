@@ -0,0 +1,36 @@
+import React from 'react';
+import type { BreadcrumbItem, DrillTarget } from '../services/hierarchy';
+import { ChevronRight } from 'lucide-react';
+
+interface BreadcrumbProps {
+  items: BreadcrumbItem[];
+  onNavigate: (target: DrillTarget) => void;
+}
+
+export const Breadcrumb: React.FC<BreadcrumbProps> = ({ items, onNavigate }) => {
+  return (
+    <nav
+      className="flex items-center gap-1 bg-white bg-opacity-90 backdrop-blur-sm rounded-lg shadow-lg px-3 py-1.5 text-xs text-gray-600 max-w-xl"
+      aria-label="Boundary hierarchy"
+    >
+      {items.map((item, index) => {
+        const isLast = index === items.length - 1;
+        return (
+          <React.Fragment key={`${index}-${item.label}`}>
+            {index > 0 && <ChevronRight size={12} className="shrink-0 text-gray-400" />}
+            {item.target ? (
+              <button
+                onClick={() => onNavigate(item.target!)}
+                className={`truncate hover:text-blue-600 hover:underline ${isLast ? 'font-semibold text-gray-800' : ''}`}
+              >
+                {item.label}
+              </button>
+            ) : (
+              <span className="truncate font-semibold text-gray-800" aria-current="location">{item.label}</span>
+            )}
+          </React.Fragment>
+        );
+      })}
+    </nav>
+  );
+};
@@ -0,0 +1,99 @@
+import React from 'react';
+import type { BoundaryTypeId, CandidateSite } from '../types';
+import { CANDIDATE_STATUSES, SITE_BOUNDARIES, type CandidateSiteAreas } from '../services/candidateSites';
+import { BOUNDARIES, formatLayerValue } from '../constants';
+import { MapPin, Trash2, X } from 'lucide-react';
+
+interface CandidateSiteCardProps {
+  site: CandidateSite;
+  areas: CandidateSiteAreas;
+  onChange: (site: CandidateSite) => void;
+  onDelete: () => void;
+  onAreaSelect: (boundary: BoundaryTypeId, areaId: string) => void;  // Show one of the containing areas on the map
+  onClose: () => void;
+}
+
+/**
+ * Details of a candidate site: name, status and notes, and the areas it inherits metrics and scores from
+ */
+export const CandidateSiteCard: React.FC<CandidateSiteCardProps> = ({ site, areas, onChange, onDelete, onAreaSelect, onClose }) => {
+  return (
+    <div className="w-80 bg-white rounded-2xl shadow-2xl p-4 flex flex-col max-h-[calc(100vh-6rem)] overflow-y-auto text-gray-800">
+      <div className="flex items-center gap-2 mb-1">
+        <MapPin size={18} className="shrink-0" style={{ color: CANDIDATE_STATUSES.find(status => status.id === site.status)?.color }} />
+        <input
+          value={site.name}
+          onChange={(e) => onChange({ ...site, name: e.target.value })}
+          className="flex-1 min-w-0 text-base font-bold bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+          aria-label="Site name"
+        />
+        <button onClick={onDelete} className="p-1.5 rounded-full text-gray-400 hover:bg-gray-100 hover:text-red-500 transition-colors" title="Delete this site">
+          <Trash2 size={16} />
+        </button>
+        <button onClick={onClose} className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-800 transition-colors">
+          <X size={18} />
+        </button>
+      </div>
+      <p className="text-[10px] text-gray-400 mb-3">{site.lat.toFixed(5)}, {site.lng.toFixed(5)}</p>
+
+      <div className="flex rounded-lg bg-gray-100 p-0.5 mb-3 text-xs" role="group" aria-label="Status">
+        {CANDIDATE_STATUSES.map(status => (
+          <button
+            key={status.id}
+            onClick={() => onChange({ ...site, status: status.id })}
+            className={`flex-1 py-1 rounded-md font-medium transition-colors ${site.status === status.id ? 'bg-white shadow' : 'text-gray-500 hover:text-gray-700'}`}
+            style={site.status === status.id ? { color: status.color } : undefined}
+            aria-pressed={site.status === status.id}
+          >
+            {status.name}
+          </button>
+        ))}
+      </div>
+
+      <table className="w-full text-xs mb-3">
+        <thead>
+          <tr className="text-left text-[10px] text-gray-500">
+            <th className="font-medium py-1">Area</th>
+            <th className="font-medium py-1 text-right">Population</th>
+            <th className="font-medium py-1 text-right">Income</th>
+            <th className="font-medium py-1 text-right">Score</th>
+          </tr>
+        </thead>
+        <tbody>
+          {SITE_BOUNDARIES.map(boundary => {
+            const area = areas[boundary];
+            const hasData = !!area && area.hasCensusData !== false;
+            const boundaryName = BOUNDARIES.find(option => option.id === boundary)?.name ?? boundary;
+            return (
+              <tr key={boundary} className="border-t border-gray-100 align-top">
+                <td className="py-1 pr-2 max-w-[8rem]">
+                  <div className="text-[10px] text-gray-400">{boundaryName}</div>
+                  {area ? (
+                    <button onClick={() => onAreaSelect(boundary, area.id)} className="block max-w-full truncate text-left text-blue-600 hover:underline" title={`Show ${area.name} on the map`}>
+                      {area.name}
+                    </button>
+                  ) : (
+                    <span className="text-gray-400">{area === null ? 'Outside every area' : 'Loading…'}</span>
+                  )}
+                </td>
+                <td className="py-1 text-right">{hasData ? formatLayerValue(area.population, 'population') : '–'}</td>
+                <td className="py-1 text-right">{hasData ? formatLayerValue(area.avg_income, 'avg_income') : '–'}</td>
+                <td className="py-1 text-right font-semibold">{hasData ? Math.round(area.site_suitability_score) : '–'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <label className="text-[10px] font-medium text-gray-500" htmlFor={`notes-${site.id}`}>Notes</label>
+      <textarea
+        id={`notes-${site.id}`}
+        value={site.notes}
+        onChange={(e) => onChange({ ...site, notes: e.target.value })}
+        rows={3}
+        placeholder="Landlord, rent, frontage…"
+        className="mt-1 w-full text-xs border border-gray-200 rounded-md p-2 focus:outline-none focus:ring-1 focus:ring-blue-500"
+      />
+    </div>
+  );
+};
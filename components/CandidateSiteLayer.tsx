@@ -0,0 +1,65 @@
+import React, { useEffect } from 'react';
+import { Marker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import type { CandidateSite } from '../types';
+import { CANDIDATE_STATUSES } from '../services/candidateSites';
+import type { LatLng } from '../services/catchment';
+
+interface CandidateSiteLayerProps {
+  sites: CandidateSite[];
+  selectedSiteId: string | null;
+  onSiteSelect: (siteId: string) => void;
+  onPlace?: (position: LatLng) => void;  // Set while the user is dropping a new pin
+}
+
+/**
+ * Teardrop pin in the status color, anchored at its tip
+ */
+const getPinIcon = (color: string, isSelected: boolean): L.DivIcon => {
+  const size = isSelected ? 30 : 24;
+  return L.divIcon({
+    html: `<div style="width:${size}px;height:${size}px;background:${color};border:2px solid #fff;border-radius:50% 50% 50% 0;transform:rotate(-45deg);box-shadow:0 1px 4px rgba(0,0,0,0.5)${isSelected ? ';outline:2px solid #111' : ''}"></div>`,
+    className: '',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size * 1.2],
+  });
+};
+
+/**
+ * Candidate site pins; clicking one selects it, and while placing, clicking the map drops a new one
+ */
+export const CandidateSiteLayer: React.FC<CandidateSiteLayerProps> = ({ sites, selectedSiteId, onSiteSelect, onPlace }) => {
+  const map = useMap();
+  const isPlacing = !!onPlace;
+
+  useMapEvents({
+    click: (e) => onPlace?.({ lat: e.latlng.lat, lng: e.latlng.lng }),
+  });
+
+  useEffect(() => {
+    if (!isPlacing) return;
+    const container = map.getContainer();
+    container.classList.add('map-placing');
+    return () => container.classList.remove('map-placing');
+  }, [map, isPlacing]);
+
+  return (
+    <>
+      {sites.map(site => {
+        const color = CANDIDATE_STATUSES.find(status => status.id === site.status)?.color ?? CANDIDATE_STATUSES[0].color;
+        const isSelected = site.id === selectedSiteId;
+        return (
+          <Marker
+            key={site.id}
+            position={[site.lat, site.lng]}
+            icon={getPinIcon(color, isSelected)}
+            zIndexOffset={isSelected ? 1000 : 0}
+            eventHandlers={{ click: () => onSiteSelect(site.id) }}
+          >
+            <Tooltip direction="top" offset={[0, -24]}>{site.name}</Tooltip>
+          </Marker>
+        );
+      })}
+    </>
+  );
+};
@@ -0,0 +1,146 @@
+import React, { useRef, useState } from 'react';
+import type { CandidateSite, CandidateStatus } from '../types';
+import { CANDIDATE_STATUSES, parseCandidateCsv, type CandidateSiteAreas } from '../services/candidateSites';
+import { MapPin, Upload, Download, Plus } from 'lucide-react';
+
+interface CandidateSitesProps {
+  sites: CandidateSite[];
+  siteAreas: Map<string, CandidateSiteAreas>;
+  selectedSiteId: string | null;
+  onSiteSelect: (siteId: string) => void;
+  isPlacing: boolean;
+  setIsPlacing: (placing: boolean) => void;
+  onImport: (sites: CandidateSite[]) => number;  // Returns how many were added; duplicates of existing pins are left out
+  onExport: () => void;
+}
+
+export const CandidateSites: React.FC<CandidateSitesProps> = ({
+  sites,
+  siteAreas,
+  selectedSiteId,
+  onSiteSelect,
+  isPlacing,
+  setIsPlacing,
+  onImport,
+  onExport,
+}) => {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [statusFilter, setStatusFilter] = useState<CandidateStatus | null>(null);
+  const [message, setMessage] = useState<{ text: string; isError: boolean } | null>(null);
+  const visibleSites = statusFilter ? sites.filter(site => site.status === statusFilter) : sites;
+
+  const handleFile = async (file: File) => {
+    try {
+      const { sites: imported, skipped } = parseCandidateCsv(await file.text());
+      if (imported.length === 0) {
+        setMessage({ text: 'No rows with valid coordinates found', isError: true });
+        return;
+      }
+      const added = onImport(imported);
+      const duplicates = imported.length - added;
+      setMessage({
+        text: `Imported ${added} sites${skipped > 0 ? `, skipped ${skipped} without coordinates` : ''}`
+          + `${duplicates > 0 ? `, skipped ${duplicates} already on the map` : ''}`,
+        isError: false,
+      });
+    } catch (error) {
+      setMessage({ text: error instanceof Error ? error.message : 'Could not read the file', isError: true });
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-3 flex items-center">
+        <MapPin size={16} className="mr-2"/>
+        Candidate Sites
+      </h2>
+      <div className="px-3 space-y-2 text-xs">
+        <div className="flex gap-2">
+          <button
+            onClick={() => setIsPlacing(!isPlacing)}
+            className={`flex-1 flex items-center justify-center gap-1 px-2 py-1.5 rounded-md ${isPlacing ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+            aria-pressed={isPlacing}
+          >
+            <Plus size={12} />
+            {isPlacing ? 'Click the map…' : 'Add pin'}
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="p-1.5 rounded-md bg-gray-700 hover:bg-gray-600"
+            title="Import a CSV of candidate sites (lat and lon columns, optional name, status and notes)"
+          >
+            <Upload size={14} />
+          </button>
+          <button
+            onClick={onExport}
+            disabled={sites.length === 0}
+            className="p-1.5 rounded-md bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Export the sites with their areas and scores as CSV"
+          >
+            <Download size={14} />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) handleFile(file);
+              e.target.value = '';
+            }}
+          />
+        </div>
+        {message && (
+          <p className={message.isError ? 'text-red-400' : 'text-green-400'}>{message.text}</p>
+        )}
+
+        {sites.length === 0 ? (
+          <p className="text-gray-500">Drop pins on candidate addresses, or import a CSV list, to see the areas and scores they inherit.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-1">
+              {CANDIDATE_STATUSES.map(status => {
+                const count = sites.filter(site => site.status === status.id).length;
+                const isActive = statusFilter === status.id;
+                return (
+                  <button
+                    key={status.id}
+                    onClick={() => setStatusFilter(isActive ? null : status.id)}
+                    className={`flex items-center gap-1 px-2 py-0.5 rounded-full border ${isActive ? 'border-white text-white' : 'border-gray-600 text-gray-400 hover:text-white'}`}
+                    aria-pressed={isActive}
+                  >
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: status.color }} />
+                    {status.name} ({count})
+                  </button>
+                );
+              })}
+            </div>
+            <ul className="max-h-56 overflow-y-auto space-y-0.5">
+              {visibleSites.map(site => {
+                const district = siteAreas.get(site.id)?.district;
+                const score = district && district.hasCensusData !== false ? district.site_suitability_score : null;
+                const color = CANDIDATE_STATUSES.find(status => status.id === site.status)?.color;
+                return (
+                  <li key={site.id}>
+                    <button
+                      onClick={() => onSiteSelect(site.id)}
+                      className={`w-full flex items-center gap-2 px-2 py-1 rounded text-left ${site.id === selectedSiteId ? 'bg-gray-700' : 'hover:bg-gray-700/50'}`}
+                    >
+                      <span className="w-2 h-2 shrink-0 rounded-full" style={{ backgroundColor: color }} />
+                      <span className="flex-1 min-w-0">
+                        <span className="block truncate text-gray-200">{site.name}</span>
+                        <span className="block truncate text-[10px] text-gray-500">{district === undefined ? 'Looking up areas…' : district?.name ?? 'Outside every district'}</span>
+                      </span>
+                      {score !== null && <span className="text-gray-300 font-semibold" title="District suitability score">{Math.round(score)}</span>}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
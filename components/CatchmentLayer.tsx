@@ -0,0 +1,71 @@
+import React, { useEffect } from 'react';
+import { Circle, CircleMarker, GeoJSON, useMap, useMapEvents } from 'react-leaflet';
+import type { LatLng } from '../services/catchment';
+import type { Isochrone } from '../services/roadNetwork';
+
+// What the catchment tool draws: a radius circle, or nested drive-time isochrones
+export interface CatchmentOverlay {
+  center: LatLng | null;
+  radiusKm: number | null;       // null in drive-time mode
+  isochrones: Isochrone[];       // Smallest first
+  activeMinutes?: number;        // Isochrone the panel reports on, drawn strongest
+}
+
+interface CatchmentLayerProps {
+  overlay: CatchmentOverlay;
+  onPlace: (center: LatLng) => void;
+}
+
+const CATCHMENT_COLOR = '#7c3aed';
+
+/**
+ * Catchment around the last clicked point; every click on the map moves it
+ */
+export const CatchmentLayer: React.FC<CatchmentLayerProps> = ({ overlay, onPlace }) => {
+  const map = useMap();
+  const { center, radiusKm, isochrones, activeMinutes } = overlay;
+
+  useMapEvents({
+    click: (e) => onPlace({ lat: e.latlng.lat, lng: e.latlng.lng }),
+  });
+
+  // Crosshair cursor while placing, so clicks are not mistaken for selecting an area
+  useEffect(() => {
+    const container = map.getContainer();
+    container.classList.add('map-placing');
+    return () => container.classList.remove('map-placing');
+  }, [map]);
+
+  if (!center) return null;
+  return (
+    <>
+      {radiusKm !== null && (
+        <Circle
+          center={[center.lat, center.lng]}
+          radius={radiusKm * 1000}
+          interactive={false}
+          pathOptions={{ color: CATCHMENT_COLOR, weight: 2, fillColor: CATCHMENT_COLOR, fillOpacity: 0.12 }}
+        />
+      )}
+      {/* Largest first so the smaller bands stack on top; the cells are merged runs, so they are drawn without outlines */}
+      {[...isochrones].reverse().map(isochrone => (
+        <GeoJSON
+          key={`${isochrone.origin.lat},${isochrone.origin.lng}-${isochrone.minutes}-${activeMinutes}`}
+          data={isochrone.geometry}
+          interactive={false}
+          style={{
+            stroke: false,
+            fillColor: CATCHMENT_COLOR,
+            fillOpacity: isochrone.minutes === activeMinutes ? 0.22 : 0.08,
+          }}
+        />
+      ))}
+      <CircleMarker
+        center={[center.lat, center.lng]}
+        radius={4}
+        interactive={false}
+        pathOptions={{ color: '#fff', weight: 1.5, fillColor: CATCHMENT_COLOR, fillOpacity: 1 }}
+      />
+    </>
+  );
+};
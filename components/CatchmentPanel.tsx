@@ -0,0 +1,226 @@
+import React, { useRef, useState } from 'react';
+import { Target, X, Upload, Trash2 } from 'lucide-react';
+import { CATCHMENT_MODES, CATCHMENT_RADII_KM, type CatchmentMode, type CatchmentResult } from '../services/catchment';
+import { ISOCHRONE_MINUTES, parseRoadNetworkFile, type RoadGraph } from '../services/roadNetwork';
+import { formatLayerValue } from '../constants';
+
+interface CatchmentPanelProps {
+  mode: CatchmentMode;
+  setMode: (mode: CatchmentMode) => void;
+  radiusKm: number;
+  setRadiusKm: (radiusKm: number) => void;
+  driveMinutes: number;
+  setDriveMinutes: (minutes: number) => void;
+  roadNetwork: { name: string; graph: RoadGraph } | null;  // Loaded road graph for drive times
+  onLoadRoadNetwork: (graph: RoadGraph, name: string) => void;
+  onClearRoadNetwork: () => void;
+  result: CatchmentResult | null;  // null until a centre is placed
+  error?: string | null;           // Why no catchment could be computed, e.g. no road near the point
+  boundaryName: string;            // Boundary type the estimate is apportioned from, e.g. 'District'
+  onClose: () => void;
+}
+
+// Share of the catchment that may lie outside the areas before the panel says so
+const COVERAGE_WARNING_THRESHOLD = 0.98;
+
+const formatArea = (km2: number) => `${km2.toLocaleString(undefined, { maximumFractionDigits: km2 >= 100 ? 0 : 1 })} km²`;
+
+const formatPercent = (share: number) => `${(share * 100).toLocaleString(undefined, { maximumFractionDigits: share < 0.1 ? 1 : 0 })}%`;
+
+export const CatchmentPanel: React.FC<CatchmentPanelProps> = ({
+  mode,
+  setMode,
+  radiusKm,
+  setRadiusKm,
+  driveMinutes,
+  setDriveMinutes,
+  roadNetwork,
+  onLoadRoadNetwork,
+  onClearRoadNetwork,
+  result,
+  error,
+  boundaryName,
+  onClose,
+}) => {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [isLoadingRoads, setIsLoadingRoads] = useState(false);
+  const coverage = result && result.areaKm2 > 0 ? result.coveredKm2 / result.areaKm2 : 1;
+  const isDrive = mode === 'drive';
+  const options = isDrive
+    ? ISOCHRONE_MINUTES.map(minutes => ({ value: minutes, label: `${minutes} min`, active: minutes === driveMinutes, select: () => setDriveMinutes(minutes) }))
+    : CATCHMENT_RADII_KM.map(radius => ({ value: radius, label: `${radius} km`, active: radius === radiusKm, select: () => setRadiusKm(radius) }));
+
+  const handleFile = async (file: File) => {
+    setIsLoadingRoads(true);
+    setLoadError(null);
+    try {
+      onLoadRoadNetwork(parseRoadNetworkFile(await file.text()), file.name);
+    } catch (error) {
+      setLoadError(error instanceof Error ? error.message : 'Could not read the file');
+    } finally {
+      setIsLoadingRoads(false);
+    }
+  };
+
+  return (
+    <div className="w-80 bg-white rounded-2xl shadow-2xl p-4 flex flex-col max-h-[calc(100vh-6rem)] overflow-y-auto text-gray-800">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-base font-bold flex items-center gap-2">
+          <Target size={18} className="text-violet-600" />
+          Catchment
+        </h2>
+        <button onClick={onClose} className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-800 transition-colors" title="Close the catchment tool">
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className="flex rounded-lg bg-gray-100 p-0.5 mb-2 text-xs" role="group" aria-label="Catchment type">
+        {CATCHMENT_MODES.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setMode(option.id)}
+            className={`flex-1 py-1 rounded-md font-medium transition-colors ${mode === option.id ? 'bg-white shadow text-gray-800' : 'text-gray-500 hover:text-gray-700'}`}
+            aria-pressed={mode === option.id}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+
+      {isDrive && (
+        <div className="mb-2 text-xs">
+          <div className="flex items-center gap-2">
+            <p className="flex-1 min-w-0 truncate text-gray-500" title={roadNetwork?.name}>
+              {roadNetwork
+                ? `${roadNetwork.name} (${roadNetwork.graph.nodeCount.toLocaleString()} junctions${roadNetwork.graph.skippedCoordinates > 0
+                  ? `, ${roadNetwork.graph.skippedCoordinates.toLocaleString()} invalid coordinates skipped` : ''})`
+                : 'Load a road network to compute drive times offline.'}
+            </p>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isLoadingRoads}
+              className="flex items-center gap-1 px-2 py-1 rounded-md bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+            >
+              <Upload size={12} />
+              {isLoadingRoads ? 'Loading…' : roadNetwork ? 'Replace' : 'Load roads'}
+            </button>
+            {roadNetwork && (
+              <button
+                onClick={onClearRoadNetwork}
+                className="p-1 rounded-md text-gray-400 hover:bg-gray-100 hover:text-red-500"
+                title="Unload the road network"
+              >
+                <Trash2 size={14} />
+              </button>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".geojson,.json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                if (file) handleFile(file);
+                e.target.value = '';
+              }}
+            />
+          </div>
+          {!roadNetwork && (
+            <p className="mt-1 text-[10px] text-gray-400">GeoJSON road lines, e.g. an OSM extract filtered to highway ways. Speeds come from maxspeed or the road class.</p>
+          )}
+          {loadError && <p className="mt-1 text-red-600">{loadError}</p>}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-1 mb-3" role="group" aria-label={isDrive ? 'Drive time' : 'Catchment radius'}>
+        {options.map(option => (
+          <button
+            key={option.value}
+            onClick={option.select}
+            className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+              option.active ? 'bg-violet-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+            aria-pressed={option.active}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {error ? (
+        <p className="text-xs text-red-600">{error}</p>
+      ) : !result ? (
+        <p className="text-xs text-gray-500">
+          {isDrive && !roadNetwork ? 'Drive times need a road network.' : 'Click anywhere on the map to place the centre of the catchment.'}
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-2 mb-3">
+            <div className="bg-gray-50 rounded-lg p-2">
+              <p className="text-[10px] text-gray-500 font-medium">Population</p>
+              <p className="text-sm font-bold">{formatLayerValue(Math.round(result.population), 'population')}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <p className="text-[10px] text-gray-500 font-medium">Avg. income</p>
+              <p className="text-sm font-bold">{result.avgIncome !== null ? formatLayerValue(result.avgIncome, 'avg_income') : 'N/A'}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <p className="text-[10px] text-gray-500 font-medium">Competitors</p>
+              <p className="text-sm font-bold">{formatLayerValue(result.competitors, 'competitors')}</p>
+              <p className="text-[10px] text-gray-400">{result.competitorsCounted ? 'Stores in the catchment' : 'Apportioned estimate'}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <p className="text-[10px] text-gray-500 font-medium">Area</p>
+              <p className="text-sm font-bold">{formatArea(result.areaKm2)}</p>
+            </div>
+          </div>
+
+          {coverage < COVERAGE_WARNING_THRESHOLD && (
+            <p className="mb-3 p-2 text-[11px] text-amber-800 bg-amber-50 border border-amber-200 rounded-lg">
+              {formatPercent(1 - coverage)} of the catchment lies outside areas with census data (e.g. sea) and adds nothing to the estimate.
+            </p>
+          )}
+
+          <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-1">
+            Contributing {boundaryName.toLowerCase()}s ({result.contributions.length})
+          </h3>
+          {result.contributions.length === 0 ? (
+            <p className="text-xs text-gray-500">No area with census data overlaps the catchment.</p>
+          ) : (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-[10px] text-gray-500">
+                  <th className="font-medium py-1">Area</th>
+                  <th className="font-medium py-1 text-right" title="Share of the area inside the catchment, the share of its counts apportioned">Inside</th>
+                  <th className="font-medium py-1 text-right">Population</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.contributions.map(part => {
+                  const share = result.population > 0 ? part.population / result.population : 0;
+                  return (
+                    <tr key={part.id} className="border-t border-gray-100">
+                      <td className="py-1 pr-2 max-w-[8rem] truncate" title={part.name}>{part.name}</td>
+                      <td className="py-1 text-right text-gray-600" title={formatArea(part.overlapKm2)}>{formatPercent(part.areaShare)}</td>
+                      <td className="py-1 pl-2 text-right">
+                        <div>{Math.round(part.population).toLocaleString()}</div>
+                        <div className="h-1 mt-0.5 bg-gray-100 rounded" title={`${formatPercent(share)} of the catchment`}>
+                          <div className="h-1 bg-violet-500 rounded" style={{ width: `${share * 100}%` }} />
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          <p className="mt-3 text-[10px] text-gray-400">
+            Each area counts in proportion to how much of it lies in the catchment, assuming residents are spread evenly. Income is weighted by the apportioned population.
+            {isDrive && ' Drive times assume free-flowing traffic.'}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
@@ -1,189 +1,66 @@
-
-import React, { useMemo, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import type { DistrictProperties, DistrictFeature, DataLayerId } from '../types';
-import { DATA_LAYERS } from '../constants';
+import React, { useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer, Cell } from 'recharts';
+import type { DistrictProperties, DistrictFeature, DataLayerId, NormalizationSettings, BaselineScope } from '../types';
+import { DATA_LAYERS, formatLayerValue, getLayerTitle } from '../constants';
+import { getNormalization } from '../services/normalization';
+import { BASELINE_COLORS, COMPARISON_METRICS, compareWithBaseline, getBaselineFeatures, type BaselineComparison } from '../services/baseline';
 import { renderMarkdown } from '../utils/markdown';
 
-// Mapping from chart metric names to DataLayerId
-const CHART_NAME_TO_METRIC: Record<string, DataLayerId> = {
-  'Population': 'population',
-  'Income': 'avg_income',
-  'Competitors': 'competitors',
-  'Score': 'site_suitability_score',
-  'Night Lights': 'night_lights',
-};
-
 interface ComparisonChartProps {
   featureProperties: DistrictProperties;
   allFeatures?: DistrictFeature[];
+  normalizations?: NormalizationSettings;  // Per-layer absolute / per-capita / per-km² choice
+  baseline?: BaselineScope;                // Which percentile the bars show; the other is listed in the tooltip
 }
 
-/**
- * Calculate market averages from all features
- */
-function calculateMarketAverages(allFeatures: DistrictFeature[]): DistrictProperties {
-  // #region agent log
-  fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:25',message:'calculateMarketAverages entry',data:{allFeaturesLength:allFeatures.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-  // #endregion
-  
-  if (allFeatures.length === 0) {
-    // #region agent log
-    fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:28',message:'Using fallback values',data:{reason:'allFeatures.length === 0'},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-    // #endregion
-    // Fallback to default values if no data
-    return {
-      id: '',
-      name: '',
-      population: 80000,
-      avg_income: 6000,
-      competitors: 25,
-      public_services: 15,
-      site_suitability_score: 70,
-      night_lights: 60,
-    };
-  }
-
-  const totals = allFeatures.reduce(
-    (acc, feature) => {
-      const props = feature.properties;
-      // #region agent log
-      fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:43',message:'Processing feature in reduce',data:{featureName:props.name,props:{population:props.population,avg_income:props.avg_income,competitors:props.competitors,site_suitability_score:props.site_suitability_score,night_lights:props.night_lights},accBefore:acc},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'D'})}).catch(()=>{});
-      // #endregion
-      return {
-        population: acc.population + (props.population || 0),
-        avg_income: acc.avg_income + (props.avg_income || 0),
-        competitors: acc.competitors + (props.competitors || 0),
-        public_services: acc.public_services + (props.public_services || 0),
-        site_suitability_score: acc.site_suitability_score + (props.site_suitability_score || 0),
-        night_lights: acc.night_lights + (props.night_lights || 0),
-        count: acc.count + 1,
-      };
-    },
-    {
-      population: 0,
-      avg_income: 0,
-      competitors: 0,
-      public_services: 0,
-      site_suitability_score: 0,
-      night_lights: 0,
-      count: 0,
-    }
-  );
+interface ChartRow {
+  name: string;
+  metric: DataLayerId;
+  percentile: number;
+  state: BaselineComparison;
+  national: BaselineComparison;
+}
 
-  // #region agent log
-  fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:62',message:'Totals calculated',data:{totals,divisionBy:totals.count},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'D'})}).catch(()=>{});
-  // #endregion
+const formatPercentile = (percentile: number | null): string => {
+  if (percentile === null) return 'N/A';
+  const rounded = Math.round(percentile);
+  const suffix = rounded % 100 >= 11 && rounded % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][rounded % 10] ?? 'th';
+  return `${rounded}${suffix} percentile`;
+};
 
-  const result = {
-    id: '',
-    name: '',
-    population: Math.round(totals.population / totals.count),
-    avg_income: Math.round(totals.avg_income / totals.count),
-    competitors: Math.round(totals.competitors / totals.count),
-    public_services: Math.round(totals.public_services / totals.count),
-    site_suitability_score: Math.round(totals.site_suitability_score / totals.count),
-    night_lights: Math.round(totals.night_lights / totals.count),
-  };
-  
-  // #region agent log
-  fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:72',message:'Market averages result',data:{result},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'D'})}).catch(()=>{});
-  // #endregion
-  
-  return result;
-}
+/**
+ * Percentile of the selected area for each metric, within its state and nationally.
+ * Bars run 0-100 so their length always means the same thing: the share of areas ranked below.
+ */
+export const ComparisonChart: React.FC<ComparisonChartProps> = ({ featureProperties, allFeatures = [], normalizations = {}, baseline = 'state' }) => {
+    const stateFeatures = useMemo(() => getBaselineFeatures(allFeatures, featureProperties, 'state'), [allFeatures, featureProperties]);
+    const nationalFeatures = useMemo(() => getBaselineFeatures(allFeatures, featureProperties, 'national'), [allFeatures, featureProperties]);
 
-export const ComparisonChart: React.FC<ComparisonChartProps> = ({ featureProperties, allFeatures = [] }) => {
-    // #region agent log
-    fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:76',message:'Chart component entry',data:{featureName:featureProperties.name,featureProps:{population:featureProperties.population,avg_income:featureProperties.avg_income,competitors:featureProperties.competitors,site_suitability_score:featureProperties.site_suitability_score,night_lights:featureProperties.night_lights},allFeaturesCount:allFeatures.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
-    // #endregion
-    
-    // Calculate market averages from all features
-    const marketAverages = useMemo(() => {
-        // #region agent log
-        fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:79',message:'Before calculateMarketAverages',data:{allFeaturesCount:allFeatures.length,sampleFeature:allFeatures[0]?.properties},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-        // #endregion
-        const result = calculateMarketAverages(allFeatures);
-        // #region agent log
-        fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:82',message:'After calculateMarketAverages',data:{marketAverages:result},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-        // #endregion
-        return result;
-    }, [allFeatures]);
+    const data: ChartRow[] = useMemo(() => COMPARISON_METRICS.map(({ name, metric }) => {
+        const normalization = getNormalization(normalizations, DATA_LAYERS[metric]);
+        const state = compareWithBaseline(featureProperties, stateFeatures, metric, normalization);
+        const national = compareWithBaseline(featureProperties, nationalFeatures, metric, normalization);
+        const percentile = (baseline === 'state' ? state : national).percentile;
+        return { name, metric, percentile: percentile ?? 0, state, national };
+    }), [featureProperties, stateFeatures, nationalFeatures, normalizations, baseline]);
 
-    // Create data with both original and normalized values
-    // Normalize each metric row independently to 0-100 scale for visibility
-    const rawData = [
-        { 
-            name: 'Population', 
-            [featureProperties.name]: featureProperties.population, 
-            'Market Average': marketAverages.population,
-        },
-        { 
-            name: 'Income', 
-            [featureProperties.name]: featureProperties.avg_income, 
-            'Market Average': marketAverages.avg_income,
-        },
-        { 
-            name: 'Competitors', 
-            [featureProperties.name]: featureProperties.competitors, 
-            'Market Average': marketAverages.competitors,
-        },
-        { 
-            name: 'Score', 
-            [featureProperties.name]: featureProperties.site_suitability_score, 
-            'Market Average': marketAverages.site_suitability_score,
-        },
-        {
-            name: 'Night Lights',
-            [featureProperties.name]: featureProperties.night_lights,
-            'Market Average': marketAverages.night_lights,
-        }
-    ];
-    
-    // Normalize each row independently: find max in row, normalize to 0-100
-    const data = rawData.map(row => {
-        const featureValue = row[featureProperties.name] || 0;
-        const marketValue = row['Market Average'] || 0;
-        const maxInRow = Math.max(featureValue, marketValue, 1); // Avoid division by zero
-        
-        return {
-            ...row,
-            [`${featureProperties.name}_original`]: featureValue,
-            [`Market Average_original`]: marketValue,
-            [featureProperties.name]: maxInRow > 0 ? (featureValue / maxInRow) * 100 : 0,
-            'Market Average': maxInRow > 0 ? (marketValue / maxInRow) * 100 : 0,
-        };
-    });
-    
-    // #region agent log
-    fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:107',message:'Chart data array constructed',data:{rawData,normalizedData:data,featureName:featureProperties.name,dataKeys:data.map(d=>Object.keys(d))},timestamp:Date.now(),sessionId:'debug-session',runId:'post-fix'})}).catch(()=>{});
-    // #endregion
-    
-    // #region agent log
-    useEffect(() => {
-      fetch('http://127.0.0.1:7251/ingest/7504df2d-d915-4838-a144-5d55fad20bb3',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'Chart.tsx:110',message:'Bar component dataKey verification',data:{featureName:featureProperties.name,dataKeysInData:data.map(d=>Object.keys(d).filter(k=>k!=='name')),expectedDataKey:featureProperties.name},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'C'})}).catch(()=>{});
-    }, [data, featureProperties.name]);
-    // #endregion
+    const stateName = featureProperties.state ?? 'State';
 
-    // Custom tooltip component that includes metric explanations
-    // Uses original values from the data row, not normalized values
-    const CustomTooltip = ({ active, payload, label }: any) => {
+    // Custom tooltip with the raw values, both percentiles and the metric explanation
+    const CustomTooltip = ({ active, payload }: any) => {
         if (!active || !payload || !payload.length) {
             return null;
         }
 
-        const metricId = CHART_NAME_TO_METRIC[label];
-        const layerInfo = metricId ? DATA_LAYERS[metricId] : null;
-        
-        // Find the data row for this metric to get original values
-        const dataRow = data.find(d => d.name === label);
-        const selectedValue = dataRow?.[`${featureProperties.name}_original`] ?? dataRow?.[featureProperties.name];
-        const marketValue = dataRow?.[`Market Average_original`] ?? dataRow?.['Market Average'];
+        const row: ChartRow = payload[0].payload;
+        const layerInfo = DATA_LAYERS[row.metric];
+        const normalization = getNormalization(normalizations, layerInfo);
+        const formatValue = (value: number | null) => (value === null ? 'N/A' : formatLayerValue(value, row.metric, normalization));
 
         return (
-            <div 
+            <div
               className="bg-white border border-gray-200 rounded-lg shadow-xl"
-              style={{ 
+              style={{
                 maxWidth: '350px',
                 wordWrap: 'break-word',
                 overflowWrap: 'anywhere',
@@ -196,15 +73,25 @@ export const ComparisonChart: React.FC<ComparisonChartProps> = ({ featurePropert
               }}
               role="tooltip"
             >
-                <div className="font-bold text-base mb-2 text-gray-800">{label}</div>
-                <div className="space-y-1 mb-3">
-                    <div className="text-sm">
+                <div className="font-bold text-base mb-2 text-gray-800">{getLayerTitle(layerInfo, normalization)}</div>
+                <div className="space-y-1 mb-3 text-sm">
+                    <div>
                         <span className="font-semibold text-blue-600">{featureProperties.name}:</span>{' '}
-                        <span className="text-gray-700">{selectedValue?.toLocaleString() || 'N/A'}</span>
+                        <span className="text-gray-700">{formatValue(row.state.value)}</span>
                     </div>
-                    <div className="text-sm">
-                        <span className="font-semibold text-gray-600">Market Average:</span>{' '}
-                        <span className="text-gray-700">{marketValue?.toLocaleString() || 'N/A'}</span>
+                    {row.state.areaCount > 0 && (
+                        <div className={baseline === 'state' ? 'font-semibold' : ''}>
+                            <span className="text-gray-600">{stateName}:</span>{' '}
+                            <span className="text-gray-700">
+                              {formatPercentile(row.state.percentile)} of {row.state.areaCount} areas, average {formatValue(row.state.average)}
+                            </span>
+                        </div>
+                    )}
+                    <div className={baseline === 'national' ? 'font-semibold' : ''}>
+                        <span className="text-gray-600">Malaysia:</span>{' '}
+                        <span className="text-gray-700">
+                          {formatPercentile(row.national.percentile)} of {row.national.areaCount} areas, average {formatValue(row.national.average)}
+                        </span>
                     </div>
                 </div>
                 {layerInfo?.fullExplanation && (
@@ -229,13 +116,13 @@ export const ComparisonChart: React.FC<ComparisonChartProps> = ({ featurePropert
           bottom: 5,
         }}
         layout="vertical"
-        barCategoryGap="20%"
+        barCategoryGap="25%"
       >
         <CartesianGrid strokeDasharray="3 3" horizontal={false} />
-        <XAxis 
-          type="number" 
-          tick={{ fontSize: 12 }} 
-          tickFormatter={(value) => `${value.toFixed(0)}%`}
+        <XAxis
+          type="number"
+          tick={{ fontSize: 12 }}
+          ticks={[0, 25, 50, 75, 100]}
           domain={[0, 100]}
         />
         <YAxis type="category" dataKey="name" tick={{ fontSize: 12, width: 60 }} />
@@ -243,9 +130,13 @@ export const ComparisonChart: React.FC<ComparisonChartProps> = ({ featurePropert
             content={<CustomTooltip />}
             cursor={false}
         />
-        <Legend wrapperStyle={{fontSize: "12px", paddingTop: "10px"}}/>
-        <Bar dataKey={featureProperties.name} fill="#3b82f6" radius={[0, 4, 4, 0]} />
-        <Bar dataKey="Market Average" fill="#9ca3af" radius={[0, 4, 4, 0]} />
+        <ReferenceLine x={50} stroke="#6b7280" strokeDasharray="4 2" label={{ value: 'Median', position: 'top', fontSize: 10, fill: '#6b7280' }} />
+        <Bar dataKey="percentile" radius={[0, 4, 4, 0]}>
+          {data.map(row => {
+            const comparison = baseline === 'state' ? row.state : row.national;
+            return <Cell key={row.metric} fill={comparison.percentile === null ? '#d1d5db' : BASELINE_COLORS[baseline]} />;
+          })}
+        </Bar>
       </BarChart>
     </ResponsiveContainer>
   );
@@ -0,0 +1,89 @@
+import React, { useMemo, useState } from 'react';
+import type { DistrictFeature } from '../types';
+import { METRIC_SHORT_LABELS, formatLayerValue } from '../constants';
+import { ArrowUp, ArrowDown } from 'lucide-react';
+
+interface ChildAreasTableProps {
+  areas: DistrictFeature[];
+  onSelect: (child: DistrictFeature) => void;
+}
+
+type ChildSortKey = 'name' | 'population' | 'avg_income' | 'site_suitability_score';
+
+const COLUMNS: { key: ChildSortKey; label: string; numeric: boolean }[] = [
+  { key: 'name', label: 'Name', numeric: false },
+  { key: 'population', label: METRIC_SHORT_LABELS.population, numeric: true },
+  { key: 'avg_income', label: METRIC_SHORT_LABELS.avg_income, numeric: true },
+  { key: 'site_suitability_score', label: METRIC_SHORT_LABELS.site_suitability_score, numeric: true },
+];
+
+/**
+ * Sortable list of the areas one level down, e.g. the DUNs of a parliament
+ */
+export const ChildAreasTable: React.FC<ChildAreasTableProps> = ({ areas, onSelect }) => {
+  const [sortKey, setSortKey] = useState<ChildSortKey>('site_suitability_score');
+  const [ascending, setAscending] = useState(false);
+
+  const sorted = useMemo(() => {
+    return [...areas].sort((a, b) => {
+      // Areas without census data always go last
+      const aMissing = a.properties.hasCensusData === false;
+      const bMissing = b.properties.hasCensusData === false;
+      if (aMissing !== bMissing) return aMissing ? 1 : -1;
+      const aValue = sortKey === 'name' ? a.properties.name.toLowerCase() : Number(a.properties[sortKey]) || 0;
+      const bValue = sortKey === 'name' ? b.properties.name.toLowerCase() : Number(b.properties[sortKey]) || 0;
+      if (aValue < bValue) return ascending ? -1 : 1;
+      if (aValue > bValue) return ascending ? 1 : -1;
+      return 0;
+    });
+  }, [areas, sortKey, ascending]);
+
+  const handleSort = (key: ChildSortKey) => {
+    if (key === sortKey) {
+      setAscending(!ascending);
+    } else {
+      setSortKey(key);
+      // Names read best A-Z, metrics highest first
+      setAscending(key === 'name');
+    }
+  };
+
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-gray-500 border-b border-gray-200">
+          {COLUMNS.map(column => (
+            <th key={column.key} className={`py-1 font-medium ${column.numeric ? 'text-right' : 'text-left'}`}>
+              <button
+                onClick={() => handleSort(column.key)}
+                className={`inline-flex items-center gap-0.5 hover:text-gray-800 ${sortKey === column.key ? 'text-gray-800' : ''}`}
+              >
+                {column.label}
+                {sortKey === column.key && (ascending ? <ArrowUp size={10} /> : <ArrowDown size={10} />)}
+              </button>
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {sorted.map(child => {
+          const props = child.properties;
+          const hasData = props.hasCensusData !== false;
+          return (
+            <tr
+              key={props.id}
+              onClick={() => onSelect(child)}
+              className="border-b border-gray-100 cursor-pointer hover:bg-blue-50"
+              title={`Show ${props.name}`}
+            >
+              <td className="py-1 pr-2 text-gray-800 truncate max-w-[9rem]">{props.name}</td>
+              <td className="py-1 text-right tabular-nums">{hasData ? formatLayerValue(props.population, 'population') : '—'}</td>
+              <td className="py-1 text-right tabular-nums">{hasData ? formatLayerValue(props.avg_income, 'avg_income') : '—'}</td>
+              <td className="py-1 text-right tabular-nums font-semibold">{hasData ? formatLayerValue(props.site_suitability_score, 'site_suitability_score') : '—'}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import type { ClassBreaks, ClassificationSettings, DataLayer, LayerId, NormalizationMode } from '../types';
+import { DATA_LAYERS, CLASSIFICATION_METHODS, MIN_CLASS_COUNT, MAX_CLASS_COUNT, getLayerTitle } from '../constants';
+import { getDefaultManualBreaks } from '../services/classification';
+import { getBreaksKey } from '../services/normalization';
+import { Palette } from 'lucide-react';
+
+interface ClassificationPanelProps {
+  activeLayer: LayerId;
+  dataLayers?: Record<string, DataLayer>;
+  classification: ClassificationSettings;
+  setClassification: (settings: ClassificationSettings) => void;
+  normalization?: NormalizationMode;
+  classBreaks?: ClassBreaks | null;  // Breaks in effect, shown as the manual thresholds until the user edits them
+}
+
+const formatBreaks = (breaks: number[]): string => breaks.join(', ');
+
+export const ClassificationPanel: React.FC<ClassificationPanelProps> = ({
+  activeLayer,
+  dataLayers = DATA_LAYERS,
+  classification,
+  setClassification,
+  normalization,
+  classBreaks,
+}) => {
+  const layer = dataLayers[activeLayer];
+  const breaksKey = getBreaksKey(activeLayer, normalization);
+  const manualBreaks = classification.manualBreaks[breaksKey]
+    ?? (classBreaks?.method === 'manual' ? classBreaks.thresholds : (layer ? getDefaultManualBreaks(layer) : []));
+  const savedInput = formatBreaks(manualBreaks);
+  const [manualInput, setManualInput] = useState(savedInput);
+  const [manualError, setManualError] = useState<string | null>(null);
+
+  // Show the active layer's thresholds whenever the layer (or its saved breaks) change
+  useEffect(() => {
+    setManualInput(savedInput);
+    setManualError(null);
+  }, [savedInput]);
+
+  const applyManualBreaks = () => {
+    const values = manualInput.split(',').map(part => part.trim()).filter(Boolean).map(Number);
+    if (values.length === 0 || values.some(v => !Number.isFinite(v))) {
+      setManualError('Enter numbers separated by commas, e.g. 1000, 5000, 20000');
+      return;
+    }
+    if (values.length + 1 > MAX_CLASS_COUNT) {
+      setManualError(`At most ${MAX_CLASS_COUNT - 1} thresholds (${MAX_CLASS_COUNT} classes)`);
+      return;
+    }
+    const sorted = Array.from(new Set<number>(values)).sort((a, b) => a - b);
+    setManualError(null);
+    setClassification({
+      ...classification,
+      manualBreaks: { ...classification.manualBreaks, [breaksKey]: sorted },
+    });
+  };
+
+  return (
+    <div>
+      <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-3 flex items-center">
+        <Palette size={16} className="mr-2"/>
+        Classification
+      </h2>
+      <div className="px-3 space-y-3">
+        <select
+          value={classification.method}
+          onChange={(e) => setClassification({ ...classification, method: e.target.value as ClassificationSettings['method'] })}
+          className="w-full bg-gray-700 text-sm rounded-md px-2 py-1.5 border border-gray-600 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          aria-label="Classification method"
+        >
+          {CLASSIFICATION_METHODS.map(method => (
+            <option key={method.id} value={method.id}>{method.name}</option>
+          ))}
+        </select>
+
+        {classification.method === 'manual' ? (
+          <div>
+            <label className="text-xs text-gray-400 block mb-1">
+              Class thresholds for {getLayerTitle(layer, normalization)}
+            </label>
+            <input
+              type="text"
+              value={manualInput}
+              onChange={(e) => setManualInput(e.target.value)}
+              onBlur={applyManualBreaks}
+              onKeyDown={(e) => { if (e.key === 'Enter') applyManualBreaks(); }}
+              className="w-full bg-gray-700 text-xs rounded-md px-2 py-1.5 border border-gray-600 focus:outline-none focus:ring-1 focus:ring-blue-500"
+            />
+            {manualError && <p className="text-xs text-red-400 mt-1">{manualError}</p>}
+          </div>
+        ) : (
+          <div>
+            <div className="flex justify-between text-xs text-gray-400 mb-1">
+              <span>Classes</span>
+              <span className="tabular-nums">{classification.classCount}</span>
+            </div>
+            <input
+              type="range"
+              min={MIN_CLASS_COUNT}
+              max={MAX_CLASS_COUNT}
+              step={1}
+              value={classification.classCount}
+              onChange={(e) => setClassification({ ...classification, classCount: Number(e.target.value) })}
+              className="w-full h-1.5 accent-blue-500 cursor-pointer"
+              aria-label="Number of classes"
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,215 @@
+import React, { useMemo, useState } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+  RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis,
+} from 'recharts';
+import type { DataLayer, DistrictFeature, LayerId, NormalizationSettings, ScoringCriteria } from '../types';
+import { formatLayerValue, getLayerTitle, METRIC_SHORT_LABELS } from '../constants';
+import { MAX_PINNED_AREAS, PIN_COLORS, buildComparisonRows } from '../services/comparison';
+import { Columns, ChevronDown, ChevronUp, X, BarChart3, Radar as RadarIcon } from 'lucide-react';
+
+interface ComparisonDrawerProps {
+  pinnedFeatures: DistrictFeature[];  // In pin order; the first one is the reference for differences
+  allFeatures: DistrictFeature[];     // Loaded areas, used to place values on a common 0-100 scale
+  dataLayers: Record<string, DataLayer>;
+  activeLayer: LayerId;
+  scoringCriteria: ScoringCriteria;
+  normalizations?: NormalizationSettings;
+  selectedFeatureId?: string | null;
+  onFeatureSelect: (feature: DistrictFeature) => void;
+  onUnpin: (featureId: string) => void;
+  onClearPins: () => void;
+}
+
+type ComparisonChartType = 'bar' | 'radar';
+
+const formatDifference = (difference: number): string => {
+  const percent = difference * 100;
+  const rounded = Math.abs(percent) >= 10 ? Math.round(percent) : Number(percent.toFixed(1));
+  return `${rounded > 0 ? '+' : ''}${rounded}%`;
+};
+
+export const ComparisonDrawer: React.FC<ComparisonDrawerProps> = ({
+  pinnedFeatures,
+  allFeatures,
+  dataLayers,
+  activeLayer,
+  scoringCriteria,
+  normalizations,
+  selectedFeatureId,
+  onFeatureSelect,
+  onUnpin,
+  onClearPins,
+}) => {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [chartType, setChartType] = useState<ComparisonChartType>('bar');
+
+  const rows = useMemo(
+    () => buildComparisonRows(pinnedFeatures, allFeatures, dataLayers, activeLayer, scoringCriteria, normalizations),
+    [pinnedFeatures, allFeatures, dataLayers, activeLayer, scoringCriteria, normalizations]
+  );
+
+  // Chart rows keyed by pin slot, since area names are not guaranteed to be unique
+  const chartData = useMemo(() => rows.map(row => ({
+    name: METRIC_SHORT_LABELS[row.layer.id as keyof typeof METRIC_SHORT_LABELS] ?? row.layer.name,
+    title: getLayerTitle(row.layer, row.normalization),
+    ...Object.fromEntries(row.positions.map((position, index) => [`pin${index}`, position ?? 0])),
+    ...Object.fromEntries(row.values.map((value, index) => [
+      `pin${index}_display`,
+      value === null ? 'N/A' : formatLayerValue(value, row.layer.id, row.normalization),
+    ])),
+  })), [rows]);
+
+  if (pinnedFeatures.length === 0) {
+    return null;
+  }
+
+  const ChartTooltip = ({ active, payload }: any) => {
+    if (!active || !payload || !payload.length) return null;
+    const row = payload[0].payload;
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg shadow-xl px-3 py-2 text-xs">
+        <div className="font-semibold text-gray-800 mb-1">{row.title}</div>
+        {pinnedFeatures.map((feature, index) => (
+          <div key={feature.properties.id} className="flex justify-between gap-3">
+            <span style={{ color: PIN_COLORS[index] }} className="font-semibold truncate max-w-[10rem]">{feature.properties.name}</span>
+            <span className="text-gray-700 tabular-nums">{row[`pin${index}_display`]}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const series = pinnedFeatures.map((feature, index) => ({
+    key: `pin${index}`,
+    name: feature.properties.name,
+    color: PIN_COLORS[index],
+  }));
+
+  return (
+    <div className="w-full max-w-4xl pointer-events-auto bg-white rounded-2xl shadow-2xl text-gray-800">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+        <button
+          onClick={() => setIsCollapsed(!isCollapsed)}
+          className="flex items-center gap-2 text-sm font-semibold hover:text-blue-600"
+          aria-expanded={!isCollapsed}
+        >
+          <Columns size={16} />
+          Compare areas
+          <span className="text-xs font-normal text-gray-500">{pinnedFeatures.length} of {MAX_PINNED_AREAS} pinned</span>
+          {isCollapsed ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+        </button>
+        <button onClick={onClearPins} className="text-xs text-gray-500 hover:text-red-600">
+          Unpin all
+        </button>
+      </div>
+
+      {!isCollapsed && (
+        <div className="flex gap-4 p-4 max-h-[45vh] overflow-y-auto">
+          <div className="flex-1 min-w-0">
+            <div className="grid gap-2" style={{ gridTemplateColumns: `7rem repeat(${pinnedFeatures.length}, minmax(0, 1fr))` }}>
+              <div></div>
+              {pinnedFeatures.map((feature, index) => (
+                <div
+                  key={feature.properties.id}
+                  className={`rounded-lg border-t-4 bg-gray-50 px-2 py-1 flex items-start gap-1 ${
+                    feature.properties.id === selectedFeatureId ? 'ring-2 ring-blue-400' : ''
+                  }`}
+                  style={{ borderTopColor: PIN_COLORS[index] }}
+                >
+                  <button
+                    onClick={() => onFeatureSelect(feature)}
+                    className="flex-1 min-w-0 text-left text-xs font-semibold truncate hover:underline"
+                    title={`Show ${feature.properties.name} on the map`}
+                  >
+                    {feature.properties.name}
+                  </button>
+                  <button
+                    onClick={() => onUnpin(feature.properties.id)}
+                    className="p-0.5 rounded text-gray-400 hover:text-gray-700 hover:bg-gray-200"
+                    title="Unpin"
+                  >
+                    <X size={12} />
+                  </button>
+                </div>
+              ))}
+
+              {rows.map(row => (
+                <React.Fragment key={row.layer.id}>
+                  <div className="text-[11px] text-gray-500 self-center truncate" title={getLayerTitle(row.layer, row.normalization)}>
+                    {getLayerTitle(row.layer, row.normalization)}
+                  </div>
+                  {row.values.map((value, index) => (
+                    <div
+                      key={index}
+                      className={`rounded-md px-2 py-1 text-xs tabular-nums ${
+                        row.best === index ? 'bg-green-50 text-green-800 font-semibold'
+                          : row.worst === index ? 'bg-red-50 text-red-700' : 'bg-gray-50'
+                      }`}
+                    >
+                      <div>{value === null ? 'N/A' : formatLayerValue(value, row.layer.id, row.normalization)}</div>
+                      {row.differences[index] !== null && (
+                        <div className="text-[10px] text-gray-500" title={`Compared with ${pinnedFeatures[0].properties.name}`}>
+                          {formatDifference(row.differences[index]!)}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </React.Fragment>
+              ))}
+            </div>
+            <p className="mt-2 text-[10px] text-gray-500">
+              Green marks the most favourable value and red the least, following the scoring directions.
+              Percentages compare each area with {pinnedFeatures[0].properties.name}.
+              {pinnedFeatures.length < MAX_PINNED_AREAS && ' Pin more areas from the info panel.'}
+            </p>
+          </div>
+
+          <div className="w-72 shrink-0 flex flex-col">
+            <div className="flex justify-end gap-1 mb-1" role="group" aria-label="Chart type">
+              {([['bar', BarChart3, 'Grouped bars'], ['radar', RadarIcon, 'Radar']] as const).map(([type, Icon, label]) => (
+                <button
+                  key={type}
+                  onClick={() => setChartType(type)}
+                  className={`p-1 rounded ${chartType === type ? 'bg-blue-100 text-blue-700' : 'text-gray-500 hover:bg-gray-100'}`}
+                  title={label}
+                  aria-pressed={chartType === type}
+                >
+                  <Icon size={14} />
+                </button>
+              ))}
+            </div>
+            <div className="h-60">
+              <ResponsiveContainer width="100%" height="100%">
+                {chartType === 'bar' ? (
+                  <BarChart data={chartData} margin={{ top: 5, right: 5, left: -20, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis dataKey="name" tick={{ fontSize: 10 }} interval={0} />
+                    <YAxis domain={[0, 100]} tick={{ fontSize: 10 }} />
+                    <Tooltip content={<ChartTooltip />} cursor={{ fill: '#f3f4f6' }} />
+                    <Legend wrapperStyle={{ fontSize: '10px' }} />
+                    {series.map(s => (
+                      <Bar key={s.key} dataKey={s.key} name={s.name} fill={s.color} radius={[2, 2, 0, 0]} />
+                    ))}
+                  </BarChart>
+                ) : (
+                  <RadarChart data={chartData} outerRadius="70%">
+                    <PolarGrid />
+                    <PolarAngleAxis dataKey="name" tick={{ fontSize: 10 }} />
+                    <PolarRadiusAxis domain={[0, 100]} tick={false} axisLine={false} />
+                    <Tooltip content={<ChartTooltip />} />
+                    <Legend wrapperStyle={{ fontSize: '10px' }} />
+                    {series.map(s => (
+                      <Radar key={s.key} dataKey={s.key} name={s.name} stroke={s.color} fill={s.color} fillOpacity={0.15} />
+                    ))}
+                  </RadarChart>
+                )}
+              </ResponsiveContainer>
+            </div>
+            <p className="text-[10px] text-gray-500 text-center">Position between the lowest (0) and highest (100) loaded area</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
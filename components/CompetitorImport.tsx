@@ -0,0 +1,96 @@
+import React, { useRef, useState } from 'react';
+import type { CompetitorPoint } from '../types';
+import { parseCompetitorFile } from '../services/competitors';
+import { Store, Upload, Trash2 } from 'lucide-react';
+
+interface CompetitorImportProps {
+  pointCount: number;
+  showPoints: boolean;
+  setShowPoints: (show: boolean) => void;
+  onImport: (points: CompetitorPoint[]) => void;
+  onClear: () => void;
+}
+
+export const CompetitorImport: React.FC<CompetitorImportProps> = ({ pointCount, showPoints, setShowPoints, onImport, onClear }) => {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [message, setMessage] = useState<{ text: string; isError: boolean } | null>(null);
+
+  const handleFile = async (file: File) => {
+    try {
+      const { points, skipped } = parseCompetitorFile(file.name, await file.text());
+      if (points.length === 0) {
+        setMessage({ text: 'No locations with valid coordinates found', isError: true });
+        return;
+      }
+      onImport(points);
+      setMessage({
+        text: `Imported ${points.length.toLocaleString()} locations${skipped > 0 ? `, skipped ${skipped} without coordinates` : ''}`,
+        isError: false,
+      });
+    } catch (error) {
+      setMessage({ text: error instanceof Error ? error.message : 'Could not read the file', isError: true });
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-3 flex items-center">
+        <Store size={16} className="mr-2"/>
+        Competitors
+      </h2>
+      <div className="px-3 space-y-2 text-xs">
+        <p className="text-gray-500">
+          {pointCount > 0
+            ? `${pointCount.toLocaleString()} store locations are counted into each area's Competitors value.`
+            : 'Competitor counts are estimated from population. Import store locations (CSV with lat/lng columns, or GeoJSON points) to count real ones.'}
+        </p>
+        <div className="flex gap-2">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex-1 flex items-center justify-center gap-1 px-2 py-1.5 rounded-md bg-gray-700 hover:bg-gray-600"
+          >
+            <Upload size={12} />
+            {pointCount > 0 ? 'Replace locations' : 'Import locations'}
+          </button>
+          {pointCount > 0 && (
+            <button
+              onClick={() => {
+                onClear();
+                setMessage(null);
+              }}
+              className="p-1.5 rounded-md text-gray-400 hover:bg-gray-700 hover:text-red-400"
+              title="Remove imported locations"
+            >
+              <Trash2 size={14} />
+            </button>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.geojson,.json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) handleFile(file);
+              e.target.value = '';
+            }}
+          />
+        </div>
+        {message && (
+          <p className={message.isError ? 'text-red-400' : 'text-green-400'}>{message.text}</p>
+        )}
+        {pointCount > 0 && (
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showPoints}
+              onChange={(e) => setShowPoints(e.target.checked)}
+              className="h-3.5 w-3.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Show stores on the map
+          </label>
+        )}
+      </div>
+    </div>
+  );
+};
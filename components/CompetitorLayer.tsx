@@ -0,0 +1,79 @@
+import React, { useMemo, useState } from 'react';
+import { CircleMarker, Marker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import type { CompetitorPoint } from '../types';
+import { clusterPoints } from '../services/competitors';
+
+interface CompetitorLayerProps {
+  points: CompetitorPoint[];
+}
+
+// Points closer than this on screen merge into one cluster
+const CLUSTER_CELL_PX = 60;
+const COMPETITOR_COLOR = '#e6550d';  // Competitors layer color in the info panel
+
+/**
+ * Numbered circle for a cluster, sized by how many stores it holds
+ */
+const getClusterIcon = (count: number): L.DivIcon => {
+  const size = count < 10 ? 28 : count < 100 ? 34 : 40;
+  return L.divIcon({
+    html: `<div style="width:${size}px;height:${size}px;line-height:${size}px;background:${COMPETITOR_COLOR};opacity:0.9;border:2px solid #fff;border-radius:50%;color:#fff;font-size:12px;font-weight:600;text-align:center;box-shadow:0 1px 4px rgba(0,0,0,0.4)">${count}</div>`,
+    className: '',
+    iconSize: [size, size],
+  });
+};
+
+/**
+ * Imported competitor stores, clustered on a screen grid that is rebuilt as the map moves
+ */
+export const CompetitorLayer: React.FC<CompetitorLayerProps> = ({ points }) => {
+  const map = useMap();
+  const [view, setView] = useState(() => ({ zoom: map.getZoom(), bounds: map.getBounds() }));
+
+  useMapEvents({
+    moveend: () => setView({ zoom: map.getZoom(), bounds: map.getBounds() }),
+  });
+
+  const clusters = useMemo(() => {
+    // Only the stores in and around the view, so panning a dense map stays cheap
+    const padded = view.bounds.pad(0.5);
+    const inView = points.filter(point => padded.contains([point.lat, point.lng]));
+    return clusterPoints(inView, (lat, lng) => map.project([lat, lng], view.zoom), CLUSTER_CELL_PX);
+  }, [points, view, map]);
+
+  return (
+    <>
+      {clusters.map(cluster => {
+        if (cluster.points.length === 1) {
+          const point = cluster.points[0];
+          return (
+            <CircleMarker
+              key={point.id}
+              center={[point.lat, point.lng]}
+              radius={5}
+              pathOptions={{ color: '#fff', weight: 1.5, fillColor: COMPETITOR_COLOR, fillOpacity: 0.9 }}
+            >
+              <Tooltip>{[point.name, point.brand].filter(Boolean).join(' · ') || 'Competitor'}</Tooltip>
+            </CircleMarker>
+          );
+        }
+        return (
+          <Marker
+            key={`${cluster.points[0].id}-${cluster.points.length}`}
+            position={[cluster.lat, cluster.lng]}
+            icon={getClusterIcon(cluster.points.length)}
+            eventHandlers={{
+              click: () => {
+                const bounds = L.latLngBounds(cluster.points.map(point => [point.lat, point.lng] as [number, number]));
+                map.fitBounds(bounds, { padding: [40, 40], maxZoom: map.getMaxZoom() });
+              },
+            }}
+          >
+            <Tooltip>{cluster.points.length} competitors, click to zoom in</Tooltip>
+          </Marker>
+        );
+      })}
+    </>
+  );
+};
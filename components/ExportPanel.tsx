@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, type ExportFormat } from '../services/export';
+import { FileDown } from 'lucide-react';
+
+interface ExportPanelProps {
+  areaCount: number;            // Areas drawn on the map
+  selectedName: string | null;  // Selected area, which can be exported on its own
+  onExport: (format: ExportFormat, includeGeometry: boolean, selectedOnly: boolean) => void;
+}
+
+export const ExportPanel: React.FC<ExportPanelProps> = ({ areaCount, selectedName, onExport }) => {
+  const [format, setFormat] = useState<ExportFormat>('csv');
+  const [includeGeometry, setIncludeGeometry] = useState(true);
+  const [selectedOnly, setSelectedOnly] = useState(false);
+  const hasGeometry = EXPORT_FORMATS.find(option => option.id === format)?.hasGeometry ?? false;
+  const isSelectedOnly = selectedOnly && !!selectedName;
+  const exportCount = isSelectedOnly ? 1 : areaCount;
+
+  return (
+    <div>
+      <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-3 flex items-center">
+        <FileDown size={16} className="mr-2"/>
+        Export
+      </h2>
+      <div className="px-3 space-y-2 text-xs">
+        <div className="grid grid-cols-4 gap-1">
+          {EXPORT_FORMATS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setFormat(option.id)}
+              className={`px-1 py-1 rounded-md ${format === option.id ? 'bg-blue-600 font-semibold' : 'bg-gray-700 hover:bg-gray-600'}`}
+              aria-pressed={format === option.id}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+        {hasGeometry ? (
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeGeometry}
+              onChange={(e) => setIncludeGeometry(e.target.checked)}
+              className="h-3.5 w-3.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Include boundaries
+          </label>
+        ) : (
+          <p className="text-gray-500">Attributes only, one row per area.</p>
+        )}
+        {selectedName && (
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={selectedOnly}
+              onChange={(e) => setSelectedOnly(e.target.checked)}
+              className="h-3.5 w-3.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="truncate">Only {selectedName}</span>
+          </label>
+        )}
+        <button
+          onClick={() => onExport(format, hasGeometry && includeGeometry, isSelectedOnly)}
+          disabled={exportCount === 0}
+          className="w-full flex items-center justify-center gap-1 px-2 py-1.5 rounded-md bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <FileDown size={12} />
+          Export {exportCount.toLocaleString()} {exportCount === 1 ? 'area' : 'areas'}
+        </button>
+        <p className="text-gray-500">
+          Exports the areas on the map, after the census data filter, drill-down, query and legend filters, with every attribute and score.
+        </p>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,217 @@
+import React, { useMemo, useRef, useState } from 'react';
+import type { Feature } from 'geojson';
+import type { FormulaLayer } from '../types';
+import { FORMULA_COLOR_SCHEMES } from '../constants';
+import { FORMULA_FIELDS, FORMULA_FUNCTIONS, evaluateFormula, parseFormula } from '../services/formula';
+import { createFormulaLayerId } from '../services/formulaLayers';
+import { X, AlertTriangle, CheckCircle } from 'lucide-react';
+
+interface FormulaLayerBuilderProps {
+  layer?: FormulaLayer | null;  // Existing layer to edit; a new layer is created when omitted
+  features: Feature[];          // Currently loaded areas, used for the live preview
+  existingNames: string[];      // Names already taken by other layers
+  onSave: (layer: FormulaLayer) => void;
+  onClose: () => void;
+}
+
+const EXAMPLE_FORMULA = 'avg_income * population / (competitors + 1)';
+
+export const FormulaLayerBuilder: React.FC<FormulaLayerBuilderProps> = ({ layer, features, existingNames, onSave, onClose }) => {
+  const [name, setName] = useState(layer?.name ?? '');
+  const [expression, setExpression] = useState(layer?.expression ?? EXAMPLE_FORMULA);
+  const [colorScheme, setColorScheme] = useState<string[]>(layer?.colorScheme ?? FORMULA_COLOR_SCHEMES[0].colors);
+  const [explanation, setExplanation] = useState(layer?.explanation ?? '');
+  const expressionRef = useRef<HTMLTextAreaElement | null>(null);
+
+  const parsed = useMemo(() => parseFormula(expression), [expression]);
+
+  // Evaluate over the loaded areas so problems like division by zero show up before saving
+  const preview = useMemo(() => {
+    if (!parsed.ok) return null;
+    const withData = features.filter(f => (f.properties as any)?.hasCensusData !== false);
+    const values = withData
+      .map(f => evaluateFormula(parsed.ast, f.properties as any))
+      .filter((v): v is number => v !== null);
+    return {
+      total: withData.length,
+      defined: values.length,
+      min: values.length > 0 ? Math.min(...values) : null,
+      max: values.length > 0 ? Math.max(...values) : null,
+    };
+  }, [parsed, features]);
+
+  const trimmedName = name.trim();
+  const nameError = !trimmedName
+    ? 'Give the layer a name'
+    : existingNames.some(existing => existing.toLowerCase() === trimmedName.toLowerCase())
+      ? 'Another layer already uses this name'
+      : null;
+  const canSave = parsed.ok && !nameError;
+
+  // Insert a field or function at the cursor
+  const insertText = (text: string) => {
+    const input = expressionRef.current;
+    const start = input?.selectionStart ?? expression.length;
+    const end = input?.selectionEnd ?? expression.length;
+    const updated = expression.slice(0, start) + text + expression.slice(end);
+    setExpression(updated);
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  const handleSave = () => {
+    if (!canSave) return;
+    onSave({
+      id: layer?.id ?? createFormulaLayerId(),
+      name: trimmedName,
+      expression: expression.trim(),
+      colorScheme,
+      explanation: explanation.trim(),
+    });
+    onClose();
+  };
+
+  const formatPreviewValue = (value: number | null) =>
+    value === null ? '—' : value.toLocaleString(undefined, { maximumSignificantDigits: 4 });
+
+  return (
+    <div className="fixed inset-0 z-[2000] bg-black/50 flex items-center justify-center" onClick={onClose}>
+      <div
+        className="w-[36rem] max-w-[95vw] max-h-[95vh] overflow-y-auto bg-white text-gray-800 rounded-2xl shadow-2xl p-6"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Formula layer builder"
+      >
+        <div className="flex justify-between items-center mb-1">
+          <h2 className="text-lg font-bold">{layer ? 'Edit Formula Layer' : 'New Formula Layer'}</h2>
+          <button onClick={onClose} className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-800 transition-colors">
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">
+          Combine area fields with + − × ÷ ^ and parentheses. The layer is computed for every boundary type.
+        </p>
+
+        <label className="block text-xs font-semibold text-gray-600 mb-1" htmlFor="formula-name">Name</label>
+        <input
+          id="formula-name"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Spending power per competitor"
+          className="w-full border border-gray-300 rounded-md px-2 py-1.5 text-sm mb-1"
+        />
+        {nameError && name && <p className="text-xs text-red-600 mb-2">{nameError}</p>}
+
+        <label className="block text-xs font-semibold text-gray-600 mt-3 mb-1" htmlFor="formula-expression">Formula</label>
+        <textarea
+          id="formula-expression"
+          ref={expressionRef}
+          value={expression}
+          onChange={(e) => setExpression(e.target.value)}
+          rows={3}
+          spellCheck={false}
+          className={`w-full border rounded-md px-2 py-1.5 text-sm font-mono ${parsed.ok ? 'border-gray-300' : 'border-red-400'}`}
+        />
+        <div className="flex flex-wrap gap-1 mt-1">
+          {FORMULA_FIELDS.map(field => (
+            <button
+              key={field}
+              type="button"
+              onClick={() => insertText(field)}
+              className="px-1.5 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-[11px] font-mono text-gray-700"
+            >
+              {field}
+            </button>
+          ))}
+          {Object.keys(FORMULA_FUNCTIONS).map(fn => (
+            <button
+              key={fn}
+              type="button"
+              onClick={() => insertText(`${fn}(`)}
+              className="px-1.5 py-0.5 rounded bg-blue-50 hover:bg-blue-100 text-[11px] font-mono text-blue-700"
+            >
+              {fn}()
+            </button>
+          ))}
+        </div>
+
+        {parsed.ok ? (
+          <div className="flex items-start gap-2 p-2 mt-2 bg-green-50 border border-green-200 rounded-lg text-xs text-green-800">
+            <CheckCircle size={14} className="shrink-0 mt-0.5" />
+            {preview && (
+              <span>
+                Defined for {preview.defined} of {preview.total} areas with census data
+                {preview.defined > 0 && <>, ranging {formatPreviewValue(preview.min)} – {formatPreviewValue(preview.max)}</>}
+                {preview.defined < preview.total && '. Other areas (e.g. division by zero) show as missing.'}
+              </span>
+            )}
+          </div>
+        ) : (
+          <div className="flex items-start gap-2 p-2 mt-2 bg-red-50 border border-red-200 rounded-lg text-xs text-red-800">
+            <AlertTriangle size={14} className="shrink-0 mt-0.5" />
+            <div>
+              <p>{parsed.error}</p>
+              {expression && parsed.position < expression.length && (
+                <pre className="mt-1 font-mono text-[11px] whitespace-pre-wrap break-all">
+                  {expression.slice(0, parsed.position)}
+                  <span className="bg-red-200 underline">{expression.slice(parsed.position, parsed.position + 1)}</span>
+                  {expression.slice(parsed.position + 1)}
+                </pre>
+              )}
+            </div>
+          </div>
+        )}
+
+        <span className="block text-xs font-semibold text-gray-600 mt-3 mb-1">Color scheme</span>
+        <div className="grid grid-cols-4 gap-2">
+          {FORMULA_COLOR_SCHEMES.map(scheme => {
+            const isSelected = scheme.colors.join() === colorScheme.join();
+            return (
+              <button
+                key={scheme.id}
+                type="button"
+                onClick={() => setColorScheme(scheme.colors)}
+                className={`rounded-md p-1 border-2 ${isSelected ? 'border-blue-600' : 'border-transparent hover:border-gray-300'}`}
+                title={scheme.name}
+                aria-pressed={isSelected}
+              >
+                <div className="flex h-3 rounded overflow-hidden">
+                  {scheme.colors.map(color => (
+                    <div key={color} className="flex-1" style={{ backgroundColor: color }}></div>
+                  ))}
+                </div>
+                <span className="block text-[10px] text-gray-600 mt-0.5">{scheme.name}</span>
+              </button>
+            );
+          })}
+        </div>
+
+        <label className="block text-xs font-semibold text-gray-600 mt-3 mb-1" htmlFor="formula-explanation">Explanation</label>
+        <textarea
+          id="formula-explanation"
+          value={explanation}
+          onChange={(e) => setExplanation(e.target.value)}
+          rows={2}
+          placeholder="What the indicator means and how to read high values"
+          className="w-full border border-gray-300 rounded-md px-2 py-1.5 text-sm"
+        />
+
+        <div className="flex justify-end gap-2 mt-5">
+          <button onClick={onClose} className="px-3 py-1.5 rounded text-sm text-gray-600 hover:bg-gray-100">
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!canSave}
+            className="px-4 py-1.5 rounded bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold disabled:opacity-40"
+          >
+            {layer ? 'Save Changes' : 'Add Layer'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
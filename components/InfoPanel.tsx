@@ -1,14 +1,34 @@
 
-import React from 'react';
-import type { DistrictFeature } from '../types';
+import React, { useEffect, useMemo, useState } from 'react';
+import type { DistrictFeature, ScoringCriteria, NormalizationSettings, BaselineScope, LayerId } from '../types';
 import { ComparisonChart } from './Chart';
-import { Users, DollarSign, Building, ShieldCheck, TrendingUp, X, Sun, Info } from 'lucide-react';
-import { DATA_LAYERS } from '../constants';
+import { Users, DollarSign, Building, ShieldCheck, TrendingUp, X, Sun, Info, Award, Pin, PinOff, CornerLeftUp, ChevronsDown, FileText } from 'lucide-react';
+import { DATA_LAYERS, SCORE_METRICS } from '../constants';
 import { Tooltip } from './Tooltip';
+import { ChildAreasTable } from './ChildAreasTable';
+import { computeMetricRanges, computeScoreBreakdown, getTotalWeight } from '../services/scoring';
+import type { FeatureSensitivity } from '../services/sensitivity';
+import { BASELINE_SCOPES, hasStateBaseline } from '../services/baseline';
+import { ESTIMATE_METHOD_LABELS, hasEstimates, isLayerEstimated } from '../services/estimates';
 
 interface InfoPanelProps {
   feature: DistrictFeature | null;
   allFeatures?: DistrictFeature[];
+  comparisonFeatures?: DistrictFeature[];  // Areas the market averages are computed over (defaults to allFeatures)
+  scoringCriteria?: ScoringCriteria;
+  scoringModelName?: string;
+  sensitivity?: FeatureSensitivity;
+  sensitivityTopN?: number;
+  normalizations?: NormalizationSettings;
+  isPinned?: boolean;
+  canPin?: boolean;  // False once the comparison is full
+  onTogglePin?: () => void;
+  childAreas?: DistrictFeature[];      // Areas one level down, e.g. the DUNs of a parliament
+  childBoundaryName?: string;          // Name of the child boundary type, e.g. 'DUN'
+  onDrillDown?: () => void;            // Show the child areas on the map
+  onChildSelect?: (child: DistrictFeature) => void;
+  onDrillUp?: () => void;              // Go up to the parent area, when there is one
+  onDownloadReport?: (baseline: BaselineScope) => Promise<void>;  // One-page PDF with the panel's comparison baseline
   onClose: () => void;
 }
 
@@ -18,8 +38,9 @@ const StatCard: React.FC<{
   value: string | number, 
   color: string,
   showTooltip?: boolean,
-  shortDescription?: string
-}> = ({ icon, label, value, color, showTooltip = false, shortDescription }) => {
+  shortDescription?: string,
+  isEstimated?: boolean
+}> = ({ icon, label, value, color, showTooltip = false, shortDescription, isEstimated = false }) => {
     // Handle undefined/null values and ensure safe display
     const displayValue = value !== undefined && value !== null
         ? (typeof value === 'number' ? value.toLocaleString() : value)
@@ -33,6 +54,11 @@ const StatCard: React.FC<{
             <div className="flex-1 min-w-0">
                 <div className="flex items-center gap-1">
                     <p className="text-[10px] text-gray-500 font-medium truncate">{label}</p>
+                    {isEstimated && (
+                        <span className="text-[9px] font-semibold uppercase text-amber-700 bg-amber-100 rounded px-1" title="Imputed from the parent area's census">
+                            est.
+                        </span>
+                    )}
                     {showTooltip && shortDescription ? (
                         <Tooltip 
                             content={shortDescription}
@@ -56,23 +82,119 @@ const StatCard: React.FC<{
 };
 
 
-export const InfoPanel: React.FC<InfoPanelProps> = ({ feature, allFeatures = [], onClose }) => {
+export const InfoPanel: React.FC<InfoPanelProps> = ({
+  feature,
+  allFeatures = [],
+  comparisonFeatures,
+  scoringCriteria,
+  scoringModelName,
+  sensitivity,
+  sensitivityTopN = 10,
+  normalizations,
+  isPinned = false,
+  canPin = true,
+  onTogglePin,
+  childAreas = [],
+  childBoundaryName,
+  onDrillDown,
+  onChildSelect,
+  onDrillUp,
+  onDownloadReport,
+  onClose,
+}) => {
+  const metricRanges = useMemo(() => computeMetricRanges(allFeatures), [allFeatures]);
+  const [baseline, setBaseline] = useState<BaselineScope>('state');
+  const [isGeneratingReport, setIsGeneratingReport] = useState(false);
+  const [reportError, setReportError] = useState<string | null>(null);
+
+  // An error belongs to the area it was raised for
+  useEffect(() => {
+    setReportError(null);
+  }, [feature?.properties.id]);
+
   if (!feature) {
     return null;
   }
 
+  const scoreBreakdown = scoringCriteria && feature.properties.hasCensusData !== false
+    ? computeScoreBreakdown(feature.properties, metricRanges, scoringCriteria)
+    : null;
+  const totalWeight = scoringCriteria ? getTotalWeight(scoringCriteria) : 0;
+
   const { name, population, avg_income, competitors, site_suitability_score, public_services, night_lights, hasCensusData } = feature.properties;
   const hasData = hasCensusData !== false; // Default to true for backward compatibility
+  const comparedFeatures = comparisonFeatures ?? allFeatures;
+  // Fall back to the national baseline when the state is unknown or has no other areas with data
+  const canUseStateBaseline = hasStateBaseline(comparedFeatures, feature.properties);
+  const activeBaseline: BaselineScope = canUseStateBaseline ? baseline : 'national';
+  const isEstimated = (layerId: LayerId) => hasData && isLayerEstimated(feature.properties, layerId);
+
+  const handleDownloadReport = async () => {
+    if (!onDownloadReport) return;
+    setIsGeneratingReport(true);
+    setReportError(null);
+    try {
+      await onDownloadReport(activeBaseline);
+    } catch (error) {
+      setReportError(error instanceof Error ? error.message : 'Could not create the report');
+    } finally {
+      setIsGeneratingReport(false);
+    }
+  };
 
   return (
     <div className="w-96 bg-white rounded-2xl shadow-2xl p-6 flex flex-col max-h-[calc(100vh-2rem)] overflow-y-auto animate-fade-in-right">
       <div className="flex justify-between items-center mb-4">
-        <h2 className="text-xl font-bold text-gray-800">{name}</h2>
-        <button onClick={onClose} className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-800 transition-colors">
-            <X size={20} />
-        </button>
+        <div className="min-w-0">
+          <h2 className="text-xl font-bold text-gray-800">{name}</h2>
+          {feature.properties.census_year && (
+            <p className="text-xs text-gray-500">Census {feature.properties.census_year}</p>
+          )}
+          {onDrillUp && feature.properties.parent_name && (
+            <button
+              onClick={onDrillUp}
+              className="mt-1 flex items-center gap-1 text-xs text-blue-600 hover:underline"
+              title="Show the parent area"
+            >
+              <CornerLeftUp size={12} />
+              Up to {feature.properties.parent_name}
+            </button>
+          )}
+        </div>
+        <div className="flex items-center gap-1">
+          {onDownloadReport && (
+            <button
+              onClick={handleDownloadReport}
+              disabled={isGeneratingReport}
+              className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-800 transition-colors disabled:opacity-40 disabled:cursor-wait"
+              title={isGeneratingReport ? 'Creating the report…' : 'Download a one-page PDF report'}
+            >
+              <FileText size={18} />
+            </button>
+          )}
+          {onTogglePin && (
+            <button
+              onClick={onTogglePin}
+              disabled={!isPinned && !canPin}
+              className={`p-1.5 rounded-full transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                isPinned ? 'text-blue-600 bg-blue-50 hover:bg-blue-100' : 'text-gray-500 hover:bg-gray-100 hover:text-gray-800'
+              }`}
+              title={isPinned ? 'Remove from comparison' : canPin ? 'Pin for side-by-side comparison' : 'Comparison is full, unpin an area first'}
+              aria-pressed={isPinned}
+            >
+              {isPinned ? <PinOff size={18} /> : <Pin size={18} />}
+            </button>
+          )}
+          <button onClick={onClose} className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-800 transition-colors">
+              <X size={20} />
+          </button>
+        </div>
       </div>
       
+      {reportError && (
+        <p className="mb-4 text-xs text-red-600">{reportError}</p>
+      )}
+
       {!hasData && (
         <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
           <div className="flex items-start">
@@ -85,6 +207,36 @@ export const InfoPanel: React.FC<InfoPanelProps> = ({ feature, allFeatures = [],
         </div>
       )}
       
+      {hasData && hasEstimates(feature.properties) && (
+        <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg">
+          <p className="text-sm font-semibold text-amber-800">Estimated values</p>
+          <p className="text-xs text-amber-700 mt-1">
+            This area has no census data of its own. Values marked est. come from
+            {' '}{feature.properties.estimate_method ? ESTIMATE_METHOD_LABELS[feature.properties.estimate_method] : 'its parent area'}
+            {feature.properties.parent_name ? ` (${feature.properties.parent_name})` : ''}.
+          </p>
+        </div>
+      )}
+      
+      {hasData && sensitivity && (
+        sensitivity.isStableWinner ? (
+          <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg flex items-start">
+            <Award size={18} className="text-green-600 mr-2 shrink-0" />
+            <div>
+              <p className="text-sm font-semibold text-green-800">Stable top-{sensitivityTopN} pick</p>
+              <p className="text-xs text-green-700 mt-1">
+                Ranked #{sensitivity.baseRank}; stays in the top {sensitivityTopN} in {Math.round(sensitivity.topNProbability * 100)}% of weight scenarios.
+              </p>
+            </div>
+          </div>
+        ) : (
+          <p className="mb-4 text-xs text-gray-500">
+            Ranked #{sensitivity.baseRank} (range {Math.min(sensitivity.oneAtATime.min, sensitivity.monteCarlo.min)}–{Math.max(sensitivity.oneAtATime.max, sensitivity.monteCarlo.max)} under weight changes
+            {sensitivity.topNProbability > 0 ? `, top ${sensitivityTopN} in ${Math.round(sensitivity.topNProbability * 100)}% of scenarios` : ''})
+          </p>
+        )
+      )}
+
       <div className="grid grid-cols-2 gap-2 mb-4">
         <StatCard 
           icon={<TrendingUp size={20}/>} 
@@ -93,6 +245,7 @@ export const InfoPanel: React.FC<InfoPanelProps> = ({ feature, allFeatures = [],
           color={hasData ? "#756bb1" : "#999"}
           showTooltip={true}
           shortDescription={DATA_LAYERS.site_suitability_score?.shortDescription}
+          isEstimated={isEstimated('site_suitability_score')}
         />
         <StatCard 
           icon={<Sun size={20}/>} 
@@ -101,24 +254,30 @@ export const InfoPanel: React.FC<InfoPanelProps> = ({ feature, allFeatures = [],
           color={hasData ? "#d95f0e" : "#999"}
           showTooltip={true}
           shortDescription={DATA_LAYERS.night_lights?.shortDescription}
+          isEstimated={isEstimated('night_lights')}
         />
         <StatCard 
           icon={<Users size={20}/>} 
           label="Population" 
           value={hasData ? (population ?? 0) : 'N/A'} 
           color={hasData ? "#3182bd" : "#999"}
+          isEstimated={isEstimated('population')}
         />
         <StatCard 
           icon={<DollarSign size={20}/>} 
           label="Avg. Income" 
           value={hasData && avg_income !== undefined && avg_income !== null ? `RM ${Number(avg_income).toLocaleString()}` : 'N/A'} 
           color={hasData ? "#31a354" : "#999"}
+          isEstimated={isEstimated('avg_income')}
         />
         <StatCard 
           icon={<Building size={20}/>} 
           label="Competitors" 
           value={hasData ? (competitors ?? 0) : 'N/A'} 
           color={hasData ? "#e6550d" : "#999"}
+          showTooltip={true}
+          shortDescription={feature.properties.competitors_counted ? 'Counted from store locations' : 'Estimated from population'}
+          isEstimated={isEstimated('competitors')}
         />
         <StatCard 
           icon={<ShieldCheck size={20}/>} 
@@ -127,13 +286,91 @@ export const InfoPanel: React.FC<InfoPanelProps> = ({ feature, allFeatures = [],
           color={hasData ? "#08519c" : "#999"}
           showTooltip={true}
           shortDescription={DATA_LAYERS.public_services?.shortDescription}
+          isEstimated={isEstimated('public_services')}
         />
       </div>
 
+      {scoreBreakdown && scoringCriteria && (
+        <div className="mb-4">
+          <div className="flex items-baseline justify-between mb-2">
+            <h3 className="text-sm font-semibold text-gray-700">Score Breakdown</h3>
+            {scoringModelName && (
+              <span className="text-xs text-gray-500 truncate ml-2">Profile: {scoringModelName}</span>
+            )}
+          </div>
+          <div className="space-y-1">
+            {SCORE_METRICS.map(metric => (
+              <div key={metric} className="flex items-center text-xs gap-2">
+                <span className="w-28 text-gray-500 truncate">{DATA_LAYERS[metric].name}</span>
+                <span className="w-10 text-gray-400 tabular-nums" title="Weight share and direction">
+                  {scoringCriteria[metric].direction === 'cost' ? '−' : '+'}{totalWeight > 0 ? Math.round((scoringCriteria[metric].weight / totalWeight) * 100) : 0}%
+                </span>
+                <div className="flex-1 h-2 bg-gray-100 rounded">
+                  <div
+                    className="h-2 rounded"
+                    style={{ width: `${scoreBreakdown[metric]}%`, backgroundColor: DATA_LAYERS[metric].colorScheme[3] }}
+                  ></div>
+                </div>
+                <span className="w-10 text-right text-gray-700 tabular-nums">{scoreBreakdown[metric].toFixed(1)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {childAreas.length > 0 && (
+        <div className="mb-4">
+          <div className="flex items-baseline justify-between mb-2">
+            <h3 className="text-sm font-semibold text-gray-700">
+              {childBoundaryName ? `${childBoundaryName}s` : 'Areas'} in {name} ({childAreas.length})
+            </h3>
+            {onDrillDown && (
+              <button
+                onClick={onDrillDown}
+                className="flex items-center gap-1 text-xs text-blue-600 hover:underline shrink-0 ml-2"
+                title="Show only these areas on the map"
+              >
+                <ChevronsDown size={12} />
+                Drill down
+              </button>
+            )}
+          </div>
+          <div className="max-h-48 overflow-y-auto">
+            <ChildAreasTable areas={childAreas} onSelect={child => onChildSelect?.(child)} />
+          </div>
+        </div>
+      )}
+
       <div>
-        <h3 className="text-lg font-semibold text-gray-700 mb-3">Market Comparison</h3>
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-700">Market Comparison</h3>
+          <div className="flex gap-1" role="group" aria-label="Comparison baseline">
+            {BASELINE_SCOPES.map(scope => (
+              <button
+                key={scope.id}
+                onClick={() => setBaseline(scope.id)}
+                disabled={scope.id === 'state' && !canUseStateBaseline}
+                className={`px-2 py-0.5 rounded text-xs transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                  activeBaseline === scope.id ? 'bg-blue-600 text-white font-semibold' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }`}
+                title={scope.id === 'state' && !canUseStateBaseline ? 'No other areas with census data in this state' : undefined}
+              >
+                {scope.name}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mb-2">
+          Percentile within {activeBaseline === 'state' ? feature.properties.state : 'Malaysia'}, among areas with census data.
+          Hover a bar for values and population-weighted averages.
+        </p>
         <div className="h-64">
-            <ComparisonChart featureProperties={feature.properties} allFeatures={allFeatures} />
+            <ComparisonChart
+              featureProperties={feature.properties}
+              allFeatures={comparedFeatures}
+              normalizations={normalizations}
+              baseline={activeBaseline}
+            />
         </div>
       </div>
     </div>
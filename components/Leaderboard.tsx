@@ -0,0 +1,272 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import type { DistrictFeature, ScoreMetricId } from '../types';
+import type { RankedFeature } from '../services/topsis';
+import type { SensitivityResults, SensitivitySettings } from '../services/sensitivity';
+import { DATA_LAYERS, SCORE_METRICS, METRIC_SHORT_LABELS } from '../constants';
+import { Trophy, X, ArrowUp, ArrowDown, ShieldCheck } from 'lucide-react';
+
+interface LeaderboardProps {
+  rankings: RankedFeature[];
+  sensitivity: SensitivityResults;
+  sensitivitySettings: SensitivitySettings;
+  setSensitivitySettings: (settings: SensitivitySettings) => void;
+  selectedFeatureId?: string | null;
+  onFeatureSelect: (feature: DistrictFeature) => void;
+  onClose: () => void;
+}
+
+type LeaderboardTab = 'ranking' | 'sensitivity';
+
+type SortKey = 'rank' | 'name' | 'score' | 'suitability' | ScoreMetricId;
+
+const getSortValue = (entry: RankedFeature, key: SortKey): number | string => {
+  switch (key) {
+    case 'rank':
+      // Unranked (missing data) rows always sort after ranked ones
+      return entry.rank ?? Number.MAX_SAFE_INTEGER;
+    case 'name':
+      return entry.name.toLowerCase();
+    case 'score':
+      return entry.score;
+    case 'suitability':
+      return entry.feature.properties.site_suitability_score ?? 0;
+    default:
+      return entry.contributions[key];
+  }
+};
+
+export const Leaderboard: React.FC<LeaderboardProps> = ({
+  rankings,
+  sensitivity,
+  sensitivitySettings,
+  setSensitivitySettings,
+  selectedFeatureId,
+  onFeatureSelect,
+  onClose,
+}) => {
+  const [activeTab, setActiveTab] = useState<LeaderboardTab>('ranking');
+  const [sortKey, setSortKey] = useState<SortKey>('rank');
+  const [ascending, setAscending] = useState(true);
+  const selectedRowRef = useRef<HTMLTableRowElement | null>(null);
+
+  const sortedRankings = useMemo(() => {
+    return [...rankings].sort((a, b) => {
+      const aValue = getSortValue(a, sortKey);
+      const bValue = getSortValue(b, sortKey);
+      if (aValue < bValue) return ascending ? -1 : 1;
+      if (aValue > bValue) return ascending ? 1 : -1;
+      return 0;
+    });
+  }, [rankings, sortKey, ascending]);
+
+  // Keep the selected area visible when it is picked on the map
+  useEffect(() => {
+    selectedRowRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [selectedFeatureId]);
+
+  const handleSort = (key: SortKey) => {
+    if (key === sortKey) {
+      setAscending(!ascending);
+    } else {
+      setSortKey(key);
+      // Names and ranks read best ascending, scores descending
+      setAscending(key === 'rank' || key === 'name');
+    }
+  };
+
+  const renderSortHeader = (sortBy: SortKey, label: string, title?: string, className = '') => (
+    <th
+      key={sortBy}
+      onClick={() => handleSort(sortBy)}
+      className={`px-1.5 py-2 font-semibold cursor-pointer select-none hover:text-gray-900 ${className}`}
+      title={title}
+    >
+      <span className="inline-flex items-center gap-0.5">
+        {label}
+        {sortKey === sortBy && (ascending ? <ArrowUp size={10} /> : <ArrowDown size={10} />)}
+      </span>
+    </th>
+  );
+
+  const rankedCount = rankings.filter(entry => entry.rank !== null).length;
+  const { topN } = sensitivitySettings;
+
+  // The sensitivity table focuses on the shortlist and the areas just below it
+  const sensitivityRows = useMemo(
+    () => rankings.filter(entry => entry.rank !== null && entry.rank <= topN * 3 && sensitivity[entry.id]),
+    [rankings, sensitivity, topN]
+  );
+
+  const renderTab = (tab: LeaderboardTab, label: string) => (
+    <button
+      onClick={() => setActiveTab(tab)}
+      className={`px-3 py-1.5 text-xs font-semibold border-b-2 transition-colors ${
+        activeTab === tab ? 'border-blue-600 text-blue-700' : 'border-transparent text-gray-500 hover:text-gray-800'
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <aside className="w-[30rem] bg-white border-l border-gray-200 flex flex-col shadow-xl z-10">
+      <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200">
+        <div>
+          <h2 className="text-md font-bold text-gray-800 flex items-center gap-2">
+            <Trophy size={18} className="text-yellow-500" />
+            Ranking (TOPSIS)
+          </h2>
+          <p className="text-xs text-gray-500">{rankedCount} ranked areas · click a row to zoom</p>
+        </div>
+        <button onClick={onClose} className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-800 transition-colors">
+          <X size={18} />
+        </button>
+      </div>
+      <div className="flex px-2 border-b border-gray-200">
+        {renderTab('ranking', 'Ranking')}
+        {renderTab('sensitivity', 'Weight Sensitivity')}
+      </div>
+      {activeTab === 'ranking' ? (
+        <div className="flex-1 overflow-y-auto">
+          <table className="w-full text-xs text-gray-700">
+            <thead className="sticky top-0 bg-gray-50 text-gray-500 text-left">
+              <tr>
+                {renderSortHeader('rank', '#')}
+                {renderSortHeader('name', 'Area')}
+                {renderSortHeader('score', 'TOPSIS', 'Relative closeness to the ideal area (0-100)', 'text-right')}
+                {renderSortHeader('suitability', 'Score', DATA_LAYERS.site_suitability_score.name, 'text-right')}
+                {SCORE_METRICS.map(metric =>
+                  renderSortHeader(metric, METRIC_SHORT_LABELS[metric], `${DATA_LAYERS[metric].name} contribution (weighted points)`, 'text-right')
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedRankings.map(entry => {
+                const isSelected = entry.id === selectedFeatureId;
+                const isRanked = entry.rank !== null;
+                return (
+                  <tr
+                    key={entry.id}
+                    ref={isSelected ? selectedRowRef : undefined}
+                    onClick={() => onFeatureSelect(entry.feature)}
+                    className={`border-t border-gray-100 cursor-pointer transition-colors ${
+                      isSelected ? 'bg-blue-50' : 'hover:bg-gray-50'
+                    } ${isRanked ? '' : 'text-gray-400'}`}
+                  >
+                    <td className="px-1.5 py-1.5 tabular-nums">{entry.rank ?? '—'}</td>
+                    <td className="px-1.5 py-1.5 max-w-[9rem]" title={entry.name}>
+                      <span className="flex items-center gap-1">
+                        <span className="truncate">{entry.name}</span>
+                        {sensitivity[entry.id]?.isStableWinner && (
+                          <ShieldCheck size={12} className="shrink-0 text-green-600" aria-label={`Stable top-${topN} pick`} />
+                        )}
+                      </span>
+                    </td>
+                    <td className="px-1.5 py-1.5 text-right font-semibold tabular-nums">{isRanked ? entry.score.toFixed(1) : 'N/A'}</td>
+                    <td className="px-1.5 py-1.5 text-right tabular-nums">{isRanked ? entry.feature.properties.site_suitability_score : 'N/A'}</td>
+                    {SCORE_METRICS.map(metric => (
+                      <td key={metric} className="px-1.5 py-1.5 text-right tabular-nums text-gray-500">
+                        {isRanked ? entry.contributions[metric].toFixed(1) : '—'}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {rankings.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-8">No areas to rank.</p>
+          )}
+        </div>
+      ) : (
+        <div className="flex-1 overflow-y-auto">
+          <div className="px-4 py-3 grid grid-cols-3 gap-3 text-xs text-gray-600 border-b border-gray-100">
+            <label className="flex flex-col gap-1">
+              Shortlist size
+              <input
+                type="number"
+                min={1}
+                max={50}
+                value={topN}
+                onChange={(e) => setSensitivitySettings({ ...sensitivitySettings, topN: Math.max(1, Number(e.target.value) || 1) })}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Weight change ±{Math.round(sensitivitySettings.perturbation * 100)}%
+              <input
+                type="range"
+                min={5}
+                max={75}
+                step={5}
+                value={Math.round(sensitivitySettings.perturbation * 100)}
+                onChange={(e) => setSensitivitySettings({ ...sensitivitySettings, perturbation: Number(e.target.value) / 100 })}
+                className="accent-blue-600"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Samples
+              <select
+                value={sensitivitySettings.samples}
+                onChange={(e) => setSensitivitySettings({ ...sensitivitySettings, samples: Number(e.target.value) })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                {[100, 200, 500, 1000].map(count => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="px-4 py-2 text-[11px] text-gray-500">
+            Ranks under one-at-a-time weight sweeps and random weight samples. Areas that stay in the top {topN} in
+            every sweep and in at least 90% of samples are marked stable.
+          </p>
+          <table className="w-full text-xs text-gray-700">
+            <thead className="sticky top-0 bg-gray-50 text-gray-500 text-left">
+              <tr>
+                <th className="px-1.5 py-2 font-semibold">#</th>
+                <th className="px-1.5 py-2 font-semibold">Area</th>
+                <th className="px-1.5 py-2 font-semibold text-right" title="Best-worst rank across one-at-a-time sweeps">Sweep</th>
+                <th className="px-1.5 py-2 font-semibold text-right" title="Best-worst rank across Monte Carlo samples">Sampled</th>
+                <th className="px-1.5 py-2 font-semibold text-right" title={`Share of samples ranked in the top ${topN}`}>P(top {topN})</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sensitivityRows.map(entry => {
+                const result = sensitivity[entry.id];
+                const isSelected = entry.id === selectedFeatureId;
+                return (
+                  <tr
+                    key={entry.id}
+                    onClick={() => onFeatureSelect(entry.feature)}
+                    className={`border-t border-gray-100 cursor-pointer transition-colors ${
+                      isSelected ? 'bg-blue-50' : 'hover:bg-gray-50'
+                    } ${entry.rank === topN ? 'border-b-2 border-b-gray-300' : ''}`}
+                  >
+                    <td className="px-1.5 py-1.5 tabular-nums">{entry.rank}</td>
+                    <td className="px-1.5 py-1.5 max-w-[10rem]" title={entry.name}>
+                      <span className="flex items-center gap-1">
+                        <span className="truncate">{entry.name}</span>
+                        {result.isStableWinner && <ShieldCheck size={12} className="shrink-0 text-green-600" />}
+                      </span>
+                    </td>
+                    <td className="px-1.5 py-1.5 text-right tabular-nums">{result.oneAtATime.min}–{result.oneAtATime.max}</td>
+                    <td className="px-1.5 py-1.5 text-right tabular-nums">{result.monteCarlo.min}–{result.monteCarlo.max}</td>
+                    <td className={`px-1.5 py-1.5 text-right font-semibold tabular-nums ${
+                      result.topNProbability >= 0.9 ? 'text-green-700' : result.topNProbability >= 0.5 ? 'text-yellow-700' : 'text-gray-500'
+                    }`}>
+                      {Math.round(result.topNProbability * 100)}%
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {sensitivityRows.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-8">No ranked areas to analyse.</p>
+          )}
+        </div>
+      )}
+    </aside>
+  );
+};
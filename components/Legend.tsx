@@ -1,35 +1,220 @@
-
-import React from 'react';
-import type { DataLayerId } from '../types';
-import { DATA_LAYERS } from '../constants';
+import React, { useMemo } from 'react';
+import type { Feature } from 'geojson';
+import type { DataLayer, LayerId, ScoringCriteria, ClassBreaks, NormalizationMode } from '../types';
+import { DATA_LAYERS, SCORE_METRICS, formatLayerValue, getLayerTitle } from '../constants';
+import { getTotalWeight } from '../services/scoring';
+import { computeClassCounts, computeHistogram, getLayerValues, classifyValue } from '../services/classification';
+import { isLayerEstimated } from '../services/estimates';
 
 interface LegendProps {
-  activeLayer: DataLayerId;
+  activeLayer: LayerId;
+  dataLayers?: Record<string, DataLayer>;  // Built-in plus formula layers
+  classBreaks?: ClassBreaks | null;
+  normalization?: NormalizationMode;
+  features?: Feature[];
+  selectedValue?: number | null;  // Active layer value of the selected feature, marked on the histogram
+  showMissingData?: boolean;
+  scoringCriteria?: ScoringCriteria;
+  scoringModelName?: string;
+  highlightedClasses?: number[];
+  onClassToggle?: (classIndex: number, additive: boolean) => void;
+  onClearHighlight?: () => void;
+  hideUnhighlighted?: boolean;
+  setHideUnhighlighted?: (hide: boolean) => void;
 }
 
-export const Legend: React.FC<LegendProps> = ({ activeLayer }) => {
-  const layer = DATA_LAYERS[activeLayer];
+const HISTOGRAM_BINS = 24;
+const HISTOGRAM_WIDTH = 240;
+const HISTOGRAM_HEIGHT = 40;
+
+export const Legend: React.FC<LegendProps> = ({
+  activeLayer,
+  dataLayers = DATA_LAYERS,
+  classBreaks,
+  normalization,
+  features = [],
+  selectedValue,
+  showMissingData = false,
+  scoringCriteria,
+  scoringModelName,
+  highlightedClasses = [],
+  onClassToggle,
+  onClearHighlight,
+  hideUnhighlighted = false,
+  setHideUnhighlighted,
+}) => {
+  const layer = dataLayers[activeLayer];
+
+  const values = useMemo(() => getLayerValues(features, activeLayer, normalization), [features, activeLayer, normalization]);
+  const missingCount = useMemo(
+    () => features.filter(f => (f.properties as any)?.hasCensusData === false).length,
+    [features]
+  );
+  const estimatedCount = useMemo(
+    () => features.filter(f => (f.properties as any)?.hasCensusData !== false
+      && isLayerEstimated(f.properties as any, activeLayer, normalization)).length,
+    [features, activeLayer, normalization]
+  );
+  const classCounts = useMemo(
+    () => (classBreaks ? computeClassCounts(values, classBreaks.thresholds) : []),
+    [values, classBreaks]
+  );
+  const histogram = useMemo(
+    () => (classBreaks ? computeHistogram(values, HISTOGRAM_BINS, classBreaks.min, classBreaks.max) : []),
+    [values, classBreaks]
+  );
 
   if (!layer) {
     return null;
   }
-  
-  const { colorScheme, stops } = layer;
+
+  const totalWeight = scoringCriteria ? getTotalWeight(scoringCriteria) : 0;
+  const isHighlightActive = highlightedClasses.length > 0;
+  const maxBinCount = Math.max(...histogram.map(bin => bin.count), 1);
+  const binWidth = HISTOGRAM_WIDTH / HISTOGRAM_BINS;
+  const valueToX = (value: number) => {
+    if (!classBreaks || classBreaks.max === classBreaks.min) return 0;
+    const ratio = (value - classBreaks.min) / (classBreaks.max - classBreaks.min);
+    return Math.min(Math.max(ratio, 0), 1) * HISTOGRAM_WIDTH;
+  };
 
   return (
     <div className="bg-white bg-opacity-80 backdrop-blur-sm p-4 rounded-lg shadow-lg max-w-xs relative">
       <div className="mb-2">
-        <h3 className="font-bold text-gray-800 text-md">{layer.name}</h3>
-      </div>
-      <div className="flex items-center">
-        {colorScheme.map((color, index) => (
-          <div key={index} className="flex-1 h-3" style={{ backgroundColor: color }}></div>
-        ))}
-      </div>
-      <div className="flex justify-between text-xs text-gray-600 mt-1">
-        <span>Low</span>
-        <span>High</span>
+        <h3 className="font-bold text-gray-800 text-md">{getLayerTitle(layer, normalization)}</h3>
       </div>
+      {classBreaks ? (
+        <>
+          {values.length > 0 && (
+            <svg width={HISTOGRAM_WIDTH} height={HISTOGRAM_HEIGHT + 4} className="mb-2 block" role="img" aria-label={`Distribution of ${getLayerTitle(layer, normalization)}`}>
+              {histogram.map((bin, index) => {
+                const height = (bin.count / maxBinCount) * HISTOGRAM_HEIGHT;
+                const classIndex = classifyValue((bin.start + bin.end) / 2, classBreaks.thresholds);
+                return (
+                  <rect
+                    key={index}
+                    x={index * binWidth + 0.5}
+                    y={HISTOGRAM_HEIGHT - height}
+                    width={Math.max(binWidth - 1, 1)}
+                    height={height}
+                    fill={classBreaks.colors[Math.min(classIndex, classBreaks.colors.length - 1)]}
+                    stroke="#9ca3af"
+                    strokeWidth={0.5}
+                  >
+                    <title>{`${formatLayerValue(bin.start, activeLayer, normalization)} – ${formatLayerValue(bin.end, activeLayer, normalization)}: ${bin.count}`}</title>
+                  </rect>
+                );
+              })}
+              <line x1={0} x2={HISTOGRAM_WIDTH} y1={HISTOGRAM_HEIGHT} y2={HISTOGRAM_HEIGHT} stroke="#6b7280" strokeWidth={1} />
+              {selectedValue !== undefined && selectedValue !== null && (
+                <line
+                  x1={valueToX(selectedValue)}
+                  x2={valueToX(selectedValue)}
+                  y1={0}
+                  y2={HISTOGRAM_HEIGHT + 4}
+                  stroke="#3388ff"
+                  strokeWidth={2}
+                >
+                  <title>{`Selected: ${formatLayerValue(selectedValue, activeLayer, normalization)}`}</title>
+                </line>
+              )}
+            </svg>
+          )}
+          <div className="space-y-0.5">
+            {classBreaks.colors.map((color, index) => {
+              const lower = index === 0 ? classBreaks.min : classBreaks.thresholds[index - 1];
+              const upper = index === classBreaks.colors.length - 1 ? classBreaks.max : classBreaks.thresholds[index];
+              return (
+                <button
+                  key={index}
+                  type="button"
+                  onClick={(e) => onClassToggle?.(index, e.shiftKey)}
+                  disabled={!onClassToggle}
+                  aria-pressed={highlightedClasses.includes(index)}
+                  className={`w-full flex items-center text-xs text-gray-700 gap-2 px-1 -mx-1 rounded text-left transition-opacity ${
+                    onClassToggle ? 'hover:bg-gray-100 cursor-pointer' : 'cursor-default'
+                  } ${highlightedClasses.includes(index) ? 'bg-blue-50 font-semibold' : isHighlightActive ? 'opacity-50' : ''}`}
+                >
+                  <span className="w-4 h-3 rounded-sm border border-gray-400 shrink-0" style={{ backgroundColor: color }}></span>
+                  <span className="flex-1 tabular-nums whitespace-nowrap">
+                    {formatLayerValue(lower, activeLayer, normalization)} – {formatLayerValue(upper, activeLayer, normalization)}
+                  </span>
+                  <span className="text-gray-500 tabular-nums" title="Areas in this class">{classCounts[index] ?? 0}</span>
+                </button>
+              );
+            })}
+            {estimatedCount > 0 && (
+              <div className="flex items-center text-xs text-gray-700 gap-2" title="Imputed from the parent area's census">
+                {/* Matches the paler fill and dotted outline MapComponent uses for estimated values */}
+                <span
+                  className="w-4 h-3 rounded-sm shrink-0"
+                  style={{ backgroundColor: 'rgba(156, 163, 175, 0.5)', border: '1px dotted #666' }}
+                ></span>
+                <span className="flex-1">Estimated</span>
+                <span className="text-gray-500 tabular-nums">{estimatedCount}</span>
+              </div>
+            )}
+            {showMissingData && missingCount > 0 && (
+              <div className="flex items-center text-xs text-gray-700 gap-2">
+                {/* Matches the grey fill and dashed outline MapComponent uses for missing data */}
+                <span
+                  className="w-4 h-3 rounded-sm shrink-0"
+                  style={{ backgroundColor: 'rgba(204, 204, 204, 0.3)', border: '1px dashed #999' }}
+                ></span>
+                <span className="flex-1">No census data</span>
+                <span className="text-gray-500 tabular-nums">{missingCount}</span>
+              </div>
+            )}
+          </div>
+          {onClassToggle && (
+            isHighlightActive ? (
+              <div className="mt-2 flex items-center justify-between gap-2 text-xs text-gray-600">
+                <label className="flex items-center gap-1.5 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={hideUnhighlighted}
+                    onChange={(e) => setHideUnhighlighted?.(e.target.checked)}
+                    className="accent-blue-600"
+                  />
+                  Hide other areas
+                </label>
+                <button type="button" onClick={onClearHighlight} className="text-blue-600 hover:underline">
+                  Clear
+                </button>
+              </div>
+            ) : (
+              <p className="mt-2 text-[10px] text-gray-500">Click a class to highlight it, shift-click to add more.</p>
+            )
+          )}
+        </>
+      ) : (
+        <>
+          <div className="flex items-center">
+            {layer.colorScheme.map((color, index) => (
+              <div key={index} className="flex-1 h-3" style={{ backgroundColor: color }}></div>
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-600 mt-1">
+            <span>Low</span>
+            <span>High</span>
+          </div>
+        </>
+      )}
+      {activeLayer === 'site_suitability_score' && scoringCriteria && (
+        <div className="mt-2 pt-2 border-t border-gray-200 text-[10px] text-gray-600 space-y-0.5">
+          {scoringModelName && (
+            <div className="font-semibold text-gray-700 text-xs mb-1">Profile: {scoringModelName}</div>
+          )}
+          {SCORE_METRICS.filter(metric => scoringCriteria[metric].weight > 0).map(metric => (
+            <div key={metric} className="flex justify-between gap-3">
+              <span className="truncate">
+                {scoringCriteria[metric].direction === 'cost' ? '−' : '+'} {DATA_LAYERS[metric].name}
+              </span>
+              <span className="tabular-nums">{Math.round((scoringCriteria[metric].weight / totalWeight) * 100)}%</span>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
@@ -1,22 +1,72 @@
 
 import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
-import { MapContainer, TileLayer, GeoJSON, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, GeoJSON, useMap, useMapEvents } from 'react-leaflet';
 // FIX: Import L from leaflet to resolve reference error.
 import L, { type LatLngExpression, type LatLngBounds } from 'leaflet';
 // FIX: Import GeoJSON types to resolve namespace errors.
 import type { Feature, FeatureCollection } from 'geojson';
-import type { DistrictFeature, DataLayerId } from '../types';
-import { DATA_LAYERS, getLayerColor, MALAYSIA_CENTER, MALAYSIA_ZOOM, MALAYSIA_BOUNDS } from '../constants';
+import type { DataLayer, DistrictFeature, LayerId, ClassBreaks, NormalizationMode, QueryMode, CompetitorPoint, CandidateSite } from '../types';
+import { DATA_LAYERS, getLayerColor, formatLayerValue, getLayerTitle, MALAYSIA_CENTER, MALAYSIA_ZOOM, MALAYSIA_BOUNDS, BASEMAP_URL, BASEMAP_ATTRIBUTION } from '../constants';
+import { classifyValue } from '../services/classification';
+import { PIN_COLORS } from '../services/comparison';
+import { getLayerValue } from '../services/normalization';
+import { isInScope, type DrillScope } from '../services/hierarchy';
+import { isLayerEstimated } from '../services/estimates';
+import { CompetitorLayer } from './CompetitorLayer';
+import { CatchmentLayer, type CatchmentOverlay } from './CatchmentLayer';
+import { CandidateSiteLayer } from './CandidateSiteLayer';
+import type { LatLng } from '../services/catchment';
+import type { MapView } from '../services/urlState';
 
 interface MapComponentProps {
   // FIX: Use imported FeatureCollection type.
   data: FeatureCollection | null;
-  activeLayer: DataLayerId;
+  activeLayer: LayerId;
+  dataLayers?: Record<string, DataLayer>;  // Built-in plus formula layers
   onFeatureSelect: (feature: DistrictFeature) => void;
   selectedFeature: DistrictFeature | null;
   showMissingData?: boolean;  // Toggle to show/hide features without census data
+  focusRequest?: FocusRequest | null;  // Zoom to a feature picked outside the map (e.g. leaderboard)
+  classBreaks?: ClassBreaks | null;     // Data-driven classes for the active layer
+  normalization?: NormalizationMode;    // Absolute, per-capita or per-km² view of the active layer
+  highlightedClasses?: number[];        // Legend classes picked by the user; other areas are dimmed
+  hideUnhighlighted?: boolean;          // Hide, rather than dim, areas outside the highlighted classes
+  queryMatchIds?: Set<string> | null;   // Areas matching the attribute query, null when no query is active
+  queryMode?: QueryMode;                // Dim non-matching areas or hide them
+  pinnedIds?: string[];                 // Areas pinned for comparison, outlined in their pin color
+  scope?: DrillScope | null;            // Drill-down scope; areas outside it are not drawn
+  competitorPoints?: CompetitorPoint[]; // Imported competitor stores, drawn as clustered markers
+  catchment?: CatchmentOverlay | null;  // Catchment tool; while set, clicks place the catchment instead of selecting
+  onCatchmentPlace?: (center: LatLng) => void;
+  candidateSites?: CandidateSite[];     // Candidate site pins
+  selectedSiteId?: string | null;
+  onSiteSelect?: (siteId: string) => void;
+  onSitePlace?: (position: LatLng) => void;  // Set while dropping a new pin; clicks then place it instead of selecting
+  onViewChange?: (view: MapView) => void;    // Called after every pan or zoom
 }
 
+// requestId changes on every request so re-focusing the same feature still zooms.
+// featureIds zooms to the combined extent of several areas, e.g. the children after a drill-down;
+// position centres on a point instead, e.g. a candidate site; view restores an exact view, e.g. from a link.
+export interface FocusRequest {
+  featureId?: string;
+  featureIds?: string[];
+  position?: LatLng;
+  view?: MapView;
+  requestId: number;
+}
+
+// Closest zoom a position focus moves out to; closer views are kept
+const POSITION_FOCUS_ZOOM = 12;
+
+/**
+ * Features a focus request points at, in the given data
+ */
+const getFocusTargets = (request: FocusRequest, data: FeatureCollection): Feature[] => {
+  const ids = new Set(request.featureIds ?? (request.featureId ? [request.featureId] : []));
+  return data.features.filter(f => ids.has((f.properties as any)?.id));
+};
+
 // Component to fit map bounds to GeoJSON data
 const FitBounds = ({ bounds, padding = [50, 50] }: { bounds: LatLngBounds | null, padding?: [number, number] }) => {
   const map = useMap();
@@ -44,29 +94,104 @@ const MapController = ({ onMapReady }: { onMapReady: (map: L.Map) => void }) =>
   return null;
 };
 
-export const MapComponent: React.FC<MapComponentProps> = ({ data, activeLayer, onFeatureSelect, selectedFeature, showMissingData = true }) => {
+// Reports the map's centre and zoom whenever the user or the app moves it
+const ViewTracker = ({ onViewChange }: { onViewChange: (view: MapView) => void }) => {
+  const map = useMapEvents({
+    moveend: () => {
+      const center = map.getCenter();
+      onViewChange({ center: { lat: center.lat, lng: center.lng }, zoom: map.getZoom() });
+    },
+  });
+  return null;
+};
+
+export const MapComponent: React.FC<MapComponentProps> = ({
+  data,
+  activeLayer,
+  dataLayers = DATA_LAYERS,
+  onFeatureSelect,
+  selectedFeature,
+  showMissingData = true,
+  focusRequest,
+  classBreaks,
+  normalization,
+  highlightedClasses = [],
+  hideUnhighlighted = false,
+  queryMatchIds = null,
+  queryMode = 'highlight',
+  pinnedIds = [],
+  scope = null,
+  competitorPoints = [],
+  catchment = null,
+  onCatchmentPlace,
+  candidateSites = [],
+  selectedSiteId = null,
+  onSiteSelect,
+  onSitePlace,
+  onViewChange,
+}) => {
   const [bounds, setBounds] = useState<LatLngBounds | null>(null);
   const mapRef = useRef<L.Map | null>(null);
+  // A focus request may arrive before the boundary type it targets has loaded, so it is applied once, when its areas exist
+  const handledFocusRef = useRef<number | null>(null);
+
+  const isHighlightActive = highlightedClasses.length > 0 && !!classBreaks;
+
+  // Whether a feature falls in one of the highlighted legend classes (missing data never does)
+  const isHighlighted = useCallback((props: any): boolean => {
+    if (!classBreaks || props.hasCensusData === false) return false;
+    const value = getLayerValue(props, activeLayer, normalization);
+    if (value === null) return false;
+    const classIndex = classifyValue(value, classBreaks.thresholds);
+    return highlightedClasses.includes(Math.min(classIndex, classBreaks.colors.length - 1));
+  }, [classBreaks, activeLayer, normalization, highlightedClasses]);
   
+  // Areas inside the drill-down scope; the map fits to these
+  const scopedData = useMemo(() => {
+    if (!data || !scope) return data;
+    return { ...data, features: data.features.filter(f => isInScope(f.properties as any, scope)) } as FeatureCollection;
+  }, [data, scope]);
+
   // Memoize filtered feature collection to prevent unnecessary GeoJSON component remounts
   const filteredData = useMemo(() => {
-    if (!data) return null;
+    if (!scopedData) return null;
     
-    const filteredFeatures = showMissingData 
-      ? data.features 
-      : data.features.filter(f => (f.properties as any).hasCensusData !== false);
+    let filteredFeatures = showMissingData 
+      ? scopedData.features 
+      : scopedData.features.filter(f => (f.properties as any).hasCensusData !== false);
+
+    if (isHighlightActive && hideUnhighlighted) {
+      filteredFeatures = filteredFeatures.filter(f => isHighlighted(f.properties));
+    }
+
+    if (queryMatchIds && queryMode === 'filter') {
+      filteredFeatures = filteredFeatures.filter(f => queryMatchIds.has(String((f.properties as any).id)));
+    }
     
     return {
-      ...data,
+      ...scopedData,
       features: filteredFeatures
     } as FeatureCollection;
-  }, [data, showMissingData]);
+  }, [scopedData, showMissingData, isHighlightActive, hideUnhighlighted, isHighlighted, queryMatchIds, queryMode]);
+
+  // Leaflet's GeoJSON layer only reads its data on mount, so bump a revision
+  // whenever the features change (e.g. rescoring) to force a remount
+  const dataRevisionRef = useRef(0);
+  const dataRevision = useMemo(() => {
+    dataRevisionRef.current += 1;
+    return dataRevisionRef.current;
+  }, [filteredData]);
   
   // Calculate bounds from GeoJSON data when it loads or changes
   useEffect(() => {
-    if (data && data.features.length > 0) {
+    // A pending focus request for this data zooms in on its own; fitting the whole extent would override it
+    if (focusRequest && handledFocusRef.current !== focusRequest.requestId
+      && scopedData && (focusRequest.view || getFocusTargets(focusRequest, scopedData).length > 0)) {
+      return;
+    }
+    if (scopedData && scopedData.features.length > 0) {
       try {
-        const geoJsonLayer = L.geoJSON(data);
+        const geoJsonLayer = L.geoJSON(scopedData);
         const calculatedBounds = geoJsonLayer.getBounds();
         if (calculatedBounds.isValid()) {
           setBounds(calculatedBounds);
@@ -83,13 +208,43 @@ export const MapComponent: React.FC<MapComponentProps> = ({ data, activeLayer, o
       // If no data, use default Malaysia bounds
       setBounds(L.latLngBounds(MALAYSIA_BOUNDS[0], MALAYSIA_BOUNDS[1]));
     }
-  }, [data]);
+    // The focus request is read, not tracked: a new request must not refit the whole extent
+  }, [scopedData]);
 
   // Handle map instance ready
   const handleMapReady = useCallback((map: L.Map) => {
     mapRef.current = map;
   }, []);
 
+  // Zoom to the feature(s) requested from outside the map
+  useEffect(() => {
+    if (!focusRequest || !mapRef.current || !scopedData) return;
+    if (handledFocusRef.current === focusRequest.requestId) return;
+    if (focusRequest.position) {
+      handledFocusRef.current = focusRequest.requestId;
+      const { lat, lng } = focusRequest.position;
+      mapRef.current.setView([lat, lng], Math.max(mapRef.current.getZoom(), POSITION_FOCUS_ZOOM));
+      return;
+    }
+    if (focusRequest.view) {
+      handledFocusRef.current = focusRequest.requestId;
+      const { center, zoom } = focusRequest.view;
+      mapRef.current.setView([center.lat, center.lng], zoom);
+      return;
+    }
+    const targets = getFocusTargets(focusRequest, scopedData);
+    if (targets.length === 0) return;
+    handledFocusRef.current = focusRequest.requestId;
+    try {
+      const targetBounds = L.geoJSON({ type: 'FeatureCollection', features: targets } as FeatureCollection).getBounds();
+      if (targetBounds.isValid()) {
+        mapRef.current.fitBounds(targetBounds, { padding: [50, 50], maxZoom: 11 });
+      }
+    } catch (error) {
+      console.error('Error zooming to feature:', error);
+    }
+  }, [focusRequest, scopedData]);
+
   // Reset map to Malaysia view
   const resetToMalaysia = () => {
     if (mapRef.current) {
@@ -111,25 +266,62 @@ export const MapComponent: React.FC<MapComponentProps> = ({ data, activeLayer, o
     }
     const props = feature.properties as any;
     const hasData = props.hasCensusData !== false; // Default to true if not set (backward compatibility)
-    const value = props[activeLayer] || 0;
-    const color = hasData ? getLayerColor(value, activeLayer) : '#cccccc'; // Grey for missing data
+    const value = getLayerValue(props, activeLayer, normalization);
+    // Grey for missing data, and for relative views whose population or area is unknown
+    const color = hasData && value !== null ? getLayerColor(value, activeLayer, classBreaks) : '#cccccc';
     const isSelected = selectedFeature?.properties.id === feature.properties.id;
+    const pinIndex = pinnedIds.indexOf(props.id);
+    // Dashed for missing data, dotted and paler for values imputed from the parent area
+    const isEstimated = hasData && isLayerEstimated(props, activeLayer, normalization);
+    const dashArray = !hasData ? '5,5' : isEstimated ? '2,4' : undefined;
+
+    // Dim everything outside the highlighted legend classes or the attribute query matches
+    const isDimmed = (isHighlightActive && !isHighlighted(props))
+      || (queryMatchIds !== null && queryMode === 'highlight' && !queryMatchIds.has(String(props.id)));
+    if (isDimmed && !isSelected && pinIndex === -1) {
+      return {
+        fillColor: color,
+        weight: 0.5,
+        opacity: 0.3,
+        color: '#bbb',
+        fillOpacity: 0.1,
+        dashArray,
+      };
+    }
+
+    if (pinIndex !== -1) {
+      return {
+        fillColor: color,
+        weight: isSelected ? 4 : 3,
+        opacity: 1,
+        color: PIN_COLORS[pinIndex],
+        fillOpacity: hasData ? 0.7 : 0.3,
+        dashArray,
+      };
+    }
 
     return {
       fillColor: color,
       weight: isSelected ? 3 : 1.5,
       opacity: hasData ? 1 : 0.5, // Reduced opacity for missing data
       color: isSelected ? '#3388ff' : (hasData ? '#666' : '#999'),
-      fillOpacity: hasData ? 0.7 : 0.3, // Lower opacity for missing data
-      // Add pattern for missing data (will use CSS-like approach)
-      dashArray: hasData ? undefined : '5,5', // Dashed border for missing data
+      fillOpacity: !hasData ? 0.3 : isEstimated ? 0.5 : 0.7, // Lower opacity for missing and estimated data
+      dashArray,
     };
   };
 
+  // Layer event handlers are bound once per GeoJSON mount, so they read the latest style through a ref
+  const geoJsonStyleRef = useRef(geoJsonStyle);
+  geoJsonStyleRef.current = geoJsonStyle;
+  const isPlacingRef = useRef(false);
+  isPlacingRef.current = !!catchment || !!onSitePlace;
+
   // FIX: Use imported Feature type.
   const onEachFeature = (feature: Feature, layer: any) => {
     layer.on({
       click: () => {
+        // The click reaches the map too, where the catchment tool or a new site pin is placed
+        if (isPlacingRef.current) return;
         // Ensure feature has the correct structure before selecting
         const districtFeature = feature as DistrictFeature;
         // Validate that properties exist
@@ -153,26 +345,26 @@ export const MapComponent: React.FC<MapComponentProps> = ({ data, activeLayer, o
       },
       mouseout: (e: any) => {
         const layer = e.target;
-        // The geoJsonRef is not available here, so we reset to a style that matches the logic
-        const isSelected = selectedFeature?.properties.id === feature.properties.id;
-        layer.setStyle({
-            weight: isSelected ? 3 : 1.5,
-            color: isSelected ? '#3388ff' : '#666',
-            fillOpacity: 0.7
-        });
+        // The geoJsonRef is not available here, so we reset to the style computed for this feature
+        layer.setStyle(geoJsonStyleRef.current(feature));
       },
     });
     const props = feature.properties as any;
-    const layerInfo = DATA_LAYERS[activeLayer];
-    const value = props[activeLayer];
+    // Number pinned areas so they can be matched with the comparison drawer at any zoom
+    const pinIndex = pinnedIds.indexOf(props.id);
+    if (pinIndex !== -1) {
+      layer.bindTooltip(String(pinIndex + 1), { permanent: true, direction: 'center', className: 'font-bold' });
+    }
+    const layerInfo = dataLayers[activeLayer];
+    const value = getLayerValue(props, activeLayer, normalization);
     const hasData = props.hasCensusData !== false; // Default to true if not set
     
     // FIX: Handle undefined/null values and ensure value is a number before calling toLocaleString
     let displayValue: string;
     if (!hasData) {
       displayValue = 'Data not available';
-    } else if (value !== undefined && value !== null) {
-      displayValue = Number(value).toLocaleString();
+    } else if (value !== null) {
+      displayValue = formatLayerValue(value, activeLayer, normalization);
     } else {
       displayValue = 'N/A';
     }
@@ -186,10 +378,10 @@ export const MapComponent: React.FC<MapComponentProps> = ({ data, activeLayer, o
     const tooltipContent = `
         <div class="font-bold text-base mb-2">${props.name || 'Unknown'}</div>
         <div class="mb-2">
-            <div class="font-semibold text-sm text-gray-700">${layerInfo.name}: ${displayValue}</div>
+            <div class="font-semibold text-sm text-gray-700">${getLayerTitle(layerInfo, normalization)}: ${displayValue}</div>
         </div>
         <div class="text-gray-600 border-t pt-2 mt-2" style="max-width: 350px; word-wrap: break-word; overflow-wrap: anywhere; white-space: pre-line; font-size: 14px; line-height: 1.5; padding: 14px 0; max-height: 300px; overflow-y: auto;">
-            ${formatExplanation(layerInfo.fullExplanation)}
+            ${formatExplanation(layerInfo?.fullExplanation ?? '')}
         </div>
         ${!hasData ? '<div class="text-xs text-yellow-700 mt-2 pt-2 border-t">⚠️ Census data not available for this area</div>' : ''}
     `;
@@ -210,19 +402,29 @@ export const MapComponent: React.FC<MapComponentProps> = ({ data, activeLayer, o
         maxBoundsViscosity={1.0}
       >
         <MapController onMapReady={handleMapReady} />
+        {onViewChange && <ViewTracker onViewChange={onViewChange} />}
         <FitBounds bounds={bounds} />
-        <TileLayer
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
-          url="https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png"
-        />
+        <TileLayer attribution={BASEMAP_ATTRIBUTION} url={BASEMAP_URL} />
         {filteredData && (
           <GeoJSON
-            key={`${activeLayer}-${selectedFeature?.properties.id || 'none'}`}
+            key={`${activeLayer}-${normalization}-${selectedFeature?.properties.id || 'none'}-${pinnedIds.join(',')}-${dataRevision}`}
             data={filteredData}
             style={geoJsonStyle}
             onEachFeature={onEachFeature}
           />
         )}
+        {competitorPoints.length > 0 && <CompetitorLayer points={competitorPoints} />}
+        {catchment && onCatchmentPlace && (
+          <CatchmentLayer overlay={catchment} onPlace={onCatchmentPlace} />
+        )}
+        {(candidateSites.length > 0 || onSitePlace) && (
+          <CandidateSiteLayer
+            sites={candidateSites}
+            selectedSiteId={selectedSiteId}
+            onSiteSelect={siteId => onSiteSelect?.(siteId)}
+            onPlace={onSitePlace}
+          />
+        )}
       </MapContainer>
       {/* Reset to Malaysia button - positioned bottom-right for better UX */}
       <button
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import type { AttributeQuery, DataLayer, QueryCondition, QueryMode, SavedQuery } from '../types';
+import { QUERY_OPERATORS, EMPTY_QUERY, createCondition, describeQuery, isQueryActive } from '../services/attributeQuery';
+import { Filter, Plus, X, Save, Trash2 } from 'lucide-react';
+
+interface QueryBuilderProps {
+  query: AttributeQuery;
+  setQuery: (query: AttributeQuery) => void;
+  queryMode: QueryMode;
+  setQueryMode: (mode: QueryMode) => void;
+  matchCount: number | null;  // null while no query is active
+  totalCount: number;
+  dataLayers: Record<string, DataLayer>;
+  savedQueries: SavedQuery[];
+  onSaveQuery: (name: string) => void;
+  onDeleteQuery: (queryId: string) => void;
+}
+
+export const QueryBuilder: React.FC<QueryBuilderProps> = ({
+  query,
+  setQuery,
+  queryMode,
+  setQueryMode,
+  matchCount,
+  totalCount,
+  dataLayers,
+  savedQueries,
+  onSaveQuery,
+  onDeleteQuery,
+}) => {
+  const [newQueryName, setNewQueryName] = useState('');
+  const [selectedSavedId, setSelectedSavedId] = useState('');
+  const layers = Object.values<DataLayer>(dataLayers);
+
+  const updateCondition = (conditionId: string, changes: Partial<QueryCondition>) => {
+    setQuery({
+      conditions: query.conditions.map(condition => (condition.id === conditionId ? { ...condition, ...changes } : condition)),
+    });
+  };
+
+  const addCondition = () => {
+    setQuery({ conditions: [...query.conditions, createCondition(layers[0]?.id ?? 'population')] });
+  };
+
+  const removeCondition = (conditionId: string) => {
+    setQuery({ conditions: query.conditions.filter(condition => condition.id !== conditionId) });
+  };
+
+  const handleLoadSaved = (queryId: string) => {
+    setSelectedSavedId(queryId);
+    const saved = savedQueries.find(entry => entry.id === queryId);
+    if (saved) setQuery(saved.query);
+  };
+
+  const handleSave = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newQueryName.trim() || !isQueryActive(query)) return;
+    onSaveQuery(newQueryName);
+    setNewQueryName('');
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider flex items-center">
+          <Filter size={16} className="mr-2"/>
+          Query
+        </h2>
+        {query.conditions.length > 0 && (
+          <button
+            onClick={() => {
+              setQuery(EMPTY_QUERY);
+              setSelectedSavedId('');
+            }}
+            className="text-xs text-gray-400 hover:text-white"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="px-3 space-y-2">
+        {savedQueries.length > 0 && (
+          <div className="flex items-center gap-2">
+            <select
+              value={selectedSavedId}
+              onChange={(e) => handleLoadSaved(e.target.value)}
+              className="flex-1 min-w-0 bg-gray-700 text-xs rounded-md px-2 py-1.5 border border-gray-600 focus:outline-none focus:ring-1 focus:ring-blue-500"
+              aria-label="Saved queries"
+            >
+              <option value="">Load saved query...</option>
+              {savedQueries.map(saved => (
+                <option key={saved.id} value={saved.id}>{saved.name}</option>
+              ))}
+            </select>
+            {selectedSavedId && (
+              <button
+                onClick={() => {
+                  onDeleteQuery(selectedSavedId);
+                  setSelectedSavedId('');
+                }}
+                className="p-1.5 rounded text-gray-400 hover:text-red-400 hover:bg-gray-700 transition-colors"
+                title="Delete this saved query"
+              >
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+        )}
+
+        {query.conditions.map((condition, index) => (
+          <div key={condition.id}>
+            {index > 0 && (
+              <div className="flex gap-1 mb-1" role="group" aria-label="Combine with previous condition">
+                {(['and', 'or'] as const).map(join => (
+                  <button
+                    key={join}
+                    onClick={() => updateCondition(condition.id, { join })}
+                    className={`px-2 py-0.5 rounded text-[10px] font-semibold uppercase ${
+                      condition.join === join ? 'bg-blue-600' : 'bg-gray-700 text-gray-400 hover:bg-gray-600'
+                    }`}
+                  >
+                    {join}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center gap-1">
+              <select
+                value={condition.layerId}
+                onChange={(e) => updateCondition(condition.id, { layerId: e.target.value as QueryCondition['layerId'] })}
+                className="flex-1 min-w-0 bg-gray-700 text-xs rounded-md px-1.5 py-1 border border-gray-600"
+                aria-label="Metric"
+              >
+                {!dataLayers[condition.layerId] && <option value={condition.layerId}>(deleted layer)</option>}
+                {layers.map(layer => (
+                  <option key={layer.id} value={layer.id}>{layer.name}</option>
+                ))}
+              </select>
+              <select
+                value={condition.operator}
+                onChange={(e) => updateCondition(condition.id, { operator: e.target.value as QueryCondition['operator'] })}
+                className="w-12 bg-gray-700 text-xs rounded-md px-1 py-1 border border-gray-600"
+                aria-label="Operator"
+              >
+                {QUERY_OPERATORS.map(operator => (
+                  <option key={operator} value={operator}>{operator === '!=' ? '≠' : operator}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={condition.value ?? ''}
+                onChange={(e) => updateCondition(condition.id, { value: e.target.value === '' ? null : Number(e.target.value) })}
+                placeholder="value"
+                className="w-20 bg-gray-700 text-xs rounded-md px-1.5 py-1 border border-gray-600 placeholder-gray-500"
+                aria-label="Value"
+              />
+              <button
+                onClick={() => removeCondition(condition.id)}
+                className="p-1 rounded text-gray-400 hover:text-white hover:bg-gray-700"
+                title="Remove condition"
+              >
+                <X size={12} />
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <button
+          onClick={addCondition}
+          className="w-full flex items-center justify-center gap-1.5 px-3 py-1.5 rounded-md text-xs text-gray-300 border border-dashed border-gray-600 hover:bg-gray-700 hover:text-white transition-colors"
+        >
+          <Plus size={14} />
+          Add condition
+        </button>
+
+        {matchCount !== null && (
+          <>
+            <p className="text-[11px] text-gray-400 break-words">{describeQuery(query, dataLayers)}</p>
+            <p className="text-xs text-gray-300">
+              <span className="font-semibold text-white tabular-nums">{matchCount}</span> of {totalCount} areas match
+            </p>
+            <div className="flex gap-1" role="group" aria-label="Show matches">
+              {([['highlight', 'Highlight'], ['filter', 'Show only matches']] as const).map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => setQueryMode(mode)}
+                  className={`flex-1 px-2 py-1 rounded text-xs transition-colors ${
+                    queryMode === mode ? 'bg-blue-600 font-semibold' : 'bg-gray-700 hover:bg-gray-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <form onSubmit={handleSave} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={newQueryName}
+                onChange={(e) => setNewQueryName(e.target.value)}
+                placeholder="Save query as..."
+                className="flex-1 min-w-0 bg-gray-700 text-xs rounded-md px-2 py-1.5 border border-gray-600 placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={!newQueryName.trim()}
+                className="p-1.5 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:text-gray-500 transition-colors"
+                title="Save query"
+              >
+                <Save size={14} />
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
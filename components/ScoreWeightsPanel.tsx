@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import type { ScoreMetricId, ScoringCriteria, ScoringProfile } from '../types';
+import { DATA_LAYERS, SCORE_METRICS, DEFAULT_SCORING_CRITERIA } from '../constants';
+import { getTotalWeight } from '../services/scoring';
+import { SlidersHorizontal, RotateCcw, Save, Trash2, Scale } from 'lucide-react';
+import { AhpWizard } from './AhpWizard';
+
+interface ScoreWeightsPanelProps {
+  scoringCriteria: ScoringCriteria;
+  setScoringCriteria: (criteria: ScoringCriteria) => void;
+  profiles: ScoringProfile[];
+  activeProfileId: string;
+  isProfileModified: boolean;
+  onSelectProfile: (profileId: string) => void;
+  onSaveProfile: (name: string) => void;
+  onDeleteProfile: (profileId: string) => void;
+}
+
+export const ScoreWeightsPanel: React.FC<ScoreWeightsPanelProps> = ({
+  scoringCriteria,
+  setScoringCriteria,
+  profiles,
+  activeProfileId,
+  isProfileModified,
+  onSelectProfile,
+  onSaveProfile,
+  onDeleteProfile,
+}) => {
+  const [newProfileName, setNewProfileName] = useState('');
+  const [showAhpWizard, setShowAhpWizard] = useState(false);
+  const totalWeight = getTotalWeight(scoringCriteria);
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+  const builtInProfiles = profiles.filter(profile => profile.builtIn);
+  const customProfiles = profiles.filter(profile => !profile.builtIn);
+
+  const updateCriterion = (metric: ScoreMetricId, changes: Partial<ScoringCriteria[ScoreMetricId]>) => {
+    setScoringCriteria({
+      ...scoringCriteria,
+      [metric]: { ...scoringCriteria[metric], ...changes },
+    });
+  };
+
+  const handleSave = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newProfileName.trim()) return;
+    onSaveProfile(newProfileName);
+    setNewProfileName('');
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider flex items-center">
+          <SlidersHorizontal size={16} className="mr-2"/>
+          Score Weights
+        </h2>
+        <button
+          onClick={() => setScoringCriteria(activeProfile?.criteria ?? DEFAULT_SCORING_CRITERIA)}
+          className="p-1 rounded text-gray-400 hover:text-white hover:bg-gray-700 transition-colors"
+          title="Reset to the profile's weights"
+        >
+          <RotateCcw size={14} />
+        </button>
+      </div>
+
+      <div className="px-3 mb-3">
+        <div className="flex items-center gap-2">
+          <select
+            value={activeProfileId}
+            onChange={(e) => onSelectProfile(e.target.value)}
+            className="flex-1 bg-gray-700 text-sm rounded-md px-2 py-1.5 border border-gray-600 focus:outline-none focus:ring-1 focus:ring-blue-500"
+            aria-label="Scoring profile"
+          >
+            <optgroup label="Presets">
+              {builtInProfiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </optgroup>
+            {customProfiles.length > 0 && (
+              <optgroup label="My Profiles">
+                {customProfiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          {activeProfile && !activeProfile.builtIn && (
+            <button
+              onClick={() => onDeleteProfile(activeProfile.id)}
+              className="p-1.5 rounded text-gray-400 hover:text-red-400 hover:bg-gray-700 transition-colors"
+              title="Delete this profile"
+            >
+              <Trash2 size={14} />
+            </button>
+          )}
+        </div>
+        {activeProfile?.description && (
+          <p className="text-xs text-gray-500 mt-1">{activeProfile.description}</p>
+        )}
+        {isProfileModified && (
+          <p className="text-xs text-yellow-400 mt-1">Weights modified from this profile.</p>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {SCORE_METRICS.map(metric => {
+          const criterion = scoringCriteria[metric];
+          const share = totalWeight > 0 ? Math.round((criterion.weight / totalWeight) * 100) : 0;
+          const isCost = criterion.direction === 'cost';
+          return (
+            <div key={metric} className="px-3">
+              <div className="flex items-center justify-between text-xs mb-1">
+                <span className="font-medium text-gray-200 truncate">{DATA_LAYERS[metric].name}</span>
+                <div className="flex items-center gap-2">
+                  <span className="text-gray-400 tabular-nums">{share}%</span>
+                  <button
+                    onClick={() => updateCriterion(metric, { direction: isCost ? 'benefit' : 'cost' })}
+                    className={`w-5 h-5 rounded text-xs font-bold transition-colors ${
+                      isCost ? 'bg-red-600/70 hover:bg-red-600' : 'bg-green-600/70 hover:bg-green-600'
+                    }`}
+                    title={isCost ? 'Higher values lower the score (click to flip)' : 'Higher values raise the score (click to flip)'}
+                  >
+                    {isCost ? '−' : '+'}
+                  </button>
+                </div>
+              </div>
+              <input
+                type="range"
+                min={0}
+                max={100}
+                step={1}
+                value={criterion.weight}
+                onChange={(e) => updateCriterion(metric, { weight: Number(e.target.value) })}
+                className="w-full h-1.5 accent-blue-500 cursor-pointer"
+                aria-label={`${DATA_LAYERS[metric].name} weight`}
+              />
+            </div>
+          );
+        })}
+      </div>
+      {totalWeight === 0 && (
+        <p className="text-xs text-yellow-400 mt-2 px-3">
+          All weights are zero - every area scores 0.
+        </p>
+      )}
+
+      <div className="px-3 mt-3">
+        <button
+          onClick={() => setShowAhpWizard(true)}
+          className="w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-md text-xs bg-gray-700 hover:bg-gray-600 transition-colors"
+          title="Answer pairwise comparisons to derive weights (Analytic Hierarchy Process)"
+        >
+          <Scale size={14} />
+          Derive weights from comparisons
+        </button>
+      </div>
+
+      <form onSubmit={handleSave} className="flex items-center gap-2 mt-3 px-3">
+        <input
+          type="text"
+          value={newProfileName}
+          onChange={(e) => setNewProfileName(e.target.value)}
+          placeholder="Save weights as profile..."
+          className="flex-1 min-w-0 bg-gray-700 text-xs rounded-md px-2 py-1.5 border border-gray-600 placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!newProfileName.trim()}
+          className="p-1.5 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:text-gray-500 transition-colors"
+          title="Save as new profile"
+        >
+          <Save size={14} />
+        </button>
+      </form>
+
+      {showAhpWizard && (
+        <AhpWizard
+          scoringCriteria={scoringCriteria}
+          onApply={setScoringCriteria}
+          onClose={() => setShowAhpWizard(false)}
+        />
+      )}
+    </div>
+  );
+};
@@ -1,25 +1,165 @@
 
-import React from 'react';
-import type { DataLayerId, BoundaryTypeId } from '../types';
-import { DATA_LAYERS, BOUNDARIES } from '../constants';
-import { Layers, Landmark, Map } from 'lucide-react';
+import React, { useState } from 'react';
+import type { Feature } from 'geojson';
+import type { DataLayer, LayerId, BoundaryTypeId, ScoringCriteria, ScoringProfile, ClassificationSettings, ClassBreaks, NormalizationSettings, FormulaLayer, AttributeQuery, QueryMode, SavedQuery, GrowthPeriod, CompetitorPoint, CandidateSite } from '../types';
+import type { CandidateSiteAreas } from '../services/candidateSites';
+import type { AreaSearchIndex, AreaSearchResult } from '../services/search';
+import type { ExportFormat } from '../services/export';
+import { BOUNDARIES, GROWTH_LAYERS, NORMALIZATION_MODES } from '../constants';
+import { getLayerNormalizations, getNormalization } from '../services/normalization';
+import { Layers, Landmark, Map, BarChart3, Sigma, Pencil, Trash2, Plus, TrendingUp } from 'lucide-react';
+import { ScoreWeightsPanel } from './ScoreWeightsPanel';
+import { ClassificationPanel } from './ClassificationPanel';
+import { FormulaLayerBuilder } from './FormulaLayerBuilder';
+import { QueryBuilder } from './QueryBuilder';
+import { TimeSlider } from './TimeSlider';
+import { CompetitorImport } from './CompetitorImport';
+import { CandidateSites } from './CandidateSites';
+import { AreaSearch } from './AreaSearch';
+import { ExportPanel } from './ExportPanel';
 
 interface SidebarProps {
-  activeLayer: DataLayerId;
-  setActiveLayer: (layer: DataLayerId) => void;
+  activeLayer: LayerId;
+  setActiveLayer: (layer: LayerId) => void;
+  dataLayers: Record<string, DataLayer>;  // Built-in plus formula layers
+  formulaLayers: FormulaLayer[];
+  onSaveFormulaLayer: (layer: FormulaLayer) => void;
+  onDeleteFormulaLayer: (layerId: string) => void;
+  features: Feature[];  // Loaded areas, for the formula preview
   activeBoundary: BoundaryTypeId;
   setActiveBoundary: (boundary: BoundaryTypeId) => void;
+  searchIndex: AreaSearchIndex;
+  isSearchIndexing: boolean;
+  onSearchActivate: () => void;
+  onSearchSelect: (result: AreaSearchResult) => void;
+  censusYears: number[];
+  censusYear: number | null;
+  setCensusYear: (year: number | null) => void;
+  growthPeriod: GrowthPeriod | null;
+  setGrowthPeriod: (period: GrowthPeriod) => void;
   showMissingData: boolean;
   setShowMissingData: (show: boolean) => void;
+  scoringCriteria: ScoringCriteria;
+  setScoringCriteria: (criteria: ScoringCriteria) => void;
+  scoringProfiles: ScoringProfile[];
+  activeProfileId: string;
+  isProfileModified: boolean;
+  onSelectProfile: (profileId: string) => void;
+  onSaveProfile: (name: string) => void;
+  onDeleteProfile: (profileId: string) => void;
+  showLeaderboard: boolean;
+  setShowLeaderboard: (show: boolean) => void;
+  showCatchment: boolean;
+  setShowCatchment: (show: boolean) => void;
+  classification: ClassificationSettings;
+  setClassification: (settings: ClassificationSettings) => void;
+  normalizations: NormalizationSettings;
+  setNormalizations: (settings: NormalizationSettings) => void;
+  classBreaks?: ClassBreaks | null;
+  attributeQuery: AttributeQuery;
+  setAttributeQuery: (query: AttributeQuery) => void;
+  queryMode: QueryMode;
+  setQueryMode: (mode: QueryMode) => void;
+  queryMatchCount: number | null;
+  queryTotalCount: number;
+  savedQueries: SavedQuery[];
+  onSaveQuery: (name: string) => void;
+  onDeleteQuery: (queryId: string) => void;
+  competitorCount: number;
+  showCompetitorPoints: boolean;
+  setShowCompetitorPoints: (show: boolean) => void;
+  onImportCompetitors: (points: CompetitorPoint[]) => void;
+  onClearCompetitors: () => void;
+  candidateSites: CandidateSite[];
+  siteAreas: Map<string, CandidateSiteAreas>;
+  selectedSiteId: string | null;
+  onSiteSelect: (siteId: string) => void;
+  isPlacingSite: boolean;
+  setIsPlacingSite: (placing: boolean) => void;
+  onImportSites: (sites: CandidateSite[]) => number;  // Returns how many were added
+  onExportSites: () => void;
+  exportAreaCount: number;            // Areas drawn on the map, which the export writes
+  selectedAreaName: string | null;
+  onExport: (format: ExportFormat, includeGeometry: boolean, selectedOnly: boolean) => void;
 }
 
-export const Sidebar: React.FC<SidebarProps> = ({ activeLayer, setActiveLayer, activeBoundary, setActiveBoundary, showMissingData, setShowMissingData }) => {
+export const Sidebar: React.FC<SidebarProps> = ({
+  activeLayer,
+  setActiveLayer,
+  dataLayers,
+  formulaLayers,
+  onSaveFormulaLayer,
+  onDeleteFormulaLayer,
+  features,
+  activeBoundary,
+  setActiveBoundary,
+  searchIndex,
+  isSearchIndexing,
+  onSearchActivate,
+  onSearchSelect,
+  censusYears,
+  censusYear,
+  setCensusYear,
+  growthPeriod,
+  setGrowthPeriod,
+  showMissingData,
+  setShowMissingData,
+  scoringCriteria,
+  setScoringCriteria,
+  scoringProfiles,
+  activeProfileId,
+  isProfileModified,
+  onSelectProfile,
+  onSaveProfile,
+  onDeleteProfile,
+  showLeaderboard,
+  setShowLeaderboard,
+  showCatchment,
+  setShowCatchment,
+  classification,
+  setClassification,
+  normalizations,
+  setNormalizations,
+  classBreaks,
+  attributeQuery,
+  setAttributeQuery,
+  queryMode,
+  setQueryMode,
+  queryMatchCount,
+  queryTotalCount,
+  savedQueries,
+  onSaveQuery,
+  onDeleteQuery,
+  competitorCount,
+  showCompetitorPoints,
+  setShowCompetitorPoints,
+  onImportCompetitors,
+  onClearCompetitors,
+  candidateSites,
+  siteAreas,
+  selectedSiteId,
+  onSiteSelect,
+  isPlacingSite,
+  setIsPlacingSite,
+  onImportSites,
+  onExportSites,
+  exportAreaCount,
+  selectedAreaName,
+  onExport,
+}) => {
+  const [editingFormula, setEditingFormula] = useState<FormulaLayer | null>(null);
+  const [showFormulaBuilder, setShowFormulaBuilder] = useState(false);
+  const activeLayerInfo = dataLayers[activeLayer];
+  const activeNormalization = activeLayerInfo ? getNormalization(normalizations, activeLayerInfo) : 'absolute';
+
   return (
-    <aside className="w-80 bg-gray-800 text-white p-6 flex flex-col space-y-8 shadow-2xl z-20">
+    <aside className="w-80 bg-gray-800 text-white p-6 flex flex-col space-y-8 shadow-2xl z-20 overflow-y-auto">
       <div className="flex items-center space-x-3">
         <Map size={32} className="text-blue-400" />
         <h1 className="text-2xl font-bold tracking-tight">GeoIntel</h1>
       </div>
+
+      <AreaSearch index={searchIndex} isIndexing={isSearchIndexing} onActivate={onSearchActivate} onSelect={onSearchSelect} />
       
       <div>
         <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-3 flex items-center">
@@ -43,33 +183,189 @@ export const Sidebar: React.FC<SidebarProps> = ({ activeLayer, setActiveLayer, a
         </div>
       </div>
 
+      <TimeSlider
+        years={censusYears}
+        censusYear={censusYear}
+        setCensusYear={setCensusYear}
+        growthPeriod={growthPeriod}
+        setGrowthPeriod={setGrowthPeriod}
+      />
+
       <div>
         <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-3 flex items-center">
           <Layers size={16} className="mr-2"/>
           Data Layers
         </h2>
         <div className="space-y-1">
-          {Object.values(DATA_LAYERS).map(layer => (
-            <label
-              key={layer.id}
-              className={`flex items-center p-3 rounded-lg cursor-pointer transition-all ${
-                activeLayer === layer.id ? 'bg-gray-700' : 'hover:bg-gray-700/50'
-              }`}
-            >
-              <input
-                type="radio"
-                name="dataLayer"
-                value={layer.id}
-                checked={activeLayer === layer.id}
-                onChange={() => setActiveLayer(layer.id)}
-                className="h-4 w-4 rounded-full border-gray-300 text-blue-600 focus:ring-blue-500"
-              />
-              <span className="ml-3 text-sm font-medium">{layer.name}</span>
-            </label>
-          ))}
+          {Object.values<DataLayer>(dataLayers).map(layer => {
+            const formula = formulaLayers.find(entry => entry.id === layer.id);
+            const isGrowthLayer = layer.id in GROWTH_LAYERS;
+            return (
+              <div key={layer.id} className={`rounded-lg transition-all ${activeLayer === layer.id ? 'bg-gray-700' : 'hover:bg-gray-700/50'}`}>
+                <label className="flex items-center p-3 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="dataLayer"
+                    value={layer.id}
+                    checked={activeLayer === layer.id}
+                    onChange={() => setActiveLayer(layer.id)}
+                    className="h-4 w-4 rounded-full border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  {formula && (
+                    <Sigma size={14} className="ml-3 shrink-0 text-gray-400" aria-label="Formula layer" />
+                  )}
+                  {isGrowthLayer && (
+                    <TrendingUp size={14} className="ml-3 shrink-0 text-gray-400" aria-label="Growth layer" />
+                  )}
+                  <span className={`${formula || isGrowthLayer ? 'ml-1.5' : 'ml-3'} text-sm font-medium flex-1 truncate`} title={layer.shortDescription}>
+                    {layer.name}
+                  </span>
+                  {formula && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.preventDefault();
+                          setEditingFormula(formula);
+                          setShowFormulaBuilder(true);
+                        }}
+                        className="p-1 rounded text-gray-400 hover:text-white hover:bg-gray-600"
+                        title="Edit formula"
+                      >
+                        <Pencil size={13} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.preventDefault();
+                          onDeleteFormulaLayer(layer.id);
+                        }}
+                        className="p-1 rounded text-gray-400 hover:text-red-400 hover:bg-gray-600"
+                        title="Delete formula layer"
+                      >
+                        <Trash2 size={13} />
+                      </button>
+                    </>
+                  )}
+                </label>
+                {activeLayer === layer.id && getLayerNormalizations(layer).length > 1 && (
+                  <div className="flex gap-1 px-3 pb-3" role="group" aria-label={`Normalize ${layer.name}`}>
+                    {NORMALIZATION_MODES.filter(mode => getLayerNormalizations(layer).includes(mode.id)).map(mode => (
+                      <button
+                        key={mode.id}
+                        onClick={() => setNormalizations({ ...normalizations, [layer.id]: mode.id })}
+                        className={`flex-1 px-2 py-1 rounded text-xs transition-colors ${
+                          activeNormalization === mode.id ? 'bg-blue-600 font-semibold' : 'bg-gray-600 hover:bg-gray-500'
+                        }`}
+                      >
+                        {mode.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
         </div>
+        <button
+          type="button"
+          onClick={() => {
+            setEditingFormula(null);
+            setShowFormulaBuilder(true);
+          }}
+          className="mt-2 w-full flex items-center justify-center gap-1.5 px-3 py-2 rounded-md text-xs text-gray-300 border border-dashed border-gray-600 hover:bg-gray-700 hover:text-white transition-colors"
+        >
+          <Plus size={14} />
+          New formula layer
+        </button>
+        {showFormulaBuilder && (
+          <FormulaLayerBuilder
+            layer={editingFormula}
+            features={features}
+            existingNames={Object.values<DataLayer>(dataLayers).filter(layer => layer.id !== editingFormula?.id).map(layer => layer.name)}
+            onSave={onSaveFormulaLayer}
+            onClose={() => setShowFormulaBuilder(false)}
+          />
+        )}
       </div>
 
+      <ClassificationPanel
+        dataLayers={dataLayers}
+        activeLayer={activeLayer}
+        classification={classification}
+        setClassification={setClassification}
+        normalization={activeNormalization}
+        classBreaks={classBreaks}
+      />
+
+      <ScoreWeightsPanel
+        scoringCriteria={scoringCriteria}
+        setScoringCriteria={setScoringCriteria}
+        profiles={scoringProfiles}
+        activeProfileId={activeProfileId}
+        isProfileModified={isProfileModified}
+        onSelectProfile={onSelectProfile}
+        onSaveProfile={onSaveProfile}
+        onDeleteProfile={onDeleteProfile}
+      />
+
+      <div>
+        <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-3 flex items-center">
+          <BarChart3 size={16} className="mr-2"/>
+          Analysis
+        </h2>
+        <label className="flex items-center p-3 rounded-lg cursor-pointer transition-all hover:bg-gray-700/50">
+          <input
+            type="checkbox"
+            checked={showLeaderboard}
+            onChange={(e) => setShowLeaderboard(e.target.checked)}
+            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span className="ml-3 text-sm font-medium">Show ranking leaderboard</span>
+        </label>
+        <label className="flex items-center p-3 rounded-lg cursor-pointer transition-all hover:bg-gray-700/50">
+          <input
+            type="checkbox"
+            checked={showCatchment}
+            onChange={(e) => setShowCatchment(e.target.checked)}
+            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span className="ml-3 text-sm font-medium">Radius catchment tool</span>
+        </label>
+      </div>
+
+      <QueryBuilder
+        query={attributeQuery}
+        setQuery={setAttributeQuery}
+        queryMode={queryMode}
+        setQueryMode={setQueryMode}
+        matchCount={queryMatchCount}
+        totalCount={queryTotalCount}
+        dataLayers={dataLayers}
+        savedQueries={savedQueries}
+        onSaveQuery={onSaveQuery}
+        onDeleteQuery={onDeleteQuery}
+      />
+
+      <CompetitorImport
+        pointCount={competitorCount}
+        showPoints={showCompetitorPoints}
+        setShowPoints={setShowCompetitorPoints}
+        onImport={onImportCompetitors}
+        onClear={onClearCompetitors}
+      />
+
+      <CandidateSites
+        sites={candidateSites}
+        siteAreas={siteAreas}
+        selectedSiteId={selectedSiteId}
+        onSiteSelect={onSiteSelect}
+        isPlacing={isPlacingSite}
+        setIsPlacing={setIsPlacingSite}
+        onImport={onImportSites}
+        onExport={onExportSites}
+      />
+
       <div>
         <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-3 flex items-center">
           <Layers size={16} className="mr-2"/>
@@ -90,6 +386,8 @@ export const Sidebar: React.FC<SidebarProps> = ({ activeLayer, setActiveLayer, a
           </p>
         )}
       </div>
+
+      <ExportPanel areaCount={exportAreaCount} selectedName={selectedAreaName} onExport={onExport} />
     </aside>
   );
 };
@@ -0,0 +1,83 @@
+import React from 'react';
+import type { GrowthPeriod } from '../types';
+import { CalendarRange } from 'lucide-react';
+
+interface TimeSliderProps {
+  years: number[];                 // Census years in the loaded data, ascending
+  censusYear: number | null;       // null shows the latest year
+  setCensusYear: (year: number | null) => void;
+  growthPeriod: GrowthPeriod | null;
+  setGrowthPeriod: (period: GrowthPeriod) => void;
+}
+
+export const TimeSlider: React.FC<TimeSliderProps> = ({ years, censusYear, setCensusYear, growthPeriod, setGrowthPeriod }) => {
+  if (years.length < 2) {
+    return null;
+  }
+
+  const latestYear = years[years.length - 1];
+  const yearIndex = Math.max(years.indexOf(censusYear ?? latestYear), 0);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-400 uppercase tracking-wider flex items-center">
+          <CalendarRange size={16} className="mr-2"/>
+          Census Year
+        </h2>
+        <span className="text-sm font-semibold tabular-nums">{years[yearIndex]}</span>
+      </div>
+      <div className="px-3 space-y-3">
+        <div>
+          <input
+            type="range"
+            min={0}
+            max={years.length - 1}
+            step={1}
+            value={yearIndex}
+            onChange={(e) => {
+              const year = years[Number(e.target.value)];
+              setCensusYear(year === latestYear ? null : year);
+            }}
+            className="w-full accent-blue-500"
+            aria-label="Census year"
+            aria-valuetext={String(years[yearIndex])}
+          />
+          <div className="flex justify-between text-[10px] text-gray-500 tabular-nums">
+            {years.map(year => <span key={year}>{year}</span>)}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Every layer, including the score, is recomputed for the chosen year.</p>
+        </div>
+
+        {growthPeriod && (
+          <div>
+            <p className="text-xs text-gray-400 mb-1">Growth layers compare</p>
+            <div className="flex items-center gap-2 text-xs">
+              <select
+                value={growthPeriod.fromYear}
+                onChange={(e) => setGrowthPeriod({ ...growthPeriod, fromYear: Number(e.target.value) })}
+                className="flex-1 bg-gray-700 rounded-md px-2 py-1 border border-gray-600"
+                aria-label="Growth from year"
+              >
+                {years.filter(year => year < growthPeriod.toYear).map(year => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </select>
+              <span className="text-gray-400">to</span>
+              <select
+                value={growthPeriod.toYear}
+                onChange={(e) => setGrowthPeriod({ ...growthPeriod, toYear: Number(e.target.value) })}
+                className="flex-1 bg-gray-700 rounded-md px-2 py-1 border border-gray-600"
+                aria-label="Growth to year"
+              >
+                {years.filter(year => year > growthPeriod.fromYear).map(year => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
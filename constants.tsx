@@ -1,6 +1,7 @@
 
-import type { DataLayer, BoundaryType } from './types';
+import type { DataLayer, DataLayerId, GrowthLayerId, BoundaryType, ScoreMetricId, ScoringCriteria, ScoringProfile, ClassBreaks, ClassificationMethod, ClassificationSettings, NormalizationMode } from './types';
 import { scaleQuantile } from 'd3-scale';
+import { classifyValue } from './services/classification';
 
 export const DATA_LAYERS: Record<string, DataLayer> = {
   population: {
@@ -13,6 +14,7 @@ export const DATA_LAYERS: Record<string, DataLayer> = {
     context: 'Based on official census records from the Department of Statistics Malaysia (DOSM).',
     colorScheme: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'],
     stops: [10000, 25000, 50000, 100000, 200000],
+    normalizations: ['per_area'],
   },
   avg_income: {
     id: 'avg_income',
@@ -24,6 +26,7 @@ export const DATA_LAYERS: Record<string, DataLayer> = {
     context: 'Data sourced from DOSM Household Income and Expenditure Survey.',
     colorScheme: ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'],
     stops: [3000, 4500, 6000, 7500, 9000],
+    valuePrefix: 'RM ',
   },
   competitors: {
     id: 'competitors',
@@ -35,6 +38,7 @@ export const DATA_LAYERS: Record<string, DataLayer> = {
     context: 'Based on business registration and commercial activity records.',
     colorScheme: ['#feedde', '#fdbe85', '#fd8d3c', '#e6550d', '#a63603'],
     stops: [5, 10, 20, 35, 50],
+    normalizations: ['per_capita', 'per_area'],
   },
   site_suitability_score: {
     id: 'site_suitability_score',
@@ -45,7 +49,7 @@ export const DATA_LAYERS: Record<string, DataLayer> = {
     measurementMethod: 'Weighted combination of demographic, economic, and infrastructure factors normalized to a 0-100 scale.',
     context: 'Composite index derived from multiple data sources including census, economic, and infrastructure data.',
     colorScheme: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f'],
-    stops: [40, 55, 70, 85, 100],
+    stops: [20, 40, 60, 80, 100],
   },
   night_lights: {
     id: 'night_lights',
@@ -68,16 +72,194 @@ export const DATA_LAYERS: Record<string, DataLayer> = {
     context: 'Based on public facility registrations and infrastructure mapping data.',
     colorScheme: ['#e3f2fd', '#90caf9', '#42a5f5', '#1e88e5', '#1565c0'],
     stops: [5, 10, 15, 20, 30],
+    normalizations: ['per_capita', 'per_area'],
+  },
+};
+
+// Red for decline through yellow to green for growth
+const GROWTH_COLOR_SCHEME = ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641'];
+
+// Derived layers comparing two census years; only offered when the data has a time series
+export const GROWTH_LAYERS: Record<GrowthLayerId, DataLayer> = {
+  population_change: {
+    id: 'population_change',
+    name: 'Population Change',
+    description: 'Change in residents between the two chosen census years.',
+    shortDescription: 'Residents gained or lost between the chosen census years.',
+    fullExplanation: '**Population Change**\n\nNumber of residents gained (positive) or lost (negative) between the two census years chosen in the sidebar.\n\nLarge gains point to new housing and growing catchments.',
+    measurementMethod: 'Population in the later census year minus population in the earlier one.',
+    colorScheme: GROWTH_COLOR_SCHEME,
+    stops: [],
+  },
+  population_cagr: {
+    id: 'population_cagr',
+    name: 'Population Growth Rate',
+    description: 'Compound annual growth rate of the population between the two chosen census years.',
+    shortDescription: 'Average yearly population growth between the chosen census years.',
+    fullExplanation: '**Population Growth Rate**\n\nCompound annual growth rate (CAGR) of the population between the two census years chosen in the sidebar.\n\nUnlike the absolute change it does not favour already-large areas, so it is the better signal for up-and-coming areas.',
+    measurementMethod: 'CAGR = (later population / earlier population) ^ (1 / years between them) − 1.',
+    colorScheme: GROWTH_COLOR_SCHEME,
+    stops: [],
+    valueSuffix: '%',
+  },
+  avg_income_change: {
+    id: 'avg_income_change',
+    name: 'Income Change',
+    description: 'Change in average monthly household income between the two chosen census years.',
+    shortDescription: 'Change in average household income between the chosen census years.',
+    fullExplanation: '**Income Change**\n\nChange in average monthly household income (RM) between the two census years chosen in the sidebar.\n\nNot adjusted for inflation.',
+    measurementMethod: 'Average income in the later census year minus average income in the earlier one.',
+    colorScheme: GROWTH_COLOR_SCHEME,
+    stops: [],
+    valuePrefix: 'RM ',
+  },
+  avg_income_cagr: {
+    id: 'avg_income_cagr',
+    name: 'Income Growth Rate',
+    description: 'Compound annual growth rate of average household income between the two chosen census years.',
+    shortDescription: 'Average yearly income growth between the chosen census years.',
+    fullExplanation: '**Income Growth Rate**\n\nCompound annual growth rate (CAGR) of average monthly household income between the two census years chosen in the sidebar.\n\nNominal growth: compare it with inflation over the same period.',
+    measurementMethod: 'CAGR = (later income / earlier income) ^ (1 / years between them) − 1.',
+    colorScheme: GROWTH_COLOR_SCHEME,
+    stops: [],
+    valueSuffix: '%',
   },
 };
 
 export const BOUNDARIES: BoundaryType[] = [
+  { id: 'state', name: 'State' },
   { id: 'district', name: 'District' },
   { id: 'parliament', name: 'Parliament' },
   { id: 'dun', name: 'DUN' },
 ];
 
-export const getLayerColor = (value: number, layerId: keyof typeof DATA_LAYERS) => {
+// Compact column headers for tables
+export const METRIC_SHORT_LABELS: Record<DataLayerId, string> = {
+  population: 'Pop',
+  avg_income: 'Inc',
+  competitors: 'Comp',
+  public_services: 'Svc',
+  night_lights: 'NL',
+  site_suitability_score: 'Score',
+};
+
+// Metrics combined into the site suitability score, in display order
+export const SCORE_METRICS: ScoreMetricId[] = ['population', 'avg_income', 'competitors', 'public_services', 'night_lights'];
+
+// Default weights for the client-side scoring engine (see services/scoring.ts)
+export const DEFAULT_SCORING_CRITERIA: ScoringCriteria = {
+  population: { weight: 30, direction: 'benefit' },
+  avg_income: { weight: 25, direction: 'benefit' },
+  competitors: { weight: 15, direction: 'cost' },  // More competitors make a site less attractive
+  public_services: { weight: 15, direction: 'benefit' },
+  night_lights: { weight: 15, direction: 'benefit' },
+};
+
+// Built-in scoring presets per business type; user-defined profiles are kept in localStorage
+export const BUILT_IN_SCORING_PROFILES: ScoringProfile[] = [
+  {
+    id: 'balanced',
+    name: 'Balanced',
+    description: 'General-purpose weighting across all factors.',
+    criteria: DEFAULT_SCORING_CRITERIA,
+    builtIn: true,
+  },
+  {
+    id: 'fnb',
+    name: 'F&B',
+    description: 'Restaurants and cafes: foot traffic and evening activity matter most.',
+    criteria: {
+      population: { weight: 30, direction: 'benefit' },
+      avg_income: { weight: 20, direction: 'benefit' },
+      competitors: { weight: 20, direction: 'cost' },
+      public_services: { weight: 5, direction: 'benefit' },
+      night_lights: { weight: 25, direction: 'benefit' },
+    },
+    builtIn: true,
+  },
+  {
+    id: 'retail',
+    name: 'Retail',
+    description: 'Fashion and lifestyle retail: spending power first.',
+    criteria: {
+      population: { weight: 25, direction: 'benefit' },
+      avg_income: { weight: 35, direction: 'benefit' },
+      competitors: { weight: 15, direction: 'cost' },
+      public_services: { weight: 10, direction: 'benefit' },
+      night_lights: { weight: 15, direction: 'benefit' },
+    },
+    builtIn: true,
+  },
+  {
+    id: 'clinic',
+    name: 'Clinic',
+    description: 'Private clinics: large catchments underserved by public facilities.',
+    criteria: {
+      population: { weight: 30, direction: 'benefit' },
+      avg_income: { weight: 20, direction: 'benefit' },
+      competitors: { weight: 20, direction: 'cost' },
+      public_services: { weight: 20, direction: 'cost' },  // Public healthcare competes for the same patients
+      night_lights: { weight: 10, direction: 'benefit' },
+    },
+    builtIn: true,
+  },
+  {
+    id: 'convenience',
+    name: 'Convenience Store',
+    description: 'Dense, busy neighbourhoods with few nearby competitors.',
+    criteria: {
+      population: { weight: 35, direction: 'benefit' },
+      avg_income: { weight: 10, direction: 'benefit' },
+      competitors: { weight: 25, direction: 'cost' },
+      public_services: { weight: 5, direction: 'benefit' },
+      night_lights: { weight: 25, direction: 'benefit' },
+    },
+    builtIn: true,
+  },
+];
+
+export const DEFAULT_SCORING_PROFILE_ID = 'balanced';
+
+export const CLASSIFICATION_METHODS: { id: ClassificationMethod; name: string }[] = [
+  { id: 'quantile', name: 'Quantile' },
+  { id: 'equal_interval', name: 'Equal Interval' },
+  { id: 'jenks', name: 'Natural Breaks (Jenks)' },
+  { id: 'std_dev', name: 'Standard Deviation' },
+  { id: 'manual', name: 'Manual' },
+];
+
+export const NORMALIZATION_MODES: { id: NormalizationMode; name: string; unit: string }[] = [
+  { id: 'absolute', name: 'Total', unit: '' },
+  { id: 'per_capita', name: 'Per 10k residents', unit: ' per 10k residents' },
+  { id: 'per_area', name: 'Per km²', unit: ' /km²' },
+];
+
+// Sequential color ramps offered for formula layers
+export const FORMULA_COLOR_SCHEMES: { id: string; name: string; colors: string[] }[] = [
+  { id: 'purples', name: 'Purples', colors: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f'] },
+  { id: 'blues', name: 'Blues', colors: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'] },
+  { id: 'greens', name: 'Greens', colors: ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'] },
+  { id: 'oranges', name: 'Oranges', colors: ['#feedde', '#fdbe85', '#fd8d3c', '#e6550d', '#a63603'] },
+  { id: 'reds', name: 'Reds', colors: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15'] },
+  { id: 'teals', name: 'Teals', colors: ['#f6eff7', '#bdc9e1', '#67a9cf', '#1c9099', '#016c59'] },
+  { id: 'viridis', name: 'Viridis', colors: ['#fde725', '#5ec962', '#21918c', '#3b528b', '#440154'] },
+];
+
+export const MIN_CLASS_COUNT = 3;
+export const MAX_CLASS_COUNT = 9;
+
+export const DEFAULT_CLASSIFICATION: ClassificationSettings = {
+  method: 'quantile',
+  classCount: 5,
+  manualBreaks: {},
+};
+
+export const getLayerColor = (value: number, layerId: keyof typeof DATA_LAYERS, breaks?: ClassBreaks | null) => {
+    // Data-driven classes (see services/classification.ts); formula layers always have them
+    if (breaks && breaks.colors.length > 0) {
+      return breaks.colors[Math.min(classifyValue(value, breaks.thresholds), breaks.colors.length - 1)];
+    }
+
     const layer = DATA_LAYERS[layerId];
     if (!layer) return '#cccccc';
     
@@ -88,6 +270,30 @@ export const getLayerColor = (value: number, layerId: keyof typeof DATA_LAYERS)
     return colorScale(value);
 };
 
+/**
+ * Format a layer value for display, with the layer's unit
+ */
+export const formatLayerValue = (value: number, layerId: keyof typeof DATA_LAYERS, normalization: NormalizationMode = 'absolute'): string => {
+  const layer = DATA_LAYERS[layerId] ?? GROWTH_LAYERS[layerId as GrowthLayerId];
+  const magnitude = Math.abs(value);
+  // Relative values can be small fractions, so keep two significant digits below 1
+  const formatted = magnitude > 0 && magnitude < 1
+    ? Number(value).toLocaleString(undefined, { maximumSignificantDigits: 2 })
+    : Number(value).toLocaleString(undefined, { maximumFractionDigits: magnitude >= 100 ? 0 : 1 });
+  const unit = NORMALIZATION_MODES.find(mode => mode.id === normalization)?.unit ?? '';
+  return `${layer?.valuePrefix ?? ''}${formatted}${layer?.valueSuffix ?? ''}${unit}`;
+};
+
+/**
+ * Layer name with its normalization, e.g. "Competitors per 10k residents"
+ */
+export const getLayerTitle = (layer: DataLayer | undefined, normalization: NormalizationMode = 'absolute'): string => {
+  const name = layer?.name ?? '';
+  if (normalization === 'per_capita') return `${name} per 10k residents`;
+  if (normalization === 'per_area') return `${name} per km²`;
+  return name;
+};
+
 // Malaysia map configuration
 export const MALAYSIA_CENTER: [number, number] = [4.2, 109.0]; // Geographic center of Malaysia
 export const MALAYSIA_ZOOM = 6; // Country-level zoom
@@ -95,3 +301,7 @@ export const MALAYSIA_BOUNDS: [[number, number], [number, number]] = [
   [0.85, 99.5],  // Southwest corner (southern tip of Johor, western tip of Perlis)
   [7.5, 119.5]   // Northeast corner (northern tip of Perlis, eastern tip of Sabah)
 ];
+
+// Basemap tiles, shared by the map and the report snapshot; {r} is '@2x' on high-density screens
+export const BASEMAP_URL = 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png';
+export const BASEMAP_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
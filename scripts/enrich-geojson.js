@@ -1,8 +1,16 @@
 /**
  * Script to enrich GeoJSON boundary files with demographic data from CSV files
  * 
- * Usage: node scripts/enrich-geojson.js [boundaryType]
- * boundaryType: 'district', 'parliament', or 'dun'
+ * Usage: node scripts/enrich-geojson.js [boundaryType] [--impute[=siblings|area]] [--competitors=<file>]
+ * boundaryType: 'district', 'parliament', 'dun', or 'state'
+ * ('state' dissolves the enriched districts, so run 'district' first)
+ *
+ * --impute fills DUNs without census data from their parliament's census:
+ *   siblings (default) - the parliament total minus the DUNs that have data, split among the missing DUNs by area
+ *   area               - the parliament total split among all of its DUNs by area
+ *
+ * --competitors counts the store locations in a CSV (lat/lng columns) or GeoJSON (points) file
+ * into each boundary, replacing the population-based competitor estimate
  */
 
 import fs from 'fs';
@@ -15,6 +23,8 @@ const __dirname = path.dirname(__filename);
 // Configuration
 const DOSM_DATA_DIR = path.join(__dirname, '..', 'dosm-data', 'data-open', 'datasets');
 const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'data');
+// State › parliament › DUN hierarchy, used to link each DUN to its parliament for drill-down
+const HIERARCHY_CSV = path.join(DOSM_DATA_DIR, 'geodata', 'state_parlimen_dun.csv');
 
 // CSV to GeoJSON mapping
 const CSV_MAPPINGS = {
@@ -39,6 +49,28 @@ const CSV_MAPPINGS = {
   },
 };
 
+// States are built from the enriched districts rather than from a census file of their own,
+// so state totals always match the district totals
+const STATE_CONFIG = {
+  districtGeojson: path.join(OUTPUT_DIR, 'districts.geojson'),
+  outputFile: path.join(OUTPUT_DIR, 'states.geojson'),
+};
+
+// DUN imputation methods, and the metrics an imputed DUN has estimated (all derive from population and income)
+const IMPUTE_METHODS = ['siblings', 'area'];
+const ESTIMATED_METRICS = ['population', 'avg_income', 'competitors', 'public_services', 'night_lights'];
+const EARTH_RADIUS_KM = 6371.0088;
+
+// Accepted competitor CSV column names, as in services/competitors.ts
+const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x'];
+
+// How district metrics combine into a state: counts add up, averages and indices are population-weighted
+const SUMMED_METRICS = ['population', 'competitors', 'public_services', 'area_km2'];
+const WEIGHTED_METRICS = ['avg_income', 'night_lights', 'site_suitability_score'];
+// Holes smaller than this (in square degrees, about 1 km²) are gaps between simplified district borders, not real enclaves
+const SLIVER_HOLE_AREA = 1e-4;
+
 /**
  * Parse CSV file and return as array of objects
  * Handles quoted values and commas within quotes
@@ -105,28 +137,293 @@ function parseCSV(filePath) {
 }
 
 /**
- * Get the latest year's data for each district
+ * Group rows by join key and census year, keeping the whole time series
+ * (DOSM files carry either a year column or an ISO date)
  */
-function getLatestData(csvData, joinKey) {
-  const latestByKey = {};
+function groupByYear(csvData, joinKey) {
+  const rowsByKey = {};
   
   csvData.forEach(row => {
     const key = row[joinKey];
     if (!key) return;
     
-    const year = parseInt(row.year || '0');
-    if (!latestByKey[key] || year > parseInt(latestByKey[key].year || '0')) {
-      latestByKey[key] = row;
+    const year = parseInt(row.year || row.date || '0') || 0;
+    if (!rowsByKey[key]) rowsByKey[key] = {};
+    rowsByKey[key][year] = row;
+  });
+  
+  return rowsByKey;
+}
+
+/**
+ * Parent parliament of each DUN, keyed by code_state_dun
+ */
+function loadDunParents() {
+  if (!fs.existsSync(HIERARCHY_CSV)) {
+    console.log(`Hierarchy file not found: ${HIERARCHY_CSV} - using parliament codes from the DUN boundaries`);
+    return {};
+  }
+  const parents = {};
+  parseCSV(HIERARCHY_CSV).forEach(row => {
+    const code = (row.code_state_dun || '').trim();
+    if (code && row.code_parlimen) {
+      parents[code] = { code_parlimen: row.code_parlimen.trim(), parlimen: (row.parlimen || '').trim() };
     }
   });
+  console.log(`Loaded parent parliaments for ${Object.keys(parents).length} DUNs`);
+  return parents;
+}
+
+/**
+ * Compute the dashboard metrics from one census row
+ */
+function computeCensusMetrics(demoData, props, boundaryType, incomeData) {
+  // Map CSV columns to expected properties
+  const pop = parseInt(demoData.population_total || demoData.population || '0') || 0;
+  // Fix: Remove commas from area_km2 before parsing (e.g., "9,062" -> 9062)
+  const areaKm2 = parseFloat((demoData.area_km2 || '').replace(/,/g, ''));
+  const area = areaKm2 > 0 ? areaKm2 : 1;
+  const density = pop / area;
   
-  return latestByKey;
+  // Calculate night lights proxy (based on population density)
+  const calculatedNightLights = Math.min(Math.round((density / 500) * 50), 100);
+  
+  // Baseline site suitability score (0-100) based on population density.
+  // The dashboard replaces it with the weighted score from services/scoring.ts
+  const calculatedScore = Math.min(Math.round((density / 1000) * 50), 100);
+  
+  return {
+    population: pop,
+    avg_income: (() => {
+      // Try income_avg from census data first (for parliament/DUN)
+      if (demoData.income_avg) {
+        return Math.round(parseFloat(demoData.income_avg) || 0);
+      }
+      // For districts, try district name first, then state name from HIES.
+      // HIES is a single survey year, so every census year gets the same district income
+      if (boundaryType === 'district') {
+        const districtName = props.district || props.name;
+        if (districtName && incomeData[districtName]) {
+          return incomeData[districtName];
+        }
+        // Fallback to state-level income
+        if (props.state && incomeData[props.state]) {
+          return incomeData[props.state];
+        }
+      }
+      return 0;
+    })(),
+    
+    // Calculate derived metrics (if not available).
+    // competitors is a population proxy unless --competitors counts real store locations
+    competitors: props.competitors || Math.floor(pop / 5000),
+    public_services: props.public_services || Math.floor(pop / 10000),
+    
+    // Calculate site suitability score (0-100) based on population and density
+    site_suitability_score: props.site_suitability_score || calculatedScore,
+    
+    // Calculate night lights proxy (based on population density)
+    night_lights: props.night_lights || calculatedNightLights,
+    
+    // Land area, kept for per-km² normalization in the dashboard
+    ...(areaKm2 > 0 ? { area_km2: areaKm2 } : {}),
+  };
+}
+
+/**
+ * Area of a Polygon or MultiPolygon in km², with the spherical approximation services/geometry.ts uses
+ */
+function geometryAreaKm2(geometry) {
+  const ringArea = ring => {
+    let total = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [lon1, lat1] = ring[i];
+      const [lon2, lat2] = ring[i + 1];
+      total += ((lon2 - lon1) * Math.PI / 180)
+        * (2 + Math.sin(lat1 * Math.PI / 180) + Math.sin(lat2 * Math.PI / 180));
+    }
+    return Math.abs(total * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+  };
+  const polygonArea = ([outer, ...holes]) => (outer
+    ? Math.max(ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0), 0)
+    : 0);
+  if (geometry?.type === 'Polygon') return polygonArea(geometry.coordinates);
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates.reduce((sum, polygon) => sum + polygonArea(polygon), 0);
+  return 0;
+}
+
+/**
+ * Census values of the missing DUNs of one parliament for one year.
+ * Population is split by area (over all DUNs for 'area', over the missing ones after subtracting
+ * the known DUNs for 'siblings'). Income is the parliament's average, or for 'siblings' the average
+ * the remaining residents must have for the known DUNs to add up to it.
+ */
+function allocateParliamentYear(parliamentRow, missing, known, allAreaKm2, method) {
+  const parliamentPopulation = parseInt(parliamentRow.population_total || parliamentRow.population || '0') || 0;
+  const parliamentIncome = parseFloat(parliamentRow.income_avg || '0') || 0;
+  const missingAreaKm2 = missing.reduce((sum, dun) => sum + dun.areaKm2, 0);
+
+  let population = parliamentPopulation;
+  let income = parliamentIncome;
+  let totalAreaKm2 = allAreaKm2;
+  if (method === 'siblings') {
+    const knownPopulation = known.reduce((sum, row) => sum + (parseInt(row.population_total || row.population || '0') || 0), 0);
+    const knownIncomeTotal = known.reduce((sum, row) => (
+      sum + (parseFloat(row.income_avg || '0') || 0) * (parseInt(row.population_total || row.population || '0') || 0)
+    ), 0);
+    population = Math.max(parliamentPopulation - knownPopulation, 0);
+    totalAreaKm2 = missingAreaKm2;
+    const remainderIncome = population > 0 ? (parliamentIncome * parliamentPopulation - knownIncomeTotal) / population : NaN;
+    // Rounding in the published averages can push the remainder far off; keep it within reason
+    if (Number.isFinite(remainderIncome) && remainderIncome >= parliamentIncome / 2 && remainderIncome <= parliamentIncome * 2) {
+      income = remainderIncome;
+    }
+  }
+
+  return missing.map(dun => {
+    const share = totalAreaKm2 > 0 ? dun.areaKm2 / totalAreaKm2 : 1 / missing.length;
+    return {
+      population_total: String(Math.round(population * share)),
+      income_avg: String(Math.round(income)),
+      area_km2: dun.areaKm2 > 0 ? dun.areaKm2.toFixed(2) : '',
+    };
+  });
+}
+
+/**
+ * Fill DUNs without census data from their parent parliament's census. Imputed DUNs count as
+ * having data but list the values that are estimates in estimated_metrics.
+ */
+function imputeMissingDuns(features, dunDataByYear, method, incomeData) {
+  const parliamentCsv = CSV_MAPPINGS.parliament.csv;
+  if (!fs.existsSync(parliamentCsv)) {
+    console.log(`Parliament CSV not found: ${parliamentCsv} - skipping imputation`);
+    return 0;
+  }
+  const parliamentDataByYear = groupByYear(parseCSV(parliamentCsv), CSV_MAPPINGS.parliament.joinKey);
+
+  const dunsByParent = {};
+  features.forEach(feature => {
+    const parentId = feature.properties.parent_id;
+    if (!parentId) return;
+    if (!dunsByParent[parentId]) dunsByParent[parentId] = [];
+    dunsByParent[parentId].push({ feature, areaKm2: geometryAreaKm2(feature.geometry) });
+  });
+
+  let imputedCount = 0;
+  Object.entries(dunsByParent).forEach(([parentId, duns]) => {
+    const parliamentRows = parliamentDataByYear[parentId];
+    const missing = duns.filter(dun => dun.feature.properties.hasCensusData === false);
+    if (!parliamentRows || missing.length === 0) return;
+
+    const allAreaKm2 = duns.reduce((sum, dun) => sum + dun.areaKm2, 0);
+    const years = Object.keys(parliamentRows).map(Number).sort((a, b) => a - b);
+    const metricsByYear = years.map(year => {
+      const known = duns
+        .map(dun => dunDataByYear[dun.feature.properties.id]?.[year])
+        .filter(Boolean);
+      return allocateParliamentYear(parliamentRows[year], missing, known, allAreaKm2, method)
+        .map((row, i) => computeCensusMetrics(row, missing[i].feature.properties, 'dun', incomeData));
+    });
+
+    missing.forEach((dun, i) => {
+      const censusByYear = {};
+      years.forEach((year, yearIndex) => {
+        const { site_suitability_score, ...metrics } = metricsByYear[yearIndex][i];
+        censusByYear[year] = metrics;
+      });
+      dun.feature.properties = {
+        ...dun.feature.properties,
+        ...metricsByYear[years.length - 1][i],
+        census_year: years[years.length - 1],
+        census_by_year: censusByYear,
+        hasCensusData: true,
+        estimated_metrics: ESTIMATED_METRICS,
+        estimate_method: method,
+      };
+      imputedCount++;
+    });
+  });
+
+  return imputedCount;
+}
+
+/**
+ * Load competitor store locations as [lng, lat] pairs from a CSV or GeoJSON file
+ */
+function loadCompetitorPoints(filePath) {
+  if (!fs.existsSync(filePath)) {
+    console.error(`Competitor file not found: ${filePath}`);
+    process.exit(1);
+  }
+
+  const points = [];
+  if (/\.(geo)?json$/i.test(filePath)) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    (data.features || []).forEach(feature => {
+      const geometry = feature?.geometry;
+      if (geometry?.type === 'Point') points.push(geometry.coordinates);
+      else if (geometry?.type === 'MultiPoint') points.push(...geometry.coordinates);
+    });
+  } else {
+    parseCSV(filePath).forEach(row => {
+      const columns = Object.keys(row);
+      const latColumn = columns.find(column => LAT_COLUMNS.includes(column.toLowerCase()));
+      const lngColumn = columns.find(column => LNG_COLUMNS.includes(column.toLowerCase()));
+      if (latColumn && lngColumn) points.push([parseFloat(row[lngColumn]), parseFloat(row[latColumn])]);
+    });
+  }
+
+  const valid = points.filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180);
+  console.log(`Loaded ${valid.length} competitor locations from ${filePath}${valid.length < points.length ? ` (${points.length - valid.length} without coordinates skipped)` : ''}`);
+  return valid;
+}
+
+/**
+ * Whether a [lng, lat] point lies in a Polygon or any part of a MultiPolygon, outside its holes
+ */
+function isPointInGeometry(point, geometry) {
+  const inPolygon = ([outer, ...holes]) => !!outer && isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole));
+  if (geometry?.type === 'Polygon') return inPolygon(geometry.coordinates);
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates.some(inPolygon);
+  return false;
+}
+
+/**
+ * Replace each feature's competitors with the number of store locations inside it.
+ * A point on a shared border counts once, for the first feature containing it.
+ */
+function applyCompetitorCounts(features, points) {
+  const counts = new Array(features.length).fill(0);
+  points.forEach(point => {
+    const index = features.findIndex(feature => isPointInGeometry(point, feature.geometry));
+    if (index !== -1) counts[index]++;
+  });
+
+  features.forEach((feature, index) => {
+    const props = feature.properties;
+    // Store locations are current, so every census year gets today's count
+    const censusByYear = props.census_by_year
+      ? Object.fromEntries(Object.entries(props.census_by_year).map(([year, metrics]) => [year, { ...metrics, competitors: counts[index] }]))
+      : undefined;
+    feature.properties = {
+      ...props,
+      competitors: counts[index],
+      competitors_counted: true,
+      ...(censusByYear ? { census_by_year: censusByYear } : {}),
+      ...(props.estimated_metrics
+        ? { estimated_metrics: props.estimated_metrics.filter(metric => metric !== 'competitors') }
+        : {}),
+    };
+  });
+
+  return counts.reduce((sum, count) => sum + count, 0);
 }
 
 /**
  * Enrich GeoJSON with demographic data
  */
-function enrichGeoJSON(boundaryType) {
+function enrichGeoJSON(boundaryType, imputeMethod = null, competitorPoints = null) {
   const config = CSV_MAPPINGS[boundaryType];
   if (!config) {
     console.error(`Unknown boundary type: ${boundaryType}`);
@@ -158,7 +455,7 @@ function enrichGeoJSON(boundaryType) {
   
   console.log(`Loading CSV from ${config.csv}...`);
   const csvData = parseCSV(config.csv);
-  const latestData = getLatestData(csvData, config.joinKey);
+  const dataByYear = groupByYear(csvData, config.joinKey);
   
   // Load income data if available (for districts, use district-level income from HIES)
   let incomeData = {};
@@ -190,6 +487,8 @@ function enrichGeoJSON(boundaryType) {
     }
   }
   
+  const dunParents = boundaryType === 'dun' ? loadDunParents() : {};
+  
   console.log(`Enriching ${geojson.features.length} features with demographic data...`);
   
   // Enrich features
@@ -217,60 +516,37 @@ function enrichGeoJSON(boundaryType) {
       sampleKeys.push({ joinKey, props: Object.keys(props) });
     }
     
-    if (joinKey && latestData[joinKey]) {
-      const demoData = latestData[joinKey];
-      
-      // Map CSV columns to expected properties
-      const pop = parseInt(demoData.population_total || demoData.population || '0') || 0;
-      // Fix: Remove commas from area_km2 before parsing (e.g., "9,062" -> 9062)
-      const area = parseFloat((demoData.area_km2 || '1').replace(/,/g, '')) || 1;
-      const density = pop / area;
-      
-      // Calculate night lights proxy (based on population density)
-      const calculatedNightLights = Math.min(Math.round((density / 500) * 50), 100);
-      
-      // Calculate site suitability score (0-100) based on population and density
-      const calculatedScore = Math.min(Math.round((density / 1000) * 50), 100);
+    // DUNs point at their parliament so the dashboard can drill between the two
+    const parent = dunParents[joinKey] || (boundaryType === 'dun' && props.code_parlimen
+      ? { code_parlimen: props.code_parlimen, parlimen: props.parlimen || '' }
+      : null);
+    const hierarchy = parent ? { parent_id: parent.code_parlimen, parent_name: parent.parlimen || parent.code_parlimen } : {};
+    
+    if (joinKey && dataByYear[joinKey]) {
+      const rowsByYear = dataByYear[joinKey];
+      const years = Object.keys(rowsByYear).map(Number).sort((a, b) => a - b);
+      const latestYear = years[years.length - 1];
       
-      const preExistingNightLights = props.night_lights;
-      const preExistingScore = props.site_suitability_score;
+      // Every census year, for the dashboard's time slider and growth layers.
+      // The suitability score is left out: the dashboard recomputes it for the chosen year
+      const censusByYear = {};
+      years.forEach(year => {
+        const { site_suitability_score, ...metrics } = computeCensusMetrics(rowsByYear[year], props, boundaryType, incomeData);
+        censusByYear[year] = metrics;
+      });
       
       feature.properties = {
         ...props,
         // Keep original DOSM properties
-        id: props.code_state_district || props.code_parlimen || props.code_state_dun || props.code_dun || props.id || '',
+        // The boundary's own code: DUN boundaries also carry their parliament's code_parlimen
+        id: joinKey || props.id || '',
         name: props.district || props.parlimen || props.dun || props.name || 'Unknown',
         
-        // Add demographic data
-        population: pop,
-        avg_income: (() => {
-          // Try income_avg from census data first (for parliament/DUN)
-          if (demoData.income_avg) {
-            return Math.round(parseFloat(demoData.income_avg) || 0);
-          }
-          // For districts, try district name first, then state name from HIES
-          if (boundaryType === 'district') {
-            const districtName = props.district || props.name;
-            if (districtName && incomeData[districtName]) {
-              return incomeData[districtName];
-            }
-            // Fallback to state-level income
-            if (props.state && incomeData[props.state]) {
-              return incomeData[props.state];
-            }
-          }
-          return 0;
-        })(),
-        
-        // Calculate derived metrics (if not available)
-        competitors: props.competitors || Math.floor((parseInt(demoData.population_total || '0') || 0) / 5000),
-        public_services: props.public_services || Math.floor((parseInt(demoData.population_total || '0') || 0) / 10000),
-        
-        // Calculate site suitability score (0-100) based on population and density
-        site_suitability_score: preExistingScore || calculatedScore,
-        
-        // Calculate night lights proxy (based on population density)
-        night_lights: preExistingNightLights || calculatedNightLights,
+        // Latest year's demographic data, shown by default
+        ...computeCensusMetrics(rowsByYear[latestYear], props, boundaryType, incomeData),
+        census_year: latestYear,
+        census_by_year: censusByYear,
+        ...hierarchy,
         
         // Mark as having census data
         hasCensusData: true,
@@ -281,7 +557,7 @@ function enrichGeoJSON(boundaryType) {
       // No matching demographic data - use defaults and mark as missing
       feature.properties = {
         ...props,
-        id: props.code_state_district || props.code_parlimen || props.code_state_dun || props.code_dun || props.id || '',
+        id: joinKey || props.id || '',
         name: props.district || props.parlimen || props.dun || props.name || 'Unknown',
         population: 0,
         avg_income: 0,
@@ -289,6 +565,7 @@ function enrichGeoJSON(boundaryType) {
         public_services: 0,
         site_suitability_score: 0,
         night_lights: 0,
+        ...hierarchy,
         // Explicitly mark as missing census data
         hasCensusData: false,
       };
@@ -297,6 +574,18 @@ function enrichGeoJSON(boundaryType) {
     }
   });
   
+  if (imputeMethod && boundaryType === 'dun' && missingDataCount > 0) {
+    console.log(`Imputing ${missingDataCount} DUNs from their parliaments (${imputeMethod})...`);
+    const imputedCount = imputeMissingDuns(geojson.features, dataByYear, imputeMethod, incomeData);
+    missingDataCount -= imputedCount;
+    console.log(`✅ Imputed ${imputedCount} DUNs, flagged with estimated_metrics`);
+  }
+  
+  if (competitorPoints) {
+    const countedTotal = applyCompetitorCounts(geojson.features, competitorPoints);
+    console.log(`✅ Counted ${countedTotal} of ${competitorPoints.length} competitor locations into ${boundaryType} boundaries`);
+  }
+  
   // Ensure output directory exists
   if (!fs.existsSync(OUTPUT_DIR)) {
     fs.mkdirSync(OUTPUT_DIR, { recursive: true });
@@ -312,7 +601,7 @@ function enrichGeoJSON(boundaryType) {
       console.log(`  Feature ${i + 1}: joinKey="${sk.joinKey}", available keys: ${sk.props.join(', ')}`);
     });
     console.log(`\nSample join keys from CSV (first 5):`);
-    const csvKeys = Object.keys(latestData).slice(0, 5);
+    const csvKeys = Object.keys(dataByYear).slice(0, 5);
     csvKeys.forEach(key => console.log(`  "${key}"`));
   }
   
@@ -322,15 +611,246 @@ function enrichGeoJSON(boundaryType) {
   console.log(`✅ Output written to ${config.outputFile}`);
 }
 
+/**
+ * Twice the signed planar area of a ring; positive when it runs counter-clockwise
+ */
+function ringSignedArea(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    total += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return total;
+}
+
+/**
+ * Ray-casting test for a point inside a ring
+ */
+function isPointInRing(point, ring) {
+  const [x, y] = point;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Dissolve Polygon/MultiPolygon geometries into the outline of their union.
+ * Neighbouring DOSM boundaries share their vertices, so an inner border is the same edge
+ * walked once in each direction; dropping those pairs and chaining the remaining edges
+ * gives the outer rings and holes of the merged area.
+ */
+function dissolveGeometries(geometries) {
+  const polygons = [];
+  geometries.forEach(geometry => {
+    if (geometry?.type === 'Polygon') polygons.push(geometry.coordinates);
+    else if (geometry?.type === 'MultiPolygon') polygons.push(...geometry.coordinates);
+  });
+
+  const pointKey = point => `${point[0]},${point[1]}`;
+  const points = new Map();
+  const edgeCounts = new Map();
+
+  polygons.forEach(rings => rings.forEach((ring, ringIndex) => {
+    // Outer rings counter-clockwise and holes clockwise, so shared edges always run in opposite directions
+    const isOuter = ringIndex === 0;
+    const oriented = (ringSignedArea(ring) > 0) === isOuter ? ring : [...ring].reverse();
+    for (let i = 0; i < oriented.length - 1; i++) {
+      const from = pointKey(oriented[i]);
+      const to = pointKey(oriented[i + 1]);
+      if (from === to) continue;
+      points.set(from, oriented[i]);
+      points.set(to, oriented[i + 1]);
+      const reverse = `${to}|${from}`;
+      if (edgeCounts.get(reverse) > 0) {
+        edgeCounts.set(reverse, edgeCounts.get(reverse) - 1);
+      } else {
+        edgeCounts.set(`${from}|${to}`, (edgeCounts.get(`${from}|${to}`) || 0) + 1);
+      }
+    }
+  }));
+
+  const outgoing = new Map();
+  edgeCounts.forEach((count, edge) => {
+    const [from, to] = edge.split('|');
+    for (let i = 0; i < count; i++) {
+      if (!outgoing.has(from)) outgoing.set(from, []);
+      outgoing.get(from).push(to);
+    }
+  });
+
+  // Every vertex keeps as many edges in as out, so each walk closes back on its start
+  const rings = [];
+  outgoing.forEach((targets, start) => {
+    while (targets.length > 0) {
+      const ring = [points.get(start)];
+      let current = start;
+      do {
+        current = outgoing.get(current).pop();
+        ring.push(points.get(current));
+      } while (current !== start && outgoing.get(current)?.length > 0);
+      if (current === start && ring.length >= 4) rings.push(ring);
+    }
+  });
+
+  const outers = rings.filter(ring => ringSignedArea(ring) > 0).map(ring => ({ ring, area: ringSignedArea(ring), holes: [] }));
+  rings.filter(ring => ringSignedArea(ring) < -2 * SLIVER_HOLE_AREA).forEach(hole => {
+    // A hole belongs to the smallest outer ring around it
+    const owner = outers
+      .filter(outer => isPointInRing(hole[0], outer.ring))
+      .sort((a, b) => a.area - b.area)[0];
+    if (owner) owner.holes.push(hole);
+  });
+
+  return { type: 'MultiPolygon', coordinates: outers.map(outer => [outer.ring, ...outer.holes]) };
+}
+
+/**
+ * Combine district metrics into state metrics: sums for counts, population-weighted means
+ * for income and indices (plain means when no district has a population)
+ */
+function aggregateMetrics(metricsList) {
+  const totalPopulation = metricsList.reduce((sum, metrics) => sum + (Number(metrics.population) || 0), 0);
+  const result = {};
+
+  SUMMED_METRICS.forEach(metric => {
+    const values = metricsList.map(metrics => Number(metrics[metric]));
+    // A partial land area would understate density, so leave it out and let the dashboard measure the polygon
+    if (metric === 'area_km2' && values.some(value => !(value > 0))) return;
+    result[metric] = values.reduce((sum, value) => sum + (Number.isFinite(value) ? value : 0), 0);
+  });
+
+  WEIGHTED_METRICS.forEach(metric => {
+    const values = metricsList.map(metrics => Number(metrics[metric]) || 0);
+    const mean = totalPopulation > 0
+      ? metricsList.reduce((sum, metrics, i) => sum + values[i] * (Number(metrics.population) || 0), 0) / totalPopulation
+      : values.reduce((sum, value) => sum + value, 0) / Math.max(values.length, 1);
+    result[metric] = Math.round(mean);
+  });
+
+  return result;
+}
+
+/**
+ * Build state boundaries by dissolving the enriched districts by code_state
+ */
+function buildStateGeoJSON() {
+  if (!fs.existsSync(STATE_CONFIG.districtGeojson)) {
+    console.error(`Enriched district file not found: ${STATE_CONFIG.districtGeojson}`);
+    console.log('Run "node scripts/enrich-geojson.js district" first');
+    process.exit(1);
+  }
+
+  console.log(`Loading districts from ${STATE_CONFIG.districtGeojson}...`);
+  const districts = JSON.parse(fs.readFileSync(STATE_CONFIG.districtGeojson, 'utf-8'));
+
+  const districtsByState = new Map();
+  districts.features.forEach(feature => {
+    const props = feature.properties || {};
+    const code = props.code_state ?? props.state;
+    if (code === undefined || code === null || code === '') return;
+    if (!districtsByState.has(String(code))) districtsByState.set(String(code), []);
+    districtsByState.get(String(code)).push(feature);
+  });
+
+  console.log(`Dissolving ${districts.features.length} districts into ${districtsByState.size} states...`);
+
+  const features = Array.from(districtsByState.entries()).map(([code, members]) => {
+    const stateName = members[0].properties.state || code;
+    const withData = members.filter(feature => feature.properties.hasCensusData !== false);
+
+    // The time series is aggregated year by year over the districts that have that year
+    const censusByYear = {};
+    const years = new Set();
+    withData.forEach(feature => Object.keys(feature.properties.census_by_year || {}).forEach(year => years.add(year)));
+    Array.from(years).sort().forEach(year => {
+      const metricsList = withData
+        .map(feature => feature.properties.census_by_year?.[year])
+        .filter(Boolean);
+      const { site_suitability_score, ...metrics } = aggregateMetrics(metricsList);
+      censusByYear[year] = metrics;
+    });
+    const censusYears = withData.map(feature => feature.properties.census_year).filter(Boolean);
+
+    return {
+      type: 'Feature',
+      properties: {
+        state: stateName,
+        code_state: members[0].properties.code_state ?? code,
+        id: code,
+        name: stateName,
+        district_count: members.length,
+        ...(members.every(feature => feature.properties.competitors_counted) ? { competitors_counted: true } : {}),
+        ...(withData.length > 0
+          ? aggregateMetrics(withData.map(feature => feature.properties))
+          : { population: 0, avg_income: 0, competitors: 0, public_services: 0, site_suitability_score: 0, night_lights: 0 }),
+        ...(censusYears.length > 0 ? { census_year: Math.max(...censusYears) } : {}),
+        ...(Object.keys(censusByYear).length > 0 ? { census_by_year: censusByYear } : {}),
+        hasCensusData: withData.length > 0,
+      },
+      geometry: dissolveGeometries(members.map(feature => feature.geometry)),
+    };
+  });
+
+  const districtPopulation = districts.features
+    .filter(feature => feature.properties?.hasCensusData !== false)
+    .reduce((sum, feature) => sum + (Number(feature.properties.population) || 0), 0);
+  const statePopulation = features.reduce((sum, feature) => sum + feature.properties.population, 0);
+
+  fs.writeFileSync(STATE_CONFIG.outputFile, JSON.stringify({ type: 'FeatureCollection', features }, null, 2));
+
+  console.log(`✅ Built ${features.length} states`);
+  console.log(`✅ Population: states ${statePopulation.toLocaleString()}, districts ${districtPopulation.toLocaleString()}`);
+  console.log(`✅ Output written to ${STATE_CONFIG.outputFile}`);
+}
+
+/**
+ * Value of a --name or --name=value flag: undefined when absent, true when it has no value
+ */
+function getFlag(args, name) {
+  const flag = args.find(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (!flag) return undefined;
+  return flag.includes('=') ? flag.slice(flag.indexOf('=') + 1) : true;
+}
+
+/**
+ * Imputation method from the --impute flag, or null when imputation is off
+ */
+function parseImputeMethod(args) {
+  const flag = getFlag(args, 'impute');
+  if (flag === undefined) return null;
+  const method = flag === true ? IMPUTE_METHODS[0] : flag;
+  if (!IMPUTE_METHODS.includes(method)) {
+    console.error(`Unknown imputation method: ${method} (expected ${IMPUTE_METHODS.join(' or ')})`);
+    process.exit(1);
+  }
+  return method;
+}
+
 // Main execution
 const boundaryType = process.argv[2] || 'district';
+const imputeMethod = parseImputeMethod(process.argv.slice(3));
+const competitorsFlag = getFlag(process.argv.slice(3), 'competitors');
+if (competitorsFlag === true) {
+  console.error('--competitors needs a file, e.g. --competitors=data/competitors.csv');
+  process.exit(1);
+}
+const competitorPoints = competitorsFlag ? loadCompetitorPoints(competitorsFlag) : null;
 
 if (boundaryType === 'all') {
   ['district', 'parliament', 'dun'].forEach(type => {
     console.log(`\n=== Processing ${type} ===`);
-    enrichGeoJSON(type);
+    enrichGeoJSON(type, imputeMethod, competitorPoints);
   });
+  console.log('\n=== Processing state ===');
+  buildStateGeoJSON();
+} else if (boundaryType === 'state') {
+  buildStateGeoJSON();
 } else {
-  enrichGeoJSON(boundaryType);
+  enrichGeoJSON(boundaryType, imputeMethod, competitorPoints);
 }
 
@@ -0,0 +1,139 @@
+// Analytic Hierarchy Process (AHP): derive criterion weights from pairwise comparisons
+import type { ScoreMetricId, ScoringCriteria } from '../types';
+
+// Saaty's random consistency index, indexed by matrix size
+const RANDOM_INDEX = [0, 0, 0, 0.58, 0.9, 1.12, 1.24, 1.32, 1.41, 1.45, 1.49];
+
+// Judgements with a consistency ratio above this are conventionally considered unreliable
+export const AHP_CONSISTENCY_THRESHOLD = 0.1;
+
+// Points on Saaty's 1-9 scale offered to users (intermediate even values omitted)
+export const AHP_SCALE: { value: number; label: string }[] = [
+  { value: 1, label: 'Equal' },
+  { value: 3, label: 'Moderate' },
+  { value: 5, label: 'Strong' },
+  { value: 7, label: 'Very strong' },
+  { value: 9, label: 'Extreme' },
+];
+
+export type AhpPair = [ScoreMetricId, ScoreMetricId];
+
+/**
+ * How much more important the first metric of a pair is than the second.
+ * Values above 1 favour the first metric, values below 1 (reciprocals) favour the second.
+ */
+export type AhpJudgements = Record<string, number>;
+
+export interface AhpResult {
+  weights: Record<ScoreMetricId, number>;  // Sums to 1
+  lambdaMax: number;
+  consistencyIndex: number;
+  consistencyRatio: number;
+  isConsistent: boolean;
+}
+
+export const getPairKey = ([a, b]: AhpPair): string => `${a}|${b}`;
+
+/**
+ * Every unordered pair of metrics, in a stable order
+ */
+export function getMetricPairs(metrics: ScoreMetricId[]): AhpPair[] {
+  const pairs: AhpPair[] = [];
+  for (let i = 0; i < metrics.length; i++) {
+    for (let j = i + 1; j < metrics.length; j++) {
+      pairs.push([metrics[i], metrics[j]]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Build the reciprocal comparison matrix; unanswered pairs count as equal importance
+ */
+export function buildComparisonMatrix(metrics: ScoreMetricId[], judgements: AhpJudgements): number[][] {
+  const matrix = metrics.map(() => metrics.map(() => 1));
+  getMetricPairs(metrics).forEach(pair => {
+    const value = judgements[getPairKey(pair)];
+    if (!value || value <= 0) return;
+    const i = metrics.indexOf(pair[0]);
+    const j = metrics.indexOf(pair[1]);
+    matrix[i][j] = value;
+    matrix[j][i] = 1 / value;
+  });
+  return matrix;
+}
+
+/**
+ * Compute the priority vector (principal eigenvector, via power iteration)
+ * and the consistency ratio of a set of pairwise judgements
+ */
+export function computeAhpWeights(metrics: ScoreMetricId[], judgements: AhpJudgements): AhpResult {
+  const n = metrics.length;
+  const matrix = buildComparisonMatrix(metrics, judgements);
+
+  let vector = metrics.map(() => 1 / n);
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const next = matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+    const total = next.reduce((sum, value) => sum + value, 0);
+    const normalized = next.map(value => value / total);
+    const delta = normalized.reduce((max, value, i) => Math.max(max, Math.abs(value - vector[i])), 0);
+    vector = normalized;
+    if (delta < 1e-10) break;
+  }
+
+  // λmax = mean of (A·w)_i / w_i
+  const product = matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+  const lambdaMax = product.reduce((sum, value, i) => sum + value / vector[i], 0) / n;
+  const consistencyIndex = n > 1 ? (lambdaMax - n) / (n - 1) : 0;
+  const randomIndex = RANDOM_INDEX[n] ?? RANDOM_INDEX[RANDOM_INDEX.length - 1];
+  const consistencyRatio = randomIndex > 0 ? Math.max(consistencyIndex / randomIndex, 0) : 0;
+
+  const weights = {} as Record<ScoreMetricId, number>;
+  metrics.forEach((metric, i) => {
+    weights[metric] = vector[i];
+  });
+
+  return {
+    weights,
+    lambdaMax,
+    consistencyIndex,
+    consistencyRatio,
+    isConsistent: consistencyRatio <= AHP_CONSISTENCY_THRESHOLD,
+  };
+}
+
+/**
+ * The judgement that disagrees most with the derived weights, i.e. the pair whose
+ * answer a_ij is furthest from the implied ratio w_i / w_j. Useful for telling users
+ * which question to revisit when the consistency ratio is too high.
+ */
+export function findMostInconsistentPair(
+  metrics: ScoreMetricId[],
+  judgements: AhpJudgements,
+  weights: Record<ScoreMetricId, number>
+): AhpPair | null {
+  let worst: AhpPair | null = null;
+  let worstDeviation = 0;
+  getMetricPairs(metrics).forEach(pair => {
+    const value = judgements[getPairKey(pair)] || 1;
+    const implied = weights[pair[0]] / weights[pair[1]];
+    const deviation = Math.abs(Math.log(value / implied));
+    if (deviation > worstDeviation) {
+      worstDeviation = deviation;
+      worst = pair;
+    }
+  });
+  return worst;
+}
+
+/**
+ * Turn AHP weights into scoring criteria on the 0-100 slider scale, keeping each metric's current
+ * benefit/cost direction. Weights stay fractional so scoring reproduces the priorities the wizard showed.
+ */
+export function ahpWeightsToCriteria(weights: Record<ScoreMetricId, number>, current: ScoringCriteria): ScoringCriteria {
+  const criteria = { ...current };
+  (Object.keys(weights) as ScoreMetricId[]).forEach(metric => {
+    criteria[metric] = { ...current[metric], weight: weights[metric] * 100 };
+  });
+  return criteria;
+}
@@ -10,6 +10,7 @@ const DATA_SOURCE = (import.meta.env.VITE_DATA_SOURCE || 'mock') as 'mock' | 'fi
 // API endpoints (configure in .env file)
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '';
 const GEOJSON_FILES: Record<string, string> = {
+  state: import.meta.env.VITE_GEOJSON_STATE || '/data/states.geojson',
   district: import.meta.env.VITE_GEOJSON_DISTRICT || '/data/districts.geojson',
   parliament: import.meta.env.VITE_GEOJSON_PARLIAMENT || '/data/parliament.geojson',
   dun: import.meta.env.VITE_GEOJSON_DUN || '/data/dun.geojson',
@@ -37,22 +38,34 @@ export const fetchDistrictData = async (boundaryType: BoundaryTypeId = 'district
  */
 const getDOSMMapping = (boundaryType: BoundaryTypeId): PropertyMapping => {
   switch (boundaryType) {
+    case 'state':
+      return {
+        id: ['code_state', 'id', 'ID'],
+        name: ['state', 'name', 'NAME'],
+      };
     case 'district':
       return {
         id: ['code_state_district', 'code_district', 'id', 'ID'],
         // Try to get name from district field, fallback to name
         name: ['district', 'name', 'NAME'],
         // Numeric fields will default to 0 if not found
+        parent_id: ['parent_id', 'code_state'],
+        parent_name: ['parent_name', 'state'],
       };
     case 'parliament':
       return {
         id: ['code_parlimen', 'code_state_parlimen', 'id', 'ID'],
         name: ['parlimen', 'name', 'NAME'],
+        code: ['code_parlimen'],
       };
     case 'dun':
       return {
-        id: ['code_dun', 'code_state_dun', 'id', 'ID'],
+        // code_dun (e.g. "N.01") repeats in every state, so prefer the state-qualified code
+        id: ['code_state_dun', 'code_dun', 'id', 'ID'],
         name: ['dun', 'name', 'NAME'],
+        code: ['code_dun'],
+        parent_id: ['parent_id', 'code_parlimen'],
+        parent_name: ['parent_name', 'parlimen'],
       };
     default:
       return {
@@ -67,6 +80,10 @@ const getDOSMMapping = (boundaryType: BoundaryTypeId): PropertyMapping => {
  */
 const enhanceFeatureName = (feature: any, boundaryType: BoundaryTypeId): string => {
   const props = feature.properties || {};
+  // A state is named by itself
+  if (boundaryType === 'state') {
+    return props.state || props.name || 'Unknown';
+  }
   const baseName = props.district || props.parlimen || props.dun || props.name || 'Unknown';
   const state = props.state;
   
@@ -162,7 +179,8 @@ const fetchFromAPI = async (boundaryType: BoundaryTypeId): Promise<FeatureCollec
 const fetchMockData = (): Promise<FeatureCollection> => {
   return new Promise(resolve => {
     setTimeout(() => {
-      resolve(MOCK_GEO_DATA as FeatureCollection);
+      // Run through the transformer too, so mock features get the same derived fields (e.g. area_km2)
+      resolve(transformToDistrictFeatures(MOCK_GEO_DATA as FeatureCollection));
     }, 500); // Reduced delay for better UX
   });
 };
@@ -0,0 +1,275 @@
+// One-page PDF report of an area: map snapshot, key figures, market comparison, metric explanations and sources
+import type { BaselineScope, ClassBreaks, DataLayer, DataLayerId, DistrictFeature, LayerId, NormalizationSettings } from '../types';
+import { BASEMAP_ATTRIBUTION, DATA_LAYERS, formatLayerValue, getLayerColor, getLayerTitle } from '../constants';
+import { createPdf, A4_HEIGHT, A4_WIDTH, type PdfDocument } from '../utils/pdf';
+import { renderMapSnapshot } from './mapSnapshot';
+import { BASELINE_COLORS, COMPARISON_METRICS, compareWithBaseline, getBaselineFeatures, hasStateBaseline } from './baseline';
+import { getLayerValue, getNormalization } from './normalization';
+import { ESTIMATE_METHOD_LABELS, hasEstimates, isLayerEstimated } from './estimates';
+import metricExplanations from '../data/metricExplanations.json';
+
+export interface AreaReportOptions {
+  feature: DistrictFeature;
+  mapFeatures: DistrictFeature[];         // Areas drawn around it in the map snapshot
+  comparisonFeatures: DistrictFeature[];  // Areas the percentiles are computed over
+  baseline: BaselineScope;                // Falls back to national when the state has no other areas
+  boundaryName: string;                   // e.g. 'District'
+  activeLayer: LayerId;                   // Layer the snapshot is colored by
+  dataLayers: Record<string, DataLayer>;
+  classBreaks: ClassBreaks | null;
+  normalizations: NormalizationSettings;
+  scoringModelName?: string;
+}
+
+const MARGIN = 40;
+const CONTENT_WIDTH = A4_WIDTH - 2 * MARGIN;
+const COLUMN_GAP = 15;
+const COLUMN_WIDTH = (CONTENT_WIDTH - COLUMN_GAP) / 2;
+const PAGE_BOTTOM = A4_HEIGHT - MARGIN;
+const MAP_HEIGHT = 230;
+
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const BORDER_COLOR = '#d1d5db';
+const MISSING_COLOR = '#999999';
+
+// What each metric measures, how and from which source, as maintained in data/metricExplanations.json
+const METRIC_EXPLANATIONS: Partial<Record<DataLayerId, { name: string; shortDescription: string; measurementMethod: string; context?: string }>> = metricExplanations;
+
+// Key figures in the order and colors of the info panel's stat cards
+const STAT_CARDS: { label: string; metric: DataLayerId; color: string }[] = [
+  { label: 'Suitability Score', metric: 'site_suitability_score', color: '#756bb1' },
+  { label: 'Night Lights', metric: 'night_lights', color: '#d95f0e' },
+  { label: 'Population', metric: 'population', color: '#3182bd' },
+  { label: 'Avg. Income', metric: 'avg_income', color: '#31a354' },
+  { label: 'Competitors', metric: 'competitors', color: '#e6550d' },
+  { label: 'Public Services', metric: 'public_services', color: '#08519c' },
+];
+
+/**
+ * Plain text of the map's HTML attribution, e.g. "© OpenStreetMap contributors © CARTO"
+ */
+const getAttributionText = (): string =>
+  (new DOMParser().parseFromString(BASEMAP_ATTRIBUTION, 'text/html').body.textContent ?? '').replace(/\s+/g, ' ').trim();
+
+const toOrdinal = (value: number): string => {
+  const rounded = Math.round(value);
+  const suffix = rounded % 100 >= 11 && rounded % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][rounded % 10] ?? 'th';
+  return `${rounded}${suffix}`;
+};
+
+/**
+ * Section heading; returns the y below it
+ */
+function drawHeading(pdf: PdfDocument, x: number, y: number, title: string): number {
+  pdf.text(x, y + 10, title, { size: 10, bold: true, color: TEXT_COLOR });
+  return y + 16;
+}
+
+/**
+ * Wrapped paragraph, cut off at the bottom margin so the report stays on one page; returns the y below it
+ */
+function drawParagraph(pdf: PdfDocument, x: number, y: number, text: string, width: number, size: number, color = MUTED_COLOR): number {
+  const lineHeight = size * 1.3;
+  let lineY = y;
+  pdf.wrapText(text, width, size).forEach(line => {
+    if (lineY + lineHeight > PAGE_BOTTOM) return;
+    pdf.text(x, lineY + size, line, { size, color });
+    lineY += lineHeight;
+  });
+  return lineY;
+}
+
+function drawStatCards(pdf: PdfDocument, x: number, y: number, options: AreaReportOptions): number {
+  const props = options.feature.properties;
+  const hasData = props.hasCensusData !== false;
+  const cardWidth = (COLUMN_WIDTH - 6) / 2;
+  const cardHeight = 36;
+
+  STAT_CARDS.forEach(({ label, metric, color }, i) => {
+    const cardX = x + (i % 2) * (cardWidth + 6);
+    const cardY = y + Math.floor(i / 2) * (cardHeight + 6);
+    const raw = props[metric];
+    const value = !hasData || raw === undefined || raw === null
+      ? 'N/A'
+      : metric === 'avg_income' ? `RM ${Number(raw).toLocaleString()}` : Number(raw).toLocaleString();
+
+    pdf.rect(cardX, cardY, cardWidth, cardHeight, { fill: '#f9fafb' });
+    pdf.rect(cardX, cardY, 3, cardHeight, { fill: hasData ? color : MISSING_COLOR });
+    pdf.text(cardX + 9, cardY + 12, label, { size: 7, color: MUTED_COLOR });
+    if (hasData && isLayerEstimated(props, metric)) {
+      pdf.text(cardX + 12 + pdf.textWidth(label, 7), cardY + 12, 'EST.', { size: 6, bold: true, color: '#b45309' });
+    }
+    pdf.text(cardX + 9, cardY + 28, value, { size: 12, bold: true, color: TEXT_COLOR });
+  });
+
+  let nextY = y + 3 * cardHeight + 2 * 6 + 6;
+  if (!hasData) {
+    nextY = drawParagraph(pdf, x, nextY, 'Census data not available for this area; values are placeholders.', COLUMN_WIDTH, 7, '#a16207');
+  } else if (hasEstimates(props)) {
+    const source = props.estimate_method ? ESTIMATE_METHOD_LABELS[props.estimate_method] : 'its parent area';
+    const parent = props.parent_name ? ` (${props.parent_name})` : '';
+    nextY = drawParagraph(pdf, x, nextY, `Values marked EST. come from ${source}${parent}.`, COLUMN_WIDTH, 7, '#b45309');
+  }
+  return nextY;
+}
+
+/**
+ * Percentile bars like the info panel's comparison chart, against the state or national baseline
+ */
+function drawComparison(pdf: PdfDocument, x: number, y: number, options: AreaReportOptions, baseline: BaselineScope): number {
+  const props = options.feature.properties;
+  const baselineFeatures = getBaselineFeatures(options.comparisonFeatures, props, baseline);
+  const labelWidth = 55;
+  const valueWidth = 45;
+  const trackWidth = COLUMN_WIDTH - labelWidth - valueWidth;
+  const rowHeight = 20;
+  let areaCount = 0;
+
+  COMPARISON_METRICS.forEach(({ name, metric }, i) => {
+    const normalization = getNormalization(options.normalizations, DATA_LAYERS[metric]);
+    const comparison = compareWithBaseline(props, baselineFeatures, metric, normalization);
+    areaCount = Math.max(areaCount, comparison.areaCount);
+    const rowY = y + i * rowHeight;
+    pdf.text(x, rowY + 11, name, { size: 7.5, color: TEXT_COLOR });
+    pdf.rect(x + labelWidth, rowY + 5, trackWidth, 8, { fill: '#f3f4f6' });
+    if (comparison.percentile !== null) {
+      pdf.rect(x + labelWidth, rowY + 5, (trackWidth * comparison.percentile) / 100, 8, { fill: BASELINE_COLORS[baseline] });
+    }
+    const label = comparison.percentile === null ? 'N/A' : `${toOrdinal(comparison.percentile)} pct.`;
+    pdf.text(x + COLUMN_WIDTH, rowY + 11, label, { size: 7.5, color: TEXT_COLOR, align: 'right' });
+  });
+
+  const chartBottom = y + COMPARISON_METRICS.length * rowHeight;
+  const medianX = x + labelWidth + trackWidth / 2;
+  pdf.line(medianX, y, medianX, chartBottom, { stroke: MUTED_COLOR, lineWidth: 0.5, dash: [3, 2] });
+  [0, 50, 100].forEach(tick => {
+    pdf.text(x + labelWidth + (trackWidth * tick) / 100, chartBottom + 8, String(tick), { size: 6.5, color: MUTED_COLOR, align: 'center' });
+  });
+
+  const scopeName = baseline === 'state' ? props.state : 'Malaysia';
+  return drawParagraph(pdf, x, chartBottom + 12, `Percentile within ${scopeName} among ${areaCount} areas with census data; the dashed line is the median.`, COLUMN_WIDTH, 7);
+}
+
+/**
+ * What each key figure measures and how, in two columns
+ */
+function drawExplanations(pdf: PdfDocument, y: number): number {
+  const perColumn = Math.ceil(STAT_CARDS.length / 2);
+  let bottom = y;
+  [STAT_CARDS.slice(0, perColumn), STAT_CARDS.slice(perColumn)].forEach((cards, column) => {
+    const x = MARGIN + column * (COLUMN_WIDTH + COLUMN_GAP);
+    let blockY = y;
+    cards.forEach(({ metric }) => {
+      const explanation = METRIC_EXPLANATIONS[metric];
+      if (!explanation) return;
+      pdf.text(x, blockY + 8, explanation.name, { size: 8, bold: true, color: TEXT_COLOR });
+      blockY = drawParagraph(pdf, x, blockY + 11, `${explanation.shortDescription} ${explanation.measurementMethod}`, COLUMN_WIDTH, 7.5) + 5;
+    });
+    bottom = Math.max(bottom, blockY);
+  });
+  return bottom;
+}
+
+/**
+ * Numbered sources and notes: where each metric comes from, the census year and how the figures were derived
+ */
+function drawFootnotes(pdf: PdfDocument, y: number, options: AreaReportOptions, baseline: BaselineScope, hasBasemap: boolean): number {
+  const props = options.feature.properties;
+  const notes: string[] = [];
+
+  const sources = STAT_CARDS
+    .map(({ metric }) => METRIC_EXPLANATIONS[metric])
+    .filter(explanation => explanation?.context)
+    .map(explanation => `${explanation.name}: ${explanation.context}`);
+  notes.push(`Sources. ${sources.join(' ')}`);
+  notes.push(props.census_year
+    ? `Census figures are for ${props.census_year}${hasEstimates(props) ? ', with the estimated values imputed for the same year' : ''}.`
+    : 'The census year of these figures is not recorded.');
+  notes.push(props.competitors_counted
+    ? 'Competitors were counted from imported store locations.'
+    : 'Competitors are estimated from population; import store locations for actual counts.');
+  if (options.scoringModelName) {
+    notes.push(`The suitability score uses the ${options.scoringModelName} scoring profile and is relative to the other areas of the same boundary type.`);
+  }
+  const normalized = COMPARISON_METRICS
+    .map(({ metric }) => ({ layer: DATA_LAYERS[metric], mode: getNormalization(options.normalizations, DATA_LAYERS[metric]) }))
+    .filter(({ mode }) => mode !== 'absolute')
+    .map(({ layer, mode }) => getLayerTitle(layer, mode));
+  if (normalized.length > 0) {
+    notes.push(`Percentiles compare ${normalized.join(', ')}.`);
+  }
+  if (baseline !== options.baseline) {
+    notes.push('Compared nationally: no other areas in this state have census data.');
+  }
+  notes.push(hasBasemap
+    ? `Basemap ${getAttributionText()}.`
+    : 'The basemap could not be loaded; the map shows the area boundaries only.');
+
+  pdf.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, { stroke: BORDER_COLOR, lineWidth: 0.5 });
+  let noteY = y + 6;
+  notes.forEach((note, i) => {
+    pdf.text(MARGIN, noteY + 7, `${i + 1}.`, { size: 7, color: MUTED_COLOR });
+    noteY = drawParagraph(pdf, MARGIN + 10, noteY, note, CONTENT_WIDTH - 10, 7) + 1;
+  });
+  return noteY;
+}
+
+/**
+ * Build the report PDF. Everything runs in the browser; only the basemap tiles are fetched.
+ */
+export async function createAreaReport(options: AreaReportOptions): Promise<Blob> {
+  const { feature, activeLayer, dataLayers, classBreaks } = options;
+  const props = feature.properties;
+  const layer = dataLayers[activeLayer];
+  const normalization = layer ? getNormalization(options.normalizations, layer) : 'absolute';
+  const baseline: BaselineScope = hasStateBaseline(options.comparisonFeatures, props) ? options.baseline : 'national';
+  const pdf = createPdf();
+
+  // Header
+  const generated = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+  pdf.text(MARGIN, MARGIN + 8, 'AREA REPORT', { size: 8, bold: true, color: MUTED_COLOR });
+  pdf.text(MARGIN + CONTENT_WIDTH, MARGIN + 8, `Generated ${generated}`, { size: 8, color: MUTED_COLOR, align: 'right' });
+  pdf.text(MARGIN, MARGIN + 30, props.name, { size: 20, bold: true, color: TEXT_COLOR });
+  const subtitle = [
+    options.boundaryName,
+    props.parent_name && props.parent_name !== props.state ? `in ${props.parent_name}` : null,
+    props.state,
+    props.code ? `Code ${props.code}` : null,
+    props.census_year ? `Census ${props.census_year}` : null,
+  ].filter(Boolean).join(' · ');
+  pdf.text(MARGIN, MARGIN + 44, subtitle, { size: 9, color: MUTED_COLOR });
+
+  // Map snapshot, colored like the choropleth
+  const mapY = MARGIN + 54;
+  const snapshot = await renderMapSnapshot({
+    focus: feature,
+    features: options.mapFeatures,
+    getFillColor: f => {
+      const value = f.properties.hasCensusData !== false ? getLayerValue(f.properties, activeLayer, normalization) : null;
+      return value !== null ? getLayerColor(value, activeLayer, classBreaks) : '#cccccc';
+    },
+    width: CONTENT_WIDTH,
+    height: MAP_HEIGHT,
+  });
+  pdf.image(snapshot.jpeg, snapshot.pixelWidth, snapshot.pixelHeight, MARGIN, mapY, CONTENT_WIDTH, MAP_HEIGHT);
+  pdf.rect(MARGIN, mapY, CONTENT_WIDTH, MAP_HEIGHT, { stroke: BORDER_COLOR, lineWidth: 0.5 });
+  const layerTitle = layer ? getLayerTitle(layer, normalization) : activeLayer;
+  pdf.text(MARGIN, mapY + MAP_HEIGHT + 10, `Colored by ${layerTitle}; ${props.name} outlined in blue.`, { size: 7, color: MUTED_COLOR });
+  const layerValue = getLayerValue(props, activeLayer, normalization);
+  if (props.hasCensusData !== false && layerValue !== null && layer) {
+    pdf.text(MARGIN + CONTENT_WIDTH, mapY + MAP_HEIGHT + 10, `${layerTitle}: ${formatLayerValue(layerValue, activeLayer, normalization)}`, { size: 7, color: MUTED_COLOR, align: 'right' });
+  }
+
+  // Key figures and market comparison side by side
+  const sectionY = mapY + MAP_HEIGHT + 24;
+  const figuresBottom = drawStatCards(pdf, MARGIN, drawHeading(pdf, MARGIN, sectionY, 'Key figures'), options);
+  const comparisonX = MARGIN + COLUMN_WIDTH + COLUMN_GAP;
+  const comparisonBottom = drawComparison(pdf, comparisonX, drawHeading(pdf, comparisonX, sectionY, 'Market comparison'), options, baseline);
+
+  const explanationsY = drawHeading(pdf, MARGIN, Math.max(figuresBottom, comparisonBottom) + 10, 'About the metrics');
+  const explanationsBottom = drawExplanations(pdf, explanationsY);
+  drawFootnotes(pdf, explanationsBottom + 6, options, baseline, snapshot.hasBasemap);
+
+  return pdf.toBlob();
+}
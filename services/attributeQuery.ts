@@ -0,0 +1,114 @@
+// Attribute queries: filter areas by conditions on any layer, combined with AND / OR
+import type { Feature } from 'geojson';
+import type { AttributeQuery, DataLayer, QueryCondition, QueryOperator, SavedQuery } from '../types';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+import { getLayerValue } from './normalization';
+
+const SAVED_QUERIES_KEY = 'savedQueries';
+
+export const QUERY_OPERATORS: QueryOperator[] = ['>', '>=', '<', '<=', '=', '!='];
+
+export const EMPTY_QUERY: AttributeQuery = { conditions: [] };
+
+export function createCondition(layerId: QueryCondition['layerId'], join: QueryCondition['join'] = 'and'): QueryCondition {
+  return {
+    id: `cond-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    join,
+    layerId,
+    operator: '>',
+    value: null,
+  };
+}
+
+/**
+ * Conditions that can be evaluated (a number has been entered)
+ */
+export function getCompleteConditions(query: AttributeQuery): QueryCondition[] {
+  return query.conditions.filter(condition => condition.value !== null && Number.isFinite(condition.value));
+}
+
+export function isQueryActive(query: AttributeQuery): boolean {
+  return getCompleteConditions(query).length > 0;
+}
+
+function compare(value: number, operator: QueryOperator, target: number): boolean {
+  switch (operator) {
+    case '>': return value > target;
+    case '>=': return value >= target;
+    case '<': return value < target;
+    case '<=': return value <= target;
+    case '=': return value === target;
+    case '!=': return value !== target;
+  }
+}
+
+function matchesCondition(props: any, condition: QueryCondition): boolean {
+  const value = getLayerValue(props, condition.layerId);
+  return value !== null && compare(value, condition.operator, condition.value as number);
+}
+
+/**
+ * Whether an area satisfies the query. Areas without census data never match,
+ * and neither do areas where a referenced formula layer is undefined.
+ */
+export function matchesQuery(props: any, query: AttributeQuery): boolean {
+  if (props?.hasCensusData === false) return false;
+  const conditions = getCompleteConditions(query);
+  if (conditions.length === 0) return true;
+
+  // Split into AND groups at every OR, then any group may match
+  const groups: QueryCondition[][] = [];
+  conditions.forEach((condition, index) => {
+    if (index === 0 || condition.join === 'or') {
+      groups.push([condition]);
+    } else {
+      groups[groups.length - 1].push(condition);
+    }
+  });
+  return groups.some(group => group.every(condition => matchesCondition(props, condition)));
+}
+
+/**
+ * Ids of the features matching an active query, or null when no query is active
+ */
+export function getQueryMatchIds(features: Feature[], query: AttributeQuery): Set<string> | null {
+  if (!isQueryActive(query)) return null;
+  return new Set(
+    features
+      .filter(feature => matchesQuery(feature.properties, query))
+      .map(feature => String((feature.properties as any)?.id))
+  );
+}
+
+/**
+ * Human-readable form, e.g. "Average Income > 6,000 AND Competitors < 20"
+ */
+export function describeQuery(query: AttributeQuery, layers: Record<string, DataLayer>): string {
+  return getCompleteConditions(query)
+    .map((condition, index) => {
+      const clause = `${layers[condition.layerId]?.name ?? condition.layerId} ${condition.operator} ${(condition.value as number).toLocaleString()}`;
+      return index === 0 ? clause : `${condition.join.toUpperCase()} ${clause}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Load saved queries, dropping malformed entries
+ */
+export function loadSavedQueries(): SavedQuery[] {
+  const stored = loadFromStorage<SavedQuery[]>(SAVED_QUERIES_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(saved => saved && saved.id && saved.name && Array.isArray(saved.query?.conditions));
+}
+
+export function saveSavedQueries(queries: SavedQuery[]): void {
+  saveToStorage(SAVED_QUERIES_KEY, queries);
+}
+
+export function createSavedQuery(name: string, query: AttributeQuery): SavedQuery {
+  return {
+    id: `query-${Date.now().toString(36)}`,
+    name: name.trim(),
+    query: { conditions: getCompleteConditions(query) },
+  };
+}
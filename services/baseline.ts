@@ -0,0 +1,122 @@
+// State and national baselines for comparing one area against the rest of the market
+import type { BaselineScope, DataLayerId, DistrictFeature, DistrictProperties, LayerId, NormalizationMode } from '../types';
+import { getLayerValue } from './normalization';
+
+export const BASELINE_SCOPES: { id: BaselineScope; name: string }[] = [
+  { id: 'state', name: 'State' },
+  { id: 'national', name: 'National' },
+];
+
+// Bar color of each baseline in the comparison chart
+export const BASELINE_COLORS: Record<BaselineScope, string> = {
+  state: '#3b82f6',
+  national: '#6366f1',
+};
+
+// Metrics of the market comparison, in display order
+export const COMPARISON_METRICS: { name: string; metric: DataLayerId }[] = [
+  { name: 'Population', metric: 'population' },
+  { name: 'Income', metric: 'avg_income' },
+  { name: 'Competitors', metric: 'competitors' },
+  { name: 'Score', metric: 'site_suitability_score' },
+  { name: 'Night Lights', metric: 'night_lights' },
+];
+
+/**
+ * Areas an area is compared against: every area with census data, or only those in the same state.
+ * Areas without census data are never part of a baseline, so they do not pull percentiles or averages
+ * down (see computeMetricRanges in scoring.ts).
+ */
+export function getBaselineFeatures(
+  features: DistrictFeature[],
+  props: DistrictProperties,
+  scope: BaselineScope
+): DistrictFeature[] {
+  return features.filter(f =>
+    f.properties.hasCensusData !== false
+    && (scope === 'national' || (!!props.state && f.properties.state === props.state))
+  );
+}
+
+/**
+ * Whether a within-state baseline is possible: the area's state is known and it has
+ * at least one other area with census data
+ */
+export function hasStateBaseline(features: DistrictFeature[], props: DistrictProperties): boolean {
+  if (!props.state) return false;
+  return getBaselineFeatures(features, props, 'state').some(f => f.properties.id !== props.id);
+}
+
+/**
+ * Percentile rank (0-100) of a value among others: the share of values below it,
+ * counting ties as half, so the median area sits at 50
+ */
+export function computePercentileRank(value: number, values: number[]): number | null {
+  if (values.length === 0) return null;
+  let below = 0;
+  let equal = 0;
+  values.forEach(v => {
+    if (v < value) below++;
+    else if (v === value) equal++;
+  });
+  return ((below + equal / 2) / values.length) * 100;
+}
+
+/**
+ * Population-weighted average of a layer over the baseline areas, so a small rural district
+ * counts for less than a dense urban one. Population itself is averaged per area: weighting it
+ * by itself would describe the area the average resident lives in, not the average area.
+ * Falls back to the plain mean when no area has a population.
+ */
+export function computeWeightedAverage(
+  features: DistrictFeature[],
+  layerId: LayerId,
+  mode: NormalizationMode = 'absolute'
+): number | null {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  let plainSum = 0;
+  let count = 0;
+
+  features.forEach(f => {
+    const value = getLayerValue(f.properties, layerId, mode);
+    if (value === null) return;
+    const population = Number(f.properties.population) || 0;
+    const weight = layerId === 'population' && mode === 'absolute' ? 1 : Math.max(population, 0);
+    weightedSum += value * weight;
+    totalWeight += weight;
+    plainSum += value;
+    count++;
+  });
+
+  if (count === 0) return null;
+  return totalWeight > 0 ? weightedSum / totalWeight : plainSum / count;
+}
+
+export interface BaselineComparison {
+  value: number | null;
+  percentile: number | null;  // Within the baseline areas
+  average: number | null;     // Population-weighted baseline average
+  areaCount: number;
+}
+
+/**
+ * Where an area's value of a layer sits within a set of baseline areas
+ */
+export function compareWithBaseline(
+  props: DistrictProperties,
+  baseline: DistrictFeature[],
+  layerId: LayerId,
+  mode: NormalizationMode = 'absolute'
+): BaselineComparison {
+  const value = props.hasCensusData === false ? null : getLayerValue(props, layerId, mode);
+  const values = baseline
+    .map(f => getLayerValue(f.properties, layerId, mode))
+    .filter((v): v is number => v !== null);
+  return {
+    value,
+    percentile: value === null ? null : computePercentileRank(value, values),
+    average: computeWeightedAverage(baseline, layerId, mode),
+    areaCount: values.length,
+  };
+}
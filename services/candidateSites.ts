@@ -0,0 +1,176 @@
+// Candidate sites: named pins for candidate addresses, the areas they fall in, persistence and CSV import/export
+import type { BoundaryTypeId, CandidateSite, CandidateStatus, DistrictFeature, DistrictProperties } from '../types';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+import { formatCsv, parseCsvRows } from '../utils/csv';
+import { LAT_COLUMNS, LNG_COLUMNS, createFeatureLocator, isValidCoordinate } from './competitors';
+
+const CANDIDATE_SITES_KEY = 'candidateSites';
+
+export const CANDIDATE_STATUSES: { id: CandidateStatus; name: string; color: string }[] = [
+  { id: 'shortlisted', name: 'Shortlisted', color: '#2563eb' },
+  { id: 'rejected', name: 'Rejected', color: '#9ca3af' },
+  { id: 'signed', name: 'Signed', color: '#16a34a' },
+];
+
+// Boundary types a site is looked up in, coarsest first
+export const SITE_BOUNDARIES: BoundaryTypeId[] = ['district', 'parliament', 'dun'];
+
+// Containing area per boundary type, null where the site lies outside every area or the data is not loaded yet
+export type CandidateSiteAreas = Partial<Record<BoundaryTypeId, DistrictProperties | null>>;
+
+// Accepted CSV column names besides the coordinates, compared case-insensitively
+const NAME_COLUMNS = ['name', 'site', 'site_name', 'address', 'title'];
+const STATUS_COLUMNS = ['status'];
+const NOTES_COLUMNS = ['notes', 'note', 'comments'];
+
+// Metrics written to the export for each containing area
+const EXPORT_METRICS: { key: keyof DistrictProperties; column: string }[] = [
+  { key: 'population', column: 'population' },
+  { key: 'avg_income', column: 'avg_income' },
+  { key: 'competitors', column: 'competitors' },
+  { key: 'site_suitability_score', column: 'score' },
+];
+
+export interface CandidateImportResult {
+  sites: CandidateSite[];
+  skipped: number;  // Rows without usable coordinates
+}
+
+/**
+ * Load saved candidate sites, dropping entries without valid coordinates
+ */
+export function loadCandidateSites(): CandidateSite[] {
+  const stored = loadFromStorage<CandidateSite[]>(CANDIDATE_SITES_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(site => site && isValidCoordinate(site.lat, site.lng));
+}
+
+/**
+ * Persist candidate sites
+ */
+export function saveCandidateSites(sites: CandidateSite[]): void {
+  saveToStorage(CANDIDATE_SITES_KEY, sites);
+}
+
+function isCandidateStatus(value: string): value is CandidateStatus {
+  return CANDIDATE_STATUSES.some(status => status.id === value);
+}
+
+/**
+ * New shortlisted site at a position
+ */
+export function createCandidateSite(name: string, lat: number, lng: number): CandidateSite {
+  return {
+    id: `site-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: name.trim(),
+    lat,
+    lng,
+    status: 'shortlisted',
+    notes: '',
+  };
+}
+
+/**
+ * Default name for the next pin, e.g. "Site 4"
+ */
+export function getNextSiteName(sites: CandidateSite[]): string {
+  const used = new Set(sites.map(site => site.name));
+  let index = sites.length + 1;
+  while (used.has(`Site ${index}`)) index++;
+  return `Site ${index}`;
+}
+
+/**
+ * Parse candidate sites from CSV with a header row holding latitude and longitude columns.
+ * Name, status and notes columns are optional; unknown statuses become shortlisted.
+ */
+export function parseCandidateCsv(text: string): CandidateImportResult {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) throw new Error('The file is empty');
+
+  const headers = rows[0].map(header => header.toLowerCase());
+  const findColumn = (names: string[]) => headers.findIndex(header => names.includes(header));
+  const latIndex = findColumn(LAT_COLUMNS);
+  const lngIndex = findColumn(LNG_COLUMNS);
+  if (latIndex === -1 || lngIndex === -1) {
+    throw new Error('The CSV needs latitude and longitude columns (e.g. "lat" and "lon")');
+  }
+  const nameIndex = findColumn(NAME_COLUMNS);
+  const statusIndex = findColumn(STATUS_COLUMNS);
+  const notesIndex = findColumn(NOTES_COLUMNS);
+
+  const sites: CandidateSite[] = [];
+  let skipped = 0;
+  rows.slice(1).forEach((fields, i) => {
+    const lat = parseFloat(fields[latIndex]);
+    const lng = parseFloat(fields[lngIndex]);
+    if (!isValidCoordinate(lat, lng)) {
+      skipped++;
+      return;
+    }
+    const site = createCandidateSite((nameIndex !== -1 && fields[nameIndex]) || `Site ${i + 1}`, lat, lng);
+    const status = statusIndex !== -1 ? (fields[statusIndex] ?? '').toLowerCase() : '';
+    sites.push({
+      ...site,
+      id: `${site.id}-${i + 1}`,
+      status: isCandidateStatus(status) ? status : 'shortlisted',
+      notes: notesIndex !== -1 ? fields[notesIndex] ?? '' : '',
+    });
+  });
+  return { sites, skipped };
+}
+
+/**
+ * Add imported sites to a list, skipping any already in it with the same name and position
+ */
+export function mergeCandidateSites(existing: CandidateSite[], imported: CandidateSite[]): CandidateSite[] {
+  const keyOf = (site: CandidateSite) => `${site.name}|${site.lat}|${site.lng}`;
+  const seen = new Set(existing.map(keyOf));
+  const added = imported.filter(site => {
+    const key = keyOf(site);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return [...existing, ...added];
+}
+
+/**
+ * Areas containing each site, keyed by site id. boundaryFeatures holds the loaded areas per
+ * boundary type; types that are not loaded are left out of the result.
+ */
+export function resolveCandidateSites(
+  sites: CandidateSite[],
+  boundaryFeatures: Partial<Record<BoundaryTypeId, DistrictFeature[]>>
+): Map<string, CandidateSiteAreas> {
+  const locators = SITE_BOUNDARIES
+    .filter(boundary => boundaryFeatures[boundary])
+    .map(boundary => ({ boundary, locate: createFeatureLocator(boundaryFeatures[boundary]!) }));
+
+  return new Map(sites.map(site => {
+    const areas: CandidateSiteAreas = {};
+    locators.forEach(({ boundary, locate }) => {
+      areas[boundary] = locate(site.lng, site.lat)?.properties ?? null;
+    });
+    return [site.id, areas];
+  }));
+}
+
+/**
+ * CSV of the sites with their containing areas and those areas' metrics and scores
+ */
+export function formatCandidateCsv(sites: CandidateSite[], siteAreas: Map<string, CandidateSiteAreas>): string {
+  const headers = ['name', 'lat', 'lon', 'status', 'notes', ...SITE_BOUNDARIES.flatMap(boundary => [
+    boundary, `${boundary}_id`, ...EXPORT_METRICS.map(metric => `${boundary}_${metric.column}`),
+  ])];
+  const rows = sites.map(site => {
+    const areas = siteAreas.get(site.id) ?? {};
+    return [site.name, site.lat, site.lng, site.status, site.notes, ...SITE_BOUNDARIES.flatMap(boundary => {
+      const area = areas[boundary];
+      // Areas without census data have placeholder values, so only their name is exported
+      const hasData = area && area.hasCensusData !== false;
+      return [area?.name ?? '', area?.id ?? '', ...EXPORT_METRICS.map(metric => (hasData ? area[metric.key] : ''))];
+    })];
+  });
+  return formatCsv(headers, rows);
+}
@@ -0,0 +1,285 @@
+// Catchments: population, income and competitors within a radius or drive-time isochrone, apportioned from the areas it overlaps
+import type { Geometry, Position } from 'geojson';
+import type { CompetitorPoint, DistrictFeature } from '../types';
+import type { Isochrone } from './roadNetwork';
+import { isPointInGeometry } from './competitors';
+
+// Straight-line radius, or drive time over a loaded road network (see services/roadNetwork.ts)
+export type CatchmentMode = 'radius' | 'drive';
+
+export const CATCHMENT_MODES: { id: CatchmentMode; name: string }[] = [
+  { id: 'radius', name: 'Radius' },
+  { id: 'drive', name: 'Drive time' },
+];
+
+export const CATCHMENT_RADII_KM = [1, 2, 3, 5, 10, 20];
+export const DEFAULT_CATCHMENT_RADIUS_KM = 3;
+
+// Vertices of the polygon standing in for the circle; its area is within 0.2% of the circle's
+const CIRCLE_SEGMENTS = 64;
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG = 111.32;
+const EARTH_RADIUS_KM = 6371.0088;
+
+export interface LatLng {
+  lat: number;
+  lng: number;
+}
+
+// One area's part in a catchment
+export interface CatchmentContribution {
+  id: string;
+  name: string;
+  overlapKm2: number;    // Area of the overlap between the circle and the area
+  areaShare: number;     // Fraction of the area inside the circle (0-1), the share of its counts apportioned
+  population: number;
+  competitors: number;
+  avgIncome: number;     // The area's own average income
+}
+
+export interface CatchmentResult {
+  center: LatLng;
+  population: number;
+  avgIncome: number | null;    // Population-weighted over the contributions, null without residents
+  competitors: number;
+  competitorsCounted: boolean; // Counted from store locations in the catchment rather than apportioned
+  areaKm2: number;
+  coveredKm2: number;          // Part of the catchment covered by areas with census data
+  contributions: CatchmentContribution[];  // Largest population first
+}
+
+export type Point = [number, number];
+
+// Equirectangular projection in km around a centre, accurate enough at catchment scale
+export interface LocalProjection {
+  toKm: (position: Position) => Point;
+  toLngLat: (point: Point) => Point;
+}
+
+/**
+ * Local km projection centred on a point
+ */
+export function createLocalProjection(center: LatLng): LocalProjection {
+  const kmPerDegreeLng = KM_PER_DEGREE_LNG * Math.cos(center.lat * Math.PI / 180);
+  return {
+    toKm: ([lng, lat]) => [(lng - center.lng) * kmPerDegreeLng, (lat - center.lat) * KM_PER_DEGREE_LAT],
+    toLngLat: ([x, y]) => [center.lng + x / kmPerDegreeLng, center.lat + y / KM_PER_DEGREE_LAT],
+  };
+}
+
+/**
+ * Great-circle distance between two points in km
+ */
+export function distanceKm(a: LatLng, b: LatLng): number {
+  const toRadians = (degrees: number) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(Math.sqrt(h), 1));
+}
+
+/**
+ * Planar area of a ring in the local projection (km²), always positive
+ */
+function ringArea(ring: Point[]): number {
+  let total = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    total += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(total) / 2;
+}
+
+/**
+ * Sutherland-Hodgman clipping of a ring by a convex, counter-clockwise polygon.
+ * Concave rings may come out with zero-width bridges, which add no area.
+ */
+function clipRing(ring: Point[], clipper: Point[]): Point[] {
+  let output = ring;
+  for (let i = 0; i < clipper.length && output.length > 0; i++) {
+    const [ax, ay] = clipper[i];
+    const [bx, by] = clipper[(i + 1) % clipper.length];
+    const isInside = ([x, y]: Point) => (bx - ax) * (y - ay) - (by - ay) * (x - ax) >= 0;
+    const intersect = ([px, py]: Point, [qx, qy]: Point): Point => {
+      const a1 = by - ay;
+      const b1 = ax - bx;
+      const a2 = qy - py;
+      const b2 = px - qx;
+      const det = a1 * b2 - a2 * b1;
+      const c1 = a1 * ax + b1 * ay;
+      const c2 = a2 * px + b2 * py;
+      return [(c1 * b2 - c2 * b1) / det, (a1 * c2 - a2 * c1) / det];
+    };
+
+    const input = output;
+    output = [];
+    input.forEach((current, j) => {
+      const previous = input[(j + input.length - 1) % input.length];
+      if (isInside(current)) {
+        if (!isInside(previous)) output.push(intersect(previous, current));
+        output.push(current);
+      } else if (isInside(previous)) {
+        output.push(intersect(previous, current));
+      }
+    });
+  }
+  return output;
+}
+
+/**
+ * Polygons of a geometry as lists of rings
+ */
+function getPolygons(geometry: Geometry | null | undefined): Position[][][] {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates];
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+/**
+ * Projected area of a polygon geometry in km², holes excluded
+ */
+function geometryAreaKm2(geometry: Geometry | null | undefined, projection: LocalProjection): number {
+  return getPolygons(geometry).reduce((total, rings) => total + rings.reduce(
+    (sum, ring, index) => sum + (index === 0 ? 1 : -1) * ringArea(ring.map(projection.toKm)), 0
+  ), 0);
+}
+
+/**
+ * Build the contribution of an area from its overlap with the catchment
+ */
+function toContribution(feature: DistrictFeature, overlapKm2: number, fullKm2: number): CatchmentContribution {
+  const props = feature.properties;
+  const areaShare = Math.min(overlapKm2 / fullKm2, 1);
+  return {
+    id: props.id,
+    name: props.name,
+    overlapKm2,
+    areaShare,
+    population: (props.population || 0) * areaShare,
+    competitors: (props.competitors || 0) * areaShare,
+    avgIncome: props.avg_income || 0,
+  };
+}
+
+/**
+ * Totals over the contributions. countCompetitors, when given, counts the imported stores in the catchment.
+ */
+function summarizeCatchment(
+  center: LatLng,
+  areaKm2: number,
+  contributions: CatchmentContribution[],
+  countCompetitors: (() => number) | null
+): CatchmentResult {
+  contributions.sort((a, b) => b.population - a.population);
+  const population = contributions.reduce((sum, part) => sum + part.population, 0);
+  const incomeTotal = contributions.reduce((sum, part) => sum + part.avgIncome * part.population, 0);
+
+  return {
+    center,
+    population,
+    avgIncome: population > 0 ? incomeTotal / population : null,
+    competitors: countCompetitors ? countCompetitors() : contributions.reduce((sum, part) => sum + part.competitors, 0),
+    competitorsCounted: countCompetitors !== null,
+    areaKm2,
+    coveredKm2: contributions.reduce((sum, part) => sum + part.overlapKm2, 0),
+    contributions,
+  };
+}
+
+/**
+ * Estimate population, income and competitors within a radius of a point. Each area's
+ * population and competitors count in proportion to how much of the area lies in the circle,
+ * which assumes they are spread evenly over it. Income is the population-weighted average.
+ * With imported store locations, competitors are the stores actually in the circle.
+ */
+export function computeCatchment(
+  center: LatLng,
+  radiusKm: number,
+  features: DistrictFeature[],
+  competitorPoints: CompetitorPoint[] = []
+): CatchmentResult {
+  const projection = createLocalProjection(center);
+  const circle: Point[] = Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+    const angle = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+    return [radiusKm * Math.cos(angle), radiusKm * Math.sin(angle)];
+  });
+
+  const contributions: CatchmentContribution[] = [];
+  features.forEach(feature => {
+    if (feature.properties.hasCensusData === false) return;
+
+    let overlapKm2 = 0;
+    getPolygons(feature.geometry).forEach(rings => {
+      const projected = rings.map(ring => ring.map(projection.toKm));
+      // Skip parts whose bounding box misses the circle's
+      const outer = projected[0] ?? [];
+      if (outer.every(([x]) => x < -radiusKm) || outer.every(([x]) => x > radiusKm)
+        || outer.every(([, y]) => y < -radiusKm) || outer.every(([, y]) => y > radiusKm)) {
+        return;
+      }
+      projected.forEach((ring, index) => {
+        overlapKm2 += (index === 0 ? 1 : -1) * ringArea(clipRing(ring, circle));  // Holes subtract
+      });
+    });
+
+    const fullKm2 = overlapKm2 > 0 ? geometryAreaKm2(feature.geometry, projection) : 0;
+    if (fullKm2 > 0) contributions.push(toContribution(feature, overlapKm2, fullKm2));
+  });
+
+  return summarizeCatchment(center, ringArea(circle), contributions, competitorPoints.length > 0
+    ? () => competitorPoints.filter(point => distanceKm(center, point) <= radiusKm).length
+    : null);
+}
+
+/**
+ * Estimate population, income and competitors within a drive-time isochrone. Apportionment
+ * works as for a radius, with each grid cell of the isochrone counted in the area holding its centre.
+ */
+export function computeIsochroneCatchment(
+  isochrone: Isochrone,
+  features: DistrictFeature[],
+  competitorPoints: CompetitorPoint[] = []
+): CatchmentResult {
+  const projection = createLocalProjection(isochrone.origin);
+  const cellKm2 = isochrone.cellSizeKm ** 2;
+  const candidates = features
+    .filter(feature => feature.properties.hasCensusData !== false)
+    .map(feature => {
+      const candidate = { feature, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+      getPolygons(feature.geometry).forEach(rings => rings[0]?.forEach(position => {
+        const [x, y] = projection.toKm(position);
+        candidate.minX = Math.min(candidate.minX, x);
+        candidate.minY = Math.min(candidate.minY, y);
+        candidate.maxX = Math.max(candidate.maxX, x);
+        candidate.maxY = Math.max(candidate.maxY, y);
+      }));
+      return candidate;
+    });
+
+  const cellCounts = new Map<DistrictFeature, number>();
+  isochrone.cells.forEach(([i, j]) => {
+    const x = (i + 0.5) * isochrone.cellSizeKm;
+    const y = (j + 0.5) * isochrone.cellSizeKm;
+    const [lng, lat] = projection.toLngLat([x, y]);
+    const match = candidates.find(candidate =>
+      x >= candidate.minX && x <= candidate.maxX && y >= candidate.minY && y <= candidate.maxY
+      && isPointInGeometry(lng, lat, candidate.feature.geometry)
+    );
+    if (match) cellCounts.set(match.feature, (cellCounts.get(match.feature) ?? 0) + 1);
+  });
+
+  const contributions: CatchmentContribution[] = [];
+  cellCounts.forEach((count, feature) => {
+    const fullKm2 = geometryAreaKm2(feature.geometry, projection);
+    if (fullKm2 > 0) contributions.push(toContribution(feature, count * cellKm2, fullKm2));
+  });
+
+  const cellKeys = new Set(isochrone.cells.map(([i, j]) => `${i}:${j}`));
+  return summarizeCatchment(isochrone.origin, isochrone.cells.length * cellKm2, contributions, competitorPoints.length > 0
+    ? () => competitorPoints.filter(point => {
+      const [x, y] = projection.toKm([point.lng, point.lat]);
+      return cellKeys.has(`${Math.floor(x / isochrone.cellSizeKm)}:${Math.floor(y / isochrone.cellSizeKm)}`);
+    }).length
+    : null);
+}
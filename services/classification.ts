@@ -0,0 +1,246 @@
+// Choropleth classification: class breaks computed from the loaded data
+import { scaleLinear } from 'd3-scale';
+import type { Feature } from 'geojson';
+import type { ClassBreaks, ClassificationMethod, ClassificationSettings, DataLayer, LayerId, NormalizationMode } from '../types';
+import { getBreaksKey, getLayerValue } from './normalization';
+
+/**
+ * Index of the class a value falls into (class i covers (thresholds[i-1], thresholds[i]])
+ */
+export function classifyValue(value: number, thresholds: number[]): number {
+  const classIndex = thresholds.findIndex(threshold => value <= threshold);
+  return classIndex === -1 ? thresholds.length : classIndex;
+}
+
+/**
+ * Linearly interpolated quantile of an ascending array
+ */
+function quantileSorted(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function quantileBreaks(sorted: number[], classCount: number): number[] {
+  return Array.from({ length: classCount - 1 }, (_, i) => quantileSorted(sorted, (i + 1) / classCount));
+}
+
+function equalIntervalBreaks(sorted: number[], classCount: number): number[] {
+  const min = sorted[0];
+  const step = (sorted[sorted.length - 1] - min) / classCount;
+  return Array.from({ length: classCount - 1 }, (_, i) => min + step * (i + 1));
+}
+
+/**
+ * Classes one standard deviation wide, centred on the mean
+ * (odd class counts put the mean in the middle of the central class)
+ */
+function standardDeviationBreaks(sorted: number[], classCount: number): number[] {
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const std = Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length);
+  return Array.from({ length: classCount - 1 }, (_, i) => mean + (i + 1 - classCount / 2) * std);
+}
+
+/**
+ * Fisher-Jenks natural breaks: minimise the variance within each class.
+ * O(k·n²) dynamic programme, fine for the few hundred features per boundary type.
+ */
+function jenksBreaks(sorted: number[], classCount: number): number[] {
+  const n = sorted.length;
+  const k = Math.min(classCount, new Set(sorted).size);
+  if (k < 2) return [];
+
+  // lowerClassLimits[i][j]: 1-based index of the first value in the last class
+  // when splitting the first i values into j classes
+  const lowerClassLimits: number[][] = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const varianceCombinations: number[][] = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+
+  for (let j = 1; j <= k; j++) {
+    lowerClassLimits[1][j] = 1;
+    for (let i = 2; i <= n; i++) {
+      varianceCombinations[i][j] = Infinity;
+    }
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+    for (let m = 1; m <= l; m++) {
+      const lowerIndex = l - m + 1;
+      const value = sorted[lowerIndex - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+      if (lowerIndex > 1) {
+        for (let j = 2; j <= k; j++) {
+          const candidate = variance + varianceCombinations[lowerIndex - 1][j - 1];
+          if (varianceCombinations[l][j] >= candidate) {
+            lowerClassLimits[l][j] = lowerIndex;
+            varianceCombinations[l][j] = candidate;
+          }
+        }
+      }
+    }
+    lowerClassLimits[l][1] = 1;
+    varianceCombinations[l][1] = variance;
+  }
+
+  // Walk back through the limits to recover each class's upper bound
+  const thresholds: number[] = [];
+  let upper = n;
+  for (let j = k; j >= 2; j--) {
+    const lowerIndex = lowerClassLimits[upper][j];
+    thresholds.unshift(sorted[lowerIndex - 2]);
+    upper = lowerIndex - 1;
+  }
+  return thresholds;
+}
+
+/**
+ * Spread a color scheme over any number of classes
+ */
+export function getClassColors(colorScheme: readonly string[], classCount: number): string[] {
+  if (classCount === colorScheme.length) return [...colorScheme];
+  if (classCount <= 1) return [colorScheme[colorScheme.length - 1]];
+  const scale = scaleLinear<string>()
+    .domain(colorScheme.map((_, i) => i / (colorScheme.length - 1)))
+    .range([...colorScheme]);
+  return Array.from({ length: classCount }, (_, i) => scale(i / (classCount - 1)));
+}
+
+/**
+ * Compute class breaks for a layer's values with the chosen method
+ */
+export function computeClassBreaks(
+  layerId: LayerId,
+  values: number[],
+  method: ClassificationMethod,
+  classCount: number,
+  colorScheme: readonly string[],
+  manualThresholds: number[] = []
+): ClassBreaks {
+  const sorted = values.filter(v => Number.isFinite(v)).sort((a, b) => a - b);
+  const min = sorted.length > 0 ? sorted[0] : 0;
+  const max = sorted.length > 0 ? sorted[sorted.length - 1] : 0;
+
+  let thresholds: number[];
+  if (method === 'manual') {
+    thresholds = [...manualThresholds].filter(v => Number.isFinite(v)).sort((a, b) => a - b);
+  } else if (sorted.length === 0 || min === max) {
+    thresholds = [];
+  } else {
+    switch (method) {
+      case 'equal_interval':
+        thresholds = equalIntervalBreaks(sorted, classCount);
+        break;
+      case 'jenks':
+        thresholds = jenksBreaks(sorted, classCount);
+        break;
+      case 'std_dev':
+        thresholds = standardDeviationBreaks(sorted, classCount);
+        break;
+      case 'quantile':
+      default:
+        thresholds = quantileBreaks(sorted, classCount);
+        break;
+    }
+  }
+
+  return {
+    layerId,
+    method,
+    thresholds,
+    min,
+    max,
+    colors: getClassColors(colorScheme, thresholds.length + 1),
+  };
+}
+
+/**
+ * Number of values in each class
+ */
+export function computeClassCounts(values: number[], thresholds: number[]): number[] {
+  const counts = new Array(thresholds.length + 1).fill(0);
+  values.forEach(value => {
+    counts[classifyValue(value, thresholds)]++;
+  });
+  return counts;
+}
+
+export interface HistogramBin {
+  start: number;
+  end: number;
+  count: number;
+}
+
+/**
+ * Equal-width histogram of values between min and max
+ */
+export function computeHistogram(values: number[], binCount: number, min: number, max: number): HistogramBin[] {
+  const width = (max - min) / binCount;
+  const bins: HistogramBin[] = Array.from({ length: binCount }, (_, i) => ({
+    start: min + width * i,
+    end: min + width * (i + 1),
+    count: 0,
+  }));
+  if (width <= 0) {
+    if (bins.length > 0) bins[0].count = values.length;
+    return bins;
+  }
+  values.forEach(value => {
+    const index = Math.min(Math.max(Math.floor((value - min) / width), 0), binCount - 1);
+    bins[index].count++;
+  });
+  return bins;
+}
+
+/**
+ * Values of a layer over features with census data, in the given normalization
+ * (areas whose population or land area is unknown are left out of relative modes)
+ */
+export function getLayerValues(features: Feature[], layerId: LayerId, mode: NormalizationMode = 'absolute'): number[] {
+  return features
+    .filter(f => (f.properties as any)?.hasCensusData !== false)
+    .map(f => getLayerValue(f.properties as any, layerId, mode))
+    .filter((v): v is number => v !== null && Number.isFinite(v));
+}
+
+/**
+ * Default manual thresholds for a layer: its configured stops, minus the top one
+ */
+export function getDefaultManualBreaks(layer: DataLayer): number[] {
+  return layer.stops.slice(0, -1);
+}
+
+/**
+ * Class breaks for a layer over the features currently loaded. Only the values getLayerValues keeps
+ * are classified, so areas without census data neither crowd the lowest class nor stretch the range.
+ */
+export function computeLayerBreaks(
+  features: Feature[],
+  layer: DataLayer,
+  settings: ClassificationSettings,
+  mode: NormalizationMode = 'absolute'
+): ClassBreaks {
+  const values = getLayerValues(features, layer.id, mode);
+
+  // The configured stops are in absolute units; relative modes and formula layers (which have no stops)
+  // start from rounded quantiles instead
+  const defaultManualBreaks = mode === 'absolute' && layer.stops.length > 0
+    ? getDefaultManualBreaks(layer)
+    : Array.from(new Set(
+        quantileBreaks([...values].sort((a, b) => a - b), settings.classCount).map(v => Number(v.toPrecision(3)))
+      ));
+
+  return computeClassBreaks(
+    layer.id,
+    values,
+    settings.method,
+    settings.classCount,
+    layer.colorScheme,
+    settings.manualBreaks[getBreaksKey(layer.id, mode)] ?? defaultManualBreaks
+  );
+}
@@ -0,0 +1,112 @@
+// Side-by-side comparison of areas pinned by the user
+import type { DataLayer, DistrictFeature, LayerId, NormalizationMode, NormalizationSettings, ScoringCriteria } from '../types';
+import { SCORE_METRICS } from '../constants';
+import { getLayerValue, getNormalization } from './normalization';
+
+export const MAX_PINNED_AREAS = 4;
+
+// One color per pin slot, used for the map outline, the drawer card and the chart series
+export const PIN_COLORS = ['#e11d48', '#0891b2', '#ca8a04', '#7c3aed'];
+
+export interface ComparisonRow {
+  layer: DataLayer;
+  normalization: NormalizationMode;
+  values: (number | null)[];        // One per pinned area; null without census data
+  differences: (number | null)[];   // Relative to the first pinned area, e.g. 0.25 = 25% higher
+  positions: (number | null)[];     // 0-100 within the range of all loaded areas, for the chart
+  best: number | null;              // Index of the most favourable value, null without a preferred direction or on a tie
+  worst: number | null;
+}
+
+/**
+ * Add an area to the pinned list, or remove it if already pinned.
+ * Pinning beyond MAX_PINNED_AREAS is ignored.
+ */
+export function togglePinnedId(pinnedIds: string[], featureId: string): string[] {
+  if (pinnedIds.includes(featureId)) {
+    return pinnedIds.filter(id => id !== featureId);
+  }
+  return pinnedIds.length >= MAX_PINNED_AREAS ? pinnedIds : [...pinnedIds, featureId];
+}
+
+/**
+ * Layers shown in the comparison: the score, its input metrics, and the active layer if it is not one of them
+ */
+export function getComparisonLayerIds(activeLayer: LayerId): LayerId[] {
+  const layerIds: LayerId[] = ['site_suitability_score', ...SCORE_METRICS];
+  return layerIds.includes(activeLayer) ? layerIds : [...layerIds, activeLayer];
+}
+
+/**
+ * Whether higher values of a layer are better: the score and benefit metrics yes, cost metrics no,
+ * formula layers unknown (null)
+ */
+function getPreferredDirection(layerId: LayerId, criteria: ScoringCriteria): 1 | -1 | null {
+  if (layerId === 'site_suitability_score') return 1;
+  const criterion = criteria[layerId as keyof ScoringCriteria];
+  if (!criterion) return null;
+  return criterion.direction === 'cost' ? -1 : 1;
+}
+
+/**
+ * Index of the highest value, or null if it is shared or there are fewer than two values to compare
+ */
+function indexOfMax(values: (number | null)[]): number | null {
+  const defined = values.filter((v): v is number => v !== null);
+  if (defined.length < 2) return null;
+  const max = Math.max(...defined);
+  const matches = values.filter(v => v === max).length;
+  return matches === 1 ? values.indexOf(max) : null;
+}
+
+/**
+ * One aligned row per layer with the pinned areas' values, their differences from the first
+ * pinned area and the best and worst of them
+ */
+export function buildComparisonRows(
+  pinned: DistrictFeature[],
+  allFeatures: DistrictFeature[],
+  dataLayers: Record<string, DataLayer>,
+  activeLayer: LayerId,
+  criteria: ScoringCriteria,
+  normalizations: NormalizationSettings = {}
+): ComparisonRow[] {
+  const withData = allFeatures.filter(f => f.properties.hasCensusData !== false);
+
+  return getComparisonLayerIds(activeLayer)
+    .filter(layerId => dataLayers[layerId])
+    .map(layerId => {
+      const layer = dataLayers[layerId];
+      const normalization = getNormalization(normalizations, layer);
+      const valueOf = (feature: DistrictFeature) =>
+        feature.properties.hasCensusData === false ? null : getLayerValue(feature.properties, layerId, normalization);
+
+      const values = pinned.map(valueOf);
+
+      const rangeValues = withData.map(valueOf).filter((v): v is number => v !== null);
+      const min = rangeValues.length > 0 ? Math.min(...rangeValues) : 0;
+      const max = rangeValues.length > 0 ? Math.max(...rangeValues) : 0;
+      const positions = values.map(value => {
+        if (value === null) return null;
+        return max > min ? ((value - min) / (max - min)) * 100 : 50;
+      });
+
+      const reference = values[0];
+      const differences = values.map((value, index) => {
+        if (index === 0 || value === null || reference === null || reference === 0) return null;
+        return (value - reference) / Math.abs(reference);
+      });
+
+      const direction = getPreferredDirection(layerId, criteria);
+      const oriented = direction === null ? [] : values.map(v => (v === null ? null : v * direction));
+      return {
+        layer,
+        normalization,
+        values,
+        differences,
+        positions,
+        best: direction === null ? null : indexOfMax(oriented),
+        worst: direction === null ? null : indexOfMax(oriented.map(v => (v === null ? null : -v))),
+      };
+    });
+}
@@ -0,0 +1,256 @@
+// Competitor store locations: importing them from CSV or GeoJSON, counting them per area and clustering them for the map
+import type { Feature, FeatureCollection, Geometry, Position } from 'geojson';
+import type { CompetitorPoint, DistrictProperties } from '../types';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+import { parseCsvRows } from '../utils/csv';
+
+const COMPETITOR_POINTS_KEY = 'competitorPoints';
+
+// Accepted CSV column names, compared case-insensitively
+export const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+export const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x'];
+const NAME_COLUMNS = ['name', 'store', 'store_name', 'title'];
+const BRAND_COLUMNS = ['brand', 'chain', 'company'];
+
+export interface CompetitorImportResult {
+  points: CompetitorPoint[];
+  skipped: number;  // Rows or features without usable coordinates
+}
+
+export interface CompetitorCluster {
+  lat: number;
+  lng: number;
+  points: CompetitorPoint[];
+}
+
+/**
+ * Load saved competitor points, dropping entries without valid coordinates
+ */
+export function loadCompetitorPoints(): CompetitorPoint[] {
+  const stored = loadFromStorage<CompetitorPoint[]>(COMPETITOR_POINTS_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(point => point && isValidCoordinate(point.lat, point.lng));
+}
+
+/**
+ * Persist competitor points
+ */
+export function saveCompetitorPoints(points: CompetitorPoint[]): void {
+  saveToStorage(COMPETITOR_POINTS_KEY, points);
+}
+
+export function isValidCoordinate(lat: number, lng: number): boolean {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/**
+ * Parse competitor locations from CSV with a header row holding latitude and longitude columns
+ */
+export function parseCompetitorCsv(text: string): CompetitorImportResult {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) throw new Error('The file is empty');
+
+  const headers = rows[0].map(header => header.toLowerCase());
+  const findColumn = (names: string[]) => headers.findIndex(header => names.includes(header));
+  const latIndex = findColumn(LAT_COLUMNS);
+  const lngIndex = findColumn(LNG_COLUMNS);
+  if (latIndex === -1 || lngIndex === -1) {
+    throw new Error('The CSV needs latitude and longitude columns (e.g. "lat" and "lng")');
+  }
+  const nameIndex = findColumn(NAME_COLUMNS);
+  const brandIndex = findColumn(BRAND_COLUMNS);
+
+  const points: CompetitorPoint[] = [];
+  let skipped = 0;
+  rows.slice(1).forEach((fields, i) => {
+    const lat = parseFloat(fields[latIndex]);
+    const lng = parseFloat(fields[lngIndex]);
+    if (!isValidCoordinate(lat, lng)) {
+      skipped++;
+      return;
+    }
+    points.push({
+      id: `c${i + 1}`,
+      lat,
+      lng,
+      ...(nameIndex !== -1 && fields[nameIndex] ? { name: fields[nameIndex] } : {}),
+      ...(brandIndex !== -1 && fields[brandIndex] ? { brand: fields[brandIndex] } : {}),
+    });
+  });
+  return { points, skipped };
+}
+
+/**
+ * Parse competitor locations from the Point and MultiPoint features of a GeoJSON FeatureCollection
+ */
+export function parseCompetitorGeoJson(data: any): CompetitorImportResult {
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('Invalid GeoJSON format: expected FeatureCollection');
+  }
+
+  const points: CompetitorPoint[] = [];
+  let skipped = 0;
+  data.features.forEach((feature: any, i: number) => {
+    const props = feature?.properties ?? {};
+    const geometry = feature?.geometry;
+    const positions: Position[] = geometry?.type === 'Point'
+      ? [geometry.coordinates]
+      : geometry?.type === 'MultiPoint' ? geometry.coordinates : [];
+    const valid = positions.filter(position => Array.isArray(position) && isValidCoordinate(position[1], position[0]));
+    if (valid.length === 0) {
+      skipped++;
+      return;
+    }
+    const name = NAME_COLUMNS.map(key => props[key]).find(value => value);
+    const brand = BRAND_COLUMNS.map(key => props[key]).find(value => value);
+    valid.forEach((position, j) => {
+      points.push({
+        id: valid.length > 1 ? `c${i + 1}-${j + 1}` : `c${i + 1}`,
+        lat: position[1],
+        lng: position[0],
+        ...(name ? { name: String(name) } : {}),
+        ...(brand ? { brand: String(brand) } : {}),
+      });
+    });
+  });
+  return { points, skipped };
+}
+
+/**
+ * Parse an uploaded competitor file, picking the format from its extension or content
+ */
+export function parseCompetitorFile(fileName: string, text: string): CompetitorImportResult {
+  const isJson = /\.(geo)?json$/i.test(fileName) || text.trimStart().startsWith('{');
+  if (isJson) {
+    let data: unknown;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+    return parseCompetitorGeoJson(data);
+  }
+  return parseCompetitorCsv(text);
+}
+
+/**
+ * Ray-casting test for a lon/lat point inside a ring
+ */
+function isPointInRing(lng: number, lat: number, ring: Position[]): boolean {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function isPointInPolygon(lng: number, lat: number, rings: Position[][]): boolean {
+  const [outer, ...holes] = rings;
+  return !!outer && isPointInRing(lng, lat, outer) && !holes.some(hole => isPointInRing(lng, lat, hole));
+}
+
+/**
+ * Whether a point lies inside a Polygon or any part of a MultiPolygon (holes excluded)
+ */
+export function isPointInGeometry(lng: number, lat: number, geometry: Geometry | null | undefined): boolean {
+  if (geometry?.type === 'Polygon') return isPointInPolygon(lng, lat, geometry.coordinates);
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates.some(polygon => isPointInPolygon(lng, lat, polygon));
+  return false;
+}
+
+/**
+ * Bounding box [minLng, minLat, maxLng, maxLat] of a polygon geometry, to skip most point tests cheaply
+ */
+function getBoundingBox(geometry: Geometry): [number, number, number, number] | null {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+  let box: [number, number, number, number] | null = null;
+  polygons.forEach(polygon => polygon[0]?.forEach(([lng, lat]) => {
+    box = box
+      ? [Math.min(box[0], lng), Math.min(box[1], lat), Math.max(box[2], lng), Math.max(box[3], lat)]
+      : [lng, lat, lng, lat];
+  }));
+  return box;
+}
+
+/**
+ * Lookup of the feature containing a point, with bounding boxes computed once so that many
+ * points can be located cheaply. A point on a shared border goes to the first feature containing it.
+ */
+export function createFeatureLocator<F extends Feature>(features: F[]): (lng: number, lat: number) => F | null {
+  const candidates = features
+    .map(feature => ({ feature, box: feature.geometry ? getBoundingBox(feature.geometry) : null }))
+    .filter(candidate => candidate.box !== null);
+  return (lng, lat) => candidates.find(({ box, feature }) =>
+    lng >= box![0] && lat >= box![1] && lng <= box![2] && lat <= box![3] && isPointInGeometry(lng, lat, feature.geometry)
+  )?.feature ?? null;
+}
+
+/**
+ * Number of points inside each feature, keyed by feature id. Border points count once,
+ * so the counts add up to the points inside the boundaries.
+ */
+export function countPointsPerFeature(data: FeatureCollection, points: CompetitorPoint[]): Map<string, number> {
+  const counts = new Map<string, number>();
+  data.features.forEach(feature => counts.set(String((feature.properties as any)?.id), 0));
+  const locate = createFeatureLocator(data.features);
+
+  points.forEach(({ lat, lng }) => {
+    const match = locate(lng, lat);
+    if (match) {
+      const id = String((match.properties as any)?.id);
+      counts.set(id, (counts.get(id) ?? 0) + 1);
+    }
+  });
+  return counts;
+}
+
+/**
+ * Replace each area's competitor value with the number of imported points inside it.
+ * Counted values are real, so an imputed area no longer lists competitors as estimated.
+ */
+export function applyCompetitorCounts(data: FeatureCollection, points: CompetitorPoint[]): FeatureCollection {
+  if (points.length === 0) return data;
+  const counts = countPointsPerFeature(data, points);
+
+  return {
+    ...data,
+    features: data.features.map(feature => {
+      const props = feature.properties as DistrictProperties;
+      const updated: DistrictProperties = { ...props, competitors: counts.get(String(props.id)) ?? 0, competitors_counted: true };
+      if (props.estimated_metrics?.includes('competitors')) {
+        updated.estimated_metrics = props.estimated_metrics.filter(metric => metric !== 'competitors');
+      }
+      return { ...feature, properties: updated };
+    }),
+  };
+}
+
+/**
+ * Group points that fall in the same screen grid cell. project maps a point to pixel
+ * coordinates at the current zoom; each cluster sits at the mean position of its points.
+ */
+export function clusterPoints(
+  points: CompetitorPoint[],
+  project: (lat: number, lng: number) => { x: number; y: number },
+  cellSizePx: number
+): CompetitorCluster[] {
+  const cells = new Map<string, CompetitorPoint[]>();
+  points.forEach(point => {
+    const { x, y } = project(point.lat, point.lng);
+    const key = `${Math.floor(x / cellSizePx)}:${Math.floor(y / cellSizePx)}`;
+    const cell = cells.get(key);
+    if (cell) cell.push(point);
+    else cells.set(key, [point]);
+  });
+
+  return Array.from(cells.values()).map(cellPoints => ({
+    lat: cellPoints.reduce((sum, point) => sum + point.lat, 0) / cellPoints.length,
+    lng: cellPoints.reduce((sum, point) => sum + point.lng, 0) / cellPoints.length,
+    points: cellPoints,
+  }));
+}
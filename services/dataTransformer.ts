@@ -1,6 +1,7 @@
 // Utilities for transforming geospatial data to match expected format
 import type { FeatureCollection, Feature, Polygon, MultiPolygon } from 'geojson';
 import type { DistrictProperties } from '../types';
+import { computeAreaKm2 } from './geometry';
 
 /**
  * Property mapping configuration
@@ -10,6 +11,10 @@ export interface PropertyMapping {
   // Identity fields
   id?: string | string[];              // Source field(s) for id
   name?: string | string[];            // Source field(s) for name
+  state?: string | string[];           // Source field(s) for the state name
+  parent_id?: string | string[];       // Source field(s) for the enclosing area's id (see services/hierarchy.ts)
+  parent_name?: string | string[];
+  code?: string | string[];            // Source field(s) for the official short code, e.g. "N.01"
   
   // Numeric fields
   population?: string;
@@ -18,6 +23,7 @@ export interface PropertyMapping {
   public_services?: string;
   site_suitability_score?: string;
   night_lights?: string;
+  area_km2?: string;
 }
 
 /**
@@ -77,7 +83,8 @@ function transformFeature(
   
   // Build transformed properties
   const transformedProps: DistrictProperties = {
-    id: getValue(mapping.id || ['id', 'ID', 'district_id', 'code'], ''),
+    // Numeric codes (e.g. code_state) become strings so ids compare equal to parent_id
+    id: String(getValue(mapping.id || ['id', 'ID', 'district_id', 'code'], '')),
     name: getValue(mapping.name || ['name', 'NAME', 'district_name', 'label'], 'Unknown'),
     population: getNumeric(mapping.population || 'population', 0),
     avg_income: getNumeric(mapping.avg_income || 'avg_income', 0),
@@ -87,11 +94,45 @@ function transformFeature(
     night_lights: getNumeric(mapping.night_lights || 'night_lights', 0),
     hasCensusData: hasCensusData(),
   };
+
+  const state = getValue(mapping.state || ['state', 'STATE', 'negeri'], null);
+  if (state !== null && String(state).trim()) {
+    transformedProps.state = String(state).trim();
+  }
+
+  const parentId = mapping.parent_id ? getValue(mapping.parent_id, null) : null;
+  if (parentId !== null && String(parentId).trim()) {
+    transformedProps.parent_id = String(parentId).trim();
+    transformedProps.parent_name = String(getValue(mapping.parent_name, parentId)).trim();
+  }
+
+  const code = mapping.code ? getValue(mapping.code, null) : null;
+  if (code !== null && String(code).trim()) {
+    transformedProps.code = String(code).trim();
+  }
+
+  // Census time series from the enrichment script, kept for the time slider and growth layers
+  if (props.census_by_year && typeof props.census_by_year === 'object') {
+    transformedProps.census_by_year = props.census_by_year;
+    const censusYear = getNumeric('census_year', 0);
+    if (censusYear > 0) transformedProps.census_year = censusYear;
+  }
+  
+  if (props.competitors_counted) transformedProps.competitors_counted = true;
+
+  // Metrics the enrichment script imputed, shown as estimates
+  if (Array.isArray(props.estimated_metrics) && props.estimated_metrics.length > 0) {
+    transformedProps.estimated_metrics = props.estimated_metrics;
+    if (props.estimate_method) transformedProps.estimate_method = props.estimate_method;
+  }
   
   // Support both Polygon and MultiPolygon geometries
   if (feature.geometry.type !== 'Polygon' && feature.geometry.type !== 'MultiPolygon') {
     throw new Error(`Unsupported geometry type: ${feature.geometry.type}. Expected Polygon or MultiPolygon.`);
   }
+
+  // Prefer the census land area; fall back to the polygon's own area
+  transformedProps.area_km2 = getNumeric(mapping.area_km2 || 'area_km2', 0) || computeAreaKm2(feature.geometry);
   
   return {
     ...feature,
@@ -110,15 +151,8 @@ export function calculateMissingProperties(
 ): Partial<DistrictProperties> {
   const calculated: Partial<DistrictProperties> = {};
   
-  // Example: Calculate site_suitability_score from other metrics if missing
-  if (!availableFields.includes('site_suitability_score') && 
-      (availableFields.includes('population') || availableFields.includes('income'))) {
-    // Simple scoring algorithm - customize based on your needs
-    const popScore = Math.min((props.population || 0) / 10000, 1) * 40;
-    const incomeScore = Math.min((props.avg_income || 0) / 1000, 1) * 40;
-    const serviceScore = Math.min((props.public_services || 0) / 30, 1) * 20;
-    calculated.site_suitability_score = Math.round(popScore + incomeScore + serviceScore);
-  }
+  // site_suitability_score is not estimated here: it is recomputed for the whole
+  // collection by the weighted scoring engine in services/scoring.ts
   
   // Example: Estimate night_lights from population if missing
   if (!availableFields.includes('night_lights') && availableFields.includes('population')) {
@@ -0,0 +1,41 @@
+// Census values imputed from a parent area (see the --impute mode of scripts/enrich-geojson.js)
+import type { DataLayerId, DistrictProperties, EstimateMethod, LayerId, NormalizationMode } from '../types';
+import { SCORE_METRICS } from '../constants';
+
+export const ESTIMATE_METHOD_LABELS: Record<EstimateMethod, string> = {
+  siblings: "the parliament's census, less the DUNs that have data, split by area",
+  area: "the parliament's census split by area",
+};
+
+/**
+ * Whether an area has any imputed metric
+ */
+export function hasEstimates(props: Partial<DistrictProperties> | null | undefined): boolean {
+  return (props?.estimated_metrics?.length ?? 0) > 0;
+}
+
+/**
+ * Whether one metric of an area is imputed
+ */
+export function isMetricEstimated(props: Partial<DistrictProperties> | null | undefined, metric: DataLayerId): boolean {
+  return props?.estimated_metrics?.includes(metric) ?? false;
+}
+
+/**
+ * Whether a layer's value for an area rests on imputed metrics. The score and formula layers
+ * count as estimated when any input is; growth layers follow their metric, and per-capita
+ * views also depend on the population.
+ */
+export function isLayerEstimated(
+  props: Partial<DistrictProperties> | null | undefined,
+  layerId: LayerId,
+  normalization: NormalizationMode = 'absolute'
+): boolean {
+  if (!hasEstimates(props)) return false;
+  if (normalization === 'per_capita' && isMetricEstimated(props, 'population')) return true;
+  if (layerId === 'site_suitability_score') return SCORE_METRICS.some(metric => isMetricEstimated(props, metric));
+  if (layerId.startsWith('population_')) return isMetricEstimated(props, 'population');
+  if (layerId.startsWith('avg_income_')) return isMetricEstimated(props, 'avg_income');
+  if (layerId.startsWith('formula-')) return true;
+  return isMetricEstimated(props, layerId as DataLayerId);
+}
@@ -0,0 +1,245 @@
+// Export of the areas in view, with their attributes and scores, as CSV, GeoJSON, KML or a zipped shapefile
+import type { Feature, FeatureCollection, MultiPolygon, Polygon } from 'geojson';
+import type { DataLayer, DistrictFeature, DistrictProperties } from '../types';
+import { GROWTH_LAYERS } from '../constants';
+import { formatCsv } from '../utils/csv';
+import { createZip } from '../utils/zip';
+import { toDbfFieldNames, writeShapefile, type ShapefileFieldType, type ShapefileValue } from './shapefile';
+import type { RankedFeature } from './topsis';
+
+export type ExportFormat = 'csv' | 'geojson' | 'kml' | 'shapefile';
+
+export const EXPORT_FORMATS: { id: ExportFormat; name: string; hasGeometry: boolean }[] = [
+  { id: 'csv', name: 'CSV', hasGeometry: false },  // Attributes only, for spreadsheets
+  { id: 'geojson', name: 'GeoJSON', hasGeometry: true },
+  { id: 'kml', name: 'KML', hasGeometry: true },
+  { id: 'shapefile', name: 'Shapefile', hasGeometry: true },
+];
+
+export interface ExportOptions {
+  format: ExportFormat;
+  includeGeometry: boolean;
+  baseName: string;                      // File name without extension
+  dataLayers: Record<string, DataLayer>; // For formula layer names
+  rankings?: RankedFeature[];            // TOPSIS ranking of the areas in view
+}
+
+export interface ExportFile {
+  fileName: string;
+  content: string | Blob;
+  mimeType: string;
+}
+
+// One exported attribute. shortName is the shapefile field name, which dBase limits to 10 characters.
+interface ExportColumn {
+  key: string;
+  shortName: string;
+  type: ShapefileFieldType;
+  getValue: (props: DistrictProperties, id: string) => ShapefileValue | undefined;
+}
+
+type PropertyKey = keyof DistrictProperties;
+
+// DistrictProperties in export order, with their shapefile names
+const PROPERTY_COLUMNS: [PropertyKey, string, ShapefileFieldType][] = [
+  ['id', 'id', 'string'],
+  ['name', 'name', 'string'],
+  ['code', 'code', 'string'],
+  ['state', 'state', 'string'],
+  ['parent_id', 'parent_id', 'string'],
+  ['parent_name', 'parent', 'string'],
+  ['hasCensusData', 'has_census', 'boolean'],
+  ['census_year', 'cens_year', 'number'],
+  ['population', 'population', 'number'],
+  ['avg_income', 'avg_income', 'number'],
+  ['competitors', 'competitor', 'number'],
+  ['competitors_counted', 'comp_count', 'boolean'],
+  ['public_services', 'services', 'number'],
+  ['night_lights', 'lights', 'number'],
+  ['area_km2', 'area_km2', 'number'],
+  ['site_suitability_score', 'score', 'number'],
+  ['estimated_metrics', 'estimated', 'string'],
+  ['estimate_method', 'est_method', 'string'],
+];
+
+// Shapefile names of the census metrics, used for the per-year columns, e.g. pop_2020
+const CENSUS_SHORT_NAMES: Record<string, string> = {
+  population: 'pop',
+  avg_income: 'income',
+  competitors: 'comp',
+  public_services: 'serv',
+  night_lights: 'lights',
+  area_km2: 'area',
+};
+
+const GROWTH_SHORT_NAMES: Record<string, string> = {
+  population_change: 'pop_chg',
+  population_cagr: 'pop_cagr',
+  avg_income_change: 'inc_chg',
+  avg_income_cagr: 'inc_cagr',
+};
+
+/**
+ * Column-safe version of a formula layer's name, e.g. "Spend per store" -> "spend_per_store"
+ */
+function toColumnName(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Value as stored in flat formats: lists are joined and non-finite numbers are dropped
+ */
+function toFlatValue(value: unknown): ShapefileValue | undefined {
+  if (value === null || value === undefined) return undefined;
+  if (Array.isArray(value)) return value.length > 0 ? value.join(';') : undefined;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'string' || typeof value === 'boolean') return value;
+  return undefined;
+}
+
+/**
+ * Columns for the exported areas: their properties, census years, growth and formula layers, and ranking.
+ * Columns no area has a value for are left out.
+ */
+function getExportColumns(features: DistrictFeature[], options: ExportOptions): ExportColumn[] {
+  const columns: ExportColumn[] = PROPERTY_COLUMNS.map(([key, shortName, type]) => ({
+    key,
+    shortName,
+    type,
+    getValue: props => toFlatValue(props[key]),
+  }));
+
+  const years = [...new Set(features.flatMap(f => Object.keys(f.properties.census_by_year ?? {})))].sort();
+  years.forEach(year => {
+    Object.entries(CENSUS_SHORT_NAMES).forEach(([metric, shortName]) => {
+      columns.push({
+        key: `${metric}_${year}`,
+        shortName: `${shortName}_${year}`,
+        type: 'number',
+        getValue: props => toFlatValue((props.census_by_year?.[year] as Record<string, unknown> | undefined)?.[metric]),
+      });
+    });
+  });
+
+  Object.keys(GROWTH_LAYERS).forEach(layerId => {
+    columns.push({
+      key: layerId,
+      shortName: GROWTH_SHORT_NAMES[layerId] ?? layerId,
+      type: 'number',
+      getValue: props => toFlatValue((props as unknown as Record<string, unknown>)[layerId]),
+    });
+  });
+
+  Object.values(options.dataLayers)
+    .filter(layer => layer.id.startsWith('formula-'))
+    .forEach(layer => {
+      const name = toColumnName(layer.name) || layer.id;
+      columns.push({
+        key: `formula_${name}`,
+        shortName: name,
+        type: 'number',
+        getValue: props => toFlatValue((props as unknown as Record<string, unknown>)[layer.id]),
+      });
+    });
+
+  if (options.rankings) {
+    const rankings = new Map(options.rankings.map(ranking => [ranking.id, ranking]));
+    columns.push(
+      { key: 'topsis_score', shortName: 'topsis', type: 'number', getValue: (_, id) => rankings.get(id)?.score },
+      { key: 'topsis_rank', shortName: 'topsis_rnk', type: 'number', getValue: (_, id) => rankings.get(id)?.rank ?? undefined },
+    );
+  }
+
+  const used = columns.filter(column => features.some(f => column.getValue(f.properties, f.properties.id) !== undefined));
+  const shortNames = toDbfFieldNames(used.map(column => column.shortName));
+  return used.map((column, i) => ({ ...column, shortName: shortNames[i] }));
+}
+
+function getRow(feature: DistrictFeature, columns: ExportColumn[]): ShapefileValue[] {
+  return columns.map(column => column.getValue(feature.properties, feature.properties.id) ?? null);
+}
+
+function getGeometry(feature: DistrictFeature, options: ExportOptions): Polygon | MultiPolygon | null {
+  return options.includeGeometry ? feature.geometry : null;
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]!));
+}
+
+/**
+ * KML geometry; polygons with several parts become a MultiGeometry
+ */
+function toKmlGeometry(geometry: Polygon | MultiPolygon): string {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const kmlPolygons = polygons.map(([outer, ...holes]) => {
+    const ring = (coordinates: number[][]) =>
+      `<LinearRing><coordinates>${coordinates.map(([lng, lat]) => `${lng},${lat}`).join(' ')}</coordinates></LinearRing>`;
+    return `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>`
+      + holes.map(hole => `<innerBoundaryIs>${ring(hole)}</innerBoundaryIs>`).join('')
+      + '</Polygon>';
+  });
+  return kmlPolygons.length === 1 ? kmlPolygons[0] : `<MultiGeometry>${kmlPolygons.join('')}</MultiGeometry>`;
+}
+
+function formatKml(features: DistrictFeature[], columns: ExportColumn[], options: ExportOptions): string {
+  const placemarks = features.map(feature => {
+    const row = getRow(feature, columns);
+    const data = columns
+      .map((column, i) => ({ column, value: row[i] }))
+      .filter(({ value }) => value !== null)
+      .map(({ column, value }) => `<Data name="${escapeXml(column.key)}"><value>${escapeXml(String(value))}</value></Data>`)
+      .join('');
+    const geometry = getGeometry(feature, options);
+    return `<Placemark><name>${escapeXml(feature.properties.name)}</name><styleUrl>#area</styleUrl>`
+      + `<ExtendedData>${data}</ExtendedData>${geometry ? toKmlGeometry(geometry) : ''}</Placemark>`;
+  });
+  // KML colors are aabbggrr: a translucent blue fill with a dark outline
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>'
+    + `<name>${escapeXml(options.baseName)}</name>`
+    + '<Style id="area"><LineStyle><color>ff404040</color><width>1</width></LineStyle><PolyStyle><color>66f6823b</color></PolyStyle></Style>'
+    + placemarks.join('\n')
+    + '</Document></kml>\n';
+}
+
+/**
+ * Export file for the given areas
+ */
+export function exportFeatures(features: DistrictFeature[], options: ExportOptions): ExportFile {
+  const columns = getExportColumns(features, options);
+  const { baseName } = options;
+
+  switch (options.format) {
+    case 'csv':
+      return {
+        fileName: `${baseName}.csv`,
+        content: formatCsv(columns.map(column => column.key), features.map(feature => getRow(feature, columns))),
+        mimeType: 'text/csv',
+      };
+    case 'geojson': {
+      const collection: FeatureCollection = {
+        type: 'FeatureCollection',
+        features: features.map((feature): Feature => {
+          const row = getRow(feature, columns);
+          return {
+            type: 'Feature',
+            properties: Object.fromEntries(columns.map((column, i) => [column.key, row[i]])),
+            geometry: getGeometry(feature, options),
+          };
+        }),
+      };
+      return { fileName: `${baseName}.geojson`, content: JSON.stringify(collection), mimeType: 'application/geo+json' };
+    }
+    case 'kml':
+      return { fileName: `${baseName}.kml`, content: formatKml(features, columns, options), mimeType: 'application/vnd.google-earth.kml+xml' };
+    case 'shapefile': {
+      const files = writeShapefile(
+        baseName,
+        columns.map(column => ({ name: column.shortName, type: column.type })),
+        features.map(feature => ({ geometry: getGeometry(feature, options), values: getRow(feature, columns) }))
+      );
+      return { fileName: `${baseName}.zip`, content: createZip(files), mimeType: 'application/zip' };
+    }
+  }
+}
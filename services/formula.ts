@@ -0,0 +1,311 @@
+// Safe arithmetic expression language for user-defined formula layers.
+// Expressions are parsed into a small syntax tree and evaluated directly; nothing is passed to eval().
+import type { DistrictProperties } from '../types';
+
+// Numeric area properties a formula can reference
+export const FORMULA_FIELDS = [
+  'population',
+  'avg_income',
+  'competitors',
+  'public_services',
+  'night_lights',
+  'site_suitability_score',
+  'area_km2',
+] as const;
+
+export type FormulaField = typeof FORMULA_FIELDS[number];
+
+// Supported functions and how many arguments each takes
+export const FORMULA_FUNCTIONS: Record<string, { minArgs: number; maxArgs: number; apply: (...args: number[]) => number }> = {
+  abs: { minArgs: 1, maxArgs: 1, apply: Math.abs },
+  sqrt: { minArgs: 1, maxArgs: 1, apply: Math.sqrt },
+  ln: { minArgs: 1, maxArgs: 1, apply: Math.log },
+  log10: { minArgs: 1, maxArgs: 1, apply: Math.log10 },
+  round: { minArgs: 1, maxArgs: 1, apply: Math.round },
+  min: { minArgs: 2, maxArgs: Infinity, apply: Math.min },
+  max: { minArgs: 2, maxArgs: Infinity, apply: Math.max },
+};
+
+/**
+ * A supported function by name. Own properties only, so names like "constructor" or "__proto__" are unknown.
+ */
+export function getFormulaFunction(name: string): typeof FORMULA_FUNCTIONS[string] | undefined {
+  return Object.hasOwn(FORMULA_FUNCTIONS, name) ? FORMULA_FUNCTIONS[name] : undefined;
+}
+
+export const MAX_FORMULA_LENGTH = 500;
+
+export type FormulaNode =
+  | { type: 'number'; value: number }
+  | { type: 'field'; name: FormulaField }
+  | { type: 'negate'; operand: FormulaNode }
+  | { type: 'binary'; operator: '+' | '-' | '*' | '/' | '^'; left: FormulaNode; right: FormulaNode }
+  | { type: 'call'; name: string; args: FormulaNode[] };
+
+export type FormulaParseResult =
+  | { ok: true; ast: FormulaNode; fields: FormulaField[] }
+  | { ok: false; error: string; position: number };
+
+interface Token {
+  kind: 'number' | 'identifier' | 'operator' | 'end';
+  text: string;
+  position: number;
+}
+
+/**
+ * Parse error carrying the character offset it refers to
+ */
+class FormulaSyntaxError extends Error {
+  constructor(message: string, public readonly position: number) {
+    super(message);
+    this.name = 'FormulaSyntaxError';
+  }
+}
+
+// '×' and '÷' are accepted so formulas can be pasted from documents
+const OPERATOR_ALIASES: Record<string, string> = { '×': '*', '÷': '/' };
+
+function tokenize(expression: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+  while (i < expression.length) {
+    const char = expression[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(expression.slice(i));
+      if (!match) throw new FormulaSyntaxError(`Invalid number at position ${i + 1}`, i);
+      tokens.push({ kind: 'number', text: match[0], position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expression.slice(i))!;
+      tokens.push({ kind: 'identifier', text: match[0], position: i });
+      i += match[0].length;
+    } else if ('+-*/^(),'.includes(char) || OPERATOR_ALIASES[char]) {
+      tokens.push({ kind: 'operator', text: OPERATOR_ALIASES[char] ?? char, position: i });
+      i++;
+    } else {
+      throw new FormulaSyntaxError(`Unexpected character "${char}" at position ${i + 1}`, i);
+    }
+  }
+  tokens.push({ kind: 'end', text: '', position: expression.length });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser. Precedence, lowest first: + -, * /, unary minus, ^ (right-associative).
+ */
+function parseTokens(tokens: Token[]): FormulaNode {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const describe = (token: Token) => (token.kind === 'end' ? 'end of formula' : `"${token.text}"`);
+
+  const expect = (text: string) => {
+    const token = next();
+    if (token.text !== text || token.kind !== 'operator') {
+      throw new FormulaSyntaxError(`Expected "${text}" but found ${describe(token)} at position ${token.position + 1}`, token.position);
+    }
+  };
+
+  const parseExpression = (): FormulaNode => {
+    let node = parseTerm();
+    while (peek().kind === 'operator' && (peek().text === '+' || peek().text === '-')) {
+      const operator = next().text as '+' | '-';
+      node = { type: 'binary', operator, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = (): FormulaNode => {
+    let node = parseUnary();
+    while (peek().kind === 'operator' && (peek().text === '*' || peek().text === '/')) {
+      const operator = next().text as '*' | '/';
+      node = { type: 'binary', operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = (): FormulaNode => {
+    if (peek().kind === 'operator' && peek().text === '-') {
+      next();
+      return { type: 'negate', operand: parseUnary() };
+    }
+    if (peek().kind === 'operator' && peek().text === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = (): FormulaNode => {
+    const base = parsePrimary();
+    if (peek().kind === 'operator' && peek().text === '^') {
+      next();
+      return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = (): FormulaNode => {
+    const token = next();
+    if (token.kind === 'number') {
+      return { type: 'number', value: Number(token.text) };
+    }
+    if (token.kind === 'identifier') {
+      if (peek().kind === 'operator' && peek().text === '(') {
+        const fn = getFormulaFunction(token.text);
+        if (!fn) {
+          throw new FormulaSyntaxError(
+            `Unknown function "${token.text}" at position ${token.position + 1}. Available: ${Object.keys(FORMULA_FUNCTIONS).join(', ')}`,
+            token.position
+          );
+        }
+        next();
+        const args: FormulaNode[] = [];
+        if (!(peek().kind === 'operator' && peek().text === ')')) {
+          args.push(parseExpression());
+          while (peek().kind === 'operator' && peek().text === ',') {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+          const expected = fn.maxArgs === Infinity ? `at least ${fn.minArgs}` : `${fn.minArgs}`;
+          throw new FormulaSyntaxError(
+            `${token.text}() takes ${expected} argument${fn.minArgs === 1 && fn.maxArgs === 1 ? '' : 's'}, got ${args.length}`,
+            token.position
+          );
+        }
+        return { type: 'call', name: token.text, args };
+      }
+      if (!(FORMULA_FIELDS as readonly string[]).includes(token.text)) {
+        throw new FormulaSyntaxError(
+          `Unknown field "${token.text}" at position ${token.position + 1}. Available: ${FORMULA_FIELDS.join(', ')}`,
+          token.position
+        );
+      }
+      return { type: 'field', name: token.text as FormulaField };
+    }
+    if (token.kind === 'operator' && token.text === '(') {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+    throw new FormulaSyntaxError(`Unexpected ${describe(token)} at position ${token.position + 1}`, token.position);
+  };
+
+  const ast = parseExpression();
+  const trailing = peek();
+  if (trailing.kind !== 'end') {
+    throw new FormulaSyntaxError(`Unexpected ${describe(trailing)} at position ${trailing.position + 1}`, trailing.position);
+  }
+  return ast;
+}
+
+function collectFields(node: FormulaNode, fields: Set<FormulaField>): Set<FormulaField> {
+  switch (node.type) {
+    case 'field':
+      fields.add(node.name);
+      break;
+    case 'negate':
+      collectFields(node.operand, fields);
+      break;
+    case 'binary':
+      collectFields(node.left, fields);
+      collectFields(node.right, fields);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectFields(arg, fields));
+      break;
+  }
+  return fields;
+}
+
+/**
+ * Whether every field and function a formula names is in the current whitelists. The parser
+ * enforces this too; saved formulas are re-checked so a stale one cannot reach evaluation.
+ */
+export function usesKnownNames(node: FormulaNode): boolean {
+  switch (node.type) {
+    case 'number':
+      return true;
+    case 'field':
+      return (FORMULA_FIELDS as readonly string[]).includes(node.name);
+    case 'negate':
+      return usesKnownNames(node.operand);
+    case 'binary':
+      return usesKnownNames(node.left) && usesKnownNames(node.right);
+    case 'call':
+      return getFormulaFunction(node.name) !== undefined && node.args.every(usesKnownNames);
+  }
+}
+
+/**
+ * Parse a formula, reporting the first problem with its position
+ */
+export function parseFormula(expression: string): FormulaParseResult {
+  if (!expression.trim()) {
+    return { ok: false, error: 'Enter a formula, e.g. avg_income * population / (competitors + 1)', position: 0 };
+  }
+  if (expression.length > MAX_FORMULA_LENGTH) {
+    return { ok: false, error: `Formulas are limited to ${MAX_FORMULA_LENGTH} characters`, position: MAX_FORMULA_LENGTH };
+  }
+  try {
+    const ast = parseTokens(tokenize(expression));
+    return { ok: true, ast, fields: Array.from(collectFields(ast, new Set())) };
+  } catch (error) {
+    if (error instanceof FormulaSyntaxError) {
+      return { ok: false, error: error.message, position: error.position };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Evaluate a parsed formula against one area. Division by zero and other undefined
+ * results (e.g. sqrt of a negative number) give null rather than Infinity or NaN.
+ */
+export function evaluateFormula(ast: FormulaNode, props: Partial<DistrictProperties>): number | null {
+  const evaluate = (node: FormulaNode): number => {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'field': {
+        const value = Number(props[node.name]);
+        return Number.isFinite(value) ? value : NaN;
+      }
+      case 'negate':
+        return -evaluate(node.operand);
+      case 'binary': {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return right === 0 ? NaN : left / right;
+          case '^': return Math.pow(left, right);
+        }
+        return NaN;
+      }
+      case 'call': {
+        const fn = getFormulaFunction(node.name);
+        return fn ? fn.apply(...node.args.map(evaluate)) : NaN;
+      }
+    }
+  };
+
+  const result = evaluate(ast);
+  return Number.isFinite(result) ? result : null;
+}
+
+/**
+ * Parse once and return an evaluator, or null if the formula is invalid
+ */
+export function compileFormula(expression: string): ((props: Partial<DistrictProperties>) => number | null) | null {
+  const parsed = parseFormula(expression);
+  if (!parsed.ok) return null;
+  return (props) => evaluateFormula(parsed.ast, props);
+}
@@ -0,0 +1,91 @@
+// Formula layers: user-defined indicators stored locally and computed for whichever boundary type is loaded
+import type { FeatureCollection } from 'geojson';
+import type { DataLayer, FormulaLayer, FormulaLayerId, LayerId } from '../types';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+import { compileFormula, parseFormula, usesKnownNames } from './formula';
+
+const FORMULA_LAYERS_KEY = 'formulaLayers';
+
+export function isFormulaLayerId(layerId: LayerId): layerId is FormulaLayerId {
+  return layerId.startsWith('formula-');
+}
+
+/**
+ * Load saved formula layers, dropping entries that are malformed, no longer parse or name
+ * fields or functions that no longer exist
+ */
+export function loadFormulaLayers(): FormulaLayer[] {
+  const stored = loadFromStorage<FormulaLayer[]>(FORMULA_LAYERS_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(layer => {
+    if (!layer || typeof layer.id !== 'string' || !isFormulaLayerId(layer.id as LayerId) || !layer.name
+      || !Array.isArray(layer.colorScheme) || layer.colorScheme.length < 2) {
+      return false;
+    }
+    const parsed = parseFormula(typeof layer.expression === 'string' ? layer.expression : '');
+    const problem = 'error' in parsed ? parsed.error : usesKnownNames(parsed.ast) ? null : 'it names an unknown field or function';
+    if (problem) console.warn(`Dropped saved formula layer "${layer.name}": ${problem}`);
+    return !problem;
+  });
+}
+
+/**
+ * Persist formula layers
+ */
+export function saveFormulaLayers(layers: FormulaLayer[]): void {
+  saveToStorage(FORMULA_LAYERS_KEY, layers);
+}
+
+export function createFormulaLayerId(): FormulaLayerId {
+  return `formula-${Date.now().toString(36)}`;
+}
+
+/**
+ * Describe a formula layer like a built-in layer so the sidebar, legend and classification treat it the same way
+ */
+export function formulaLayerToDataLayer(layer: FormulaLayer): DataLayer {
+  const explanation = layer.explanation.trim();
+  return {
+    id: layer.id,
+    name: layer.name,
+    description: explanation || `Custom formula: ${layer.expression}`,
+    shortDescription: explanation || `Custom formula: ${layer.expression}`,
+    fullExplanation: `**${layer.name}**\n\n${explanation ? `${explanation}\n\n` : ''}Formula: ${layer.expression}`,
+    measurementMethod: `Computed in the browser from census fields: ${layer.expression}`,
+    colorScheme: layer.colorScheme,
+    stops: [],  // No fixed stops: classes always come from the data
+  };
+}
+
+/**
+ * Add each formula layer's value to every feature's properties, keyed by the layer id.
+ * Areas where a formula is undefined (e.g. division by zero) or fails to evaluate get no value and show as missing.
+ */
+export function applyFormulaLayers(data: FeatureCollection, layers: FormulaLayer[]): FeatureCollection {
+  if (layers.length === 0) return data;
+
+  const evaluators = layers
+    .map(layer => ({ id: layer.id, evaluate: compileFormula(layer.expression) }))
+    .filter((entry): entry is { id: FormulaLayerId; evaluate: NonNullable<ReturnType<typeof compileFormula>> } => entry.evaluate !== null);
+
+  return {
+    ...data,
+    features: data.features.map(feature => {
+      const props = { ...(feature.properties as any) };
+      evaluators.forEach(({ id, evaluate }) => {
+        let value: number | null;
+        try {
+          value = evaluate(props);
+        } catch {
+          value = null;  // A failing formula must not take down the whole dataset
+        }
+        if (value === null) {
+          delete props[id];
+        } else {
+          props[id] = value;
+        }
+      });
+      return { ...feature, properties: props };
+    }),
+  };
+}
@@ -0,0 +1,38 @@
+// Geometry helpers for boundary polygons (WGS84 lon/lat coordinates)
+import type { Geometry, Position } from 'geojson';
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Area of a closed lon/lat ring on the sphere, in km²
+ * (same spherical approximation as d3-geo and turf)
+ */
+function ringAreaKm2(ring: Position[]): number {
+  if (ring.length < 4) return 0;
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    total += ((lon2 - lon1) * Math.PI / 180)
+      * (2 + Math.sin(lat1 * Math.PI / 180) + Math.sin(lat2 * Math.PI / 180));
+  }
+  return Math.abs(total * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+}
+
+function polygonAreaKm2(rings: Position[][]): number {
+  if (rings.length === 0) return 0;
+  const [outer, ...holes] = rings;
+  return Math.max(ringAreaKm2(outer) - holes.reduce((sum, hole) => sum + ringAreaKm2(hole), 0), 0);
+}
+
+/**
+ * Land area of a Polygon or MultiPolygon in km² (0 for other geometry types)
+ */
+export function computeAreaKm2(geometry: Geometry | null | undefined): number {
+  if (!geometry) return 0;
+  if (geometry.type === 'Polygon') return polygonAreaKm2(geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.reduce((sum, polygon) => sum + polygonAreaKm2(polygon), 0);
+  }
+  return 0;
+}
@@ -0,0 +1,115 @@
+// Drill-down between nested boundary types: State › District, and State › Parliament › DUN
+import type { BoundaryTypeId, DistrictFeature, DistrictProperties } from '../types';
+
+// Boundary type one level down and up. Parliaments cross no state border but have no
+// state features as parents, so the electoral hierarchy is scoped by state name instead
+export const CHILD_BOUNDARY: Partial<Record<BoundaryTypeId, BoundaryTypeId>> = {
+  state: 'district',
+  parliament: 'dun',
+};
+
+export const PARENT_BOUNDARY: Partial<Record<BoundaryTypeId, BoundaryTypeId>> = {
+  district: 'state',
+  dun: 'parliament',
+};
+
+/**
+ * Top boundary type of the hierarchy a boundary type belongs to
+ */
+function getRootBoundary(boundary: BoundaryTypeId): BoundaryTypeId {
+  let root = boundary;
+  while (PARENT_BOUNDARY[root]) root = PARENT_BOUNDARY[root]!;
+  return root;
+}
+
+// Limits the map to part of the country: one state, or the children of one area
+export interface DrillScope {
+  state?: string;
+  parentId?: string;
+  parentName?: string;
+}
+
+// Where a breadcrumb or drill action leads: a boundary type, optionally scoped, with an area to select
+export interface DrillTarget {
+  boundary: BoundaryTypeId;
+  scope: DrillScope | null;
+  selectId?: string;
+}
+
+export interface BreadcrumbItem {
+  label: string;
+  target: DrillTarget | null;  // null for the selected area itself
+}
+
+/**
+ * Whether an area falls inside a drill scope (everything does when there is none)
+ */
+export function isInScope(props: DistrictProperties, scope: DrillScope | null): boolean {
+  if (!scope) return true;
+  if (scope.parentId) return props.parent_id === scope.parentId;
+  if (scope.state) return props.state === scope.state;
+  return true;
+}
+
+/**
+ * Child areas of an area, from a collection of the child boundary type
+ */
+export function getChildFeatures(parent: DistrictProperties, children: DistrictFeature[]): DistrictFeature[] {
+  return children.filter(child => child.properties.parent_id === parent.id);
+}
+
+/**
+ * Scope showing an area's children after drilling down into it
+ */
+export function getChildScope(parent: DistrictProperties): DrillScope {
+  return { state: parent.state, parentId: parent.id, parentName: getShortName(parent) };
+}
+
+/**
+ * Name without the ", State" suffix added for display, so crumbs do not repeat the state
+ */
+function getShortName(props: Pick<DistrictProperties, 'name' | 'state'>): string {
+  const suffix = props.state ? `, ${props.state}` : '';
+  return suffix && props.name.endsWith(suffix) ? props.name.slice(0, -suffix.length) : props.name;
+}
+
+/**
+ * Breadcrumb trail for the current view, e.g. Malaysia › Johor › P.142 Labis › N.06 Bekok.
+ * Every crumb but the selected area navigates; the parent crumb goes up and selects the parent.
+ */
+export function buildBreadcrumbs(
+  boundary: BoundaryTypeId,
+  scope: DrillScope | null,
+  selected: DistrictProperties | null
+): BreadcrumbItem[] {
+  const state = selected?.state ?? scope?.state;
+  const rootBoundary = getRootBoundary(boundary);
+  const parentBoundary = PARENT_BOUNDARY[boundary];
+  const crumbs: BreadcrumbItem[] = [{ label: 'Malaysia', target: { boundary: rootBoundary, scope: null } }];
+
+  // Without state features, the state crumb shows the top level of the hierarchy within that state.
+  // With them, the state is the parent (districts) or the selection itself (states).
+  if (state && rootBoundary !== 'state') {
+    crumbs.push({ label: state, target: { boundary: rootBoundary, scope: { state } } });
+  }
+
+  const parentId = selected?.parent_id ?? scope?.parentId;
+  if (parentBoundary && parentId) {
+    crumbs.push({
+      label: selected?.parent_name ?? scope?.parentName ?? parentId,
+      target: {
+        boundary: parentBoundary,
+        scope: state && parentBoundary !== 'state' ? { state } : null,
+        selectId: parentId,
+      },
+    });
+  }
+
+  if (selected) {
+    crumbs.push({ label: getShortName(selected), target: null });
+  } else if (boundary === 'state' && state) {
+    crumbs.push({ label: state, target: null });
+  }
+
+  return crumbs;
+}
@@ -0,0 +1,184 @@
+// Static map image of one area for reports: basemap tiles with the areas drawn over them on a canvas
+import type { Position } from 'geojson';
+import type { DistrictFeature } from '../types';
+import { BASEMAP_URL } from '../constants';
+
+const TILE_SIZE = 256;
+const PIXEL_RATIO = 2;          // Drawn at twice the size, with @2x tiles, so the image stays sharp in print
+const MIN_ZOOM = 5;
+const MAX_ZOOM = 14;
+const PADDING = 0.15;           // Share of the width and height left around the area
+const TILE_TIMEOUT_MS = 8000;
+const BACKGROUND_COLOR = '#f3f4f6';
+
+export interface MapSnapshotOptions {
+  focus: DistrictFeature;                          // Area the snapshot is centered on, outlined like the selection
+  features: DistrictFeature[];                     // Areas drawn around it
+  getFillColor: (feature: DistrictFeature) => string;
+  width: number;                                   // Size in CSS pixels
+  height: number;
+}
+
+export interface MapSnapshot {
+  jpeg: Uint8Array;
+  pixelWidth: number;
+  pixelHeight: number;
+  hasBasemap: boolean;  // False when no tile could be loaded, e.g. offline
+}
+
+/**
+ * Web Mercator pixel coordinates of a point at a zoom level, as Leaflet computes them
+ */
+function project([lng, lat]: Position, zoom: number): [number, number] {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+  return [((lng + 180) / 360) * scale, (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale];
+}
+
+function getRings(feature: DistrictFeature): Position[][] {
+  const { geometry } = feature;
+  if (!geometry) return [];
+  return geometry.type === 'Polygon' ? geometry.coordinates : geometry.coordinates.flat();
+}
+
+/**
+ * Largest whole zoom level at which the area fits inside the padded image, so tiles are drawn unscaled
+ */
+function getFitZoom(rings: Position[][], width: number, height: number): number {
+  const points = rings.flat().map(point => project(point, 0));
+  if (points.length === 0) return MIN_ZOOM;
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const spanX = xs.reduce((max, x) => Math.max(max, x), -Infinity) - xs.reduce((min, x) => Math.min(min, x), Infinity);
+  const spanY = ys.reduce((max, y) => Math.max(max, y), -Infinity) - ys.reduce((min, y) => Math.min(min, y), Infinity);
+  const fit = Math.min(
+    spanX > 0 ? (width * (1 - 2 * PADDING)) / spanX : Infinity,
+    spanY > 0 ? (height * (1 - 2 * PADDING)) / spanY : Infinity
+  );
+  return Number.isFinite(fit) ? Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, Math.floor(Math.log2(fit)))) : MAX_ZOOM;
+}
+
+/**
+ * Center of the area's bounding box, in pixels at the given zoom
+ */
+function getCenter(rings: Position[][], zoom: number): [number, number] {
+  const points = rings.flat().map(point => project(point, zoom));
+  if (points.length === 0) return [0, 0];
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  return [
+    (xs.reduce((min, x) => Math.min(min, x), Infinity) + xs.reduce((max, x) => Math.max(max, x), -Infinity)) / 2,
+    (ys.reduce((min, y) => Math.min(min, y), Infinity) + ys.reduce((max, y) => Math.max(max, y), -Infinity)) / 2,
+  ];
+}
+
+/**
+ * Load a tile with CORS so the canvas stays exportable; resolves null when it fails or is too slow
+ */
+function loadTile(url: string): Promise<HTMLImageElement | null> {
+  return new Promise(resolve => {
+    const image = new Image();
+    const timer = window.setTimeout(() => resolve(null), TILE_TIMEOUT_MS);
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      window.clearTimeout(timer);
+      resolve(image);
+    };
+    image.onerror = () => {
+      window.clearTimeout(timer);
+      resolve(null);
+    };
+    image.src = url;
+  });
+}
+
+function getTileUrl(x: number, y: number, zoom: number): string {
+  return BASEMAP_URL
+    .replace('{s}', 'abc'[(x + y) % 3])
+    .replace('{z}', String(zoom))
+    .replace('{x}', String(x))
+    .replace('{y}', String(y))
+    .replace('{r}', '@2x');
+}
+
+/**
+ * Basemap tiles covering the view; returns whether any loaded
+ */
+async function drawBasemap(context: CanvasRenderingContext2D, left: number, top: number, width: number, height: number, zoom: number): Promise<boolean> {
+  const tileCount = 2 ** zoom;
+  const tiles: { x: number; y: number }[] = [];
+  for (let x = Math.floor(left / TILE_SIZE); x <= Math.floor((left + width) / TILE_SIZE); x++) {
+    for (let y = Math.floor(top / TILE_SIZE); y <= Math.floor((top + height) / TILE_SIZE); y++) {
+      if (y >= 0 && y < tileCount) tiles.push({ x, y });
+    }
+  }
+  const images = await Promise.all(tiles.map(({ x, y }) => loadTile(getTileUrl(((x % tileCount) + tileCount) % tileCount, y, zoom))));
+  images.forEach((image, i) => {
+    if (image) context.drawImage(image, tiles[i].x * TILE_SIZE - left, tiles[i].y * TILE_SIZE - top, TILE_SIZE, TILE_SIZE);
+  });
+  return images.some(image => image !== null);
+}
+
+function tracePath(context: CanvasRenderingContext2D, rings: Position[][], left: number, top: number, zoom: number): void {
+  context.beginPath();
+  rings.forEach(ring => {
+    ring.forEach((point, i) => {
+      const [x, y] = project(point, zoom);
+      if (i === 0) context.moveTo(x - left, y - top);
+      else context.lineTo(x - left, y - top);
+    });
+    context.closePath();
+  });
+}
+
+/**
+ * Render the map around an area as a JPEG: basemap, areas colored like the choropleth and the area outlined
+ */
+export async function renderMapSnapshot({ focus, features, getFillColor, width, height }: MapSnapshotOptions): Promise<MapSnapshot> {
+  const canvas = document.createElement('canvas');
+  canvas.width = width * PIXEL_RATIO;
+  canvas.height = height * PIXEL_RATIO;
+  const context = canvas.getContext('2d');
+  if (!context) throw new Error('Canvas is not supported in this browser');
+  context.scale(PIXEL_RATIO, PIXEL_RATIO);
+
+  const focusRings = getRings(focus);
+  const zoom = getFitZoom(focusRings, width, height);
+  const [centerX, centerY] = getCenter(focusRings, zoom);
+  const left = centerX - width / 2;
+  const top = centerY - height / 2;
+
+  context.fillStyle = BACKGROUND_COLOR;
+  context.fillRect(0, 0, width, height);
+  const hasBasemap = await drawBasemap(context, left, top, width, height, zoom);
+
+  // Same styling as the map: translucent class colors with grey outlines, the selection in blue
+  features.forEach(feature => {
+    if (feature.properties.id === focus.properties.id) return;
+    tracePath(context, getRings(feature), left, top, zoom);
+    context.globalAlpha = feature.properties.hasCensusData !== false ? 0.7 : 0.3;
+    context.fillStyle = getFillColor(feature);
+    context.fill('evenodd');
+    context.globalAlpha = 1;
+    context.strokeStyle = '#666666';
+    context.lineWidth = 0.75;
+    context.stroke();
+  });
+  tracePath(context, focusRings, left, top, zoom);
+  context.globalAlpha = 0.7;
+  context.fillStyle = getFillColor(focus);
+  context.fill('evenodd');
+  context.globalAlpha = 1;
+  context.strokeStyle = '#3388ff';
+  context.lineWidth = 3;
+  context.stroke();
+
+  const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+  if (!blob) throw new Error('Could not encode the map image');
+  return {
+    jpeg: new Uint8Array(await blob.arrayBuffer()),
+    pixelWidth: canvas.width,
+    pixelHeight: canvas.height,
+    hasBasemap,
+  };
+}
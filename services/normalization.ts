@@ -0,0 +1,52 @@
+// Layer values relative to population or land area, so large areas do not dominate raw counts
+import type { DataLayer, DistrictProperties, LayerId, NormalizationMode, NormalizationSettings } from '../types';
+
+export const PER_CAPITA_BASE = 10000;
+
+/**
+ * Modes offered for a layer: always 'absolute', plus the layer's configured relative forms
+ */
+export function getLayerNormalizations(layer: DataLayer): NormalizationMode[] {
+  return ['absolute', ...(layer.normalizations ?? [])];
+}
+
+/**
+ * Mode currently selected for a layer, falling back to 'absolute' if the layer does not support it
+ */
+export function getNormalization(settings: NormalizationSettings, layer: DataLayer): NormalizationMode {
+  const mode = settings[layer.id] ?? 'absolute';
+  return getLayerNormalizations(layer).includes(mode) ? mode : 'absolute';
+}
+
+/**
+ * Layer value in the given mode, or null when the denominator is unknown or zero
+ */
+export function getLayerValue(
+  props: Partial<DistrictProperties> | null | undefined,
+  layerId: LayerId,
+  mode: NormalizationMode = 'absolute'
+): number | null {
+  const value = Number((props as any)?.[layerId]);
+  if (!Number.isFinite(value)) return null;
+
+  switch (mode) {
+    case 'per_capita': {
+      const population = Number(props?.population);
+      return population > 0 ? (value / population) * PER_CAPITA_BASE : null;
+    }
+    case 'per_area': {
+      const area = Number(props?.area_km2);
+      return area > 0 ? value / area : null;
+    }
+    case 'absolute':
+    default:
+      return value;
+  }
+}
+
+/**
+ * Key for a layer's manual class breaks: thresholds only apply to the units they were typed in
+ */
+export function getBreaksKey(layerId: LayerId, mode: NormalizationMode = 'absolute'): string {
+  return mode === 'absolute' ? layerId : `${layerId}:${mode}`;
+}
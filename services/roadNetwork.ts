@@ -0,0 +1,335 @@
+// Drive-time isochrones from a local road network file: building the graph, shortest drive times and isochrone grids
+import type { MultiPolygon, Position } from 'geojson';
+import { createLocalProjection, distanceKm, type LatLng, type Point } from './catchment';
+
+export const ISOCHRONE_MINUTES = [5, 10, 15];
+export const DEFAULT_ISOCHRONE_MINUTES = 10;
+
+// Free-flow speeds in km/h by OSM highway class, used when a road has no maxspeed tag
+const HIGHWAY_SPEEDS_KMH: Record<string, number> = {
+  motorway: 90,
+  motorway_link: 50,
+  trunk: 80,
+  trunk_link: 40,
+  primary: 60,
+  primary_link: 40,
+  secondary: 50,
+  secondary_link: 35,
+  tertiary: 40,
+  tertiary_link: 30,
+  unclassified: 30,
+  residential: 25,
+  road: 25,
+  living_street: 10,
+  service: 15,
+};
+const DEFAULT_SPEED_KMH = 30;  // Roads without a highway tag, e.g. files exported without tags
+
+// Classes cars cannot use; a file may contain them when it was not filtered
+const NON_DRIVABLE_HIGHWAYS = new Set(['footway', 'path', 'cycleway', 'steps', 'pedestrian', 'bridleway', 'track', 'corridor', 'elevator', 'construction', 'proposed', 'platform']);
+
+// Grid the isochrones are drawn and apportioned on, and how far off the road a reached cell extends
+const ISOCHRONE_CELL_KM = 0.25;
+const ROAD_BUFFER_KM = 0.35;
+// The start must be near a road; farther away the graph says nothing about reach
+const MAX_SNAP_DISTANCE_KM = 1;
+// Vertices closer than this (in degrees, about 0.1 m) are the same junction
+const NODE_PRECISION = 6;
+
+const MPH_TO_KMH = 1.609344;
+
+// Directed road graph in compressed sparse row form: the edges leaving node i are edgeOffsets[i] to edgeOffsets[i + 1]
+export interface RoadGraph {
+  nodeCount: number;
+  edgeCount: number;
+  coordinates: Float64Array;  // lng, lat of node i at 2i and 2i + 1
+  edgeOffsets: Uint32Array;
+  edgeTargets: Uint32Array;
+  edgeMinutes: Float32Array;
+  skippedCoordinates: number;  // Vertices left out because they were not a pair of finite numbers
+}
+
+// Area reachable within a drive time, as cells of a local grid around the origin
+export interface Isochrone {
+  minutes: number;
+  origin: LatLng;
+  cellSizeKm: number;
+  cells: Point[];           // Cell indices [i, j]; cell i, j spans i..i+1 and j..j+1 times cellSizeKm from the origin
+  geometry: MultiPolygon;   // Cells merged into row runs, for drawing
+}
+
+/**
+ * Whether a vertex is a [lng, lat] pair of finite numbers; files can carry strings or nulls
+ */
+function isValidVertex(point: unknown): point is Position {
+  return Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]);
+}
+
+/**
+ * Speed for a road from its maxspeed tag ("60", "60 km/h", "40 mph") or its highway class
+ */
+function getRoadSpeedKmh(props: Record<string, any>): number {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(mph)?/i.exec(String(props.maxspeed ?? ''));
+  if (match) {
+    const speed = parseFloat(match[1]) * (match[2] ? MPH_TO_KMH : 1);
+    if (speed > 0) return speed;
+  }
+  return HIGHWAY_SPEEDS_KMH[props.highway] ?? DEFAULT_SPEED_KMH;
+}
+
+/**
+ * Travel direction from the oneway tag: 1 along the line, -1 against it, 0 both ways
+ */
+function getOneway(props: Record<string, any>): 1 | -1 | 0 {
+  const oneway = String(props.oneway ?? '').toLowerCase();
+  if (oneway === '-1' || oneway === 'reverse') return -1;
+  if (['yes', 'true', '1'].includes(oneway)) return 1;
+  return 0;
+}
+
+/**
+ * Build a road graph from GeoJSON LineString and MultiLineString roads, such as an OSM extract
+ * filtered to highway ways. Ways join where they share a vertex; highway, maxspeed and oneway
+ * tags set which roads are used, their speed and direction. Vertices without finite coordinates
+ * are skipped along with the segments touching them, and counted in skippedCoordinates.
+ */
+export function parseRoadNetwork(data: any): RoadGraph {
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('Invalid GeoJSON format: expected FeatureCollection');
+  }
+
+  const nodeIndex = new Map<string, number>();
+  const coordinates: number[] = [];
+  const edges: { from: number[]; to: number[]; minutes: number[] } = { from: [], to: [], minutes: [] };
+  let skippedCoordinates = 0;
+  const getNode = ([lng, lat]: Position): number => {
+    const key = `${lng.toFixed(NODE_PRECISION)},${lat.toFixed(NODE_PRECISION)}`;
+    let index = nodeIndex.get(key);
+    if (index === undefined) {
+      index = nodeIndex.size;
+      nodeIndex.set(key, index);
+      coordinates.push(lng, lat);
+    }
+    return index;
+  };
+  const addEdge = (from: number, to: number, minutes: number) => {
+    edges.from.push(from);
+    edges.to.push(to);
+    edges.minutes.push(minutes);
+  };
+
+  data.features.forEach((feature: any) => {
+    const props = feature?.properties ?? {};
+    const geometry = feature?.geometry;
+    if (props.highway && NON_DRIVABLE_HIGHWAYS.has(props.highway)) return;
+    const lines: Position[][] = geometry?.type === 'LineString' ? [geometry.coordinates]
+      : geometry?.type === 'MultiLineString' ? geometry.coordinates : [];
+    const minutesPerKm = 60 / getRoadSpeedKmh(props);
+    const oneway = getOneway(props);
+
+    lines.forEach(line => {
+      if (!Array.isArray(line)) return;
+      const valid = line.map(isValidVertex);
+      skippedCoordinates += valid.filter(isValid => !isValid).length;
+      for (let i = 1; i < line.length; i++) {
+        if (!valid[i - 1] || !valid[i]) continue;
+        const from = getNode(line[i - 1]);
+        const to = getNode(line[i]);
+        if (from === to) continue;
+        const [lng1, lat1] = line[i - 1];
+        const [lng2, lat2] = line[i];
+        const minutes = distanceKm({ lat: lat1, lng: lng1 }, { lat: lat2, lng: lng2 }) * minutesPerKm;
+        if (oneway !== -1) addEdge(from, to, minutes);
+        if (oneway !== 1) addEdge(to, from, minutes);
+      }
+    });
+  });
+
+  if (edges.from.length === 0) {
+    const skipped = skippedCoordinates > 0 ? ` (${skippedCoordinates.toLocaleString()} coordinates were not valid numbers)` : '';
+    throw new Error(`No drivable roads found${skipped}: the file needs LineString features, e.g. OSM highway ways`);
+  }
+
+  // Counting sort of the edges by source node into CSR arrays
+  const nodeCount = nodeIndex.size;
+  const edgeCount = edges.from.length;
+  const edgeOffsets = new Uint32Array(nodeCount + 1);
+  edges.from.forEach(from => { edgeOffsets[from + 1]++; });
+  for (let i = 0; i < nodeCount; i++) edgeOffsets[i + 1] += edgeOffsets[i];
+  const next = edgeOffsets.slice(0, nodeCount);
+  const edgeTargets = new Uint32Array(edgeCount);
+  const edgeMinutes = new Float32Array(edgeCount);
+  edges.from.forEach((from, i) => {
+    const slot = next[from]++;
+    edgeTargets[slot] = edges.to[i];
+    edgeMinutes[slot] = edges.minutes[i];
+  });
+
+  return { nodeCount, edgeCount, coordinates: Float64Array.from(coordinates), edgeOffsets, edgeTargets, edgeMinutes, skippedCoordinates };
+}
+
+/**
+ * Parse an uploaded road network file (GeoJSON)
+ */
+export function parseRoadNetworkFile(text: string): RoadGraph {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  return parseRoadNetwork(data);
+}
+
+/**
+ * Node nearest to a point, or -1 when none is within maxDistanceKm
+ */
+function findNearestNode(graph: RoadGraph, point: LatLng, maxDistanceKm: number): number {
+  const { toKm } = createLocalProjection(point);
+  let nearest = -1;
+  let nearestDistance = maxDistanceKm ** 2;
+  for (let i = 0; i < graph.nodeCount; i++) {
+    const [x, y] = toKm([graph.coordinates[2 * i], graph.coordinates[2 * i + 1]]);
+    const distance = x * x + y * y;
+    if (distance <= nearestDistance) {
+      nearest = i;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Shortest drive time in minutes from a node to every node reachable within maxMinutes (Dijkstra),
+ * Infinity for the rest
+ */
+function computeDriveTimes(graph: RoadGraph, start: number, maxMinutes: number): Float64Array {
+  const times = new Float64Array(graph.nodeCount).fill(Infinity);
+  times[start] = 0;
+  // Binary min-heap of [time, node]; stale entries are skipped when popped
+  const heap: [number, number][] = [[0, start]];
+  const push = (entry: [number, number]) => {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = (): [number, number] => {
+    const top = heap[0];
+    const last = heap.pop()!;
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+        if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  while (heap.length > 0) {
+    const [time, node] = pop();
+    if (time > times[node]) continue;
+    if (time > maxMinutes) break;
+    for (let e = graph.edgeOffsets[node]; e < graph.edgeOffsets[node + 1]; e++) {
+      const target = graph.edgeTargets[e];
+      const arrival = time + graph.edgeMinutes[e];
+      if (arrival < times[target]) {
+        times[target] = arrival;
+        push([arrival, target]);
+      }
+    }
+  }
+  return times;
+}
+
+/**
+ * Merge grid cells into one rectangle per run of adjacent cells in a row
+ */
+function cellsToGeometry(cells: Point[], cellSizeKm: number, toLngLat: (point: Point) => Point): MultiPolygon {
+  const sorted = [...cells].sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+  const polygons: Position[][][] = [];
+  let runStart = 0;
+  for (let k = 1; k <= sorted.length; k++) {
+    const previous = sorted[k - 1];
+    const current = sorted[k];
+    if (current && current[1] === previous[1] && current[0] === previous[0] + 1) continue;
+    const [i0, j] = sorted[runStart];
+    const x0 = i0 * cellSizeKm;
+    const x1 = (previous[0] + 1) * cellSizeKm;
+    const y0 = j * cellSizeKm;
+    const y1 = (j + 1) * cellSizeKm;
+    polygons.push([[toLngLat([x0, y0]), toLngLat([x1, y0]), toLngLat([x1, y1]), toLngLat([x0, y1]), toLngLat([x0, y0])]]);
+    runStart = k;
+  }
+  return { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Isochrones for each drive time from a point, largest last. A grid cell is reached when a road
+ * reached in time passes within ROAD_BUFFER_KM of its centre. Throws when no road is near the point.
+ */
+export function computeIsochrones(graph: RoadGraph, origin: LatLng, minutesList: number[] = ISOCHRONE_MINUTES): Isochrone[] {
+  const start = findNearestNode(graph, origin, MAX_SNAP_DISTANCE_KM);
+  if (start === -1) {
+    throw new Error(`No road within ${MAX_SNAP_DISTANCE_KM} km of this point`);
+  }
+  const maxMinutes = Math.max(...minutesList);
+  const times = computeDriveTimes(graph, start, maxMinutes);
+  const { toKm, toLngLat } = createLocalProjection(origin);
+
+  // Earliest arrival per grid cell, keyed "i:j"
+  const cellTimes = new Map<string, number>();
+  const reach = Math.ceil(ROAD_BUFFER_KM / ISOCHRONE_CELL_KM);
+  const mark = ([x, y]: Point, time: number) => {
+    const ci = Math.floor(x / ISOCHRONE_CELL_KM);
+    const cj = Math.floor(y / ISOCHRONE_CELL_KM);
+    for (let i = ci - reach; i <= ci + reach; i++) {
+      for (let j = cj - reach; j <= cj + reach; j++) {
+        const dx = (i + 0.5) * ISOCHRONE_CELL_KM - x;
+        const dy = (j + 0.5) * ISOCHRONE_CELL_KM - y;
+        if (dx * dx + dy * dy > ROAD_BUFFER_KM ** 2) continue;
+        const key = `${i}:${j}`;
+        if (time < (cellTimes.get(key) ?? Infinity)) cellTimes.set(key, time);
+      }
+    }
+  };
+
+  // Walk every edge leaving a reached node, so long segments mark the cells they pass through
+  for (let node = 0; node < graph.nodeCount; node++) {
+    if (times[node] > maxMinutes) continue;
+    const from = toKm([graph.coordinates[2 * node], graph.coordinates[2 * node + 1]]);
+    mark(from, times[node]);
+    for (let e = graph.edgeOffsets[node]; e < graph.edgeOffsets[node + 1]; e++) {
+      const target = graph.edgeTargets[e];
+      const to = toKm([graph.coordinates[2 * target], graph.coordinates[2 * target + 1]]);
+      const steps = Math.ceil(Math.hypot(to[0] - from[0], to[1] - from[1]) / ISOCHRONE_CELL_KM);
+      for (let step = 1; step < steps; step++) {
+        const time = times[node] + (step / steps) * graph.edgeMinutes[e];
+        if (time > maxMinutes) break;
+        mark([from[0] + (to[0] - from[0]) * step / steps, from[1] + (to[1] - from[1]) * step / steps], time);
+      }
+    }
+  }
+
+  return [...minutesList].sort((a, b) => a - b).map(minutes => {
+    const cells: Point[] = [];
+    cellTimes.forEach((time, key) => {
+      if (time > minutes) return;
+      const [i, j] = key.split(':').map(Number);
+      cells.push([i, j]);
+    });
+    return { minutes, origin, cellSizeKm: ISOCHRONE_CELL_KM, cells, geometry: cellsToGeometry(cells, ISOCHRONE_CELL_KM, toLngLat) };
+  });
+}
@@ -0,0 +1,116 @@
+// Client-side site suitability scoring engine
+import type { FeatureCollection } from 'geojson';
+import type { DistrictFeature, DistrictProperties, ScoreMetricId, ScoringCriteria, MetricDirection } from '../types';
+import { SCORE_METRICS } from '../constants';
+
+export interface MetricRange {
+  min: number;
+  max: number;
+}
+
+export type MetricRanges = Record<ScoreMetricId, MetricRange>;
+
+/**
+ * Find the min/max of each scoring metric across features with census data
+ * (features flagged hasCensusData: false carry placeholder zeros and would skew the range)
+ */
+export function computeMetricRanges(features: DistrictFeature[]): MetricRanges {
+  const ranges = {} as MetricRanges;
+  SCORE_METRICS.forEach(metric => {
+    ranges[metric] = { min: Infinity, max: -Infinity };
+  });
+
+  features.forEach(feature => {
+    const props = feature.properties;
+    if (!props || props.hasCensusData === false) return;
+    SCORE_METRICS.forEach(metric => {
+      const value = Number(props[metric]) || 0;
+      ranges[metric].min = Math.min(ranges[metric].min, value);
+      ranges[metric].max = Math.max(ranges[metric].max, value);
+    });
+  });
+
+  // No usable features - collapse to an empty range
+  SCORE_METRICS.forEach(metric => {
+    if (!isFinite(ranges[metric].min)) {
+      ranges[metric] = { min: 0, max: 0 };
+    }
+  });
+
+  return ranges;
+}
+
+/**
+ * Normalize a value to 0-1 within its range, inverted for cost metrics
+ */
+export function normalizeMetric(value: number, range: MetricRange, direction: MetricDirection): number {
+  const span = range.max - range.min;
+  // A metric with no spread cannot discriminate between areas, so everyone sits mid-scale
+  const normalized = span > 0 ? Math.min(Math.max((value - range.min) / span, 0), 1) : 0.5;
+  return direction === 'cost' ? 1 - normalized : normalized;
+}
+
+/**
+ * Sum of all criterion weights
+ */
+export function getTotalWeight(criteria: ScoringCriteria): number {
+  return SCORE_METRICS.reduce((sum, metric) => sum + Math.max(criteria[metric]?.weight || 0, 0), 0);
+}
+
+/**
+ * Points (on the 0-100 score scale) contributed by each metric
+ */
+export function computeScoreBreakdown(
+  props: DistrictProperties,
+  ranges: MetricRanges,
+  criteria: ScoringCriteria
+): Record<ScoreMetricId, number> {
+  const totalWeight = getTotalWeight(criteria);
+  const breakdown = {} as Record<ScoreMetricId, number>;
+
+  SCORE_METRICS.forEach(metric => {
+    const criterion = criteria[metric];
+    const weight = Math.max(criterion?.weight || 0, 0);
+    if (totalWeight === 0 || weight === 0) {
+      breakdown[metric] = 0;
+      return;
+    }
+    const normalized = normalizeMetric(Number(props[metric]) || 0, ranges[metric], criterion.direction);
+    breakdown[metric] = (weight / totalWeight) * normalized * 100;
+  });
+
+  return breakdown;
+}
+
+/**
+ * Composite site suitability score (0-100) for one feature
+ */
+export function computeSuitabilityScore(
+  props: DistrictProperties,
+  ranges: MetricRanges,
+  criteria: ScoringCriteria
+): number {
+  if (props.hasCensusData === false) return 0;
+  const breakdown = computeScoreBreakdown(props, ranges, criteria);
+  return Math.round(SCORE_METRICS.reduce((sum, metric) => sum + breakdown[metric], 0));
+}
+
+/**
+ * Recompute site_suitability_score for every feature in a collection.
+ * Returns a new collection; the input is left untouched.
+ */
+export function applySuitabilityScores(data: FeatureCollection, criteria: ScoringCriteria): FeatureCollection {
+  const features = data.features as DistrictFeature[];
+  const ranges = computeMetricRanges(features);
+
+  return {
+    ...data,
+    features: features.map(feature => ({
+      ...feature,
+      properties: {
+        ...feature.properties,
+        site_suitability_score: computeSuitabilityScore(feature.properties, ranges, criteria),
+      },
+    })),
+  };
+}
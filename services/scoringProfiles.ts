@@ -0,0 +1,70 @@
+// Scoring profile helpers: built-in presets plus user-defined profiles stored locally
+import type { MetricDirection, ScoringCriteria, ScoringProfile } from '../types';
+import { BUILT_IN_SCORING_PROFILES, DEFAULT_SCORING_CRITERIA, SCORE_METRICS } from '../constants';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+
+const CUSTOM_PROFILES_KEY = 'scoringProfiles';
+
+const isMetricDirection = (value: unknown): value is MetricDirection => value === 'benefit' || value === 'cost';
+
+/**
+ * Load user-defined profiles, dropping any entries that no longer match the metric set.
+ * A missing or unknown direction (e.g. from an older build) falls back to the default criteria's.
+ */
+export function loadCustomProfiles(): ScoringProfile[] {
+  const stored = loadFromStorage<ScoringProfile[]>(CUSTOM_PROFILES_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(profile =>
+    profile && profile.id && profile.name && profile.criteria &&
+    SCORE_METRICS.every(metric => typeof profile.criteria[metric]?.weight === 'number')
+  ).map(profile => ({
+    ...profile,
+    criteria: Object.fromEntries(SCORE_METRICS.map(metric => {
+      const { weight, direction } = profile.criteria[metric];
+      return [metric, { weight, direction: isMetricDirection(direction) ? direction : DEFAULT_SCORING_CRITERIA[metric].direction }];
+    })) as ScoringCriteria,
+    builtIn: false,
+  }));
+}
+
+/**
+ * Persist user-defined profiles
+ */
+export function saveCustomProfiles(profiles: ScoringProfile[]): void {
+  saveToStorage(CUSTOM_PROFILES_KEY, profiles.filter(profile => !profile.builtIn));
+}
+
+/**
+ * Build a new user-defined profile from the current weights
+ */
+export function createCustomProfile(name: string, criteria: ScoringCriteria): ScoringProfile {
+  return {
+    id: `custom-${Date.now().toString(36)}`,
+    name: name.trim(),
+    criteria,
+    builtIn: false,
+  };
+}
+
+/**
+ * All selectable profiles: built-in presets first, then user-defined ones
+ */
+export function getAllProfiles(customProfiles: ScoringProfile[]): ScoringProfile[] {
+  return [...BUILT_IN_SCORING_PROFILES, ...customProfiles];
+}
+
+/**
+ * True when two sets of criteria assign the same weight and direction to every metric
+ */
+export function criteriaEqual(a: ScoringCriteria, b: ScoringCriteria): boolean {
+  return SCORE_METRICS.every(metric =>
+    a[metric].weight === b[metric].weight && a[metric].direction === b[metric].direction
+  );
+}
+
+/**
+ * Id of the first profile with exactly these criteria, e.g. to name the weights a shared link carries
+ */
+export function findProfileId(profiles: ScoringProfile[], criteria: ScoringCriteria): string | undefined {
+  return profiles.find(profile => criteriaEqual(profile.criteria, criteria))?.id;
+}
@@ -0,0 +1,144 @@
+// Area search: fuzzy, accent- and case-insensitive matching of names and codes across boundary types
+import type { BoundaryTypeId, DistrictFeature } from '../types';
+
+export interface AreaSearchResult {
+  boundary: BoundaryTypeId;
+  id: string;
+  name: string;
+  code?: string;
+}
+
+// Search text normalized once when the index is built
+interface NormalizedText {
+  words: string[];
+  compact: string;   // Words joined without separators, so "N.01", "n01" and "N 01" all match
+}
+
+interface SearchEntry {
+  result: AreaSearchResult;
+  texts: NormalizedText[];  // Name, code and id
+}
+
+export type AreaSearchIndex = SearchEntry[];
+
+// Typos are only forgiven in words at least this long, where one wrong letter still leaves a distinctive word
+const MIN_TYPO_WORD_LENGTH = 4;
+
+/**
+ * Lowercase, strip accents and split on anything that is not a letter or digit
+ */
+function normalize(text: string): NormalizedText {
+  const words = text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  return { words, compact: words.join('') };
+}
+
+/**
+ * Whether two words are at most one insertion, deletion or substitution apart
+ */
+function isWithinOneEdit(a: string, b: string): boolean {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Whether the query word matches a target word: as a prefix, or with one typo
+ */
+function matchesWord(queryWord: string, targetWord: string): 'prefix' | 'typo' | null {
+  if (targetWord.startsWith(queryWord)) return 'prefix';
+  if (queryWord.length >= MIN_TYPO_WORD_LENGTH
+    && (isWithinOneEdit(queryWord, targetWord) || isWithinOneEdit(queryWord, targetWord.slice(0, queryWord.length)))) {
+    return 'typo';
+  }
+  return null;
+}
+
+/**
+ * Whether the characters of query appear in order in target, starting with its first, e.g. "ktbh" in "kotabharu"
+ */
+function isSubsequence(query: string, target: string): boolean {
+  if (query[0] !== target[0]) return false;
+  let i = 0;
+  for (let j = 0; j < target.length && i < query.length; j++) {
+    if (query[i] === target[j]) i++;
+  }
+  return i === query.length;
+}
+
+/**
+ * How well a query matches a text, higher is better, null when it does not match.
+ * Whole and leading matches rank above matches inside words, which rank above loose ones.
+ */
+function scoreText(query: NormalizedText, text: NormalizedText): number | null {
+  if (!query.compact || !text.compact) return null;
+  if (text.compact === query.compact) return 100;
+  if (text.compact.startsWith(query.compact)) return 80;
+
+  const wordMatches = query.words.map(queryWord => {
+    const matches = text.words.map(word => matchesWord(queryWord, word));
+    return matches.includes('prefix') ? 'prefix' : matches.includes('typo') ? 'typo' : null;
+  });
+  if (wordMatches.every(match => match === 'prefix')) return 60;
+  if (wordMatches.every(match => match !== null)) return 40;
+
+  if (text.compact.includes(query.compact)) return 30;
+  if (query.compact.length >= 3 && isSubsequence(query.compact, text.compact)) return 10;
+  return null;
+}
+
+/**
+ * Index the areas of each boundary type by name, code and id
+ */
+export function buildSearchIndex(boundaryFeatures: Partial<Record<BoundaryTypeId, DistrictFeature[]>>): AreaSearchIndex {
+  const index: AreaSearchIndex = [];
+  (Object.keys(boundaryFeatures) as BoundaryTypeId[]).forEach(boundary => {
+    boundaryFeatures[boundary]!.forEach(feature => {
+      const { id, name, code } = feature.properties;
+      if (!id) return;
+      index.push({
+        result: { boundary, id, name, ...(code ? { code } : {}) },
+        texts: [name, code, id].filter((text): text is string => !!text).map(normalize),
+      });
+    });
+  });
+  return index;
+}
+
+/**
+ * Best matches for a query, best first; equally good matches list shorter names first
+ */
+export function searchAreas(index: AreaSearchIndex, query: string, limit = 8): AreaSearchResult[] {
+  const normalizedQuery = normalize(query);
+  if (!normalizedQuery.compact) return [];
+
+  return index
+    .map(entry => {
+      const scores = entry.texts.map(text => scoreText(normalizedQuery, text)).filter((score): score is number => score !== null);
+      return { entry, score: scores.length > 0 ? Math.max(...scores) : null };
+    })
+    .filter((match): match is { entry: SearchEntry; score: number } => match.score !== null)
+    .sort((a, b) => b.score - a.score || a.entry.result.name.length - b.entry.result.name.length)
+    .slice(0, limit)
+    .map(match => match.entry.result);
+}
@@ -0,0 +1,148 @@
+// Weight sensitivity analysis: how stable is each area's TOPSIS rank when the weights move?
+import type { DistrictFeature, ScoreMetricId, ScoringCriteria } from '../types';
+import { SCORE_METRICS } from '../constants';
+import { rankFeaturesTopsis } from './topsis';
+
+export interface SensitivitySettings {
+  topN: number;          // Size of the shortlist whose membership we test
+  perturbation: number;  // Max relative change per weight in Monte Carlo samples (0.25 = ±25%)
+  samples: number;       // Number of Monte Carlo samples
+}
+
+export const DEFAULT_SENSITIVITY_SETTINGS: SensitivitySettings = {
+  topN: 10,
+  perturbation: 0.25,
+  samples: 200,
+};
+
+// Relative changes applied to one weight at a time
+export const ONE_AT_A_TIME_STEPS = [-0.5, -0.25, -0.1, 0.1, 0.25, 0.5];
+
+// Share of Monte Carlo samples an area must stay in the top N to count as a stable winner
+export const STABLE_WINNER_PROBABILITY = 0.9;
+
+export interface RankRange {
+  min: number;
+  max: number;
+}
+
+export interface FeatureSensitivity {
+  id: string;
+  baseRank: number;
+  oneAtATime: RankRange;                           // Across every one-at-a-time sweep
+  oneAtATimeByMetric: Record<ScoreMetricId, RankRange>;
+  monteCarlo: RankRange & { median: number };
+  topNProbability: number;                         // Share of Monte Carlo samples ranked within the top N
+  isStableWinner: boolean;
+}
+
+export type SensitivityResults = Record<string, FeatureSensitivity>;
+
+/**
+ * Small seeded PRNG (mulberry32) so the same weights always give the same report
+ */
+function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const scaleWeight = (criteria: ScoringCriteria, metric: ScoreMetricId, factor: number): ScoringCriteria => ({
+  ...criteria,
+  [metric]: { ...criteria[metric], weight: Math.max(criteria[metric].weight * factor, 0) },
+});
+
+const rankMap = (features: DistrictFeature[], criteria: ScoringCriteria): Map<string, number> => {
+  const ranks = new Map<string, number>();
+  rankFeaturesTopsis(features, criteria).forEach(entry => {
+    if (entry.rank !== null) ranks.set(entry.id, entry.rank);
+  });
+  return ranks;
+};
+
+/**
+ * Perturb the scoring weights (one-at-a-time sweeps plus Monte Carlo sampling)
+ * and report how each area's rank responds. Only features with census data are ranked.
+ */
+export function runSensitivityAnalysis(
+  features: DistrictFeature[],
+  criteria: ScoringCriteria,
+  settings: SensitivitySettings = DEFAULT_SENSITIVITY_SETTINGS
+): SensitivityResults {
+  const baseRanks = rankMap(features, criteria);
+  const ids = Array.from(baseRanks.keys());
+  if (ids.length === 0) return {};
+
+  const oatByMetric = new Map<string, Record<ScoreMetricId, RankRange>>();
+  ids.forEach(id => {
+    const base = baseRanks.get(id)!;
+    const byMetric = {} as Record<ScoreMetricId, RankRange>;
+    SCORE_METRICS.forEach(metric => {
+      byMetric[metric] = { min: base, max: base };
+    });
+    oatByMetric.set(id, byMetric);
+  });
+
+  // One-at-a-time: scale a single weight, keep the others fixed
+  SCORE_METRICS.forEach(metric => {
+    if (criteria[metric].weight <= 0) return;
+    ONE_AT_A_TIME_STEPS.forEach(step => {
+      const ranks = rankMap(features, scaleWeight(criteria, metric, 1 + step));
+      ids.forEach(id => {
+        const rank = ranks.get(id)!;
+        const range = oatByMetric.get(id)![metric];
+        range.min = Math.min(range.min, rank);
+        range.max = Math.max(range.max, rank);
+      });
+    });
+  });
+
+  // Monte Carlo: scale every weight by an independent random factor in [1 - p, 1 + p]
+  const random = createRandom(ids.length * 7919 + SCORE_METRICS.reduce((sum, m) => sum + criteria[m].weight, 0));
+  const sampledRanks = new Map<string, number[]>(ids.map(id => [id, []]));
+  for (let sample = 0; sample < settings.samples; sample++) {
+    let sampled = criteria;
+    SCORE_METRICS.forEach(metric => {
+      sampled = scaleWeight(sampled, metric, 1 + (random() * 2 - 1) * settings.perturbation);
+    });
+    const ranks = rankMap(features, sampled);
+    ids.forEach(id => sampledRanks.get(id)!.push(ranks.get(id)!));
+  }
+
+  const results: SensitivityResults = {};
+  ids.forEach(id => {
+    const baseRank = baseRanks.get(id)!;
+    const byMetric = oatByMetric.get(id)!;
+    const oneAtATime = SCORE_METRICS.reduce<RankRange>(
+      (range, metric) => ({ min: Math.min(range.min, byMetric[metric].min), max: Math.max(range.max, byMetric[metric].max) }),
+      { min: baseRank, max: baseRank }
+    );
+
+    const samples = sampledRanks.get(id)!.sort((a, b) => a - b);
+    const monteCarlo = samples.length > 0
+      ? { min: samples[0], max: samples[samples.length - 1], median: samples[Math.floor(samples.length / 2)] }
+      : { min: baseRank, max: baseRank, median: baseRank };
+    const topNProbability = samples.length > 0
+      ? samples.filter(rank => rank <= settings.topN).length / samples.length
+      : (baseRank <= settings.topN ? 1 : 0);
+
+    results[id] = {
+      id,
+      baseRank,
+      oneAtATime,
+      oneAtATimeByMetric: byMetric,
+      monteCarlo,
+      topNProbability,
+      isStableWinner: baseRank <= settings.topN
+        && oneAtATime.max <= settings.topN
+        && topNProbability >= STABLE_WINNER_PROBABILITY,
+    };
+  });
+
+  return results;
+}
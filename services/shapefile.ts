@@ -0,0 +1,253 @@
+// ESRI shapefile writer: polygon geometry (.shp/.shx), attributes (.dbf), WGS84 projection (.prj) and encoding (.cpg)
+import type { MultiPolygon, Polygon, Position } from 'geojson';
+import type { ZipEntry } from '../utils/zip';
+
+export type ShapefileFieldType = 'number' | 'string' | 'boolean';
+
+export interface ShapefileField {
+  name: string;  // At most 10 characters, a dBase limit
+  type: ShapefileFieldType;
+}
+
+export type ShapefileValue = string | number | boolean | null;
+
+export interface ShapefileRecord {
+  geometry: Polygon | MultiPolygon | null;  // null writes a null shape, e.g. when geometry is left out
+  values: ShapefileValue[];                 // One per field
+}
+
+const SHAPE_NULL = 0;
+const SHAPE_POLYGON = 5;
+const HEADER_BYTES = 100;
+
+// dBase text fields hold at most 254 bytes; numbers use a fixed width with 6 decimals for fractions
+const MAX_TEXT_BYTES = 254;
+const NUMBER_WIDTH = 19;
+const NUMBER_DECIMALS = 6;
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],'
+  + 'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+/**
+ * Twice the signed area of a ring; positive when counter-clockwise
+ */
+function signedArea(ring: Position[]): number {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum;
+}
+
+/**
+ * Rings of a geometry as shapefile parts: outer rings clockwise and holes counter-clockwise,
+ * the reverse of GeoJSON's winding
+ */
+function getParts(geometry: Polygon | MultiPolygon): Position[][] {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.flatMap(rings => rings.map((ring, i) => {
+    const isClockwise = signedArea(ring) < 0;
+    return isClockwise === (i === 0) ? ring : [...ring].reverse();
+  }));
+}
+
+interface Box {
+  xMin: number;
+  yMin: number;
+  xMax: number;
+  yMax: number;
+}
+
+function getBox(parts: Position[][]): Box {
+  const box = { xMin: Infinity, yMin: Infinity, xMax: -Infinity, yMax: -Infinity };
+  parts.forEach(part => part.forEach(([x, y]) => {
+    box.xMin = Math.min(box.xMin, x);
+    box.yMin = Math.min(box.yMin, y);
+    box.xMax = Math.max(box.xMax, x);
+    box.yMax = Math.max(box.yMax, y);
+  }));
+  return box;
+}
+
+function writeBox(view: DataView, offset: number, box: Box): void {
+  view.setFloat64(offset, box.xMin, true);
+  view.setFloat64(offset + 8, box.yMin, true);
+  view.setFloat64(offset + 16, box.xMax, true);
+  view.setFloat64(offset + 24, box.yMax, true);
+}
+
+/**
+ * The 100-byte header shared by the .shp and .shx files
+ */
+function writeHeader(view: DataView, fileBytes: number, shapeType: number, box: Box): void {
+  view.setInt32(0, 9994, false);                 // File code
+  view.setInt32(24, fileBytes / 2, false);       // File length in 16-bit words
+  view.setInt32(28, 1000, true);                 // Version
+  view.setInt32(32, shapeType, true);
+  writeBox(view, 36, box);
+}
+
+/**
+ * Geometry (.shp) and index (.shx) files
+ */
+function writeShapes(records: ShapefileRecord[]): { shp: Uint8Array; shx: Uint8Array } {
+  const shapes = records.map(record => {
+    const parts = record.geometry ? getParts(record.geometry) : [];
+    const pointCount = parts.reduce((sum, part) => sum + part.length, 0);
+    // Shape type, then for polygons the box, part and point counts, part offsets and points
+    const contentBytes = parts.length > 0 ? 44 + 4 * parts.length + 16 * pointCount : 4;
+    return { parts, pointCount, contentBytes };
+  });
+  const hasGeometry = shapes.some(shape => shape.parts.length > 0);
+  const allParts = shapes.flatMap(shape => shape.parts);
+  const box = hasGeometry ? getBox(allParts) : { xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+  const shapeType = hasGeometry ? SHAPE_POLYGON : SHAPE_NULL;
+
+  const shpBytes = HEADER_BYTES + shapes.reduce((sum, shape) => sum + 8 + shape.contentBytes, 0);
+  const shxBytes = HEADER_BYTES + 8 * shapes.length;
+  const shp = new DataView(new ArrayBuffer(shpBytes));
+  const shx = new DataView(new ArrayBuffer(shxBytes));
+  writeHeader(shp, shpBytes, shapeType, box);
+  writeHeader(shx, shxBytes, shapeType, box);
+
+  let offset = HEADER_BYTES;
+  shapes.forEach((shape, i) => {
+    shx.setInt32(HEADER_BYTES + 8 * i, offset / 2, false);
+    shx.setInt32(HEADER_BYTES + 8 * i + 4, shape.contentBytes / 2, false);
+    shp.setInt32(offset, i + 1, false);          // Record numbers start at 1
+    shp.setInt32(offset + 4, shape.contentBytes / 2, false);
+    offset += 8;
+
+    if (shape.parts.length === 0) {
+      shp.setInt32(offset, SHAPE_NULL, true);
+      offset += 4;
+      return;
+    }
+    shp.setInt32(offset, SHAPE_POLYGON, true);
+    writeBox(shp, offset + 4, getBox(shape.parts));
+    shp.setInt32(offset + 36, shape.parts.length, true);
+    shp.setInt32(offset + 40, shape.pointCount, true);
+    offset += 44;
+    let pointIndex = 0;
+    shape.parts.forEach(part => {
+      shp.setInt32(offset, pointIndex, true);
+      offset += 4;
+      pointIndex += part.length;
+    });
+    shape.parts.forEach(part => part.forEach(([x, y]) => {
+      shp.setFloat64(offset, x, true);
+      shp.setFloat64(offset + 8, y, true);
+      offset += 16;
+    }));
+  });
+
+  return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) };
+}
+
+/**
+ * Text cut to a byte length without splitting a multi-byte character
+ */
+function truncateBytes(encoder: TextEncoder, text: string, maxBytes: number): Uint8Array {
+  let bytes = encoder.encode(text);
+  let end = text.length;
+  while (bytes.length > maxBytes) {
+    end--;
+    bytes = encoder.encode(text.slice(0, end));
+  }
+  return bytes;
+}
+
+/**
+ * Attribute table (.dbf, dBase III) with UTF-8 text
+ */
+function writeDbf(fields: ShapefileField[], records: ShapefileRecord[]): Uint8Array {
+  const encoder = new TextEncoder();
+  const columns = fields.map((field, index) => {
+    const values = records.map(record => record.values[index]);
+    if (field.type === 'string') {
+      const encoded = values.map(value => (value === null ? new Uint8Array(0) : truncateBytes(encoder, String(value), MAX_TEXT_BYTES)));
+      return { ...field, dbfType: 'C', length: encoded.reduce((max, bytes) => Math.max(max, bytes.length), 1), decimals: 0, encoded };
+    }
+    if (field.type === 'boolean') {
+      return { ...field, dbfType: 'L', length: 1, decimals: 0, encoded: null };
+    }
+    const isInteger = values.every(value => value === null || Number.isInteger(value));
+    return { ...field, dbfType: 'N', length: NUMBER_WIDTH, decimals: isInteger ? 0 : NUMBER_DECIMALS, encoded: null };
+  });
+
+  const headerBytes = 32 + 32 * columns.length + 1;
+  const recordBytes = 1 + columns.reduce((sum, column) => sum + column.length, 0);
+  const bytes = new Uint8Array(headerBytes + recordBytes * records.length + 1);
+  const view = new DataView(bytes.buffer);
+  const now = new Date();
+
+  bytes[0] = 0x03;                               // dBase III without memo
+  bytes[1] = now.getFullYear() - 1900;
+  bytes[2] = now.getMonth() + 1;
+  bytes[3] = now.getDate();
+  view.setUint32(4, records.length, true);
+  view.setUint16(8, headerBytes, true);
+  view.setUint16(10, recordBytes, true);
+  bytes[29] = 0x00;                              // No code page; the .cpg file names UTF-8
+
+  columns.forEach((column, i) => {
+    const offset = 32 + 32 * i;
+    bytes.set(encoder.encode(column.name).slice(0, 10), offset);
+    bytes[offset + 11] = column.dbfType.charCodeAt(0);
+    bytes[offset + 16] = column.length;
+    bytes[offset + 17] = column.decimals;
+  });
+  bytes[headerBytes - 1] = 0x0d;                 // End of field descriptors
+
+  records.forEach((record, recordIndex) => {
+    let offset = headerBytes + recordBytes * recordIndex;
+    bytes.fill(0x20, offset, offset + recordBytes);  // Not deleted; unused space is blank
+    offset += 1;
+    columns.forEach((column, i) => {
+      const value = record.values[i];
+      if (column.encoded) {
+        bytes.set(column.encoded[recordIndex], offset);
+      } else if (column.dbfType === 'L') {
+        bytes[offset] = (value === null ? '?' : value ? 'T' : 'F').charCodeAt(0);
+      } else if (typeof value === 'number' && Number.isFinite(value)) {
+        const text = value.toFixed(column.decimals);
+        if (text.length <= column.length) bytes.set(encoder.encode(text.padStart(column.length)), offset);
+      }
+      offset += column.length;
+    });
+  });
+  bytes[bytes.length - 1] = 0x1a;                // End of file
+
+  return bytes;
+}
+
+/**
+ * Field names cut to the dBase limit of 10 characters, with a numeric suffix where cutting makes two equal
+ */
+export function toDbfFieldNames(names: string[]): string[] {
+  const used = new Set<string>();
+  return names.map(name => {
+    const base = name.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || 'field';
+    let candidate = base;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${base.slice(0, 10 - String(n).length)}${n}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+/**
+ * The files of a shapefile named baseName, ready to be zipped
+ */
+export function writeShapefile(baseName: string, fields: ShapefileField[], records: ShapefileRecord[]): ZipEntry[] {
+  const encoder = new TextEncoder();
+  const { shp, shx } = writeShapes(records);
+  return [
+    { name: `${baseName}.shp`, data: shp },
+    { name: `${baseName}.shx`, data: shx },
+    { name: `${baseName}.dbf`, data: writeDbf(fields, records) },
+    { name: `${baseName}.prj`, data: encoder.encode(WGS84_PRJ) },
+    { name: `${baseName}.cpg`, data: encoder.encode('UTF-8') },
+  ];
+}
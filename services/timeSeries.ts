@@ -0,0 +1,108 @@
+// Census time series: showing any year of it, and growth layers between two years
+import type { FeatureCollection } from 'geojson';
+import type { CensusYearValues, DistrictProperties, GrowthLayerId, GrowthPeriod } from '../types';
+
+// Metrics the growth layers are derived from, with the ids of their change and CAGR layers
+const GROWTH_METRICS: { metric: 'population' | 'avg_income'; change: GrowthLayerId; cagr: GrowthLayerId }[] = [
+  { metric: 'population', change: 'population_change', cagr: 'population_cagr' },
+  { metric: 'avg_income', change: 'avg_income_change', cagr: 'avg_income_cagr' },
+];
+
+// Fields a census year replaces; everything else (names, codes, geometry) stays as loaded
+const CENSUS_FIELDS: (keyof CensusYearValues)[] = ['population', 'avg_income', 'competitors', 'public_services', 'night_lights', 'area_km2'];
+
+/**
+ * Census years present in any feature's time series, ascending
+ */
+export function getCensusYears(features: { properties: unknown }[]): number[] {
+  const years = new Set<number>();
+  features.forEach(feature => {
+    const series = (feature.properties as DistrictProperties | null)?.census_by_year;
+    if (!series) return;
+    Object.keys(series).forEach(year => {
+      const parsed = Number(year);
+      if (Number.isInteger(parsed) && parsed > 0) years.add(parsed);
+    });
+  });
+  return Array.from(years).sort((a, b) => a - b);
+}
+
+/**
+ * Growth period spanning the whole time series, or null when there are fewer than two years
+ */
+export function getDefaultGrowthPeriod(years: number[]): GrowthPeriod | null {
+  return years.length >= 2 ? { fromYear: years[0], toYear: years[years.length - 1] } : null;
+}
+
+/**
+ * Replace each feature's census values with those of the given year. Areas with a time series
+ * but no census for that year are marked as missing data; areas without a time series are left as loaded.
+ */
+export function applyCensusYear(data: FeatureCollection, year: number | null): FeatureCollection {
+  if (year === null) return data;
+
+  return {
+    ...data,
+    features: data.features.map(feature => {
+      const props = feature.properties as DistrictProperties;
+      const series = props?.census_by_year;
+      if (!series || props.census_year === year) return feature;
+
+      const values = series[year];
+      const updated: DistrictProperties = { ...props, census_year: year };
+      CENSUS_FIELDS.forEach(field => {
+        const value = Number(values?.[field]);
+        if (Number.isFinite(value)) {
+          updated[field] = value;
+        } else if (field !== 'area_km2') {
+          updated[field] = 0;
+        }
+      });
+      updated.hasCensusData = !!values && (updated.population > 0 || updated.avg_income > 0);
+      return { ...feature, properties: updated };
+    }),
+  };
+}
+
+/**
+ * Absolute change and compound annual growth rate (in percent) between two values.
+ * The rate needs positive values at both ends and is null otherwise.
+ */
+export function computeGrowth(
+  fromValue: number,
+  toValue: number,
+  years: number
+): { change: number; cagr: number | null } {
+  const cagr = fromValue > 0 && toValue > 0 && years > 0
+    ? (Math.pow(toValue / fromValue, 1 / years) - 1) * 100
+    : null;
+  return { change: toValue - fromValue, cagr };
+}
+
+/**
+ * Add the growth layer values between two census years to every feature's properties.
+ * Areas missing either year get no value and show as missing.
+ */
+export function applyGrowthLayers(data: FeatureCollection, period: GrowthPeriod | null): FeatureCollection {
+  if (!period) return data;
+  const span = period.toYear - period.fromYear;
+
+  return {
+    ...data,
+    features: data.features.map(feature => {
+      const props: Record<string, any> = { ...(feature.properties as any) };
+      const series: Record<string, CensusYearValues> | undefined = props.census_by_year;
+      GROWTH_METRICS.forEach(({ metric, change, cagr }) => {
+        const fromValue = Number(series?.[period.fromYear]?.[metric]);
+        const toValue = Number(series?.[period.toYear]?.[metric]);
+        delete props[change];
+        delete props[cagr];
+        if (span <= 0 || !Number.isFinite(fromValue) || !Number.isFinite(toValue) || fromValue <= 0 || toValue <= 0) return;
+        const growth = computeGrowth(fromValue, toValue, span);
+        props[change] = growth.change;
+        if (growth.cagr !== null) props[cagr] = growth.cagr;
+      });
+      return { ...feature, properties: props };
+    }),
+  };
+}
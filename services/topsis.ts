@@ -0,0 +1,108 @@
+// TOPSIS (Technique for Order of Preference by Similarity to Ideal Solution) ranking
+import type { DistrictFeature, ScoreMetricId, ScoringCriteria } from '../types';
+import { SCORE_METRICS } from '../constants';
+import { getTotalWeight } from './scoring';
+
+export interface RankedFeature {
+  feature: DistrictFeature;
+  id: string;
+  name: string;
+  rank: number | null;  // null for features without census data, which are listed but not ranked
+  score: number;        // Relative closeness to the ideal solution, 0-100
+  // Weighted progress (0-100 points) from the anti-ideal towards the ideal value on each metric
+  contributions: Record<ScoreMetricId, number>;
+}
+
+const emptyContributions = (): Record<ScoreMetricId, number> => {
+  const contributions = {} as Record<ScoreMetricId, number>;
+  SCORE_METRICS.forEach(metric => {
+    contributions[metric] = 0;
+  });
+  return contributions;
+};
+
+/**
+ * Rank features with TOPSIS using the scoring weights and benefit/cost directions.
+ * Features flagged hasCensusData: false are appended unranked, after every ranked feature.
+ */
+export function rankFeaturesTopsis(features: DistrictFeature[], criteria: ScoringCriteria): RankedFeature[] {
+  const candidates = features.filter(f => f.properties && f.properties.hasCensusData !== false);
+  const missing = features.filter(f => f.properties && f.properties.hasCensusData === false);
+  const totalWeight = getTotalWeight(criteria);
+
+  const weights = {} as Record<ScoreMetricId, number>;
+  SCORE_METRICS.forEach(metric => {
+    weights[metric] = totalWeight > 0 ? Math.max(criteria[metric].weight, 0) / totalWeight : 0;
+  });
+
+  // Vector normalization: r_ij = x_ij / sqrt(sum_i x_ij^2), then weight
+  const norms = {} as Record<ScoreMetricId, number>;
+  SCORE_METRICS.forEach(metric => {
+    norms[metric] = Math.sqrt(candidates.reduce((sum, f) => sum + (Number(f.properties[metric]) || 0) ** 2, 0));
+  });
+
+  const weighted = candidates.map(f => {
+    const row = {} as Record<ScoreMetricId, number>;
+    SCORE_METRICS.forEach(metric => {
+      const value = Number(f.properties[metric]) || 0;
+      row[metric] = norms[metric] > 0 ? (value / norms[metric]) * weights[metric] : 0;
+    });
+    return row;
+  });
+
+  // Ideal (best) and anti-ideal (worst) value per metric, respecting direction
+  const ideal = {} as Record<ScoreMetricId, number>;
+  const antiIdeal = {} as Record<ScoreMetricId, number>;
+  SCORE_METRICS.forEach(metric => {
+    const values = weighted.map(row => row[metric]);
+    const max = values.length > 0 ? Math.max(...values) : 0;
+    const min = values.length > 0 ? Math.min(...values) : 0;
+    const isCost = criteria[metric].direction === 'cost';
+    ideal[metric] = isCost ? min : max;
+    antiIdeal[metric] = isCost ? max : min;
+  });
+
+  const ranked: RankedFeature[] = candidates.map((feature, i) => {
+    const row = weighted[i];
+    let distanceToIdeal = 0;
+    let distanceToAntiIdeal = 0;
+    const contributions = emptyContributions();
+
+    SCORE_METRICS.forEach(metric => {
+      distanceToIdeal += (row[metric] - ideal[metric]) ** 2;
+      distanceToAntiIdeal += (row[metric] - antiIdeal[metric]) ** 2;
+      const span = Math.abs(ideal[metric] - antiIdeal[metric]);
+      contributions[metric] = span > 0 ? (Math.abs(row[metric] - antiIdeal[metric]) / span) * weights[metric] * 100 : 0;
+    });
+
+    distanceToIdeal = Math.sqrt(distanceToIdeal);
+    distanceToAntiIdeal = Math.sqrt(distanceToAntiIdeal);
+    const total = distanceToIdeal + distanceToAntiIdeal;
+
+    return {
+      feature,
+      id: feature.properties.id,
+      name: feature.properties.name,
+      rank: null,
+      score: total > 0 ? (distanceToAntiIdeal / total) * 100 : 0,
+      contributions,
+    };
+  });
+
+  ranked.sort((a, b) => b.score - a.score);
+  ranked.forEach((entry, index) => {
+    entry.rank = index + 1;
+  });
+
+  return [
+    ...ranked,
+    ...missing.map(feature => ({
+      feature,
+      id: feature.properties.id,
+      name: feature.properties.name,
+      rank: null,
+      score: 0,
+      contributions: emptyContributions(),
+    })),
+  ];
+}
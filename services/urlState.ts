@@ -0,0 +1,186 @@
+// Shareable links: the dashboard view encoded in the URL query string, so a link reopens the same view
+import type { AttributeQuery, BoundaryTypeId, LayerId, NormalizationMode, QueryCondition, QueryMode, ScoringCriteria } from '../types';
+import { BOUNDARIES, DATA_LAYERS, GROWTH_LAYERS, NORMALIZATION_MODES, SCORE_METRICS, DEFAULT_SCORING_CRITERIA } from '../constants';
+import { EMPTY_QUERY, QUERY_OPERATORS, createCondition } from './attributeQuery';
+import { criteriaEqual } from './scoringProfiles';
+import type { DrillScope } from './hierarchy';
+import type { LatLng } from './catchment';
+
+export interface MapView {
+  center: LatLng;
+  zoom: number;
+}
+
+export interface UrlState {
+  layer: LayerId;
+  boundary: BoundaryTypeId;
+  selectedId: string | null;
+  showMissingData: boolean;
+  view: MapView | null;          // null until the map has reported its view
+  scope: DrillScope | null;
+  query: AttributeQuery;
+  queryMode: QueryMode;
+  criteria: ScoringCriteria;
+  censusYear: number | null;     // null shows the latest year
+  normalization: NormalizationMode;  // Of the active layer
+}
+
+export const DEFAULT_URL_STATE: UrlState = {
+  layer: 'population',
+  boundary: 'district',
+  selectedId: null,
+  showMissingData: false,
+  view: null,
+  scope: null,
+  query: EMPTY_QUERY,
+  queryMode: 'highlight',
+  criteria: DEFAULT_SCORING_CRITERIA,
+  censusYear: null,
+  normalization: 'absolute',
+};
+
+// Changes closer together than this, such as a slider drag or typing a query value, make one history entry
+export const URL_UPDATE_DELAY_MS = 400;
+
+// Coordinates to 5 decimals (about a metre) keep links short without moving the view
+const COORDINATE_DECIMALS = 5;
+
+/**
+ * Whether an id names a built-in, growth or formula layer
+ */
+function isLayerId(id: string): id is LayerId {
+  return id in DATA_LAYERS || id in GROWTH_LAYERS || id.startsWith('formula-');
+}
+
+/**
+ * Map view from "lat,lng,zoom", or null when malformed
+ */
+function parseView(value: string | null): MapView | null {
+  const parts = (value ?? '').split(',').map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+  const [lat, lng, zoom] = parts;
+  return { center: { lat, lng }, zoom };
+}
+
+function formatView({ center, zoom }: MapView): string {
+  return `${center.lat.toFixed(COORDINATE_DECIMALS)},${center.lng.toFixed(COORDINATE_DECIMALS)},${Number(zoom.toFixed(2))}`;
+}
+
+/**
+ * Query conditions from "join:layer:operator:value" items separated by ";". The value is
+ * left empty while the user has not entered one; items with unknown layers or operators are dropped.
+ */
+function parseQuery(value: string | null): AttributeQuery {
+  if (!value) return EMPTY_QUERY;
+  const conditions = value.split(';').flatMap((item): QueryCondition[] => {
+    const [join, layerId, operator, rawValue] = item.split(':');
+    if ((join !== 'and' && join !== 'or') || !isLayerId(layerId) || !QUERY_OPERATORS.includes(operator as QueryCondition['operator'])) {
+      return [];
+    }
+    const number = rawValue ? Number(rawValue) : NaN;
+    return [{
+      ...createCondition(layerId, join),
+      operator: operator as QueryCondition['operator'],
+      value: Number.isFinite(number) ? number : null,
+    }];
+  });
+  return { conditions };
+}
+
+function formatQuery(query: AttributeQuery): string {
+  return query.conditions
+    .map(condition => `${condition.join}:${condition.layerId}:${condition.operator}:${condition.value ?? ''}`)
+    .join(';');
+}
+
+/**
+ * Scoring weights from "metric:weight direction" items, e.g. "population:30b,competitors:15c".
+ * Metrics that are missing or malformed keep their default weight.
+ */
+function parseCriteria(value: string | null): ScoringCriteria {
+  const criteria = { ...DEFAULT_SCORING_CRITERIA };
+  (value ?? '').split(',').forEach(item => {
+    const match = /^(\w+):(\d+(?:\.\d+)?)([bc])$/.exec(item);
+    const metric = match?.[1] as keyof ScoringCriteria | undefined;
+    if (!match || !metric || !SCORE_METRICS.includes(metric)) return;
+    criteria[metric] = { weight: Number(match[2]), direction: match[3] === 'c' ? 'cost' : 'benefit' };
+  });
+  return criteria;
+}
+
+function formatCriteria(criteria: ScoringCriteria): string {
+  return SCORE_METRICS
+    .map(metric => `${metric}:${criteria[metric].weight}${criteria[metric].direction === 'cost' ? 'c' : 'b'}`)
+    .join(',');
+}
+
+/**
+ * Read the dashboard state from a query string; anything missing or invalid takes its default
+ */
+export function parseUrlState(search: string): UrlState {
+  const params = new URLSearchParams(search);
+  const layer = params.get('layer') ?? '';
+  const boundary = params.get('boundary') as BoundaryTypeId | null;
+  const normalization = params.get('norm') as NormalizationMode;
+  const year = Number(params.get('year'));
+  const scope: DrillScope = {
+    ...(params.get('state') ? { state: params.get('state')! } : {}),
+    ...(params.get('parent') ? { parentId: params.get('parent')!, parentName: params.get('parentName') ?? undefined } : {}),
+  };
+
+  return {
+    layer: isLayerId(layer) ? layer : DEFAULT_URL_STATE.layer,
+    boundary: BOUNDARIES.some(option => option.id === boundary) ? boundary! : DEFAULT_URL_STATE.boundary,
+    selectedId: params.get('id') || null,
+    showMissingData: params.get('missing') === '1',
+    view: parseView(params.get('map')),
+    scope: Object.keys(scope).length > 0 ? scope : null,
+    query: parseQuery(params.get('q')),
+    queryMode: params.get('mode') === 'filter' ? 'filter' : 'highlight',
+    criteria: parseCriteria(params.get('w')),
+    censusYear: Number.isInteger(year) && year > 0 ? year : null,
+    normalization: NORMALIZATION_MODES.some(mode => mode.id === normalization) ? normalization : 'absolute',
+  };
+}
+
+/**
+ * Query string for the dashboard state, starting with "?", or "" for the default view.
+ * Settings at their default are left out to keep links short.
+ */
+export function formatUrlState(state: UrlState): string {
+  const params = new URLSearchParams();
+  if (state.layer !== DEFAULT_URL_STATE.layer) params.set('layer', state.layer);
+  if (state.normalization !== 'absolute') params.set('norm', state.normalization);
+  if (state.boundary !== DEFAULT_URL_STATE.boundary) params.set('boundary', state.boundary);
+  if (state.scope?.state) params.set('state', state.scope.state);
+  if (state.scope?.parentId) {
+    params.set('parent', state.scope.parentId);
+    if (state.scope.parentName) params.set('parentName', state.scope.parentName);
+  }
+  if (state.selectedId) params.set('id', state.selectedId);
+  if (state.showMissingData) params.set('missing', '1');
+  if (state.censusYear !== null) params.set('year', String(state.censusYear));
+  if (state.query.conditions.length > 0) params.set('q', formatQuery(state.query));
+  if (state.queryMode !== DEFAULT_URL_STATE.queryMode) params.set('mode', state.queryMode);
+  if (!criteriaEqual(state.criteria, DEFAULT_URL_STATE.criteria)) params.set('w', formatCriteria(state.criteria));
+  if (state.view) params.set('map', formatView(state.view));
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+
+/**
+ * Record the state in the address bar. Panning and zooming update the current history entry;
+ * any other change adds an entry, so back and forward step through them.
+ */
+export function writeUrlState(state: UrlState): void {
+  const search = formatUrlState(state);
+  if (search === window.location.search) return;
+  const current = parseUrlState(window.location.search);
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (formatUrlState({ ...current, view: state.view }) === search) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
@@ -12,15 +12,90 @@ export interface DistrictProperties {
   site_suitability_score: number;
   night_lights: number;
   hasCensusData?: boolean;  // Flag to distinguish missing data from zero values
+  state?: string;           // State the area lies in, used for within-state baselines
+  parent_id?: string;       // Id of the enclosing area one level up (a DUN's parliament)
+  parent_name?: string;
+  code?: string;            // Official short code such as "P.140" or "N.01", which may repeat across states
+  area_km2?: number;        // Land area, used for per-km² normalization
+  census_year?: number;     // Year the values above come from
+  census_by_year?: Record<string, CensusYearValues>;  // Full census time series, keyed by year
+  estimated_metrics?: DataLayerId[];  // Metrics imputed from the parent area rather than counted (see services/estimates.ts)
+  estimate_method?: EstimateMethod;
+  competitors_counted?: boolean;  // competitors counts imported store locations rather than the enrichment estimate
 }
 
+// Imported competitor store location (see services/competitors.ts)
+export interface CompetitorPoint {
+  id: string;
+  lat: number;
+  lng: number;
+  name?: string;
+  brand?: string;
+}
+
+// Where a candidate address stands in an expansion round
+export type CandidateStatus = 'shortlisted' | 'rejected' | 'signed';
+
+// Named pin for a candidate address; its areas and metrics are looked up from its position (see services/candidateSites.ts)
+export interface CandidateSite {
+  id: string;
+  name: string;
+  lat: number;
+  lng: number;
+  status: CandidateStatus;
+  notes: string;
+}
+
+// How the enrichment script imputed an area's missing census values from its parent
+export type EstimateMethod = 'siblings' | 'area';
+
+// Census metrics for one year of an area's time series (see scripts/enrich-geojson.js)
+export type CensusYearValues = Partial<Pick<DistrictProperties, 'population' | 'avg_income' | 'competitors' | 'public_services' | 'night_lights' | 'area_km2'>>;
+
 // FIX: Support both Polygon and MultiPolygon geometries
 export type DistrictFeature = Feature<Polygon | MultiPolygon, DistrictProperties>;
 
 export type DataLayerId = 'population' | 'avg_income' | 'competitors' | 'site_suitability_score' | 'night_lights' | 'public_services';
 
+// Change between two census years, absolute or as a compound annual growth rate (see services/timeSeries.ts)
+export type GrowthLayerId = 'population_change' | 'population_cagr' | 'avg_income_change' | 'avg_income_cagr';
+
+// User-defined formula layers (see services/formulaLayers.ts)
+export type FormulaLayerId = `formula-${string}`;
+
+// Any layer the map can show: a built-in metric or a formula layer
+export type LayerId = DataLayerId | GrowthLayerId | FormulaLayerId;
+
+// Census years the growth layers compare
+export interface GrowthPeriod {
+  fromYear: number;
+  toYear: number;
+}
+
+// Metrics that feed the composite site suitability score
+export type ScoreMetricId = Exclude<DataLayerId, 'site_suitability_score'>;
+
+// 'benefit' metrics raise the score as they grow, 'cost' metrics lower it
+export type MetricDirection = 'benefit' | 'cost';
+
+export interface ScoringCriterion {
+  weight: number;  // Relative importance (0-100), normalized against the sum of all weights
+  direction: MetricDirection;
+}
+
+export type ScoringCriteria = Record<ScoreMetricId, ScoringCriterion>;
+
+// Named set of scoring weights, e.g. one per store format
+export interface ScoringProfile {
+  id: string;
+  name: string;
+  description?: string;
+  criteria: ScoringCriteria;
+  builtIn?: boolean;  // Shipped presets cannot be deleted
+}
+
 export interface DataLayer {
-  id: DataLayerId;
+  id: LayerId;
   name: string;
   description: string;
   shortDescription: string;
@@ -29,9 +104,73 @@ export interface DataLayer {
   context?: string;
   colorScheme: readonly string[];
   stops: number[];
+  valuePrefix?: string;  // Unit shown before values, e.g. 'RM '
+  valueSuffix?: string;  // Unit shown after values, e.g. '%'
+  normalizations?: NormalizationMode[];  // Relative forms that make sense for this layer besides 'absolute'
+}
+
+// How a layer's raw value is shown: as is, per 10,000 residents or per km² of land
+export type NormalizationMode = 'absolute' | 'per_capita' | 'per_area';
+
+export type NormalizationSettings = Partial<Record<LayerId, NormalizationMode>>;
+
+// Saved definition of a formula layer; its values are computed from DistrictProperties fields
+export interface FormulaLayer {
+  id: FormulaLayerId;
+  name: string;
+  expression: string;
+  colorScheme: string[];
+  explanation: string;
+}
+
+export type QueryOperator = '>' | '>=' | '<' | '<=' | '=' | '!=';
+
+// One comparison in an attribute query, e.g. avg_income > 6000
+export interface QueryCondition {
+  id: string;
+  join: 'and' | 'or';       // How this condition combines with the previous one (ignored for the first)
+  layerId: LayerId;
+  operator: QueryOperator;
+  value: number | null;     // null while the user has not entered a number yet
+}
+
+// AND binds tighter than OR, so conditions read like a sentence: a AND b OR c = (a AND b) OR c
+export interface AttributeQuery {
+  conditions: QueryCondition[];
 }
 
-export type BoundaryTypeId = 'district' | 'parliament' | 'dun';
+// Matching areas are either emphasised (others dimmed) or the only ones drawn
+export type QueryMode = 'highlight' | 'filter';
+
+export interface SavedQuery {
+  id: string;
+  name: string;
+  query: AttributeQuery;
+}
+
+export type ClassificationMethod = 'quantile' | 'equal_interval' | 'jenks' | 'std_dev' | 'manual';
+
+export interface ClassificationSettings {
+  method: ClassificationMethod;
+  classCount: number;
+  // User-entered class thresholds per layer and normalization (see getBreaksKey), only used by the 'manual' method
+  manualBreaks: Partial<Record<string, number[]>>;
+}
+
+// Class boundaries computed for one layer from the loaded features
+export interface ClassBreaks {
+  layerId: LayerId;
+  method: ClassificationMethod;
+  thresholds: number[];  // Ascending upper bound of every class except the last
+  min: number;
+  max: number;
+  colors: string[];      // One color per class (thresholds.length + 1)
+}
+
+// Which areas the selected area is ranked against in the comparison chart
+export type BaselineScope = 'state' | 'national';
+
+export type BoundaryTypeId = 'state' | 'district' | 'parliament' | 'dun';
 
 export interface BoundaryType {
   id: BoundaryTypeId;
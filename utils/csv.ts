@@ -0,0 +1,81 @@
+/**
+ * Small CSV helpers for importing and exporting lists.
+ * Fields are comma-separated and double-quoted when they hold commas, quotes or line breaks.
+ */
+
+/**
+ * Split one CSV line into fields, honouring double quotes ("" is an escaped quote)
+ */
+function splitCsvLine(line: string): string[] {
+  const fields: string[] = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Split CSV text into rows of fields. Line breaks inside quoted fields stay part of the field.
+ */
+export function parseCsvRows(text: string): string[][] {
+  const lines: string[] = [];
+  let pending = '';
+  text.split(/\r?\n/).forEach(line => {
+    pending = pending ? `${pending}\n${line}` : line;
+    // An odd number of quotes so far means a quoted field continues on the next line
+    if ((pending.match(/"/g)?.length ?? 0) % 2 === 0) {
+      lines.push(pending);
+      pending = '';
+    }
+  });
+  if (pending) lines.push(pending);
+  return lines.filter(line => line.trim()).map(splitCsvLine);
+}
+
+/**
+ * Format one field, quoting it when needed
+ */
+function formatCsvField(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a header row and data rows as CSV text
+ */
+export function formatCsv(headers: string[], rows: unknown[][]): string {
+  return [headers, ...rows].map(row => row.map(formatCsvField).join(',')).join('\r\n');
+}
+
+/**
+ * Save text as a file through a temporary download link
+ */
+export function downloadFile(fileName: string, content: string | Blob, mimeType: string): void {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Firefox and Safari start the download asynchronously; revoking the URL right away can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,204 @@
+/**
+ * Minimal one-page PDF writer for generated reports: text in the standard Helvetica fonts,
+ * rectangles, lines and JPEG images. Coordinates are in points (1/72 inch) from the top-left corner.
+ * Text is WinAnsi (Latin-1) encoded; other characters print as "?".
+ */
+
+export const A4_WIDTH = 595.28;
+export const A4_HEIGHT = 841.89;
+
+export interface PdfTextOptions {
+  size: number;
+  bold?: boolean;
+  color?: string;  // Hex, e.g. '#1f2937'
+  align?: 'left' | 'center' | 'right';
+}
+
+export interface PdfShapeOptions {
+  fill?: string;
+  stroke?: string;
+  lineWidth?: number;
+  dash?: number[];
+}
+
+export interface PdfDocument {
+  text: (x: number, y: number, text: string, options: PdfTextOptions) => void;  // y is the baseline
+  rect: (x: number, y: number, width: number, height: number, options: PdfShapeOptions) => void;
+  line: (x1: number, y1: number, x2: number, y2: number, options: PdfShapeOptions) => void;
+  image: (jpeg: Uint8Array, pixelWidth: number, pixelHeight: number, x: number, y: number, width: number, height: number) => void;
+  textWidth: (text: string, size: number, bold?: boolean) => number;
+  wrapText: (text: string, maxWidth: number, size: number, bold?: boolean) => string[];
+  toBlob: () => Blob;
+}
+
+// Advance widths of the printable ASCII characters (32-126) in 1/1000 em, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+// Accented Latin-1 letters are close to the average lowercase width
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi codes of common typographic characters outside Latin-1
+const WIN_ANSI_EXTRAS: Record<string, number> = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '−': 0x2d,
+};
+
+/**
+ * WinAnsi byte for a character, or "?" when the standard fonts cannot show it
+ */
+function toWinAnsi(char: string): number {
+  const code = char.charCodeAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) return code;
+  return WIN_ANSI_EXTRAS[char] ?? 0x3f;
+}
+
+/**
+ * PDF string literal; bytes outside printable ASCII are written as octal escapes
+ */
+function toPdfString(text: string): string {
+  let result = '(';
+  for (const char of text) {
+    const code = toWinAnsi(char);
+    if (code === 0x28 || code === 0x29 || code === 0x5c) result += `\\${String.fromCharCode(code)}`;
+    else if (code > 126) result += `\\${code.toString(8).padStart(3, '0')}`;
+    else result += String.fromCharCode(code);
+  }
+  return `${result})`;
+}
+
+function toPdfColor(hex: string): string {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff].map(channel => (channel / 255).toFixed(3)).join(' ');
+}
+
+const round = (value: number): string => String(Math.round(value * 100) / 100);
+
+/**
+ * Start a one-page PDF of the given size, A4 portrait by default
+ */
+export function createPdf(pageWidth = A4_WIDTH, pageHeight = A4_HEIGHT): PdfDocument {
+  const operations: string[] = [];
+  const images: { jpeg: Uint8Array; width: number; height: number }[] = [];
+
+  const textWidth = (text: string, size: number, bold = false): number => {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of text) {
+      const code = toWinAnsi(char);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return (total * size) / 1000;
+  };
+
+  const shapeStyle = ({ fill, stroke, lineWidth = 1, dash }: PdfShapeOptions): string => [
+    fill ? `${toPdfColor(fill)} rg` : '',
+    stroke ? `${toPdfColor(stroke)} RG ${round(lineWidth)} w` : '',
+    dash ? `[${dash.map(round).join(' ')}] 0 d` : '',
+  ].filter(Boolean).join(' ');
+
+  const paintOperator = ({ fill, stroke }: PdfShapeOptions): string => (fill && stroke ? 'B' : fill ? 'f' : 'S');
+
+  return {
+    textWidth,
+
+    text: (x, y, text, { size, bold = false, color = '#000000', align = 'left' }) => {
+      const width = textWidth(text, size, bold);
+      const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+      operations.push(`BT /${bold ? 'F2' : 'F1'} ${round(size)} Tf ${toPdfColor(color)} rg ${round(left)} ${round(pageHeight - y)} Td ${toPdfString(text)} Tj ET`);
+    },
+
+    rect: (x, y, width, height, options) => {
+      operations.push(`q ${shapeStyle(options)} ${round(x)} ${round(pageHeight - y - height)} ${round(width)} ${round(height)} re ${paintOperator(options)} Q`);
+    },
+
+    line: (x1, y1, x2, y2, options) => {
+      operations.push(`q ${shapeStyle(options)} ${round(x1)} ${round(pageHeight - y1)} m ${round(x2)} ${round(pageHeight - y2)} l S Q`);
+    },
+
+    image: (jpeg, pixelWidth, pixelHeight, x, y, width, height) => {
+      images.push({ jpeg, width: pixelWidth, height: pixelHeight });
+      operations.push(`q ${round(width)} 0 0 ${round(height)} ${round(x)} ${round(pageHeight - y - height)} cm /Im${images.length} Do Q`);
+    },
+
+    /**
+     * Break text into lines no wider than maxWidth, at spaces where possible
+     */
+    wrapText: (text, maxWidth, size, bold = false) => {
+      const lines: string[] = [];
+      let current = '';
+      text.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (!current || textWidth(candidate, size, bold) <= maxWidth) {
+          current = candidate;
+        } else {
+          lines.push(current);
+          current = word;
+        }
+      });
+      if (current) lines.push(current);
+      return lines;
+    },
+
+    toBlob: () => {
+      const encoder = new TextEncoder();
+      const parts: Uint8Array[] = [];
+      const offsets: number[] = [];
+      let length = 0;
+      const write = (chunk: string | Uint8Array) => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        parts.push(bytes);
+        length += bytes.length;
+      };
+      const startObject = () => {
+        offsets.push(length);
+        write(`${offsets.length} 0 obj\n`);
+      };
+
+      // 1 catalog, 2 page tree, 3 page, 4-5 fonts, 6 content stream, 7+ images
+      const imageRefs = images.map((_, i) => `/Im${i + 1} ${7 + i} 0 R`).join(' ');
+      const content = operations.join('\n');
+
+      write('%PDF-1.4\n%âãÏÓ\n');
+      startObject();
+      write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+      startObject();
+      write('<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n');
+      startObject();
+      write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${round(pageWidth)} ${round(pageHeight)}] `
+        + `/Resources << /Font << /F1 4 0 R /F2 5 0 R >> /XObject << ${imageRefs} >> >> /Contents 6 0 R >>\nendobj\n`);
+      startObject();
+      write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n');
+      startObject();
+      write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>\nendobj\n');
+      startObject();
+      write(`<< /Length ${encoder.encode(content).length} >>\nstream\n${content}\nendstream\nendobj\n`);
+      images.forEach(image => {
+        startObject();
+        write(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} `
+          + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>\nstream\n`);
+        write(image.jpeg);
+        write('\nendstream\nendobj\n');
+      });
+
+      const xrefOffset = length;
+      write(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`);
+      offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+      write(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+      return new Blob(parts, { type: 'application/pdf' });
+    },
+  };
+}
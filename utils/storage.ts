@@ -0,0 +1,31 @@
+/**
+ * Small localStorage helpers for persisting user settings.
+ * Storage can be unavailable (private browsing, quota exceeded), so failures
+ * fall back to defaults instead of breaking the dashboard.
+ */
+
+const STORAGE_PREFIX = 'geointel:';
+
+/**
+ * Read and parse a JSON value, returning the fallback if missing or unreadable
+ */
+export function loadFromStorage<T>(key: string, fallback: T): T {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw ? (JSON.parse(raw) as T) : fallback;
+  } catch (error) {
+    console.warn(`Could not read "${key}" from localStorage:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Serialize and store a JSON value
+ */
+export function saveToStorage<T>(key: string, value: T): void {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not write "${key}" to localStorage:`, error);
+  }
+}
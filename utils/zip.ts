@@ -0,0 +1,95 @@
+/**
+ * Minimal ZIP writer for bundling generated files into one download.
+ * Entries are stored uncompressed, which every unzip tool and GIS package reads.
+ */
+
+export interface ZipEntry {
+  name: string;
+  data: Uint8Array;
+}
+
+let crcTable: Uint32Array | null = null;
+
+/**
+ * CRC-32 checksum of the bytes, as required for every ZIP entry
+ */
+function crc32(data: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Date and time in the MS-DOS format ZIP headers use
+ */
+function toDosDateTime(date: Date): { time: number; date: number } {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Bundle files into a ZIP archive
+ */
+export function createZip(entries: ZipEntry[]): Blob {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const parts: Uint8Array[] = [];
+  const centralParts: Uint8Array[] = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = encoder.encode(entry.name);
+    const crc = crc32(entry.data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);      // Local file header signature
+    local.setUint16(4, 20, true);              // Version needed to extract
+    local.setUint16(6, 0x0800, true);          // File names are UTF-8
+    local.setUint16(8, 0, true);               // Stored, no compression
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, entry.data.length, true);
+    local.setUint32(22, entry.data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);              // No extra field
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);    // Central directory header signature
+    central.setUint16(4, 20, true);            // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, entry.data.length, true);
+    central.setUint32(24, entry.data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);       // Where the local header starts
+
+    parts.push(new Uint8Array(local.buffer), name, entry.data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + entry.data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);          // End of central directory signature
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
@@ -3,6 +3,7 @@
 interface ImportMetaEnv {
   readonly VITE_DATA_SOURCE?: string;
   readonly VITE_API_BASE_URL?: string;
+  readonly VITE_GEOJSON_STATE?: string;
   readonly VITE_GEOJSON_DISTRICT?: string;
   readonly VITE_GEOJSON_PARLIAMENT?: string;
   readonly VITE_GEOJSON_DUN?: string;